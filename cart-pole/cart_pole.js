@@ -21,6 +21,12 @@
 
 import * as tf from '@tensorflow/tfjs';
 
+/** The tasks supported by `CartPole`. */
+export const TASKS = ['balance', 'swingUp'];
+
+/** The numerical integrators supported by `CartPole`. */
+export const INTEGRATORS = ['euler', 'rk4'];
+
 /**
  * Cart-pole system simulator.
  *
@@ -34,28 +40,79 @@ import * as tf from '@tensorflow/tfjs';
  *
  * The system is controlled through a single action:
  *
- *   - leftward or rightward force.
+ *   - leftward or rightward force, of a fixed magnitude (discrete actions) or
+ *     of a magnitude given by the action (continuous actions).
+ *
+ * Two tasks are supported:
+ *
+ *   - 'balance': The canonical benchmark. The pole starts close to upright,
+ *     and the simulation fails once the pole tilts by more than
+ *     `thetaThreshold` or the cart leaves the track. Every step in which the
+ *     simulation doesn't fail has a reward of 1.
+ *   - 'swingUp': The pole starts hanging down and there is no limit on its
+ *     angle, so the controller has to swing it up and then keep it upright.
+ *     The simulation fails only when the cart leaves the track. The reward of
+ *     a step ranges from 0 (pole pointing down) to 1 (pole upright).
  */
 export class CartPole {
   /**
    * Constructor of CartPole.
+   *
+   * @param {object} config Optional configuration, with the keys:
+   *   - `task` {'balance' | 'swingUp'} Defaults to 'balance'.
+   *   - `continuousAction` {boolean} Whether the action is a continuous
+   *     force instead of a binary choice of direction. Defaults to `false`.
+   *   - `integrator` {'euler' | 'rk4'} The method used to integrate the
+   *     equations of motion: Euler's method or the fourth-order Runge-Kutta
+   *     method with a fixed timestep. Defaults to 'euler'.
+   *   - `gravity`, `massCart`, `massPole`, `length` (half the length of the
+   *     pole), `forceMag` (magnitude of the force), `tau` (seconds between
+   *     state updates), `xThreshold` and `thetaThreshold` (in radians):
+   *     Physics parameters, which default to those of the canonical
+   *     benchmark.
    */
-  constructor() {
+  constructor(config = {}) {
+    const task = config.task == null ? 'balance' : config.task;
+    if (TASKS.indexOf(task) === -1) {
+      throw new Error(
+          `Invalid task: ${task}. Expected one of ${JSON.stringify(TASKS)}.`);
+    }
+    const integrator = config.integrator == null ? 'euler' : config.integrator;
+    if (INTEGRATORS.indexOf(integrator) === -1) {
+      throw new Error(
+          `Invalid integrator: ${integrator}. ` +
+          `Expected one of ${JSON.stringify(INTEGRATORS)}.`);
+    }
+    this.task = task;
+    this.integrator = integrator;
+    this.continuousAction = config.continuousAction === true;
+
+    const getParam = (name, defaultValue) => {
+      const value = config[name] == null ? defaultValue : config[name];
+      if (!(typeof value === 'number' && value > 0)) {
+        throw new Error(
+            `Expected ${name} to be a positive number, but got ${value}`);
+      }
+      return value;
+    };
+
     // Constants that characterize the system.
-    this.gravity = 9.8;
-    this.massCart = 1.0;
-    this.massPole = 0.1;
+    this.gravity = getParam('gravity', 9.8);
+    this.massCart = getParam('massCart', 1.0);
+    this.massPole = getParam('massPole', 0.1);
     this.totalMass = this.massCart + this.massPole;
     this.cartWidth = 0.2;
     this.cartHeight = 0.1;
-    this.length = 0.5;
+    this.length = getParam('length', 0.5);
     this.poleMoment = this.massPole * this.length;
-    this.forceMag = 10.0;
-    this.tau = 0.02;  // Seconds between state updates.
+    this.forceMag = getParam('forceMag', 10.0);
+    // Seconds between state updates.
+    this.tau = getParam('tau', 0.02);
 
     // Threshold values, beyond which a simulation will be marked as failed.
-    this.xThreshold = 2.4;
-    this.thetaThreshold = 12 / 360 * 2 * Math.PI;
+    this.xThreshold = getParam('xThreshold', 2.4);
+    this.thetaThreshold =
+        getParam('thetaThreshold', 12 / 360 * 2 * Math.PI);
 
     this.setRandomState();
   }
@@ -71,10 +128,23 @@ export class CartPole {
     this.xDot = (Math.random() - 0.5) * 1;
     // Pole angle, radians.
     this.theta = (Math.random() - 0.5) * 2 * (6 / 360 * 2 * Math.PI);
+    if (this.task === 'swingUp') {
+      // Hanging down.
+      this.theta += Math.PI;
+    }
     // Pole angle velocity.
     this.thetaDot =  (Math.random() - 0.5) * 0.5;
   }
 
+  /**
+   * Get current state as an Array of four numbers.
+   *
+   * @returns {number[]} `[x, xDot, theta, thetaDot]`.
+   */
+  getState() {
+    return [this.x, this.xDot, this.theta, this.thetaDot];
+  }
+
   /**
    * Get current state as a tf.Tensor of shape [1, 4].
    */
@@ -84,43 +154,142 @@ export class CartPole {
 
   /**
    * Update the cart-pole system using an action.
-   * @param {number} action Only the sign of `action` matters.
-   *   A value > 0 leads to a rightward force of a fixed magnitude.
+   * @param {number} action With discrete actions, only the sign of `action`
+   *   matters: A value > 0 leads to a rightward force of a fixed magnitude.
    *   A value <= 0 leads to a leftward force of the same fixed magnitude.
+   *   With continuous actions, the force is `action * forceMag`, where
+   *   `action` is clipped to [-1, 1].
+   * @returns {bool} Whether the simulation is done after the update.
    */
   update(action) {
-    const force = action > 0 ? this.forceMag : -this.forceMag;
+    let force;
+    if (this.continuousAction) {
+      force = Math.max(-1, Math.min(1, action)) * this.forceMag;
+    } else {
+      force = action > 0 ? this.forceMag : -this.forceMag;
+    }
+
+    const state = this.getState();
+    let newState;
+    if (this.integrator === 'rk4') {
+      const halfTau = this.tau / 2;
+      const k1 = this.getDerivatives_(state, force);
+      const k2 = this.getDerivatives_(addScaled(state, k1, halfTau), force);
+      const k3 = this.getDerivatives_(addScaled(state, k2, halfTau), force);
+      const k4 = this.getDerivatives_(addScaled(state, k3, this.tau), force);
+      newState = state.map(
+          (value, i) =>
+              value + this.tau / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+    } else {
+      // Update the four state variables, using Euler's metohd.
+      newState =
+          addScaled(state, this.getDerivatives_(state, force), this.tau);
+    }
+    [this.x, this.xDot, this.theta, this.thetaDot] = newState;
+
+    if (this.task === 'swingUp') {
+      // Keep the angle in [-pi, pi), as the pole can rotate freely.
+      this.theta = wrapAngle(this.theta);
+    }
+
+    return this.isDone();
+  }
 
-    const cosTheta = Math.cos(this.theta);
-    const sinTheta = Math.sin(this.theta);
+  /**
+   * Compute the time derivatives of the state variables.
+   *
+   * @param {number[]} state `[x, xDot, theta, thetaDot]`.
+   * @param {number} force The force applied to the cart.
+   * @returns {number[]} `[xDot, xAcc, thetaDot, thetaAcc]`.
+   */
+  getDerivatives_([x, xDot, theta, thetaDot], force) {
+    const cosTheta = Math.cos(theta);
+    const sinTheta = Math.sin(theta);
 
     const temp =
-        (force + this.poleMoment * this.thetaDot * this.thetaDot * sinTheta) /
+        (force + this.poleMoment * thetaDot * thetaDot * sinTheta) /
         this.totalMass;
     const thetaAcc = (this.gravity * sinTheta - cosTheta * temp) /
         (this.length *
          (4 / 3 - this.massPole * cosTheta * cosTheta / this.totalMass));
     const xAcc = temp - this.poleMoment * thetaAcc * cosTheta / this.totalMass;
+    return [xDot, xAcc, thetaDot, thetaAcc];
+  }
 
-    // Update the four state variables, using Euler's metohd.
-    this.x += this.tau * this.xDot;
-    this.xDot += this.tau * xAcc;
-    this.theta += this.tau * this.thetaDot;
-    this.thetaDot += this.tau * thetaAcc;
-
-    return this.isDone();
+  /**
+   * Get the reward of the latest update.
+   *
+   * @param {bool} isDone Whether the simulation is done after the update.
+   * @returns {number} The reward: 0 if the simulation is done. Otherwise, 1
+   *   for the 'balance' task and a value between 0 (pole pointing down) and 1
+   *   (pole upright) for the 'swingUp' task.
+   */
+  getReward(isDone) {
+    if (isDone) {
+      return 0;
+    }
+    return this.task === 'swingUp' ? (1 + Math.cos(this.theta)) / 2 : 1;
   }
 
   /**
    * Determine whether this simulation is done.
    *
    * A simulation is done when `x` (position of the cart) goes out of bound
-   * or when `theta` (angle of the pole) goes out of bound.
+   * or, except for the 'swingUp' task, when `theta` (angle of the pole) goes
+   * out of bound.
    *
    * @returns {bool} Whether the simulation is done.
    */
   isDone() {
-    return this.x < -this.xThreshold || this.x > this.xThreshold ||
+    const xOutOfBound = this.x < -this.xThreshold || this.x > this.xThreshold;
+    if (this.task === 'swingUp') {
+      return xOutOfBound;
+    }
+    return xOutOfBound ||
         this.theta < -this.thetaThreshold || this.theta > this.thetaThreshold;
   }
+
+  /**
+   * Get the configuration of the system, which can be passed to the
+   * constructor to create an identical system.
+   *
+   * @returns {object} The configuration.
+   */
+  getConfig() {
+    return {
+      task: this.task,
+      continuousAction: this.continuousAction,
+      integrator: this.integrator,
+      gravity: this.gravity,
+      massCart: this.massCart,
+      massPole: this.massPole,
+      length: this.length,
+      forceMag: this.forceMag,
+      tau: this.tau,
+      xThreshold: this.xThreshold,
+      thetaThreshold: this.thetaThreshold
+    };
+  }
+}
+
+/**
+ * Compute `xs + scale * ys` elementwise.
+ *
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @param {number} scale
+ * @returns {number[]}
+ */
+function addScaled(xs, ys, scale) {
+  return xs.map((x, i) => x + scale * ys[i]);
+}
+
+/**
+ * Wrap an angle into the range [-pi, pi).
+ *
+ * @param {number} theta The angle, in radians.
+ * @returns {number} The equivalent angle in [-pi, pi).
+ */
+export function wrapAngle(theta) {
+  return theta - 2 * Math.PI * Math.floor((theta + Math.PI) / (2 * Math.PI));
 }
@@ -0,0 +1,122 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import '@tensorflow/tfjs-node';
+
+import {CartPole, wrapAngle} from './cart_pole';
+
+describe('CartPole', () => {
+  it('Invalid config', () => {
+    expect(() => new CartPole({task: 'foo'})).toThrowError(/Invalid task/);
+    expect(() => new CartPole({integrator: 'foo'}))
+        .toThrowError(/Invalid integrator/);
+    expect(() => new CartPole({tau: -1})).toThrowError(/positive number/);
+  });
+
+  it('getConfig', () => {
+    const config = {task: 'swingUp', integrator: 'rk4', tau: 0.01};
+    const cartPole = new CartPole(config);
+    expect(new CartPole(cartPole.getConfig()).getConfig())
+        .toEqual(cartPole.getConfig());
+    expect(cartPole.getConfig().tau).toEqual(0.01);
+  });
+
+  it('RK4 agrees with Euler at a small timestep', () => {
+    const state = [0.1, -0.2, 0.05, 0.3];
+    const euler = new CartPole({integrator: 'euler', tau: 1e-4});
+    const rk4 = new CartPole({integrator: 'rk4', tau: 1e-4});
+    for (const cartPole of [euler, rk4]) {
+      [cartPole.x, cartPole.xDot, cartPole.theta, cartPole.thetaDot] = state;
+      cartPole.update(1);
+    }
+    const eulerState = euler.getState();
+    const rk4State = rk4.getState();
+    for (let i = 0; i < 4; ++i) {
+      // Both moved away from the initial state...
+      expect(rk4State[i]).not.toEqual(state[i]);
+      // ... by almost the same amount: the difference is O(tau^2).
+      expect(Math.abs(rk4State[i] - eulerState[i])).toBeLessThan(1e-6);
+    }
+  });
+
+  it('RK4 is more accurate than Euler at a large timestep', () => {
+    const state = [0, 0, 0.1, 0];
+    const numFineSteps = 1000;
+    const reference =
+        new CartPole({integrator: 'rk4', tau: 0.1 / numFineSteps});
+    const euler = new CartPole({integrator: 'euler', tau: 0.1});
+    const rk4 = new CartPole({integrator: 'rk4', tau: 0.1});
+    for (const cartPole of [reference, euler, rk4]) {
+      [cartPole.x, cartPole.xDot, cartPole.theta, cartPole.thetaDot] = state;
+    }
+    for (let i = 0; i < numFineSteps; ++i) {
+      reference.update(-1);
+    }
+    euler.update(-1);
+    rk4.update(-1);
+    const error = cartPole => Math.abs(cartPole.theta - reference.theta);
+    expect(error(rk4)).toBeLessThan(error(euler) / 10);
+  });
+
+  it('Balance task: rewards and termination', () => {
+    const cartPole = new CartPole();
+    cartPole.setRandomState();
+    expect(Math.abs(cartPole.theta)).toBeLessThan(cartPole.thetaThreshold);
+    expect(cartPole.getReward(false)).toEqual(1);
+    expect(cartPole.getReward(true)).toEqual(0);
+    cartPole.x = 0;
+    cartPole.theta = cartPole.thetaThreshold * 1.01;
+    expect(cartPole.isDone()).toEqual(true);
+  });
+
+  it('Swing-up task: rewards and termination', () => {
+    const cartPole = new CartPole({task: 'swingUp'});
+    // The pole starts hanging down.
+    expect(Math.abs(cartPole.theta)).toBeGreaterThan(Math.PI / 2);
+    cartPole.x = 0;
+    cartPole.theta = 0;
+    expect(cartPole.getReward(false)).toBeCloseTo(1);
+    cartPole.theta = Math.PI / 2;
+    expect(cartPole.getReward(false)).toBeCloseTo(0.5);
+    cartPole.theta = -Math.PI;
+    expect(cartPole.getReward(false)).toBeCloseTo(0);
+    // The angle is not limited, only the position of the cart.
+    expect(cartPole.isDone()).toEqual(false);
+    cartPole.x = cartPole.xThreshold * 1.01;
+    expect(cartPole.isDone()).toEqual(true);
+    expect(cartPole.getReward(true)).toEqual(0);
+  });
+
+  it('Swing-up task: the angle is wrapped', () => {
+    const cartPole = new CartPole({task: 'swingUp'});
+    [cartPole.x, cartPole.xDot, cartPole.theta, cartPole.thetaDot] =
+        [0, 0, Math.PI - 1e-3, 5];
+    cartPole.update(1);
+    expect(cartPole.theta).toBeGreaterThanOrEqual(-Math.PI);
+    expect(cartPole.theta).toBeLessThan(0);
+  });
+
+  it('wrapAngle', () => {
+    expect(wrapAngle(0)).toEqual(0);
+    expect(wrapAngle(1)).toBeCloseTo(1);
+    expect(wrapAngle(Math.PI)).toBeCloseTo(-Math.PI);
+    expect(wrapAngle(-Math.PI)).toBeCloseTo(-Math.PI);
+    expect(wrapAngle(3 * Math.PI / 2)).toBeCloseTo(-Math.PI / 2);
+    expect(wrapAngle(-5 * Math.PI / 2)).toBeCloseTo(-Math.PI / 2);
+    expect(wrapAngle(4 * Math.PI + 0.5)).toBeCloseTo(0.5);
+  });
+});
@@ -0,0 +1,739 @@
+/**
+ * @license
+ * Copyright 2018 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Policy network for the cart-pole system and the policy-gradient algorithms
+ * to train it with.
+ *
+ * This module has no dependency on the DOM and is shared by the browser demo
+ * (see `ui.js`) and the Node.js trainer (see `train.js`).
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+
+/**
+ * The training algorithms supported by `PolicyNetwork`:
+ *
+ * - 'reinforce': The REINFORCE policy-gradient method, which scales the
+ *   gradients with the discounted and normalized rewards.
+ * - 'a2c': Advantage actor-critic, which learns a value function (the critic)
+ *   in addition to the policy (the actor) and uses it as a baseline: the
+ *   gradients are scaled with the advantage, i.e., how much better the
+ *   n-step return of an action was than the value predicted by the critic.
+ */
+export const ALGORITHMS = ['reinforce', 'a2c'];
+
+// Number of steps after which the A2C returns are bootstrapped from the
+// critic's value estimate.
+const A2C_NUM_STEPS = 20;
+// Weight of the critic's loss relative to the actor's loss in A2C.
+const A2C_VALUE_LOSS_COEFF = 0.5;
+
+// Range of the log standard deviation of the Gaussian policy for continuous
+// actions, which keeps the policy from collapsing or exploding.
+const MIN_LOG_STD = -5;
+const MAX_LOG_STD = 2;
+
+/**
+ * Policy network for controlling the cart-pole system.
+ *
+ * The role of the policy network is to select an action based on the observed
+ * state of the system. In this case, the action is the leftward or rightward
+ * force and the observed system state is a four-dimensional vector, consisting
+ * of cart position, cart velocity, pole angle and pole angular velocity.
+ *
+ * With continuous actions, the policy is a Gaussian distribution over the
+ * force (see `CartPole`'s `continuousAction` option), of which the network
+ * outputs the mean and the log standard deviation.
+ *
+ * For the 'a2c' algorithm, the network has a second output: the estimated
+ * value of the state, computed by a separate head on top of the same hidden
+ * layers (the "torso") as the policy.
+ */
+export class PolicyNetwork {
+  /**
+   * Constructor of PolicyNetwork.
+   *
+   * @param {number | number[] | tf.LayersModel} hiddenLayerSizes
+   *   Can be any of the following
+   *   - Size of the hidden layer, as a single number (for a single hidden
+   *     layer)
+   *   - An Array of numbers (for any number of hidden layers).
+   *   - An instance of tf.LayersModel. Its algorithm and action type are
+   *     determined from its outputs.
+   * @param {string} algorithm The training algorithm, one of `ALGORITHMS`.
+   *   Ignored if a tf.LayersModel is passed. Defaults to 'reinforce'.
+   * @param {boolean} continuousAction Whether the policy outputs a continuous
+   *   force instead of a binary choice of direction. Ignored if a
+   *   tf.LayersModel is passed. Defaults to `false`.
+   */
+  constructor(
+      hiddenLayerSizesOrModel, algorithm = 'reinforce',
+      continuousAction = false) {
+    if (hiddenLayerSizesOrModel instanceof tf.LayersModel) {
+      this.policyNet = hiddenLayerSizesOrModel;
+      this.algorithm =
+          this.policyNet.outputs.length === 2 ? 'a2c' : 'reinforce';
+      this.continuousAction = this.policyNet.outputs[0].shape[1] === 2;
+    } else {
+      if (ALGORITHMS.indexOf(algorithm) === -1) {
+        throw new Error(
+            `Invalid algorithm: ${algorithm}. ` +
+            `Expected one of ${JSON.stringify(ALGORITHMS)}.`);
+      }
+      this.algorithm = algorithm;
+      this.continuousAction = continuousAction;
+      this.createPolicyNetwork(hiddenLayerSizesOrModel);
+    }
+  }
+
+  /**
+   * Create the underlying model of this policy network.
+   *
+   * @param {number | number[]} hiddenLayerSizes Size of the hidden layer, as
+   *   a single number (for a single hidden layer) or an Array of numbers (for
+   *   any number of hidden layers).
+   */
+  createPolicyNetwork(hiddenLayerSizes) {
+    if (!Array.isArray(hiddenLayerSizes)) {
+      hiddenLayerSizes = [hiddenLayerSizes];
+    }
+    if (this.algorithm === 'a2c') {
+      this.createActorCriticNetwork_(hiddenLayerSizes);
+      return;
+    }
+    this.policyNet = tf.sequential();
+    hiddenLayerSizes.forEach((hiddenLayerSize, i) => {
+      this.policyNet.add(tf.layers.dense({
+        units: hiddenLayerSize,
+        activation: 'elu',
+        // `inputShape` is required only for the first layer.
+        inputShape: i === 0 ? [4] : undefined
+      }));
+    });
+    // With discrete actions, the last layer has only one unit. The single
+    // output number will be converted to a probability of selecting the
+    // leftward-force action. With continuous actions, it has two units: the
+    // mean and the log standard deviation of the force.
+    this.policyNet.add(
+        tf.layers.dense({units: this.continuousAction ? 2 : 1}));
+  }
+
+  /**
+   * Create a model with a policy head and a value head that share the hidden
+   * layers.
+   *
+   * @param {number[]} hiddenLayerSizes Sizes of the hidden layers.
+   */
+  createActorCriticNetwork_(hiddenLayerSizes) {
+    const input = tf.input({shape: [4]});
+    let torso = input;
+    hiddenLayerSizes.forEach(hiddenLayerSize => {
+      torso = tf.layers.dense({units: hiddenLayerSize, activation: 'elu'})
+                  .apply(torso);
+    });
+    // Same as the output of the REINFORCE network: the logit of the
+    // leftward-force action, or the parameters of the Gaussian policy.
+    const logits =
+        tf.layers.dense({units: this.continuousAction ? 2 : 1, name: 'policy'})
+            .apply(torso);
+    // The estimated discounted return from the state.
+    const value = tf.layers.dense({units: 1, name: 'value'}).apply(torso);
+    this.policyNet = tf.model({inputs: input, outputs: [logits, value]});
+  }
+
+  /**
+   * Train the policy network's model.
+   *
+   * @param {CartPole} cartPoleSystem The cart-pole system object to use during
+   *   training.
+   * @param {tf.train.Optimizer} optimizer An instance of TensorFlow.js
+   *   Optimizer to use for training.
+   * @param {number} discountRate Reward discounting rate: a number between 0
+   *   and 1.
+   * @param {number} numGames Number of game to play for each model parameter
+   *   update.
+   * @param {number} maxStepsPerGame Maximum number of steps to perform during
+   *   a game. If this number is reached, the game will end immediately.
+   * @param {object} callbacks Optional callbacks for monitoring the training:
+   *   - `onGameEnd(gameCount, totalGames)` Invoked before the first game and
+   *     at the end of every game.
+   *   - `onStep(cartPoleSystem)` Invoked after every step of a game, e.g.,
+   *     for rendering. Can be async.
+   * @returns {number[]} The number of steps completed in the `numGames` games
+   *   in this round of training.
+   */
+  async train(
+      cartPoleSystem, optimizer, discountRate, numGames, maxStepsPerGame,
+      callbacks = {}) {
+    if (this.algorithm === 'a2c') {
+      return this.trainActorCritic_(
+          cartPoleSystem, optimizer, discountRate, numGames, maxStepsPerGame,
+          callbacks);
+    }
+    this.checkActionType_(cartPoleSystem);
+    const {onGameEnd = () => {}, onStep = () => {}} = callbacks;
+    const allGradients = [];
+    const allRewards = [];
+    const gameSteps = [];
+    onGameEnd(0, numGames);
+    for (let i = 0; i < numGames; ++i) {
+      // Randomly initialize the state of the cart-pole system at the beginning
+      // of every game.
+      cartPoleSystem.setRandomState();
+      const gameRewards = [];
+      const gameGradients = [];
+      for (let j = 0; j < maxStepsPerGame; ++j) {
+        // For every step of the game, remember gradients of the policy
+        // network's weights with respect to the probability of the action
+        // choice that lead to the reward.
+        const gradients = tf.tidy(() => {
+          const inputTensor = cartPoleSystem.getStateTensor();
+          return this.getGradientsAndSaveActions(inputTensor).grads;
+        });
+
+        this.pushGradients(gameGradients, gradients);
+        const action = this.currentActions_[0];
+        const isDone = cartPoleSystem.update(action);
+
+        await onStep(cartPoleSystem);
+
+        // When the game ends before max step count is reached, a reward of
+        // 0 is given. As long as the game doesn't end, each step leads to a
+        // positive reward (1 for the balance task). These reward values will
+        // later be "discounted", leading to higher reward values for
+        // longer-lasting games.
+        gameRewards.push(cartPoleSystem.getReward(isDone));
+        if (isDone) {
+          break;
+        }
+      }
+      onGameEnd(i + 1, numGames);
+      gameSteps.push(gameRewards.length);
+      this.pushGradients(allGradients, gameGradients);
+      allRewards.push(gameRewards);
+      await tf.nextFrame();
+    }
+
+    tf.tidy(() => {
+      // The following line does three things:
+      // 1. Performs reward discounting, i.e., make recent rewards count more
+      //    than rewards from the further past. The effect is that the reward
+      //    values from a game with many steps become larger than the values
+      //    from a game with fewer steps.
+      // 2. Normalize the rewards, i.e., subtract the global mean value of the
+      //    rewards and divide the result by the global standard deviation of
+      //    the rewards. Together with step 1, this makes the rewards from
+      //    long-lasting games positive and rewards from short-lasting
+      //    negative.
+      // 3. Scale the gradients with the normalized reward values.
+      const normalizedRewards =
+          discountAndNormalizeRewards(allRewards, discountRate);
+      // Add the scaled gradients to the weights of the policy network. This
+      // step makes the policy network more likely to make choices that lead
+      // to long-lasting games in the future (i.e., the crux of this RL
+      // algorithm.)
+      optimizer.applyGradients(
+          scaleAndAverageGradients(allGradients, normalizedRewards));
+    });
+    tf.dispose(allGradients);
+    return gameSteps;
+  }
+
+  /**
+   * Train the model with the advantage actor-critic (A2C) algorithm.
+   *
+   * The arguments and the return value are the same as those of `train()`.
+   *
+   * Unlike REINFORCE, the policy gradient is scaled with the advantage
+   * `R_t - V(s_t)`, where `R_t` is the n-step return (bootstrapped from the
+   * critic's estimate `V(s_{t+n})` if the game lasts longer) and `V(s_t)` is
+   * the critic's estimate for the state itself. Subtracting this learned
+   * baseline reduces the variance of the gradient without biasing it. The
+   * critic is trained at the same time to regress `R_t`.
+   */
+  async trainActorCritic_(
+      cartPoleSystem, optimizer, discountRate, numGames, maxStepsPerGame,
+      callbacks) {
+    this.checkActionType_(cartPoleSystem);
+    const {onGameEnd = () => {}, onStep = () => {}} = callbacks;
+    const allStates = [];
+    const allActions = [];
+    const allRewards = [];
+    // The state after the last step of each game, for bootstrapping the
+    // returns of games that are cut off at `maxStepsPerGame`; `null` for
+    // games that ended in failure.
+    const finalStates = [];
+    const gameSteps = [];
+    onGameEnd(0, numGames);
+    for (let i = 0; i < numGames; ++i) {
+      cartPoleSystem.setRandomState();
+      const gameStates = [];
+      const gameActions = [];
+      const gameRewards = [];
+      let isDone = false;
+      for (let j = 0; j < maxStepsPerGame; ++j) {
+        gameStates.push(cartPoleSystem.getState());
+        const action = tf.tidy(
+            () => this.getActions(cartPoleSystem.getStateTensor())[0]);
+        gameActions.push(action);
+        isDone = cartPoleSystem.update(action);
+
+        await onStep(cartPoleSystem);
+
+        gameRewards.push(cartPoleSystem.getReward(isDone));
+        if (isDone) {
+          break;
+        }
+      }
+      onGameEnd(i + 1, numGames);
+      gameSteps.push(gameRewards.length);
+      allStates.push(gameStates);
+      allActions.push(gameActions);
+      allRewards.push(gameRewards);
+      finalStates.push(isDone ? null : cartPoleSystem.getState());
+      await tf.nextFrame();
+    }
+
+    const states = [].concat(...allStates);
+    const actions = [].concat(...allActions);
+    // The critic's estimates for all the visited states and the final states
+    // of the cut-off games.
+    const bootstrapStates = finalStates.filter(state => state != null);
+    const values = tf.tidy(() => {
+      const inputs = tf.tensor2d(states.concat(bootstrapStates));
+      return this.policyNet.predict(inputs)[1].dataSync();
+    });
+
+    const returns = [];
+    let offset = 0;
+    let bootstrapIndex = states.length;
+    allRewards.forEach((gameRewards, g) => {
+      const gameValues = Array.from(
+          values.slice(offset, offset + gameRewards.length));
+      // Value of the state after the last step: 0 after failure.
+      gameValues.push(
+          finalStates[g] == null ? 0 : values[bootstrapIndex++]);
+      returns.push(...computeNStepReturns(
+          gameRewards, gameValues, discountRate, A2C_NUM_STEPS));
+      offset += gameRewards.length;
+    });
+
+    this.updateActorCritic_(
+        optimizer, states, actions, returns, values.slice(0, states.length));
+    return gameSteps;
+  }
+
+  /**
+   * Update the weights of the model with the A2C loss on a batch of steps.
+   *
+   * @param {tf.train.Optimizer} optimizer The optimizer.
+   * @param {number[][]} states The states of the steps, each an Array of
+   *   length 4.
+   * @param {number[]} actions The actions taken in the states.
+   * @param {number[]} returns The n-step returns of the actions.
+   * @param {number[]} values The critic's estimates for the states, before
+   *   the update.
+   */
+  updateActorCritic_(optimizer, states, actions, returns, values) {
+    tf.tidy(() => {
+      const stateTensor = tf.tensor2d(states);
+      const actionTensor = tf.tensor2d(actions, [actions.length, 1]);
+      const returnTensor = tf.tensor2d(returns, [returns.length, 1]);
+      const advantages = this.getAdvantages_(returnTensor, values);
+      optimizer.minimize(
+          () => this.getActorCriticLoss_(
+              stateTensor, actionTensor, returnTensor, advantages));
+    });
+  }
+
+  /**
+   * Compute the normalized advantages of actions.
+   *
+   * @param {tf.Tensor} returns The n-step returns of the actions, of shape
+   *   `[batchSize, 1]`.
+   * @param {number[]} values The critic's estimates for the states in which
+   *   the actions were taken.
+   * @returns {tf.Tensor} The advantages `R_t - V(s_t)`, normalized to a mean
+   *   of 0 and a standard deviation of 1, of shape `[batchSize, 1]`.
+   */
+  getAdvantages_(returns, values) {
+    return tf.tidy(() => {
+      const advantages =
+          returns.sub(tf.tensor2d(values, [values.length, 1]));
+      // Normalize the advantages, like the rewards are normalized in
+      // REINFORCE, to make the step size independent of their scale.
+      const {mean, variance} = tf.moments(advantages);
+      return advantages.sub(mean).div(tf.sqrt(variance).add(1e-8));
+    });
+  }
+
+  /**
+   * Compute the A2C loss: the actor's policy-gradient loss, weighted with
+   * the advantages, plus the critic's mean squared error.
+   *
+   * @param {tf.Tensor} states The states, of shape `[batchSize, 4]`.
+   * @param {tf.Tensor} actions The actions, of shape `[batchSize, 1]`.
+   * @param {tf.Tensor} returns The n-step returns, of shape `[batchSize, 1]`.
+   * @param {tf.Tensor} advantages The advantages, of shape `[batchSize, 1]`
+   *   (see `getAdvantages_()`).
+   * @returns {tf.Scalar} The loss.
+   */
+  getActorCriticLoss_(states, actions, returns, advantages) {
+    const [logits, predictedValues] = this.policyNet.apply(states);
+    const actorLoss =
+        tf.mean(this.getNegLogProbs_(logits, actions).mul(advantages));
+    const criticLoss = tf.losses.meanSquaredError(returns, predictedValues);
+    return actorLoss.add(criticLoss.mul(A2C_VALUE_LOSS_COEFF));
+  }
+
+  /**
+   * Throw an Error if the action type of a cart-pole system doesn't match
+   * the one of this policy network.
+   *
+   * @param {CartPole} cartPoleSystem The cart-pole system.
+   */
+  checkActionType_(cartPoleSystem) {
+    if (cartPoleSystem.continuousAction !== this.continuousAction) {
+      const actionType = continuous => continuous ? 'continuous' : 'discrete';
+      throw new Error(
+          `The policy network has ${actionType(this.continuousAction)} ` +
+          `actions, but the cart-pole system has ` +
+          `${actionType(cartPoleSystem.continuousAction)} actions.`);
+    }
+  }
+
+  getGradientsAndSaveActions(inputTensor) {
+    const f = () => tf.tidy(() => {
+      const [logits, actions] = this.getLogitsAndActions(inputTensor);
+      this.currentActions_ = actions.dataSync();
+      return tf.mean(this.getNegLogProbs_(
+          logits, tf.tensor2d(this.currentActions_, actions.shape)));
+    });
+    return tf.variableGrads(f);
+  }
+
+  /**
+   * Compute the negative log-probabilities of actions under the policy.
+   *
+   * @param {tf.Tensor} logits The output of the policy head, of shape
+   *   `[batchSize, 1]` (discrete actions) or `[batchSize, 2]` (continuous
+   *   actions).
+   * @param {tf.Tensor} actions The actions, of shape `[batchSize, 1]`.
+   * @returns {tf.Tensor} The negative log-probabilities (or, for continuous
+   *   actions, log-densities), of shape `[batchSize, 1]`.
+   */
+  getNegLogProbs_(logits, actions) {
+    return tf.tidy(() => {
+      if (this.continuousAction) {
+        const [mean, logStd] = this.getMeanAndLogStd_(logits);
+        const z = actions.sub(mean).div(tf.exp(logStd));
+        return z.square().mul(0.5).add(logStd).add(0.5 * Math.log(2 * Math.PI));
+      }
+      // The label of the sigmoid cross entropy is 1 for the leftward action
+      // (action 0).
+      const labels = tf.sub(1, actions);
+      return tf.losses.sigmoidCrossEntropy(
+          labels, logits, undefined, undefined, tf.Reduction.NONE);
+    });
+  }
+
+  /**
+   * Split the output of the policy head for continuous actions into the
+   * mean and the (clipped) log standard deviation of the Gaussian policy.
+   *
+   * @param {tf.Tensor} logits The output of the policy head, of shape
+   *   `[batchSize, 2]`.
+   * @returns {[tf.Tensor, tf.Tensor]} The mean and the log standard
+   *   deviation, both of shape `[batchSize, 1]`.
+   */
+  getMeanAndLogStd_(logits) {
+    const [mean, logStd] = tf.split(logits, 2, 1);
+    return [mean, tf.clipByValue(logStd, MIN_LOG_STD, MAX_LOG_STD)];
+  }
+
+  getCurrentActions() {
+    return this.currentActions_;
+  }
+
+  /**
+   * Get policy-network logits and the action based on state-tensor inputs.
+   *
+   * @param {tf.Tensor} inputs A tf.Tensor instance of shape `[batchSize, 4]`.
+   * @returns {[tf.Tensor, tf.Tensor]}
+   *   1. The logits tensor, of shape `[batchSize, 1]`, or `[batchSize, 2]`
+   *      for continuous actions.
+   *   2. The actions tensor, of shape `[batchSize, 1]`. For continuous
+   *      actions, these are samples from the Gaussian policy.
+   */
+  getLogitsAndActions(inputs) {
+    return tf.tidy(() => {
+      let logits = this.policyNet.predict(inputs);
+      if (this.algorithm === 'a2c') {
+        // Ignore the output of the value head.
+        logits = logits[0];
+      }
+
+      if (this.continuousAction) {
+        const [mean, logStd] = this.getMeanAndLogStd_(logits);
+        const actions =
+            mean.add(tf.exp(logStd).mul(tf.randomNormal(mean.shape)));
+        return [logits, actions];
+      }
+
+      // Get the probability of the leftward action.
+      const leftProb = tf.sigmoid(logits);
+      // Probabilites of the left and right actions.
+      const leftRightProbs = tf.concat([leftProb, tf.sub(1, leftProb)], 1);
+      const actions = tf.multinomial(leftRightProbs, 1, null, true);
+      return [logits, actions];
+    });
+  }
+
+  /**
+   * Get actions based on a state-tensor input.
+   *
+   * @param {tf.Tensor} inputs A tf.Tensor instance of shape `[batchSize, 4]`.
+   * @param {Float32Array} inputs The actions for the inputs, with length
+   *   `batchSize`.
+   */
+  getActions(inputs) {
+    return this.getLogitsAndActions(inputs)[1].dataSync();
+  }
+
+  /**
+   * Push a new dictionary of gradients into records.
+   *
+   * @param {{[varName: string]: tf.Tensor[]}} record The record of variable
+   *   gradient: a map from variable name to the Array of gradient values for
+   *   the variable.
+   * @param {{[varName: string]: tf.Tensor}} gradients The new gradients to push
+   *   into `record`: a map from variable name to the gradient Tensor.
+   */
+  pushGradients(record, gradients) {
+    for (const key in gradients) {
+      if (key in record) {
+        record[key].push(gradients[key]);
+      } else {
+        record[key] = [gradients[key]];
+      }
+    }
+  }
+}
+
+// The IndexedDB path where the model of the policy network will be saved.
+const MODEL_SAVE_PATH_ = 'indexeddb://cart-pole-v1';
+
+/**
+ * A subclass of PolicyNetwork that supports saving and loading.
+ */
+export class SaveablePolicyNetwork extends PolicyNetwork {
+  /**
+   * Constructor of SaveablePolicyNetwork
+   *
+   * @param {number | number[]} hiddenLayerSizesOrModel
+   * @param {string} algorithm
+   * @param {boolean} continuousAction
+   */
+  constructor(hiddenLayerSizesOrModel, algorithm, continuousAction) {
+    super(hiddenLayerSizesOrModel, algorithm, continuousAction);
+  }
+
+  /**
+   * Save the model to IndexedDB.
+   */
+  async saveModel() {
+    return await this.policyNet.save(MODEL_SAVE_PATH_);
+  }
+
+  /**
+   * Load the model fom IndexedDB.
+   *
+   * @returns {SaveablePolicyNetwork} The instance of loaded
+   *   `SaveablePolicyNetwork`.
+   * @throws {Error} If no model can be found in IndexedDB.
+   */
+  static async loadModel() {
+    const modelsInfo = await tf.io.listModels();
+    if (MODEL_SAVE_PATH_ in modelsInfo) {
+      console.log(`Loading existing model...`);
+      const model = await tf.loadLayersModel(MODEL_SAVE_PATH_);
+      console.log(`Loaded model from ${MODEL_SAVE_PATH_}`);
+      return new SaveablePolicyNetwork(model);
+    } else {
+      throw new Error(`Cannot find model at ${MODEL_SAVE_PATH_}.`);
+    }
+  }
+
+  /**
+   * Check the status of locally saved model.
+   *
+   * @returns If the locally saved model exists, the model info as a JSON
+   *   object. Else, `undefined`.
+   */
+  static async checkStoredModelStatus() {
+    const modelsInfo = await tf.io.listModels();
+    return modelsInfo[MODEL_SAVE_PATH_];
+  }
+
+  /**
+   * Remove the locally saved model from IndexedDB.
+   */
+  async removeModel() {
+    return await tf.io.removeModel(MODEL_SAVE_PATH_);
+  }
+
+  /**
+   * Get the sizes of the hidden layers.
+   *
+   * @returns {number | number[]} If the model has only one hidden layer,
+   *   return the size of the layer as a single number. If the model has
+   *   multiple hidden layers, return the sizes as an Array of numbers.
+   */
+  hiddenLayerSizes() {
+    // All the dense layers, except for the output layer(s).
+    const denseLayers = this.policyNet.layers.filter(
+        layer => layer.getClassName() === 'Dense');
+    const sizes = denseLayers.slice(0, -this.policyNet.outputs.length)
+                      .map(layer => layer.units);
+    return sizes.length === 1 ? sizes[0] : sizes;
+  }
+}
+
+/**
+ * Discount the reward values.
+ *
+ * @param {number[]} rewards The reward values to be discounted.
+ * @param {number} discountRate Discount rate: a number between 0 and 1, e.g.,
+ *   0.95.
+ * @returns {tf.Tensor} The discounted reward values as a 1D tf.Tensor.
+ */
+function discountRewards(rewards, discountRate) {
+  const discountedBuffer = tf.buffer([rewards.length]);
+  let prev = 0;
+  for (let i = rewards.length - 1; i >= 0; --i) {
+    const current = discountRate * prev + rewards[i];
+    discountedBuffer.set(current, i);
+    prev = current;
+  }
+  return discountedBuffer.toTensor();
+}
+
+/**
+ * Compute the n-step returns of a game.
+ *
+ * The n-step return of step `t` is the discounted sum of the rewards of steps
+ * `t` to `t + n - 1`, plus the discounted value of the state after step
+ * `t + n - 1`. Near the end of the game, the sum is cut short and the value
+ * of the state after the last step is used.
+ *
+ * @param {number[]} rewards The reward values of the steps of the game.
+ * @param {number[]} values The estimated values of the states before each
+ *   step, followed by the value of the state after the last step (i.e.,
+ *   `rewards.length + 1` items).
+ * @param {number} discountRate Discount rate: a number between 0 and 1.
+ * @param {number} numSteps The `n` of the n-step returns.
+ * @returns {number[]} The n-step returns, one for each step.
+ */
+export function computeNStepReturns(rewards, values, discountRate, numSteps) {
+  const returns = [];
+  for (let t = 0; t < rewards.length; ++t) {
+    const end = Math.min(t + numSteps, rewards.length);
+    let ret = values[end];
+    for (let k = end - 1; k >= t; --k) {
+      ret = rewards[k] + discountRate * ret;
+    }
+    returns.push(ret);
+  }
+  return returns;
+}
+
+/**
+ * Discount and normalize reward values.
+ *
+ * This function performs two steps:
+ *
+ * 1. Discounts the reward values using `discountRate`.
+ * 2. Normalize the reward values with the global reward mean and standard
+ *    deviation.
+ *
+ * @param {number[][]} rewardSequences Sequences of reward values.
+ * @param {number} discountRate Discount rate: a number between 0 and 1, e.g.,
+ *   0.95.
+ * @returns {tf.Tensor[]} The discounted and normalize reward values as an
+ *   Array of tf.Tensor.
+ */
+function discountAndNormalizeRewards(rewardSequences, discountRate) {
+  return tf.tidy(() => {
+    const discounted = [];
+    for (const sequence of rewardSequences) {
+      discounted.push(discountRewards(sequence, discountRate))
+    }
+    // Compute the overall mean and stddev.
+    const concatenated = tf.concat(discounted);
+    const mean = tf.mean(concatenated);
+    const std = tf.sqrt(tf.mean(tf.square(concatenated.sub(mean))));
+    // Normalize the reward sequences using the mean and std.
+    const normalized = discounted.map(rs => rs.sub(mean).div(std));
+    return normalized;
+  });
+}
+
+/**
+ * Scale the gradient values using normalized reward values and compute average.
+ *
+ * The gradient values are scaled by the normalized reward values. Then they
+ * are averaged across all games and all steps.
+ *
+ * @param {{[varName: string]: tf.Tensor[][]}} allGradients A map from variable
+ *   name to all the gradient values for the variable across all games and all
+ *   steps.
+ * @param {tf.Tensor[]} normalizedRewards An Array of normalized reward values
+ *   for all the games. Each element of the Array is a 1D tf.Tensor of which
+ *   the length equals the number of steps in the game.
+ * @returns {{[varName: string]: tf.Tensor}} Scaled and averaged gradients
+ *   for the variables.
+ */
+function scaleAndAverageGradients(allGradients, normalizedRewards) {
+  return tf.tidy(() => {
+    const gradients = {};
+    for (const varName in allGradients) {
+      gradients[varName] = tf.tidy(() => {
+        // Stack gradients together.
+        const varGradients = allGradients[varName].map(
+            varGameGradients => tf.stack(varGameGradients));
+        // Expand dimensions of reward tensors to prepare for multiplication
+        // with broadcasting.
+        const expandedDims = [];
+        for (let i = 0; i < varGradients[0].rank - 1; ++i) {
+          expandedDims.push(1);
+        }
+        const reshapedNormalizedRewards = normalizedRewards.map(
+            rs => rs.reshape(rs.shape.concat(expandedDims)));
+        for (let g = 0; g < varGradients.length; ++g) {
+          // This mul() call uses broadcasting.
+          varGradients[g] = varGradients[g].mul(reshapedNormalizedRewards[g]);
+        }
+        // Concatenate the scaled gradients together, then average them across
+        // all the steps of all the games.
+        return tf.mean(tf.concat(varGradients, 0), 0);
+      });
+    }
+    return gradients;
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+
+import {computeNStepReturns, PolicyNetwork} from './policy_network';
+
+/**
+ * Set the weights of a dense layer to zero kernels and the given biases, so
+ * that its outputs are the biases for any input.
+ */
+function setBiases(layer, biases) {
+  const [kernel] = layer.getWeights();
+  layer.setWeights([tf.zerosLike(kernel), tf.tensor1d(biases)]);
+}
+
+describe('computeNStepReturns', () => {
+  it('Bootstraps from the value n steps ahead', () => {
+    const rewards = [1, 2, 3];
+    const values = [10, 20, 30, 40];
+    const returns = computeNStepReturns(rewards, values, 0.5, 2);
+    expect(returns.length).toEqual(3);
+    // 1 + 0.5 * 2 + 0.25 * 30
+    expect(returns[0]).toBeCloseTo(9.5);
+    // 2 + 0.5 * 3 + 0.25 * 40
+    expect(returns[1]).toBeCloseTo(13.5);
+    // Cut short by the end of the game: 3 + 0.5 * 40
+    expect(returns[2]).toBeCloseTo(23);
+  });
+
+  it('Terminal cut-off', () => {
+    // After a failure, the value of the state after the last step is 0.
+    const returns = computeNStepReturns([1, 2, 3], [10, 20, 30, 0], 0.5, 2);
+    expect(returns[0]).toBeCloseTo(9.5);
+    expect(returns[1]).toBeCloseTo(3.5);
+    expect(returns[2]).toBeCloseTo(3);
+  });
+
+  it('One-step returns', () => {
+    const returns = computeNStepReturns([1, 2], [10, 20, 30], 0.9, 1);
+    expect(returns[0]).toBeCloseTo(1 + 0.9 * 20);
+    expect(returns[1]).toBeCloseTo(2 + 0.9 * 30);
+  });
+
+  it('Monte Carlo returns for n beyond the end of the game', () => {
+    const rewards = [1, 1, 1, 1];
+    const returns =
+        computeNStepReturns(rewards, [5, 5, 5, 5, 0], 0.9, rewards.length);
+    expect(returns[0]).toBeCloseTo(1 + 0.9 + 0.81 + 0.729);
+    expect(returns[3]).toBeCloseTo(1);
+  });
+
+  it('Empty game', () => {
+    expect(computeNStepReturns([], [0], 0.9, 5)).toEqual([]);
+  });
+});
+
+describe('A2C', () => {
+  // A hand-computed rollout of a game that fails after three steps, with the
+  // critic estimating a value of 0.5 for every state.
+  const states = [[0, 0, 0, 0], [0.1, 0, 0.1, 0], [0.2, 0, 0.2, 0]];
+  const actions = [0, 0, 1];
+  const values = [0.5, 0.5, 0.5];
+  // computeNStepReturns([1, 1, 0], [0.5, 0.5, 0.5, 0], 0.9, 20):
+  // [1 + 0.9 * 1, 1, 0].
+  const returns = [1.9, 1, 0];
+
+  function createPolicyNetwork(leftLogit, value) {
+    const policyNet = new PolicyNetwork([2], 'a2c');
+    // The hidden layer (after the input layer) outputs zeros.
+    setBiases(policyNet.policyNet.layers[1], [0, 0]);
+    setBiases(policyNet.policyNet.getLayer('policy'), [leftLogit]);
+    setBiases(policyNet.policyNet.getLayer('value'), [value]);
+    return policyNet;
+  }
+
+  it('Advantages have the sign of the return minus the value', () => {
+    const policyNet = createPolicyNetwork(0, 0.5);
+    const advantages =
+        policyNet.getAdvantages_(tf.tensor2d(returns, [3, 1]), values)
+            .dataSync();
+    // The raw advantages are [1.4, 0.5, -0.5], with a mean of 0.4667.
+    const raw = [1.4, 0.5, -0.5];
+    const rawMean = (1.4 + 0.5 - 0.5) / 3;
+    const rawStd = Math.sqrt(
+        raw.map(a => (a - rawMean) ** 2).reduce((x, y) => x + y) / 3);
+    raw.forEach((a, i) => {
+      expect(advantages[i]).toBeCloseTo((a - rawMean) / rawStd, 4);
+    });
+    expect(advantages[0]).toBeGreaterThan(0);
+    expect(advantages[1]).toBeGreaterThan(0);
+    expect(advantages[2]).toBeLessThan(0);
+  });
+
+  it('Loss of a rollout', () => {
+    const leftLogit = 0.5;
+    const policyNet = createPolicyNetwork(leftLogit, 0.5);
+    const returnTensor = tf.tensor2d(returns, [3, 1]);
+    const advantages = policyNet.getAdvantages_(returnTensor, values);
+    const loss = policyNet.getActorCriticLoss_(
+        tf.tensor2d(states), tf.tensor2d(actions, [3, 1]), returnTensor,
+        advantages);
+
+    const leftProb = 1 / (1 + Math.exp(-leftLogit));
+    const negLogProbs = actions.map(
+        action => -Math.log(action === 0 ? leftProb : 1 - leftProb));
+    const advantageValues = advantages.dataSync();
+    const actorLoss =
+        negLogProbs.map((p, i) => p * advantageValues[i])
+            .reduce((x, y) => x + y) / 3;
+    const criticLoss =
+        returns.map(r => (r - 0.5) ** 2).reduce((x, y) => x + y) / 3;
+    expect(loss.dataSync()[0]).toBeCloseTo(actorLoss + 0.5 * criticLoss, 4);
+  });
+
+  it('An update favors actions with positive advantages', () => {
+    const policyNet = createPolicyNetwork(0, 0.5);
+    // The leftward action (0) has positive advantages, the rightward one
+    // negative ones: both make the leftward action more probable.
+    policyNet.updateActorCritic_(
+        tf.train.sgd(0.1), states, actions, returns, values);
+    const [, leftLogit] = policyNet.policyNet.getLayer('policy').getWeights();
+    expect(leftLogit.dataSync()[0]).toBeGreaterThan(0);
+    // The critic's estimate moves towards the returns.
+    const [, value] = policyNet.policyNet.getLayer('value').getWeights();
+    expect(value.dataSync()[0]).toBeGreaterThan(0.5);
+  });
+});
+
+describe('Gaussian policy', () => {
+  it('Negative log-density matches the closed form', () => {
+    const policyNet = new PolicyNetwork([2], 'reinforce', true);
+    // Rows of [mean, logStd]. The log standard deviation 3 is clipped to 2.
+    const logits = [[0, 0], [0.3, -1], [-1, 0.5], [2, 3]];
+    const actions = [0.5, 0.3, 1, 0];
+    const negLogProbs = policyNet
+                            .getNegLogProbs_(
+                                tf.tensor2d(logits),
+                                tf.tensor2d(actions, [actions.length, 1]))
+                            .dataSync();
+    logits.forEach(([mean, logStd], i) => {
+      const std = Math.exp(Math.min(logStd, 2));
+      const density = Math.exp(-((actions[i] - mean) ** 2) / (2 * std ** 2)) /
+          (std * Math.sqrt(2 * Math.PI));
+      expect(negLogProbs[i]).toBeCloseTo(-Math.log(density), 4);
+    });
+  });
+
+  it('Actions are sampled from the Gaussian', () => {
+    const policyNet = new PolicyNetwork([2], 'reinforce', true);
+    const layers = policyNet.policyNet.layers;
+    setBiases(layers[layers.length - 1], [0.3, -1]);
+    const numSamples = 4000;
+    const actions = policyNet.getActions(tf.zeros([numSamples, 4]));
+    expect(actions.length).toEqual(numSamples);
+    const mean = actions.reduce((x, y) => x + y) / numSamples;
+    const std = Math.sqrt(
+        actions.map(a => (a - mean) ** 2).reduce((x, y) => x + y) /
+        numSamples);
+    expect(mean).toBeCloseTo(0.3, 1);
+    expect(std).toBeCloseTo(Math.exp(-1), 1);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Headless training of the cart-pole policy network in Node.js.
+ *
+ * The trained model is saved in the TensorFlow.js LayersModel format, which
+ * can be loaded in the browser demo with the "Load model from files" button.
+ */
+
+import * as fs from 'fs';
+
+import * as argparse from 'argparse';
+import {mkdir} from 'shelljs';
+
+// The value of tf (TensorFlow.js-Node module) will be set dynamically
+// depending on the value of the --gpu flag below.
+let tf;
+
+import {CartPole, INTEGRATORS, TASKS} from './cart_pole';
+import {ALGORITHMS, PolicyNetwork} from './policy_network';
+import {mean, sum} from './utils';
+
+/**
+ * Train a policy network for the cart-pole system.
+ *
+ * @param {PolicyNetwork} policyNet The policy network to train.
+ * @param {CartPole} cartPole The cart-pole system to train on.
+ * @param {number} numIterations Number of training iterations, i.e., updates
+ *   of the network's weights.
+ * @param {number} gamesPerIteration Number of games to play in each
+ *   iteration.
+ * @param {number} maxStepsPerGame Maximum number of steps of a game.
+ * @param {number} discountRate Reward discount rate.
+ * @param {number} learningRate Learning rate of the Adam optimizer.
+ * @param {string} savePath Path to the directory to save the model in, after
+ *   every iteration.
+ * @param {string} logDir Path to the directory to write TensorBoard logs in.
+ *   Optional.
+ */
+export async function train(
+    policyNet, cartPole, numIterations, gamesPerIteration, maxStepsPerGame,
+    discountRate, learningRate, savePath, logDir) {
+  let summaryWriter;
+  if (logDir != null) {
+    summaryWriter = tf.node.summaryFileWriter(logDir);
+  }
+
+  const optimizer = tf.train.adam(learningRate);
+  let t0 = new Date().getTime();
+  for (let i = 0; i < numIterations; ++i) {
+    const gameSteps = await policyNet.train(
+        cartPole, optimizer, discountRate, gamesPerIteration, maxStepsPerGame);
+    const t1 = new Date().getTime();
+    const stepsPerSecond = sum(gameSteps) / ((t1 - t0) / 1e3);
+    t0 = t1;
+    const meanSteps = mean(gameSteps);
+    const maxSteps = Math.max(...gameSteps);
+    console.log(
+        `Iteration ${i + 1} of ${numIterations}: ` +
+        `meanSteps=${meanSteps.toFixed(1)}; maxSteps=${maxSteps}; ` +
+        `(${stepsPerSecond.toFixed(1)} steps/s)`);
+    if (summaryWriter != null) {
+      summaryWriter.scalar('meanSteps', meanSteps, i + 1);
+      summaryWriter.scalar('maxSteps', maxSteps, i + 1);
+      summaryWriter.scalar('stepsPerSecond', stepsPerSecond, i + 1);
+    }
+
+    if (savePath != null) {
+      if (!fs.existsSync(savePath)) {
+        mkdir('-p', savePath);
+      }
+      await policyNet.policyNet.save(`file://${savePath}`);
+    }
+  }
+  if (savePath != null) {
+    console.log(`Saved policy network to ${savePath}`);
+  }
+}
+
+/**
+ * Parse a string of comma-separated hidden layer sizes, e.g., '32,64'.
+ *
+ * @param {string} str The string.
+ * @returns {number[]} The sizes.
+ * @throws {Error} If any of the sizes is not a positive integer.
+ */
+export function parseHiddenLayerSizes(str) {
+  return str.trim().split(',').map(v => {
+    const num = Number(v.trim());
+    if (!(Number.isInteger(num) && num > 0)) {
+      throw new Error(`Invalid hidden layer sizes string: ${str}`);
+    }
+    return num;
+  });
+}
+
+export function parseArguments() {
+  const parser = new argparse.ArgumentParser({
+    description: 'Training script for a policy network that balances a ' +
+    'pole on a cart'
+  });
+  parser.addArgument('--gpu', {
+    action: 'storeTrue',
+    help: 'Whether to use tfjs-node-gpu for training ' +
+    '(requires CUDA GPU, drivers, and libraries).'
+  });
+  parser.addArgument('--algorithm', {
+    type: 'string',
+    defaultValue: 'reinforce',
+    choices: ALGORITHMS,
+    help: 'Training algorithm.'
+  });
+  parser.addArgument('--continuousAction', {
+    action: 'storeTrue',
+    help: 'Use a continuous force as the action, with a Gaussian policy, ' +
+    'instead of a binary choice of direction.'
+  });
+  parser.addArgument('--task', {
+    type: 'string',
+    defaultValue: 'balance',
+    choices: TASKS,
+    help: 'The task: balancing the pole, or swinging it up from a hanging ' +
+    'position and then balancing it (without limits on its angle).'
+  });
+  parser.addArgument('--integrator', {
+    type: 'string',
+    defaultValue: 'euler',
+    choices: INTEGRATORS,
+    help: 'Method for integrating the equations of motion: Euler\'s method ' +
+    'or the fourth-order Runge-Kutta method.'
+  });
+  parser.addArgument('--gravity', {
+    type: 'float',
+    defaultValue: 9.8,
+    help: 'Gravitational acceleration, in m/s^2.'
+  });
+  parser.addArgument('--massCart', {
+    type: 'float',
+    defaultValue: 1.0,
+    help: 'Mass of the cart, in kg.'
+  });
+  parser.addArgument('--massPole', {
+    type: 'float',
+    defaultValue: 0.1,
+    help: 'Mass of the pole, in kg.'
+  });
+  parser.addArgument('--poleLength', {
+    type: 'float',
+    defaultValue: 0.5,
+    help: 'Half the length of the pole, in m.'
+  });
+  parser.addArgument('--forceMag', {
+    type: 'float',
+    defaultValue: 10.0,
+    help: 'Magnitude of the force applied to the cart, in N. With ' +
+    'continuous actions, the maximum magnitude.'
+  });
+  parser.addArgument('--tau', {
+    type: 'float',
+    defaultValue: 0.02,
+    help: 'Time between state updates, in seconds.'
+  });
+  parser.addArgument('--hiddenLayerSizes', {
+    type: 'string',
+    defaultValue: '128',
+    help: 'Sizes of the hidden layers of the policy network, separated by ' +
+    'commas, e.g., "32,64".'
+  });
+  parser.addArgument('--numIterations', {
+    type: 'int',
+    defaultValue: 20,
+    help: 'Number of training iterations.'
+  });
+  parser.addArgument('--gamesPerIteration', {
+    type: 'int',
+    defaultValue: 20,
+    help: 'Number of games to play in each training iteration.'
+  });
+  parser.addArgument('--maxStepsPerGame', {
+    type: 'int',
+    defaultValue: 500,
+    help: 'Maximum number of steps of a game.'
+  });
+  parser.addArgument('--discountRate', {
+    type: 'float',
+    defaultValue: 0.95,
+    help: 'Reward discount rate.'
+  });
+  parser.addArgument('--learningRate', {
+    type: 'float',
+    defaultValue: 0.05,
+    help: 'Learning rate of the Adam optimizer.'
+  });
+  parser.addArgument('--savePath', {
+    type: 'string',
+    defaultValue: './models/cart-pole',
+    help: 'Path to the directory to save the policy network in. The network ' +
+    'is saved after every iteration.'
+  });
+  parser.addArgument('--logDir', {
+    type: 'string',
+    defaultValue: null,
+    help: 'Path to the directory for writing TensorBoard logs in.'
+  });
+  return parser.parseArgs();
+}
+
+async function main() {
+  const args = parseArguments();
+  if (args.gpu) {
+    tf = require('@tensorflow/tfjs-node-gpu');
+  } else {
+    tf = require('@tensorflow/tfjs-node');
+  }
+  console.log(`args: ${JSON.stringify(args, null, 2)}`);
+
+  if (!(args.numIterations > 0)) {
+    throw new Error(`Invalid number of iterations: ${args.numIterations}`);
+  }
+  if (!(args.gamesPerIteration > 0)) {
+    throw new Error(
+        `Invalid # of games per iterations: ${args.gamesPerIteration}`);
+  }
+  if (!(args.maxStepsPerGame > 1)) {
+    throw new Error(`Invalid max. steps per game: ${args.maxStepsPerGame}`);
+  }
+  if (!(args.discountRate > 0 && args.discountRate < 1)) {
+    throw new Error(`Invalid discount rate: ${args.discountRate}`);
+  }
+
+  const cartPole = new CartPole({
+    task: args.task,
+    continuousAction: args.continuousAction,
+    integrator: args.integrator,
+    gravity: args.gravity,
+    massCart: args.massCart,
+    massPole: args.massPole,
+    length: args.poleLength,
+    forceMag: args.forceMag,
+    tau: args.tau
+  });
+  console.log(`Cart-pole system: ${JSON.stringify(cartPole.getConfig())}`);
+  const policyNet = new PolicyNetwork(
+      parseHiddenLayerSizes(args.hiddenLayerSizes), args.algorithm,
+      args.continuousAction);
+  policyNet.policyNet.summary();
+  await train(
+      policyNet, cartPole, args.numIterations, args.gamesPerIteration,
+      args.maxStepsPerGame, args.discountRate, args.learningRate,
+      args.savePath, args.logDir);
+}
+
+if (require.main === module) {
+  main();
+}
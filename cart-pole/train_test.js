@@ -0,0 +1,71 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import {parseArguments, parseHiddenLayerSizes} from './train';
+
+describe('parseHiddenLayerSizes', () => {
+  it('One or more sizes', () => {
+    expect(parseHiddenLayerSizes('128')).toEqual([128]);
+    expect(parseHiddenLayerSizes(' 32, 64 ')).toEqual([32, 64]);
+  });
+
+  it('Invalid sizes', () => {
+    for (const str of ['', '32,', '0', '-8', '1.5', '32,abc']) {
+      expect(() => parseHiddenLayerSizes(str))
+          .toThrowError(/Invalid hidden layer sizes/);
+    }
+  });
+});
+
+describe('parseArguments', () => {
+  let argv;
+  beforeEach(() => {
+    argv = process.argv;
+  });
+  afterEach(() => {
+    process.argv = argv;
+  });
+
+  function parse(args) {
+    process.argv = ['node', 'train.js'].concat(args);
+    return parseArguments();
+  }
+
+  it('Defaults', () => {
+    const args = parse([]);
+    expect(args.algorithm).toEqual('reinforce');
+    expect(args.continuousAction).toEqual(false);
+    expect(args.task).toEqual('balance');
+    expect(args.integrator).toEqual('euler');
+    expect(parseHiddenLayerSizes(args.hiddenLayerSizes)).toEqual([128]);
+    expect(args.logDir).toBeNull();
+  });
+
+  it('A2C with continuous actions on the swing-up task', () => {
+    const args = parse([
+      '--algorithm', 'a2c', '--continuousAction', '--task', 'swingUp',
+      '--integrator', 'rk4', '--hiddenLayerSizes', '32,64',
+      '--numIterations', '3'
+    ]);
+    expect(args.algorithm).toEqual('a2c');
+    expect(args.continuousAction).toEqual(true);
+    expect(args.task).toEqual('swingUp');
+    expect(args.integrator).toEqual('rk4');
+    expect(parseHiddenLayerSizes(args.hiddenLayerSizes)).toEqual([32, 64]);
+    expect(args.numIterations).toEqual(3);
+  });
+});
@@ -20,13 +20,16 @@ import * as tfvis from '@tensorflow/tfjs-vis';
 import embed from 'vega-embed';
 
 import {CartPole} from './cart_pole';
-import {SaveablePolicyNetwork} from './index';
+import {ALGORITHMS, SaveablePolicyNetwork} from './policy_network';
 import {mean, sum} from './utils';
 
 const appStatus = document.getElementById('app-status');
 const storedModelStatusInput = document.getElementById('stored-model-status');
 const hiddenLayerSizesInput = document.getElementById('hidden-layer-sizes');
+const algorithmSelect = document.getElementById('algorithm');
+const actionTypeSelect = document.getElementById('action-type');
 const createModelButton = document.getElementById('create-model');
+const loadModelFilesInput = document.getElementById('load-model-files');
 const deleteStoredModelButton = document.getElementById('delete-stored-model');
 const cartPoleCanvas = document.getElementById('cart-pole-canvas');
 
@@ -35,6 +38,8 @@ const gamesPerIterationInput = document.getElementById('games-per-iteration');
 const discountRateInput = document.getElementById('discount-rate');
 const maxStepsPerGameInput = document.getElementById('max-steps-per-game');
 const learningRateInput = document.getElementById('learning-rate');
+const taskSelect = document.getElementById('task');
+const integratorSelect = document.getElementById('integrator');
 const renderDuringTrainingCheckbox =
     document.getElementById('render-during-training');
 
@@ -63,7 +68,7 @@ function logStatus(message) {
 
 // Objects and functions to support display of cart pole status during training.
 let renderDuringTraining = true;
-export async function maybeRenderDuringTraining(cartPole) {
+async function maybeRenderDuringTraining(cartPole) {
   if (renderDuringTraining) {
     renderCartPole(cartPole, cartPoleCanvas);
     await tf.nextFrame();  // Unblock UI thread.
@@ -78,7 +83,7 @@ export async function maybeRenderDuringTraining(cartPole) {
  * @param {number} totalGames Total number of games to complete in the current
  *   iteration of training.
  */
-export function onGameEnd(gameCount, totalGames) {
+function onGameEnd(gameCount, totalGames) {
   iterationStatus.textContent = `Game ${gameCount} of ${totalGames}`;
   iterationProgress.value = gameCount / totalGames * 100;
   if (gameCount === totalGames) {
@@ -99,10 +104,19 @@ function onIterationEnd(iterationCount, totalIterations) {
   trainProgress.value = iterationCount / totalIterations * 100;
 }
 
+// Display names of the training algorithms.
+const ALGORITHM_NAMES = {reinforce: 'REINFORCE', a2c: 'A2C'};
+
 // Objects and function to support the plotting of game steps during training.
-let meanStepValues = [];
+// The learning curve of the latest training run with each algorithm is kept,
+// so that the algorithms can be compared in the same chart.
+const meanStepValues = {};
 function plotSteps() {
-  tfvis.render.linechart(stepsContainer, {values: meanStepValues}, {
+  const algorithms =
+      ALGORITHMS.filter(algorithm => meanStepValues[algorithm] != null);
+  const values = algorithms.map(algorithm => meanStepValues[algorithm]);
+  const series = algorithms.map(algorithm => ALGORITHM_NAMES[algorithm]);
+  tfvis.render.linechart(stepsContainer, {values, series}, {
     xLabel: 'Training Iteration',
     yLabel: 'Mean Steps Per Game',
     width: 400,
@@ -227,18 +241,36 @@ async function updateUIControlState() {
   }
   createModelButton.disabled = policyNet != null;
   hiddenLayerSizesInput.disabled = policyNet != null;
+  algorithmSelect.disabled = policyNet != null;
+  actionTypeSelect.disabled = policyNet != null;
+  loadModelFilesInput.disabled = policyNet != null;
   trainButton.disabled = policyNet == null;
   testButton.disabled = policyNet == null;
   renderDuringTrainingCheckbox.checked = renderDuringTraining;
 }
 
-export async function setUpUI() {
-  const cartPole = new CartPole(true);
+/**
+ * Create a cart-pole system for the current policy network and the selected
+ * task and integrator.
+ *
+ * @returns {CartPole} The cart-pole system.
+ */
+function createCartPole() {
+  return new CartPole({
+    task: taskSelect.value,
+    integrator: integratorSelect.value,
+    continuousAction: policyNet.continuousAction
+  });
+}
 
+export async function setUpUI() {
   if (await SaveablePolicyNetwork.checkStoredModelStatus() != null) {
     policyNet = await SaveablePolicyNetwork.loadModel();
     logStatus('Loaded policy network from IndexedDB.');
     hiddenLayerSizesInput.value = policyNet.hiddenLayerSizes();
+    algorithmSelect.value = policyNet.algorithm;
+    actionTypeSelect.value =
+        policyNet.continuousAction ? 'continuous' : 'discrete';
   }
   await updateUIControlState();
 
@@ -258,7 +290,9 @@ export async function setUpUI() {
             }
             return num;
           });
-      policyNet = new SaveablePolicyNetwork(hiddenLayerSizes);
+      policyNet = new SaveablePolicyNetwork(
+          hiddenLayerSizes, algorithmSelect.value,
+          actionTypeSelect.value === 'continuous');
       console.log('DONE constructing new instance of SaveablePolicyNetwork');
       await updateUIControlState();
     } catch (err) {
@@ -266,6 +300,34 @@ export async function setUpUI() {
     }
   });
 
+  // Load a model saved by the Node.js trainer (train.js), which consists of a
+  // model.json file and one or more weight files.
+  loadModelFilesInput.addEventListener('change', async () => {
+    const files = Array.from(loadModelFilesInput.files);
+    const jsonFile = files.find(file => file.name.endsWith('.json'));
+    if (jsonFile == null) {
+      logStatus('ERROR: Please select a model.json file and its weight files.');
+      return;
+    }
+    try {
+      const weightFiles = files.filter(file => file !== jsonFile);
+      const model = await tf.loadLayersModel(
+          tf.io.browserFiles([jsonFile].concat(weightFiles)));
+      policyNet = new SaveablePolicyNetwork(model);
+      await policyNet.saveModel();
+      hiddenLayerSizesInput.value = policyNet.hiddenLayerSizes();
+      algorithmSelect.value = policyNet.algorithm;
+      actionTypeSelect.value =
+          policyNet.continuousAction ? 'continuous' : 'discrete';
+      logStatus(
+          `Loaded policy network from ${jsonFile.name} and saved it to ` +
+          'IndexedDB.');
+      await updateUIControlState();
+    } catch (err) {
+      logStatus(`ERROR: ${err.message}`);
+    }
+  });
+
   deleteStoredModelButton.addEventListener('click', async () => {
     if (confirm(`Are you sure you want to delete the locally-stored model?`)) {
       await policyNet.removeModel();
@@ -304,20 +366,23 @@ export async function setUpUI() {
             'Training policy network... Please wait. ' +
             'Network is saved to IndexedDB at the end of each iteration.');
         const optimizer = tf.train.adam(learningRate);
+        const cartPole = createCartPole();
 
-        meanStepValues = [];
+        const algorithm = policyNet.algorithm;
+        meanStepValues[algorithm] = [];
         onIterationEnd(0, trainIterations);
         let t0 = new Date().getTime();
         stopRequested = false;
         for (let i = 0; i < trainIterations; ++i) {
           const gameSteps = await policyNet.train(
               cartPole, optimizer, discountRate, gamesPerIteration,
-              maxStepsPerGame);
+              maxStepsPerGame,
+              {onGameEnd, onStep: maybeRenderDuringTraining});
           const t1 = new Date().getTime();
           const stepsPerSecond = sum(gameSteps) / ((t1 - t0) / 1e3);
           t0 = t1;
           trainSpeed.textContent = `${stepsPerSecond.toFixed(1)} steps/s`
-          meanStepValues.push({x: i + 1, y: mean(gameSteps)});
+          meanStepValues[algorithm].push({x: i + 1, y: mean(gameSteps)});
           console.log(`# of tensors: ${tf.memory().numTensors}`);
           plotSteps();
           onIterationEnd(i + 1, trainIterations);
@@ -343,7 +408,7 @@ export async function setUpUI() {
   testButton.addEventListener('click', async () => {
     disableModelControls();
     let isDone = false;
-    const cartPole = new CartPole(true);
+    const cartPole = createCartPole();
     cartPole.setRandomState();
     let steps = 0;
     stopRequested = false;
@@ -351,9 +416,11 @@ export async function setUpUI() {
       steps++;
       tf.tidy(() => {
         const action = policyNet.getActions(cartPole.getStateTensor())[0];
+        const actionString = policyNet.continuousAction ?
+            `force=${action.toFixed(2)}` : (action === 1 ? '<--' : ' -->');
         logStatus(
             `Test in progress. ` +
-            `Action: ${action === 1 ? '<--' : ' -->'} (Step ${steps})`);
+            `Action: ${actionString} (Step ${steps})`);
         isDone = cartPole.update(action);
         renderCartPole(cartPole, cartPoleCanvas);
       });
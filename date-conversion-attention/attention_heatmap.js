@@ -0,0 +1,64 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Data for the attention heatmap of the browser demo (see index.js).
+ */
+
+const PADDING_LABEL = '<pad>';
+
+function integerToTwoDigitString(x) {
+  const str = `${x / 100}`.substr(2);
+  return str.length == 1 ? str + '0' : str;
+}
+
+function makeTickLabel(i, char) {
+  return `(${integerToTwoDigitString(i + 1)}) ` +
+      (char == null ? PADDING_LABEL : `"${char}"`);
+}
+
+/**
+ * Get the values and the tick labels of the attention heatmap.
+ *
+ * The output string is returned by `runSeq2SeqInference()` without the
+ * padding at its end, but the attention matrix has a row for every output
+ * position of the model. The rows after the end of the output string are
+ * labelled as padding, and so are the columns after the end of the input
+ * string.
+ *
+ * @param {string} inputStr The input date string.
+ * @param {string} outputStr The output date string, without the padding.
+ * @param {tf.Tensor} attention The attention matrix, of shape
+ *   `[1, outputLength, inputLength]`.
+ * @returns {{values: tf.Tensor, xTickLabels: string[], yTickLabels:
+ *   string[]}} The data to pass to `tfvis.render.heatmap()`: the attention
+ *   matrix of shape `[outputLength, inputLength]`, a label for each of its
+ *   rows (the output characters) and for each of its columns (the input
+ *   characters).
+ */
+export function getAttentionHeatmapData(inputStr, outputStr, attention) {
+  const [, outputLength, inputLength] = attention.shape;
+  const xTickLabels = [];
+  for (let i = 0; i < outputLength; ++i) {
+    xTickLabels.push(makeTickLabel(i, outputStr[i]));
+  }
+  const yTickLabels = [];
+  for (let i = 0; i < inputLength; ++i) {
+    yTickLabels.push(makeTickLabel(i, inputStr[i]));
+  }
+  return {values: attention.squeeze([0]), xTickLabels, yTickLabels};
+}
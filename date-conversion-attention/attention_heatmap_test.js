@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+import {getAttentionHeatmapData} from './attention_heatmap';
+import * as dateFormat from './date_format';
+
+describe('getAttentionHeatmapData', () => {
+  it('Date-only output of a model with a time of day', () => {
+    // A date-only output has 10 characters, but the attention matrix has a
+    // row for all 16 output positions.
+    const attention =
+        tf.ones([1, dateFormat.OUTPUT_LENGTH, dateFormat.INPUT_LENGTH]);
+    const {values, xTickLabels, yTickLabels} =
+        getAttentionHeatmapData('18 JAN 2019', '2019-01-18', attention);
+
+    // `tfvis.render.heatmap()` requires a label for every row and column.
+    expect(values.shape).toEqual([
+      dateFormat.OUTPUT_LENGTH, dateFormat.INPUT_LENGTH
+    ]);
+    expect(xTickLabels.length).toEqual(values.shape[0]);
+    expect(yTickLabels.length).toEqual(values.shape[1]);
+    expect(xTickLabels.slice(0, 2)).toEqual(['(01) "2"', '(02) "0"']);
+    expect(xTickLabels[9]).toEqual('(10) "8"');
+    expect(xTickLabels[10]).toEqual('(11) <pad>');
+    expect(xTickLabels[15]).toEqual('(16) <pad>');
+    expect(yTickLabels[10]).toEqual('(11) "9"');
+    expect(yTickLabels[11]).toEqual('(12) <pad>');
+  });
+
+  it('Output without padding', () => {
+    const attention = tf.ones([1, 10, 12]);
+    const {values, xTickLabels, yTickLabels} =
+        getAttentionHeatmapData('01/18/2019', '2019-01-18', attention);
+    expect(values.shape).toEqual([10, 12]);
+    expect(xTickLabels.length).toEqual(10);
+    expect(xTickLabels.every(label => label.indexOf('<pad>') === -1))
+        .toEqual(true);
+    expect(yTickLabels.length).toEqual(12);
+  });
+});
@@ -22,9 +22,17 @@
  * date conversions based on the trained model.
  *
  * It contains functions that generate random dates and represent them in
- * several different formats such as (2019-01-20 and 20JAN19).
- * It also contains functions that convert the text representation of
- * the dates into one-hot `tf.Tensor` representations.
+ * several different formats such as (2019-01-20 and 20JAN19), including
+ * German, French and Spanish month names, weekday prefixes, ordinal days and
+ * times of day. It also contains functions that convert the text
+ * representation of the dates into one-hot `tf.Tensor` representations.
+ *
+ * The input formats are functions of date tuples, i.e., arrays of
+ * `[year, month, day]` or `[year, month, day, hour, minute]`. The formats
+ * with a time of day (see `DATETIME_INPUT_FNS`) require the latter. The
+ * conversion target is the ISO 8601 date (YYYY-MM-DD) for the formats
+ * without a time of day and the ISO 8601 date and time (YYYY-MM-DDTHH:MM)
+ * for the formats with one.
  */
 
 const tf = require('@tensorflow/tfjs');
@@ -35,27 +43,62 @@ const MONTH_NAMES_FULL = [
 ];
 const MONTH_NAMES_3LETTER =
     MONTH_NAMES_FULL.map(name => name.slice(0, 3).toUpperCase());
+const MONTH_NAMES_GERMAN = [
+  'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August',
+  'September', 'Oktober', 'November', 'Dezember'
+];
+const MONTH_NAMES_FRENCH = [
+  'janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août',
+  'septembre', 'octobre', 'novembre', 'décembre'
+];
+const MONTH_NAMES_SPANISH = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+  'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+const WEEKDAY_NAMES_FULL = [
+  'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+  'Saturday'
+];
+const WEEKDAY_NAMES_3LETTER = WEEKDAY_NAMES_FULL.map(name => name.slice(0, 3));
 
 const MIN_DATE = new Date('1950-01-01').getTime();
 const MAX_DATE = new Date('2050-01-01').getTime();
 
-export const INPUT_LENGTH = 12   // Maximum length of all input formats.
-export const OUTPUT_LENGTH = 10  // Length of 'YYYY-MM-DD'.
+export const INPUT_LENGTH = 29   // Maximum length of all input formats.
+export const DATE_OUTPUT_LENGTH = 10  // Length of 'YYYY-MM-DD'.
+export const OUTPUT_LENGTH = 16  // Length of 'YYYY-MM-DDTHH:MM'.
+
+function uniqueChars(str) {
+  return str.split('')
+      .filter(function(item, i, ar) {
+        return ar.indexOf(item) === i;
+      })
+      .join('');
+}
 
 // Use "\n" for padding for both input and output. It has to be at the
 // beginning so that `mask_zero=True` can be used in the keras model.
-export const INPUT_VOCAB = '\n0123456789/-., ' +
-    MONTH_NAMES_3LETTER.join('')
-        .split('')
-        .filter(function(item, i, ar) {
-          return ar.indexOf(item) === i;
-        })
-        .join('');
+//
+// Input strings are upper-cased before they are encoded (see
+// `encodeInputDateStrings()`), so the vocabulary holds only upper-case
+// letters. The characters of the original formats come first, so that models
+// trained on them can still be used with the original formats.
+const ORIGINAL_INPUT_VOCAB =
+    '\n0123456789/-., ' + uniqueChars(MONTH_NAMES_3LETTER.join(''));
+export const INPUT_VOCAB = uniqueChars(
+    ORIGINAL_INPUT_VOCAB +
+    [
+      ...MONTH_NAMES_FULL, ...MONTH_NAMES_GERMAN, ...MONTH_NAMES_FRENCH,
+      ...MONTH_NAMES_SPANISH, ...WEEKDAY_NAMES_FULL, 'stndrdth', 'er', 'de',
+      'AM', 'PM', 'Uhr', 'h', ':'
+    ].join('').toUpperCase());
 
 // OUTPUT_VOCAB includes an start-of-sequence (SOS) token, represented as
 // '\t'. Note that the date strings are represented in terms of their
-// constituent characters, not words or anything else.
-export const OUTPUT_VOCAB = '\n\t0123456789-';
+// constituent characters, not words or anything else. Outputs that are
+// shorter than `OUTPUT_LENGTH` (i.e., dates without a time of day) are
+// padded at the end with "\n".
+export const OUTPUT_VOCAB = '\n\t0123456789-T:';
 
 export const START_CODE = 1;
 
@@ -70,10 +113,48 @@ export function generateRandomDateTuple() {
   return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
 }
 
+/**
+ * Generate a random time of day.
+ *
+ * @return {[number, number]} Hour as an integer >= 0 and <= 23, minute as an
+ *   integer >= 0 and <= 59.
+ */
+export function generateRandomTime() {
+  return [Math.floor(Math.random() * 24), Math.floor(Math.random() * 60)];
+}
+
+/**
+ * Generate a random date with a time of day.
+ *
+ * @return {[number, number, number, number, number]} Year, month and day as
+ *   returned by `generateRandomDateTuple()`, followed by hour and minute as
+ *   returned by `generateRandomTime()`.
+ */
+export function generateRandomDateTimeTuple() {
+  return generateRandomDateTuple().concat(generateRandomTime());
+}
+
 function toTwoDigitString(num) {
   return num < 10 ? `0${num}` : `${num}`;
 }
 
+function getWeekday(dateTuple) {
+  return new Date(dateTuple[0], dateTuple[1] - 1, dateTuple[2]).getDay();
+}
+
+function toOrdinalString(num) {
+  const lastTwoDigits = num % 100;
+  if (lastTwoDigits >= 11 && lastTwoDigits <= 13) {
+    return `${num}th`;
+  }
+  const suffixes = {1: 'st', 2: 'nd', 3: 'rd'};
+  return `${num}${suffixes[num % 10] || 'th'}`;
+}
+
+function toHHColonMMString(dateTuple) {
+  return `${toTwoDigitString(dateTuple[3])}:${toTwoDigitString(dateTuple[4])}`;
+}
+
 /** Date format such as 01202019. */
 export function dateTupleToDDMMMYYYY(dateTuple) {
   const monthStr = MONTH_NAMES_3LETTER[dateTuple[1] - 1];
@@ -209,7 +290,111 @@ export function dateTupleToYYYYDashMMDashDD(dateTuple) {
   return `${dateTuple[0]}-${monthStr}-${dayStr}`;
 }
 
-export const INPUT_FNS = [
+/** Date format such as March 3, 2020. */
+export function dateTupleToMMMMSpaceDCommaSpaceYYYY(dateTuple) {
+  const monthStr = MONTH_NAMES_FULL[dateTuple[1] - 1];
+  return `${monthStr} ${dateTuple[2]}, ${dateTuple[0]}`;
+}
+
+/** Date format such as March 3rd, 2020. */
+export function dateTupleToMMMMSpaceDOrdinalCommaSpaceYYYY(dateTuple) {
+  const monthStr = MONTH_NAMES_FULL[dateTuple[1] - 1];
+  return `${monthStr} ${toOrdinalString(dateTuple[2])}, ${dateTuple[0]}`;
+}
+
+/** Date format such as 3rd March 2020. */
+export function dateTupleToDOrdinalSpaceMMMMSpaceYYYY(dateTuple) {
+  const monthStr = MONTH_NAMES_FULL[dateTuple[1] - 1];
+  return `${toOrdinalString(dateTuple[2])} ${monthStr} ${dateTuple[0]}`;
+}
+
+/** Date format such as Tue, Mar 3 2020. */
+export function dateTupleToWeekdayCommaSpaceMMMSpaceDSpaceYYYY(dateTuple) {
+  const weekdayStr = WEEKDAY_NAMES_3LETTER[getWeekday(dateTuple)];
+  const monthStr = MONTH_NAMES_FULL[dateTuple[1] - 1].slice(0, 3);
+  return `${weekdayStr}, ${monthStr} ${dateTuple[2]} ${dateTuple[0]}`;
+}
+
+/** Date format such as Tuesday, March 3, 2020. */
+export function dateTupleToFullWeekdayCommaSpaceMMMMSpaceDCommaSpaceYYYY(
+    dateTuple) {
+  const weekdayStr = WEEKDAY_NAMES_FULL[getWeekday(dateTuple)];
+  return `${weekdayStr}, ${dateTupleToMMMMSpaceDCommaSpaceYYYY(dateTuple)}`;
+}
+
+/** German date format such as 3. März 2020. */
+export function dateTupleToGermanDDotSpaceMMMMSpaceYYYY(dateTuple) {
+  const monthStr = MONTH_NAMES_GERMAN[dateTuple[1] - 1];
+  return `${dateTuple[2]}. ${monthStr} ${dateTuple[0]}`;
+}
+
+/** French date format such as 3 mars 2020 (and 1er mars 2020). */
+export function dateTupleToFrenchDSpaceMMMMSpaceYYYY(dateTuple) {
+  const monthStr = MONTH_NAMES_FRENCH[dateTuple[1] - 1];
+  const dayStr = dateTuple[2] === 1 ? '1er' : `${dateTuple[2]}`;
+  return `${dayStr} ${monthStr} ${dateTuple[0]}`;
+}
+
+/** Spanish date format such as 3 de marzo de 2020. */
+export function dateTupleToSpanishDSpaceDeSpaceMMMMSpaceDeSpaceYYYY(
+    dateTuple) {
+  const monthStr = MONTH_NAMES_SPANISH[dateTuple[1] - 1];
+  return `${dateTuple[2]} de ${monthStr} de ${dateTuple[0]}`;
+}
+
+/** Date and time format such as 2020-03-03 14:30. */
+export function dateTimeTupleToYYYYDashMMDashDDSpaceHHColonMM(dateTuple) {
+  return `${dateTupleToYYYYDashMMDashDD(dateTuple)} ` +
+      `${toHHColonMMString(dateTuple)}`;
+}
+
+/** Date and time format such as 03/03/2020 2:30 PM. */
+export function dateTimeTupleToMMSlashDDSlashYYYYSpaceHColonMMSpaceAMPM(
+    dateTuple) {
+  const hour = dateTuple[3] % 12 === 0 ? 12 : dateTuple[3] % 12;
+  const amPmStr = dateTuple[3] < 12 ? 'AM' : 'PM';
+  return `${dateTupleToMMSlashDDSlashYYYY(dateTuple)} ` +
+      `${hour}:${toTwoDigitString(dateTuple[4])} ${amPmStr}`;
+}
+
+/** Date and time format such as Tue, Mar 3 2020 14:30. */
+export function dateTimeTupleToWeekdayCommaMMMSpaceDSpaceYYYYSpaceHHColonMM(
+    dateTuple) {
+  return `${dateTupleToWeekdayCommaSpaceMMMSpaceDSpaceYYYY(dateTuple)} ` +
+      `${toHHColonMMString(dateTuple)}`;
+}
+
+/** Date and time format such as 03.03.2020 14:30. */
+export function dateTimeTupleToDDDotMMDotYYYYSpaceHHColonMM(dateTuple) {
+  return `${dateTupleToDDDotMMDotYYYY(dateTuple)} ` +
+      `${toHHColonMMString(dateTuple)}`;
+}
+
+/** German date and time format such as 3. März 2020, 14:30 Uhr. */
+export function dateTimeTupleToGermanDDotSpaceMMMMSpaceYYYYCommaHHColonMMUhr(
+    dateTuple) {
+  return `${dateTupleToGermanDDotSpaceMMMMSpaceYYYY(dateTuple)}, ` +
+      `${toHHColonMMString(dateTuple)} Uhr`;
+}
+
+/** French date and time format such as 3 mars 2020 14h30. */
+export function dateTimeTupleToFrenchDSpaceMMMMSpaceYYYYSpaceHHhMM(dateTuple) {
+  return `${dateTupleToFrenchDSpaceMMMMSpaceYYYY(dateTuple)} ` +
+      `${toTwoDigitString(dateTuple[3])}h${toTwoDigitString(dateTuple[4])}`;
+}
+
+/**
+ * Date and time format such as 2020-03-03T14:30
+ * (i.e., the ISO format and the conversion target of the formats with a time
+ * of day).
+ */
+export function dateTimeTupleToYYYYDashMMDashDDTHHColonMM(dateTuple) {
+  return `${dateTupleToYYYYDashMMDashDD(dateTuple)}T` +
+      `${toHHColonMMString(dateTuple)}`;
+}
+
+/** Input formats without a time of day. */
+export const DATE_INPUT_FNS = [
   dateTupleToDDMMMYYYY,
   dateTupleToMMDDYY,
   dateTupleToMMSlashDDSlashYY,
@@ -229,30 +414,171 @@ export const INPUT_FNS = [
   dateTupleToYYYYMMDD,
   dateTupleToYYYYDashMDashD,
   dateTupleToDSpaceMMMSpaceYYYY,
-  dateTupleToYYYYDashMMDashDD
+  dateTupleToYYYYDashMMDashDD,
+  dateTupleToMMMMSpaceDCommaSpaceYYYY,
+  dateTupleToMMMMSpaceDOrdinalCommaSpaceYYYY,
+  dateTupleToDOrdinalSpaceMMMMSpaceYYYY,
+  dateTupleToWeekdayCommaSpaceMMMSpaceDSpaceYYYY,
+  dateTupleToFullWeekdayCommaSpaceMMMMSpaceDCommaSpaceYYYY,
+  dateTupleToGermanDDotSpaceMMMMSpaceYYYY,
+  dateTupleToFrenchDSpaceMMMMSpaceYYYY,
+  dateTupleToSpanishDSpaceDeSpaceMMMMSpaceDeSpaceYYYY
 ];  // TODO(cais): Add more formats if necessary.
 
+/**
+ * Input formats with a time of day. They take date tuples of the form
+ * `[year, month, day, hour, minute]`.
+ */
+export const DATETIME_INPUT_FNS = [
+  dateTimeTupleToYYYYDashMMDashDDSpaceHHColonMM,
+  dateTimeTupleToMMSlashDDSlashYYYYSpaceHColonMMSpaceAMPM,
+  dateTimeTupleToWeekdayCommaMMMSpaceDSpaceYYYYSpaceHHColonMM,
+  dateTimeTupleToDDDotMMDotYYYYSpaceHHColonMM,
+  dateTimeTupleToGermanDDotSpaceMMMMSpaceYYYYCommaHHColonMMUhr,
+  dateTimeTupleToFrenchDSpaceMMMMSpaceYYYYSpaceHHhMM,
+  dateTimeTupleToYYYYDashMMDashDDTHHColonMM
+];
+
+/** All input formats. */
+export const INPUT_FNS = DATE_INPUT_FNS.concat(DATETIME_INPUT_FNS);
+
+/**
+ * Get the conversion target of a date in an input format.
+ *
+ * @param {Function} inputFn One of the functions in `INPUT_FNS`.
+ * @param {number[]} dateTuple The date tuple, with a time of day if
+ *   `inputFn` is one of `DATETIME_INPUT_FNS`.
+ * @returns {string} The ISO date (YYYY-MM-DD) if `inputFn` has no time of
+ *   day, or else the ISO date and time (YYYY-MM-DDTHH:MM).
+ */
+export function getTargetString(inputFn, dateTuple) {
+  return DATETIME_INPUT_FNS.indexOf(inputFn) === -1 ?
+      dateTupleToYYYYDashMMDashDD(dateTuple) :
+      dateTimeTupleToYYYYDashMMDashDDTHHColonMM(dateTuple);
+}
+
+/**
+ * Check whether a string is a valid ISO date or date and time.
+ *
+ * @param {string} str The string to check.
+ * @returns {boolean} Whether `str` is in the format YYYY-MM-DD or
+ *   YYYY-MM-DDTHH:MM, and is an existing calendar date (and time of day).
+ */
+export function isValidISODateString(str) {
+  const match = /^(\d{4})-(\d\d)-(\d\d)(T(\d\d):(\d\d))?$/.exec(str);
+  if (match == null) {
+    return false;
+  }
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  if (month < 1 || month > 12 || day < 1 ||
+      day > getDaysInMonth(year, month)) {
+    return false;
+  }
+  return match[4] == null || (Number(match[5]) < 24 && Number(match[6]) < 60);
+}
+
+function getDaysInMonth(year, month) {
+  // Day 0 of the next month is the last day of this month. Unlike
+  // `Date.UTC()`, `setUTCFullYear()` doesn't map the years 0-99 to 1900-1999.
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, 0);
+  return date.getUTCDate();
+}
+
+/**
+ * Get the characters that may follow a prefix of an ISO date string.
+ *
+ * This is the grammar of the constrained decoding (see
+ * `runSeq2SeqInference()` in model.js): Every output built by choosing
+ * among the allowed characters is a valid calendar date in the format
+ * YYYY-MM-DD, followed by padding up to `OUTPUT_LENGTH`.
+ *
+ * @param {string} prefix The output so far, i.e., a prefix of a valid ISO
+ *   date string, possibly followed by padding.
+ * @returns {string} The characters of `OUTPUT_VOCAB` allowed after `prefix`.
+ */
+export function getAllowedISODateChars(prefix) {
+  const digits = '0123456789';
+  const position = prefix.length;
+  if (position >= DATE_OUTPUT_LENGTH) {
+    return OUTPUT_VOCAB[0];
+  } else if (position === 4 || position === 7) {
+    return '-';
+  } else if (position < 4) {
+    return digits;
+  } else if (position === 5) {
+    return '01';
+  } else if (position === 6) {
+    return prefix[5] === '0' ? digits.slice(1) : '012';
+  }
+  const daysInMonth =
+      getDaysInMonth(Number(prefix.slice(0, 4)), Number(prefix.slice(5, 7)));
+  if (position === 8) {
+    return digits.slice(0, Math.floor(daysInMonth / 10) + 1);
+  }
+  const tens = Number(prefix[8]);
+  return digits.slice(tens === 0 ? 1 : 0,
+                      Math.min(9, daysInMonth - tens * 10) + 1);
+}
+
+/**
+ * Check whether an input date string can be encoded.
+ *
+ * @param {string} dateString The input date string.
+ * @param {number} inputLength The maximum input length. Defaults to
+ *   `INPUT_LENGTH`.
+ * @param {number} inputVocabSize The number of characters of `INPUT_VOCAB`
+ *   that the model knows, i.e., the input dimension of its embedding. Models
+ *   trained on the original formats know only the characters of those.
+ *   Defaults to the size of `INPUT_VOCAB`.
+ * @returns {boolean} Whether `encodeInputDateStrings()` can encode
+ *   `dateString`, i.e., whether it is not empty, not longer than
+ *   `inputLength` and consists only of the first `inputVocabSize`
+ *   characters of `INPUT_VOCAB`.
+ */
+export function canEncodeInputDateString(
+    dateString, inputLength = INPUT_LENGTH,
+    inputVocabSize = INPUT_VOCAB.length) {
+  const upperCased = dateString.toUpperCase();
+  return upperCased.length > 0 && upperCased.length <= inputLength &&
+      upperCased.split('').every(char => {
+        const index = INPUT_VOCAB.indexOf(char);
+        return index > 0 && index < inputVocabSize;
+      });
+}
+
 /**
  * Encode a number of input date strings as a `tf.Tensor`.
  *
  * The encoding is a sequence of one-hot vectors. The sequence is
  * padded at the end to the maximum possible length of any valid
- * input date strings. The padding value is zero.
+ * input date strings. The padding value is zero. The strings are upper-cased
+ * before the encoding.
  *
  * @param {string[]} dateStrings Input date strings. Each element of the array
  *   must be one of the formats listed above. It is okay to mix multiple formats
  *   in the array.
+ * @param {number} inputLength Length to pad the sequences to. Defaults to
+ *   `INPUT_LENGTH`, the maximum possible input length of all valid input
+ *   date-string formats. Models trained with a different input length need
+ *   their own (see `runSeq2SeqInference()`).
  * @returns {tf.Tensor} One-hot encoded characters as a `tf.Tensor`, of dtype
- *   `float32` and shape `[numExamples, maxInputLength]`, where `maxInputLength`
- *   is the maximum possible input length of all valid input date-string formats.
+ *   `float32` and shape `[numExamples, inputLength]`.
  */
-export function encodeInputDateStrings(dateStrings) {
+export function encodeInputDateStrings(
+    dateStrings, inputLength = INPUT_LENGTH) {
   const n = dateStrings.length;
-  const x = tf.buffer([n, INPUT_LENGTH], 'float32');
+  const x = tf.buffer([n, inputLength], 'float32');
   for (let i = 0; i < n; ++i) {
-    for (let j = 0; j < INPUT_LENGTH; ++j) {
-      if (j < dateStrings[i].length) {
-        const char = dateStrings[i][j];
+    const dateString = dateStrings[i].toUpperCase();
+    if (dateString.length > inputLength) {
+      throw new Error(
+          `Date string is longer than ${inputLength} characters: ` +
+          `"${dateStrings[i]}"`);
+    }
+    for (let j = 0; j < inputLength; ++j) {
+      if (j < dateString.length) {
+        const char = dateString[j];
         const index = INPUT_VOCAB.indexOf(char);
         if (index === -1) {
           throw new Error(`Unknown char: ${char}`);
@@ -267,22 +593,24 @@ export function encodeInputDateStrings(dateStrings) {
 /**
  * Encode a number of output date strings as a `tf.Tensor`.
  *
- * The encoding is a sequence of integer indices.
+ * The encoding is a sequence of integer indices. ISO dates without a time of
+ * day are padded at the end with zeros.
  *
  * @param {string[]} dateStrings An array of output date strings, must be in the
- *   ISO date format (YYYY-MM-DD).
+ *   ISO date format (YYYY-MM-DD) or the ISO date and time format
+ *   (YYYY-MM-DDTHH:MM).
  * @returns {tf.Tensor} Integer indices of the characters as a `tf.Tensor`, of
  *   dtype `int32` and shape `[numExamples, outputLength]`, where `outputLength`
- *   is the length of the standard output format (i.e., `10`).
+ *   is the length of the longest output format (i.e., `16`).
  */
 export function encodeOutputDateStrings(dateStrings, oneHot = false) {
   const n = dateStrings.length;
   const x = tf.buffer([n, OUTPUT_LENGTH], 'int32');
   for (let i = 0; i < n; ++i) {
     tf.util.assert(
-        dateStrings[i].length === OUTPUT_LENGTH,
+        /^\d{4}-\d\d-\d\d(T\d\d:\d\d)?$/.test(dateStrings[i]),
         `Date string is not in ISO format: "${dateStrings[i]}"`);
-    for (let j = 0; j < OUTPUT_LENGTH; ++j) {
+    for (let j = 0; j < dateStrings[i].length; ++j) {
       const char = dateStrings[i][j];
       const index = OUTPUT_VOCAB.indexOf(char);
       if (index === -1) {
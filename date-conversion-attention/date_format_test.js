@@ -198,6 +198,295 @@ describe('Date formats', () => {
     }
   });
 
+  it('MMMM D, YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTupleToMMMMSpaceDCommaSpaceYYYY(
+          dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(/^[A-Z][a-z]{2,8} \d{1,2}, [1-2]\d\d\d$/);
+    }
+    expect(dateFormat.dateTupleToMMMMSpaceDCommaSpaceYYYY([2020, 3, 3]))
+        .toEqual('March 3, 2020');
+  });
+
+  it('MMMM Dth, YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTupleToMMMMSpaceDOrdinalCommaSpaceYYYY(
+          dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(
+          /^[A-Z][a-z]{2,8} \d{1,2}(st|nd|rd|th), [1-2]\d\d\d$/);
+    }
+    expect(dateFormat.dateTupleToMMMMSpaceDOrdinalCommaSpaceYYYY([2020, 3, 3]))
+        .toEqual('March 3rd, 2020');
+  });
+
+  it('Dth MMMM YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTupleToDOrdinalSpaceMMMMSpaceYYYY(
+          dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(
+          /^\d{1,2}(st|nd|rd|th) [A-Z][a-z]{2,8} [1-2]\d\d\d$/);
+    }
+    const ordinals = [1, 2, 3, 4, 11, 12, 13, 21, 22, 23, 31].map(
+        day => dateFormat.dateTupleToDOrdinalSpaceMMMMSpaceYYYY([2019, 1, day])
+                   .split(' ')[0]);
+    expect(ordinals).toEqual([
+      '1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd',
+      '23rd', '31st'
+    ]);
+  });
+
+  it('Www, MMM D YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTupleToWeekdayCommaSpaceMMMSpaceDSpaceYYYY(
+          dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(
+          /^(Sun|Mon|Tue|Wed|Thu|Fri|Sat), [A-Z][a-z]{2} \d{1,2} \d{4}$/);
+    }
+    expect(dateFormat.dateTupleToWeekdayCommaSpaceMMMSpaceDSpaceYYYY(
+               [2020, 3, 3]))
+        .toEqual('Tue, Mar 3 2020');
+  });
+
+  it('Weekday, MMMM D, YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str =
+          dateFormat.dateTupleToFullWeekdayCommaSpaceMMMMSpaceDCommaSpaceYYYY(
+              dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(
+          /^[A-Z][a-z]{2,5}day, [A-Z][a-z]{2,8} \d{1,2}, [1-2]\d\d\d$/);
+    }
+    expect(dateFormat.dateTupleToFullWeekdayCommaSpaceMMMMSpaceDCommaSpaceYYYY(
+               [2019, 1, 20]))
+        .toEqual('Sunday, January 20, 2019');
+  });
+
+  it('German D. MMMM YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTupleToGermanDDotSpaceMMMMSpaceYYYY(
+          dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(/^\d{1,2}\. [A-Z][a-zä]{2,8} [1-2]\d\d\d$/);
+    }
+    expect(dateFormat.dateTupleToGermanDDotSpaceMMMMSpaceYYYY([2020, 3, 3]))
+        .toEqual('3. März 2020');
+  });
+
+  it('French D MMMM YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTupleToFrenchDSpaceMMMMSpaceYYYY(
+          dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(/^(\d{1,2}|1er) [a-zéû]{3,9} [1-2]\d\d\d$/);
+    }
+    expect(dateFormat.dateTupleToFrenchDSpaceMMMMSpaceYYYY([2020, 8, 3]))
+        .toEqual('3 août 2020');
+    expect(dateFormat.dateTupleToFrenchDSpaceMMMMSpaceYYYY([2020, 2, 1]))
+        .toEqual('1er février 2020');
+  });
+
+  it('Spanish D de MMMM de YYYY', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str =
+          dateFormat.dateTupleToSpanishDSpaceDeSpaceMMMMSpaceDeSpaceYYYY(
+              dateFormat.generateRandomDateTuple());
+      expect(str).toMatch(/^\d{1,2} de [a-z]{4,10} de [1-2]\d\d\d$/);
+    }
+    expect(dateFormat.dateTupleToSpanishDSpaceDeSpaceMMMMSpaceDeSpaceYYYY(
+               [2020, 3, 3]))
+        .toEqual('3 de marzo de 2020');
+  });
+
+  it('generateRandomDateTimeTuple', () => {
+    for (let i = 0; i < 100; ++i) {
+      const dateTimeTuple = dateFormat.generateRandomDateTimeTuple();
+      expect(dateTimeTuple.length).toEqual(5);
+      const [hour, minute] = dateTimeTuple.slice(3);
+      expect(Number.isInteger(hour)).toEqual(true);
+      expect(hour).toBeGreaterThanOrEqual(0);
+      expect(hour).toBeLessThan(24);
+      expect(Number.isInteger(minute)).toEqual(true);
+      expect(minute).toBeGreaterThanOrEqual(0);
+      expect(minute).toBeLessThan(60);
+    }
+  });
+
+  it('YYYY-MM-DD HH:MM', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTimeTupleToYYYYDashMMDashDDSpaceHHColonMM(
+          dateFormat.generateRandomDateTimeTuple());
+      expect(str).toMatch(/^[1-2]\d\d\d-[0-1]\d-[0-3]\d [0-2]\d:[0-5]\d$/);
+    }
+  });
+
+  it('MM/DD/YYYY H:MM AM', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str =
+          dateFormat.dateTimeTupleToMMSlashDDSlashYYYYSpaceHColonMMSpaceAMPM(
+              dateFormat.generateRandomDateTimeTuple());
+      expect(str).toMatch(
+          /^[0-1]\d\/[0-3]\d\/[1-2]\d\d\d \d{1,2}:[0-5]\d (AM|PM)$/);
+    }
+    const fn =
+        dateFormat.dateTimeTupleToMMSlashDDSlashYYYYSpaceHColonMMSpaceAMPM;
+    expect(fn([2020, 3, 3, 0, 5])).toEqual('03/03/2020 12:05 AM');
+    expect(fn([2020, 3, 3, 11, 59])).toEqual('03/03/2020 11:59 AM');
+    expect(fn([2020, 3, 3, 12, 0])).toEqual('03/03/2020 12:00 PM');
+    expect(fn([2020, 3, 3, 14, 30])).toEqual('03/03/2020 2:30 PM');
+  });
+
+  it('Www, MMM D YYYY HH:MM', () => {
+    const fn =
+        dateFormat.dateTimeTupleToWeekdayCommaMMMSpaceDSpaceYYYYSpaceHHColonMM;
+    for (let i = 0; i < 10; ++i) {
+      const str = fn(dateFormat.generateRandomDateTimeTuple());
+      expect(str).toMatch(
+          /^[A-Z][a-z]{2}, [A-Z][a-z]{2} \d{1,2} \d{4} [0-2]\d:[0-5]\d$/);
+    }
+    expect(fn([2020, 3, 3, 9, 7])).toEqual('Tue, Mar 3 2020 09:07');
+  });
+
+  it('DD.MM.YYYY HH:MM', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTimeTupleToDDDotMMDotYYYYSpaceHHColonMM(
+          dateFormat.generateRandomDateTimeTuple());
+      expect(str).toMatch(
+          /^[0-3]\d\.[0-1]\d\.[1-2]\d\d\d [0-2]\d:[0-5]\d$/);
+    }
+  });
+
+  it('German D. MMMM YYYY, HH:MM Uhr', () => {
+    const fn =
+        dateFormat.dateTimeTupleToGermanDDotSpaceMMMMSpaceYYYYCommaHHColonMMUhr;
+    for (let i = 0; i < 10; ++i) {
+      const str = fn(dateFormat.generateRandomDateTimeTuple());
+      expect(str).toMatch(
+          /^\d{1,2}\. [A-Z][a-zä]{2,8} [1-2]\d\d\d, [0-2]\d:[0-5]\d Uhr$/);
+    }
+    expect(fn([2020, 3, 3, 14, 30])).toEqual('3. März 2020, 14:30 Uhr');
+  });
+
+  it('French D MMMM YYYY HHhMM', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTimeTupleToFrenchDSpaceMMMMSpaceYYYYSpaceHHhMM(
+          dateFormat.generateRandomDateTimeTuple());
+      expect(str).toMatch(
+          /^(\d{1,2}|1er) [a-zéû]{3,9} [1-2]\d\d\d [0-2]\dh[0-5]\d$/);
+    }
+  });
+
+  it('YYYY-MM-DDTHH:MM', () => {
+    for (let i = 0; i < 10; ++i) {
+      const str = dateFormat.dateTimeTupleToYYYYDashMMDashDDTHHColonMM(
+          dateFormat.generateRandomDateTimeTuple());
+      expect(str).toMatch(/^[1-2]\d\d\d-[0-1]\d-[0-3]\dT[0-2]\d:[0-5]\d$/);
+    }
+  });
+
+  it('getTargetString', () => {
+    const dateTimeTuple = [2020, 3, 3, 14, 30];
+    expect(dateFormat.getTargetString(
+               dateFormat.dateTupleToGermanDDotSpaceMMMMSpaceYYYY,
+               dateTimeTuple))
+        .toEqual('2020-03-03');
+    expect(dateFormat.getTargetString(
+               dateFormat.dateTimeTupleToDDDotMMDotYYYYSpaceHHColonMM,
+               dateTimeTuple))
+        .toEqual('2020-03-03T14:30');
+  });
+
+  it('isValidISODateString', () => {
+    expect(dateFormat.isValidISODateString('2019-01-18')).toEqual(true);
+    expect(dateFormat.isValidISODateString('2020-02-29')).toEqual(true);
+    expect(dateFormat.isValidISODateString('2019-12-31T23:59')).toEqual(true);
+    expect(dateFormat.isValidISODateString('2019-02-29')).toEqual(false);
+    expect(dateFormat.isValidISODateString('1900-02-29')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-04-31')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-13-01')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-00-10')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-01-00')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-01-18T24:00')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-01-18T12:60')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-1-18')).toEqual(false);
+    expect(dateFormat.isValidISODateString('2019-01-18T')).toEqual(false);
+    expect(dateFormat.isValidISODateString('')).toEqual(false);
+  });
+
+  it('getAllowedISODateChars', () => {
+    expect(dateFormat.getAllowedISODateChars('')).toEqual('0123456789');
+    expect(dateFormat.getAllowedISODateChars('2019')).toEqual('-');
+    expect(dateFormat.getAllowedISODateChars('2019-')).toEqual('01');
+    expect(dateFormat.getAllowedISODateChars('2019-0')).toEqual('123456789');
+    expect(dateFormat.getAllowedISODateChars('2019-1')).toEqual('012');
+    expect(dateFormat.getAllowedISODateChars('2019-02-')).toEqual('012');
+    expect(dateFormat.getAllowedISODateChars('2019-02-2')).toEqual('012345678');
+    expect(dateFormat.getAllowedISODateChars('2020-02-2'))
+        .toEqual('0123456789');
+    expect(dateFormat.getAllowedISODateChars('2019-04-3')).toEqual('0');
+    expect(dateFormat.getAllowedISODateChars('2019-01-0')).toEqual('123456789');
+    expect(dateFormat.getAllowedISODateChars('2019-01-18')).toEqual('\n');
+    expect(dateFormat.getAllowedISODateChars('2019-01-18\n')).toEqual('\n');
+
+    // All the completions of a year are exactly its valid dates.
+    for (const [year, numDays] of [[2019, 365], [2020, 366], [1900, 365]]) {
+      const completions = [];
+      const complete = prefix => {
+        if (prefix.length === dateFormat.DATE_OUTPUT_LENGTH) {
+          completions.push(prefix);
+          return;
+        }
+        for (const char of dateFormat.getAllowedISODateChars(prefix)) {
+          complete(prefix + char);
+        }
+      };
+      complete(`${year}-`);
+      expect(completions.length).toEqual(numDays);
+      for (const completion of completions) {
+        expect(dateFormat.isValidISODateString(completion)).toEqual(true);
+      }
+    }
+  });
+
+  it('canEncodeInputDateString', () => {
+    expect(dateFormat.canEncodeInputDateString('18 Jan 2019')).toEqual(true);
+    expect(dateFormat.canEncodeInputDateString('3. März 2020')).toEqual(true);
+    expect(dateFormat.canEncodeInputDateString('')).toEqual(false);
+    expect(dateFormat.canEncodeInputDateString('20 Jan 19 #')).toEqual(false);
+    expect(dateFormat.canEncodeInputDateString('2019\n01-18')).toEqual(false);
+    expect(dateFormat.canEncodeInputDateString(
+               '1'.repeat(dateFormat.INPUT_LENGTH + 1)))
+        .toEqual(false);
+    expect(dateFormat.canEncodeInputDateString('JAN 20 19', 5)).toEqual(false);
+    // Models trained on the original formats know only their characters:
+    // the padding, the digits, '/-., ' and the letters of 'JAN' to 'DEC'.
+    const originalVocabSize = 35;
+    expect(dateFormat.canEncodeInputDateString('18 JAN 2019', 12,
+                                               originalVocabSize))
+        .toEqual(true);
+    expect(dateFormat.canEncodeInputDateString('18.01.2019 14:30', 29,
+                                               originalVocabSize))
+        .toEqual(false);
+  });
+
+  it('All formats fit in the input length and vocabulary', () => {
+    let maxLength = 0;
+    for (let month = 1; month <= 12; ++month) {
+      for (let day = 1; day <= 31; day += 5) {
+        for (const fn of dateFormat.INPUT_FNS) {
+          const str = fn([2019, month, day, 23, 59]).toUpperCase();
+          maxLength = Math.max(maxLength, str.length);
+          for (const char of str) {
+            expect(dateFormat.INPUT_VOCAB).toContain(char);
+          }
+        }
+      }
+    }
+    expect(maxLength).toEqual(dateFormat.INPUT_LENGTH);
+  });
+
+  it('Vocabularies extend the original ones', () => {
+    expect(dateFormat.INPUT_VOCAB.slice(0, 35))
+        .toEqual('\n0123456789/-., JANFEBMRPYULGSOCTVD');
+    expect(dateFormat.OUTPUT_VOCAB.slice(0, 13)).toEqual('\n\t0123456789-');
+  });
+
   it('Encode input string', () => {
     const str1 = dateFormat.dateTupleToDDMMMYYYY(
         dateFormat.generateRandomDateTuple());
@@ -231,6 +520,36 @@ describe('Date formats', () => {
     expect(decodedStr.trim()).toEqual(str3);
   });
 
+  it('Encode input string: lower case and custom length', () => {
+    const encoded =
+        dateFormat.encodeInputDateStrings(['3. März 2020', 'JAN 20 19'], 14);
+    expect(encoded.shape).toEqual([2, 14]);
+    const values = encoded.arraySync();
+    const decodedStr =
+        values[0].map(index => dateFormat.INPUT_VOCAB[index]).join('');
+    expect(decodedStr.trim()).toEqual('3. MÄRZ 2020');
+
+    expect(() => dateFormat.encodeInputDateStrings(['JAN 20 19'], 5))
+        .toThrowError(/longer than 5 characters/);
+    expect(() => dateFormat.encodeInputDateStrings(['20 Jan 19 #']))
+        .toThrowError(/Unknown char: #/);
+  });
+
+  it('Encode output string: date and time', () => {
+    const encoded = dateFormat.encodeOutputDateStrings(
+        ['2000-01-02T03:04', '1983-08-30']);
+    expect(encoded.shape).toEqual([2, dateFormat.OUTPUT_LENGTH]);
+    const values = encoded.arraySync();
+    expect(values[0].map(index => dateFormat.OUTPUT_VOCAB[index]).join(''))
+        .toEqual('2000-01-02T03:04');
+    // Dates without a time of day are padded with zeros.
+    expect(values[1].slice(dateFormat.DATE_OUTPUT_LENGTH))
+        .toEqual([0, 0, 0, 0, 0, 0]);
+
+    expect(() => dateFormat.encodeOutputDateStrings(['2000-01-02T03']))
+        .toThrowError(/not in ISO format/);
+  });
+
   it('Encode output string', () => {
     const str1 = '2000-01-02';
     const str2 = '1983-08-30';
@@ -25,18 +25,28 @@
 import * as tf from '@tensorflow/tfjs';
 import * as tfvis from '@tensorflow/tfjs-vis';
 
-import {generateRandomDateTuple, INPUT_FNS, INPUT_LENGTH} from './date_format';
-import {runSeq2SeqInference} from './model';
+import {getAttentionHeatmapData} from './attention_heatmap';
+import {
+  canEncodeInputDateString,
+  generateRandomDateTimeTuple,
+  INPUT_FNS,
+  INPUT_LENGTH,
+  INPUT_VOCAB
+} from './date_format';
+import {getInputVocabSize, runSeq2SeqInference} from './model';
 
 const RELATIVE_MODEL_URL = './model/model.json';
 const HOSTED_MODEL_URL =
     'https://storage.googleapis.com/tfjs-examples/date-conversion-attention/dist/model/model.json';
 
 const status = document.getElementById('status');
+const modelNote = document.getElementById('model-note');
 const inputDateString = document.getElementById('input-date-string');
 const outputDateString = document.getElementById('output-date-string');
 const attentionHeatmap = document.getElementById('attention-heatmap');
 const randomButton = document.getElementById('random-date');
+const decodingMethod = document.getElementById('decoding-method');
+const beamWidthInput = document.getElementById('beam-width');
 
 let model;
 
@@ -47,35 +57,31 @@ inputDateString.addEventListener('change', async () => {
     return;
   }
 
-  if (inputStr.length > INPUT_LENGTH) {
-    inputStr = inputStr.slice(0, INPUT_LENGTH);
+  // The maximum input length of the loaded model.
+  const inputLength = model.inputs[0].shape[1];
+  if (inputStr.length > inputLength) {
+    inputStr = inputStr.slice(0, inputLength);
   }
 
   try {
     const getAttention = true;
+    // Greedy decoding is beam search with a beam width of 1.
+    const options = {
+      beamWidth: decodingMethod.value === 'greedy' ?
+          1 :
+          Math.max(1, Math.round(Number(beamWidthInput.value)) || 1),
+      constrained: decodingMethod.value === 'constrained'
+    };
     const t0 = tf.util.now();
     const {outputStr, attention} =
-        await runSeq2SeqInference(model, inputStr, getAttention);
+        await runSeq2SeqInference(model, inputStr, getAttention, options);
     const tElapsed = tf.util.now() - t0;
     status.textContent = `seq2seq conversion took ${tElapsed.toFixed(1)} ms`;
     outputDateString.value = outputStr;
 
-    const xTickLabels = outputStr.split('').map(
-        (char, i) => `(${integerToTwoDigitString(i + 1)}) "${char}"`);
-    const yTickLabels = [];
-    for (let i = 0; i < INPUT_LENGTH; ++i) {
-      if (i < inputStr.length) {
-        yTickLabels.push(`(${integerToTwoDigitString(i + 1)}) "${inputStr[i]}"`);
-      } else {
-        yTickLabels.push(`(${integerToTwoDigitString(i + 1)}) ""`);
-      }
-    }
     await tfvis.render.heatmap(
-        attentionHeatmap, {
-          values: attention.squeeze([0]),
-          xTickLabels,
-          yTickLabels
-        }, {
+        attentionHeatmap,
+        getAttentionHeatmapData(inputStr, outputStr, attention), {
           width: 600,
           height: 360,
           xLabel: 'Output characters',
@@ -88,17 +94,43 @@ inputDateString.addEventListener('change', async () => {
   }
 });
 
-randomButton.addEventListener('click', async () => {
-  const inputFn = INPUT_FNS[Math.floor(Math.random() * INPUT_FNS.length)];
-  inputDateString.value = inputFn(generateRandomDateTuple());
+// Convert the input date string again with the new decoding options.
+decodingMethod.addEventListener('change', () => {
+  beamWidthInput.disabled = decodingMethod.value === 'greedy';
+  inputDateString.dispatchEvent(new Event('change'));
+});
+beamWidthInput.addEventListener('change', () => {
   inputDateString.dispatchEvent(new Event('change'));
 });
 
-function integerToTwoDigitString(x) {
-  const str = `${x / 100}`.substr(2);
-  return str.length == 1 ? str + '0' : str;
+/**
+ * Whether the loaded model was trained on all the input formats.
+ *
+ * Models trained on the original formats only (such as the hosted model, until
+ * it is re-trained) have a shorter input length and a smaller input
+ * vocabulary.
+ */
+function modelSupportsAllFormats() {
+  return model.inputs[0].shape[1] >= INPUT_LENGTH &&
+      getInputVocabSize(model) >= INPUT_VOCAB.length;
 }
 
+randomButton.addEventListener('click', async () => {
+  // Draw the random date only from the formats that the loaded model can
+  // encode.
+  const inputLength = model.inputs[0].shape[1];
+  const inputVocabSize = getInputVocabSize(model);
+  const dateTimeTuple = generateRandomDateTimeTuple();
+  const inputStrs =
+      INPUT_FNS.map(inputFn => inputFn(dateTimeTuple))
+          .filter(
+              str => canEncodeInputDateString(
+                  str, inputLength, inputVocabSize));
+  inputDateString.value =
+      inputStrs[Math.floor(Math.random() * inputStrs.length)];
+  inputDateString.dispatchEvent(new Event('change'));
+});
+
 async function init() {
   try {
     status.textContent = `Loading model from ${RELATIVE_MODEL_URL} ...`;
@@ -110,6 +142,11 @@ async function init() {
     model = await tf.loadLayersModel(HOSTED_MODEL_URL);
   }
   status.textContent = 'Done loading model.';
+  if (!modelSupportsAllFormats()) {
+    modelNote.textContent =
+        'This model was trained on the original input formats only, so the ' +
+        'random dates use those. Re-train it for the others (see README).';
+  }
   model.summary();
 
   const exampleItems = document.getElementsByClassName('input-date-example');
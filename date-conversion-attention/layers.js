@@ -0,0 +1,211 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Custom layers for the transformer date-conversion model.
+ *
+ * The layers are registered for serialization, so models that use them can
+ * be saved and loaded with `tf.loadLayersModel()` as long as this module has
+ * been imported (model.js imports it).
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Adds sinusoidal encodings of the positions to a sequence of embeddings.
+ *
+ * The encoding of position `pos` is `sin(pos / 10000^(2i / dim))` for the
+ * even features `2i` and `cos(pos / 10000^(2i / dim))` for the odd features
+ * `2i + 1`, as in "Attention Is All You Need" (Vaswani et al., 2017). The
+ * layer has no weights, so it works for any sequence length.
+ */
+export class PositionalEncoding extends tf.layers.Layer {
+  constructor(config) {
+    super(config || {});
+  }
+
+  computeOutputShape(inputShape) {
+    return inputShape;
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = Array.isArray(inputs) ? inputs[0] : inputs;
+      const [, length, dim] = x.shape;
+      return x.add(getPositionalEncoding(length, dim));
+    });
+  }
+
+  static get className() {
+    return 'PositionalEncoding';
+  }
+}
+tf.serialization.registerClass(PositionalEncoding);
+
+/**
+ * Compute sinusoidal positional encodings.
+ *
+ * @param {number} length The number of positions.
+ * @param {number} dim The number of features.
+ * @returns {tf.Tensor} The encodings, of shape `[length, dim]`.
+ */
+export function getPositionalEncoding(length, dim) {
+  return tf.tidy(() => {
+    const positions = tf.range(0, length).expandDims(1);
+    const features = tf.range(0, dim);
+    // 2i for the features 2i and 2i + 1.
+    const evenFeatures = features.sub(features.mod(2));
+    const angles = positions.div(tf.pow(10000, evenFeatures.div(dim)));
+    const isEven = features.mod(2).equal(0).expandDims(0).tile([length, 1]);
+    return tf.where(isEven, angles.sin(), angles.cos());
+  });
+}
+
+/**
+ * Split the inputs of `MultiHeadAttention` into the queries, the keys and
+ * values, and the tokens of the keys (or `undefined`).
+ *
+ * @param {tf.Tensor|tf.Tensor[]|number[]|number[][]} inputs The input
+ *   tensors or their shapes.
+ * @param {string} kind `'tensor'` or `'shape'`.
+ */
+function splitInputs(inputs, kind) {
+  const isSingle = kind === 'tensor' ? !Array.isArray(inputs) :
+                                       !Array.isArray(inputs[0]);
+  const [queries, ...rest] = isSingle ? [inputs] : inputs;
+  const getRank = input => kind === 'tensor' ? input.rank : input.length;
+  const values = rest.find(input => getRank(input) === 3) || queries;
+  const keyTokens = rest.find(input => getRank(input) === 2);
+  return [queries, values, keyTokens];
+}
+
+/**
+ * Multi-head scaled dot-product attention.
+ *
+ * The layer takes one to three inputs:
+ *   1. The queries, of shape `[batchSize, queryLength, queryDim]`.
+ *   2. (Optional) The keys and values, of shape `[batchSize, keyLength,
+ *      valueDim]`. Without them, the layer computes the self-attention of
+ *      the queries. (Passing the same tensor twice doesn't work, as models
+ *      dispose of the intermediate tensors during inference based on the
+ *      number of layers that use them.)
+ *   3. (Optional) The tokens of the keys, of shape `[batchSize, keyLength]`.
+ *      No attention is paid to the keys whose token is 0 (the padding).
+ *   The optional inputs are told apart by their rank.
+ * and returns two outputs:
+ *   1. The attended values, of shape `[batchSize, queryLength, queryDim]`.
+ *   2. The attention weights averaged over the heads, of shape
+ *      `[batchSize, queryLength, keyLength]`.
+ *
+ * With `causal: true`, query `i` pays no attention to the keys after `i`,
+ * so that the outputs for every position of a decoder sequence depend only
+ * on the inputs up to that position.
+ */
+export class MultiHeadAttention extends tf.layers.Layer {
+  /**
+   * @param {object} config The configuration of the layer, with the keys
+   *   `numHeads`, `keyDim` (the size of the queries, keys and values of
+   *   every head) and `causal` (optional, defaults to `false`), in addition
+   *   to the keys of all layers.
+   */
+  constructor(config) {
+    super(config);
+    this.numHeads = config.numHeads;
+    this.keyDim = config.keyDim;
+    this.causal = Boolean(config.causal);
+  }
+
+  build(inputShape) {
+    const [queryShape, valueShape] = splitInputs(inputShape, 'shape');
+    const queryDim = queryShape[2];
+    const valueDim = valueShape[2];
+    const headsDim = this.numHeads * this.keyDim;
+    const initializer = tf.initializers.glorotUniform({});
+    this.queryKernel = this.addWeight(
+        'query_kernel', [queryDim, headsDim], 'float32', initializer);
+    this.keyKernel = this.addWeight(
+        'key_kernel', [valueDim, headsDim], 'float32', initializer);
+    this.valueKernel = this.addWeight(
+        'value_kernel', [valueDim, headsDim], 'float32', initializer);
+    this.outputKernel = this.addWeight(
+        'output_kernel', [headsDim, queryDim], 'float32', initializer);
+    this.outputBias = this.addWeight(
+        'output_bias', [queryDim], 'float32', tf.initializers.zeros());
+  }
+
+  computeOutputShape(inputShape) {
+    const [queryShape, valueShape] = splitInputs(inputShape, 'shape');
+    return [queryShape, [queryShape[0], queryShape[1], valueShape[1]]];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const [queries, values, keyTokens] = splitInputs(inputs, 'tensor');
+      const [, queryLength, queryDim] = queries.shape;
+      const [, keyLength, valueDim] = values.shape;
+      // Project to the shape [batchSize, numHeads, length, keyDim].
+      const project = (x, length, dim, kernel) =>
+          x.reshape([-1, dim])
+              .matMul(kernel.read())
+              .reshape([-1, length, this.numHeads, this.keyDim])
+              .transpose([0, 2, 1, 3]);
+      const projectedQueries =
+          project(queries, queryLength, queryDim, this.queryKernel);
+      const projectedKeys =
+          project(values, keyLength, valueDim, this.keyKernel);
+      const projectedValues =
+          project(values, keyLength, valueDim, this.valueKernel);
+
+      let logits = projectedQueries.matMul(projectedKeys, false, true)
+                       .div(Math.sqrt(this.keyDim));
+      // Mask out the keys that must not be attended to, by giving them a
+      // large negative logit. The masks are broadcast to the shape of the
+      // logits: [batchSize, numHeads, queryLength, keyLength].
+      if (keyTokens != null) {
+        const isPadding = keyTokens.equal(0).asType('float32');
+        logits = logits.sub(isPadding.reshape([-1, 1, 1, keyLength]).mul(1e9));
+      }
+      if (this.causal) {
+        const isFuture =
+            tf.ones([queryLength, keyLength])
+                .sub(tf.linalg.bandPart(tf.ones([queryLength, keyLength]),
+                                        -1, 0));
+        logits = logits.sub(isFuture.mul(1e9));
+      }
+      const attention = tf.softmax(logits);
+
+      const output = attention.matMul(projectedValues)
+                         .transpose([0, 2, 1, 3])
+                         .reshape([-1, this.numHeads * this.keyDim])
+                         .matMul(this.outputKernel.read())
+                         .add(this.outputBias.read())
+                         .reshape([-1, queryLength, queryDim]);
+      return [output, attention.mean(1)];
+    });
+  }
+
+  getConfig() {
+    return Object.assign(
+        {numHeads: this.numHeads, keyDim: this.keyDim, causal: this.causal},
+        super.getConfig());
+  }
+
+  static get className() {
+    return 'MultiHeadAttention';
+  }
+}
+tf.serialization.registerClass(MultiHeadAttention);
@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+import {
+  getPositionalEncoding,
+  MultiHeadAttention,
+  PositionalEncoding
+} from './layers';
+
+require('@tensorflow/tfjs-node');
+
+describe('PositionalEncoding', () => {
+  it('getPositionalEncoding', () => {
+    const encoding = getPositionalEncoding(3, 4).arraySync();
+    for (let pos = 0; pos < 3; ++pos) {
+      expect(encoding[pos][0]).toBeCloseTo(Math.sin(pos));
+      expect(encoding[pos][1]).toBeCloseTo(Math.cos(pos));
+      expect(encoding[pos][2]).toBeCloseTo(Math.sin(pos / 100));
+      expect(encoding[pos][3]).toBeCloseTo(Math.cos(pos / 100));
+    }
+  });
+
+  it('Adds the encodings to the input', () => {
+    const layer = new PositionalEncoding();
+    const x = tf.ones([2, 5, 6]);
+    const y = layer.apply(x);
+    expect(y.shape).toEqual([2, 5, 6]);
+    expect(layer.getWeights().length).toEqual(0);
+    const expected = getPositionalEncoding(5, 6).add(1).arraySync();
+    const values = y.arraySync();
+    for (let i = 0; i < 5; ++i) {
+      for (let j = 0; j < 6; ++j) {
+        expect(values[1][i][j]).toBeCloseTo(expected[i][j]);
+      }
+    }
+  });
+});
+
+describe('MultiHeadAttention', () => {
+  it('Output shapes and weights', () => {
+    const layer = new MultiHeadAttention({numHeads: 2, keyDim: 3});
+    const [y, attention] =
+        layer.apply([tf.randomNormal([4, 7, 5]), tf.randomNormal([4, 9, 8])]);
+    expect(y.shape).toEqual([4, 7, 5]);
+    expect(attention.shape).toEqual([4, 7, 9]);
+    expect(layer.getWeights().map(weight => weight.shape)).toEqual([
+      [5, 6], [8, 6], [8, 6], [6, 5], [5]
+    ]);
+    // The attention weights of every query sum to 1.
+    const sums = attention.sum(-1).dataSync();
+    for (const sum of sums) {
+      expect(sum).toBeCloseTo(1);
+    }
+
+    const symbolicOutputs = layer.apply(
+        [tf.input({shape: [7, 5]}), tf.input({shape: [9, 8]})]);
+    expect(symbolicOutputs.map(output => output.shape)).toEqual([
+      [null, 7, 5], [null, 7, 9]
+    ]);
+  });
+
+  it('No attention to the padding', () => {
+    const layer = new MultiHeadAttention({numHeads: 2, keyDim: 2});
+    const keyTokens = tf.tensor2d([[3, 5, 0, 0], [1, 2, 4, 0]]);
+    const [, attention] = layer.apply(
+        [tf.randomNormal([2, 3, 4]), tf.randomNormal([2, 4, 4]), keyTokens]);
+    const values = attention.arraySync();
+    for (let i = 0; i < 3; ++i) {
+      expect(values[0][i][2]).toBeCloseTo(0);
+      expect(values[0][i][3]).toBeCloseTo(0);
+      expect(values[1][i][3]).toBeCloseTo(0);
+      expect(values[1][i][2]).toBeGreaterThan(0);
+    }
+  });
+
+  it('Causal attention', () => {
+    const layer =
+        new MultiHeadAttention({numHeads: 2, keyDim: 2, causal: true});
+    const x = tf.randomNormal([1, 5, 4]);
+    const [y, attention] = layer.apply(x);
+    const values = attention.arraySync()[0];
+    for (let i = 0; i < 5; ++i) {
+      for (let j = i + 1; j < 5; ++j) {
+        expect(values[i][j]).toBeCloseTo(0);
+      }
+    }
+    // Changing the last time step doesn't change the other outputs.
+    const xPrime = tf.concat(
+        [x.slice([0, 0, 0], [1, 4, 4]), tf.randomNormal([1, 1, 4])], 1);
+    const [yPrime] = layer.apply(xPrime);
+    expect(yPrime.slice([0, 0, 0], [1, 4, 4])
+               .sub(y.slice([0, 0, 0], [1, 4, 4]))
+               .abs()
+               .max()
+               .dataSync()[0])
+        .toBeCloseTo(0, 5);
+  });
+
+  it('Gradients', () => {
+    const layer = new MultiHeadAttention({numHeads: 2, keyDim: 3});
+    const x = tf.randomNormal([3, 6, 4]);
+    layer.apply(x);
+    const {grads} = tf.variableGrads(
+        () => layer.apply(x)[0].square().mean(),
+        layer.trainableWeights.map(weight => weight.read()));
+    expect(Object.keys(grads).length).toEqual(5);
+  });
+
+  it('getConfig', () => {
+    const layer = new MultiHeadAttention(
+        {numHeads: 2, keyDim: 3, causal: true, name: 'foo'});
+    const config = layer.getConfig();
+    expect(config.numHeads).toEqual(2);
+    expect(config.keyDim).toEqual(3);
+    expect(config.causal).toEqual(true);
+    expect(config.name).toEqual('foo');
+  });
+});
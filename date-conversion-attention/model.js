@@ -17,6 +17,7 @@
 
 import * as tf from '@tensorflow/tfjs';
 import * as dateFormat from './date_format';
+import {MultiHeadAttention, PositionalEncoding} from './layers';
 
 /**
  * A custom layer used to obtain the last time step of an RNN sequential
@@ -135,6 +136,157 @@ export function createModel(
   return model;
 }
 
+/**
+ * Create a transformer encoder-decoder model for date conversion.
+ *
+ * The model has the same inputs and output as the model created by
+ * `createModel()`, so it can be trained and used for inference in the same
+ * way. Instead of LSTMs, the encoder and the decoder consist of layers of
+ * multi-head self-attention and position-wise feed-forward networks, and the
+ * order of the characters is given by positional encodings (see layers.js).
+ * Every decoder layer also attends to the encoder output. The self-attention
+ * of the decoder is causal, so the output for a position depends only on the
+ * decoder input up to that position, as required by the step-by-step
+ * decoding of `runSeq2SeqInference()`.
+ *
+ * The attention layer of the last decoder layer is named 'attention'. Its
+ * second output holds the attention weights over the input characters,
+ * averaged over the heads, which are shown in the browser.
+ *
+ * @param {number} inputVocabSize Input vocabulary size, as in
+ *   `createModel()`.
+ * @param {number} outputVocabSize Output vocabulary size, as in
+ *   `createModel()`.
+ * @param {number} inputLength Maximum input length (# of characters).
+ * @param {number} outputLength Output length (# of characters).
+ * @param {object} config Optional hyperparameters:
+ *   - `modelDim`: Size of the embeddings and of the outputs of all layers.
+ *     Defaults to 64.
+ *   - `numHeads`: Number of attention heads. Must divide `modelDim`.
+ *     Defaults to 4.
+ *   - `numLayers`: Number of encoder layers and of decoder layers. Defaults
+ *     to 2.
+ *   - `feedForwardDim`: Number of hidden units of the feed-forward networks.
+ *     Defaults to 128.
+ *   - `dropoutRate`: Dropout rate of the outputs of the sublayers. Defaults
+ *     to 0.1.
+ * @return {tf.Model} A compiled model instance.
+ */
+export function createTransformerModel(
+    inputVocabSize, outputVocabSize, inputLength, outputLength, config = {}) {
+  const modelDim = config.modelDim || 64;
+  const numHeads = config.numHeads || 4;
+  const numLayers = config.numLayers || 2;
+  const feedForwardDim = config.feedForwardDim || 128;
+  const dropoutRate = config.dropoutRate == null ? 0.1 : config.dropoutRate;
+  if (modelDim % numHeads !== 0) {
+    throw new Error(
+        `modelDim (${modelDim}) must be divisible by numHeads (${numHeads})`);
+  }
+  const keyDim = modelDim / numHeads;
+
+  const encoderInput = tf.input({shape: [inputLength]});
+  const decoderInput = tf.input({shape: [outputLength]});
+
+  const embed = (input, vocabSize, length) => {
+    const embedding = tf.layers.embedding({
+      inputDim: vocabSize,
+      outputDim: modelDim,
+      inputLength: length
+    }).apply(input);
+    return new PositionalEncoding().apply(embedding);
+  };
+  // Residual connection around a sublayer, followed by layer normalization.
+  const addAndNormalize = (input, sublayerOutput) => {
+    const dropout = tf.layers.dropout({rate: dropoutRate}).apply(
+        sublayerOutput);
+    return tf.layers.layerNormalization().apply(
+        tf.layers.add().apply([input, dropout]));
+  };
+  const feedForward = input => {
+    const hidden = tf.layers.dense({
+      units: feedForwardDim,
+      activation: 'relu'
+    }).apply(input);
+    return tf.layers.dense({units: modelDim}).apply(hidden);
+  };
+
+  // The encoder input is also passed to the attention layers, so that they
+  // ignore the padding at the end of the input.
+  let encoder = embed(encoderInput, inputVocabSize, inputLength);
+  for (let i = 0; i < numLayers; ++i) {
+    const [selfAttention] = new MultiHeadAttention({numHeads, keyDim})
+        .apply([encoder, encoderInput]);
+    encoder = addAndNormalize(encoder, selfAttention);
+    encoder = addAndNormalize(encoder, feedForward(encoder));
+  }
+
+  let decoder = embed(decoderInput, outputVocabSize, outputLength);
+  for (let i = 0; i < numLayers; ++i) {
+    const [selfAttention] =
+        new MultiHeadAttention({numHeads, keyDim, causal: true})
+            .apply(decoder);
+    decoder = addAndNormalize(decoder, selfAttention);
+    const [context] = new MultiHeadAttention({
+      numHeads,
+      keyDim,
+      name: i === numLayers - 1 ? 'attention' : null
+    }).apply([decoder, encoder, encoderInput]);
+    decoder = addAndNormalize(decoder, context);
+    decoder = addAndNormalize(decoder, feedForward(decoder));
+  }
+
+  const output = tf.layers.dense({
+    units: outputVocabSize,
+    activation: 'softmax'
+  }).apply(decoder);
+
+  const model = tf.model({
+    inputs: [encoderInput, decoderInput],
+    outputs: output
+  });
+  model.compile({
+    loss: 'categoricalCrossentropy',
+    optimizer: 'adam'
+  });
+  return model;
+}
+
+/**
+ * Get the input vocabulary size of a date-conversion model.
+ *
+ * @param {tf.Model} model A model created by `createModel()` or
+ *   `createTransformerModel()`.
+ * @returns {number} The input dimension of the embedding of the encoder
+ *   input, i.e., the number of characters of `dateFormat.INPUT_VOCAB` that
+ *   the model knows. It is smaller than the size of `INPUT_VOCAB` for models
+ *   trained on the original formats only.
+ */
+export function getInputVocabSize(model) {
+  const embedding = model.layers.find(
+      layer => layer.getClassName() === 'Embedding' &&
+          layer.input.name === model.inputs[0].name);
+  if (embedding == null) {
+    throw new Error('The model has no embedding of its encoder input');
+  }
+  return embedding.inputDim;
+}
+
+/**
+ * Get the attention matrix of a date-conversion model.
+ *
+ * @param {tf.Model} model A model created by `createModel()` or
+ *   `createTransformerModel()`.
+ * @returns {tf.SymbolicTensor} The attention weights over the input
+ *   characters, of shape `[numExamples, outputLength, inputLength]`.
+ */
+function getAttentionOutput(model) {
+  const output = model.getLayer('attention').output;
+  // The attention layer of the transformer model outputs both the attended
+  // values and the attention weights.
+  return Array.isArray(output) ? output[1] : output;
+}
+
 /**
  * Perform sequence-to-sequence decoding for date conversion.
  *
@@ -145,21 +297,53 @@ export function createModel(
  *   and one output:
  *   1. Decoder softmax probability output of shape
  *      `[numExamples, outputLength, outputVocabularySize]`
+ *   The input and output lengths are taken from the shapes of the inputs,
+ *   so models trained with different lengths can be used.
  * @param {string} inputStr Input date string to be converted.
- * @return {{outputStr: string, attention?: tf.Tensor}}
- *   - The `outputStr` field is the output date string.
+ * @param {boolean} getAttention Whether to return the attention matrix.
+ * @param {object} options Decoding options:
+ *   - `beamWidth`: Number of candidate outputs kept at each decoding step.
+ *     Defaults to 1, i.e., greedy decoding, which picks the most probable
+ *     character at each step. With a larger beam width, the output is the
+ *     candidate with the highest total probability found by beam search.
+ *   - `constrained`: If `true`, only output characters that lead to a valid
+ *     calendar date in the format YYYY-MM-DD are considered (see
+ *     `dateFormat.getAllowedISODateChars()`), so the time of day of inputs
+ *     with one is dropped. Defaults to `false`.
+ * @return {{outputStr: string, attention?: tf.Tensor, beams?: Array}}
+ *   - The `outputStr` field is the output date string, without the padding
+ *     at the end (e.g., for a date without a time of day).
  *   - If and only if `getAttention` is `true`, the `attention` field will
  *     be populated by attention matrix as a `tf.Tensor` of
- *     dtype `float32` and shape `[]`.
+ *     dtype `float32` and shape `[1, outputLength, inputLength]`. Its rows
+ *     cover all the output positions, including those of the padding
+ *     removed from `outputStr`. For beam search, it is the attention matrix
+ *     of the chosen candidate.
+ *   - For beam search (`beamWidth > 1` or `constrained`), the `beams` field
+ *     holds the final candidates as `{outputStr, logProb}` objects, from the
+ *     most to the least probable one.
  */
 export async function runSeq2SeqInference(
-    model, inputStr, getAttention = false) {
+    model, inputStr, getAttention = false, options = {}) {
+  const beamWidth = options.beamWidth == null ? 1 : options.beamWidth;
+  if (!Number.isInteger(beamWidth) || beamWidth < 1) {
+    throw new Error(
+        `Expected beamWidth to be a positive integer, but got ${beamWidth}`);
+  }
+  if (beamWidth > 1 || options.constrained) {
+    return runBeamSearch(
+        model, inputStr, getAttention, beamWidth, Boolean(options.constrained));
+  }
+
   return tf.tidy(() => {
-    const encoderInput = dateFormat.encodeInputDateStrings([inputStr]);
-    const decoderInput = tf.buffer([1, dateFormat.OUTPUT_LENGTH]);
+    const inputLength = model.inputs[0].shape[1];
+    const outputLength = model.inputs[1].shape[1];
+    const encoderInput =
+        dateFormat.encodeInputDateStrings([inputStr], inputLength);
+    const decoderInput = tf.buffer([1, outputLength]);
     decoderInput.set(dateFormat.START_CODE, 0, 0);
 
-    for (let i = 1; i < dateFormat.OUTPUT_LENGTH; ++i) {
+    for (let i = 1; i < outputLength; ++i) {
       const predictOut = model.predict(
           [encoderInput, decoderInput.toTensor()]);
       const output = predictOut.argMax(2).dataSync()[i - 1];
@@ -178,7 +362,7 @@ export async function runSeq2SeqInference(
       // - The 2nd output is the attention matrix.
       finalStepModel = tf.model({
         inputs: model.inputs,
-        outputs: model.outputs.concat([model.getLayer('attention').output])
+        outputs: model.outputs.concat([getAttentionOutput(model)])
       });
     }
 
@@ -192,12 +376,181 @@ export async function runSeq2SeqInference(
       decoderFinalOutput = finalPredictOut;
     }
     decoderFinalOutput =
-    decoderFinalOutput.argMax(2).dataSync()[dateFormat.OUTPUT_LENGTH - 1];
+    decoderFinalOutput.argMax(2).dataSync()[outputLength - 1];
 
     for (let i = 1; i < decoderInput.shape[1]; ++i) {
       output.outputStr += dateFormat.OUTPUT_VOCAB[decoderInput.get(0, i)];
     }
     output.outputStr += dateFormat.OUTPUT_VOCAB[decoderFinalOutput];
+    // Remove the padding.
+    const paddingIndex = output.outputStr.indexOf(dateFormat.OUTPUT_VOCAB[0]);
+    if (paddingIndex !== -1) {
+      output.outputStr = output.outputStr.slice(0, paddingIndex);
+    }
     return output;
   });
 }
+
+/**
+ * Perform sequence-to-sequence decoding with beam search.
+ *
+ * See `runSeq2SeqInference()` for the arguments and the return value.
+ *
+ * At each step, every candidate output is extended by each allowed
+ * character, and only the `beamWidth` extended candidates with the highest
+ * log probabilities are kept. The log probability of a candidate is the sum
+ * of the log probabilities of its characters, including the padding, over
+ * all the `outputLength` steps. Once a candidate has a padding character,
+ * only padding characters may follow.
+ */
+async function runBeamSearch(
+    model, inputStr, getAttention, beamWidth, constrained) {
+  const inputLength = model.inputs[0].shape[1];
+  const outputLength = model.inputs[1].shape[1];
+  if (constrained && outputLength < dateFormat.DATE_OUTPUT_LENGTH) {
+    throw new Error(
+        `Constrained decoding requires an output length of at least ` +
+        `${dateFormat.DATE_OUTPUT_LENGTH}, but the model's is ${outputLength}`);
+  }
+  const padding = dateFormat.OUTPUT_VOCAB[0];
+  // All output characters except for the start-of-sequence one.
+  const outputChars = dateFormat.OUTPUT_VOCAB.split('').filter(
+      (char, i) => i !== dateFormat.START_CODE);
+  const getAllowedChars = outputStr => {
+    if (constrained) {
+      return dateFormat.getAllowedISODateChars(outputStr);
+    }
+    return outputStr.indexOf(padding) === -1 ? outputChars : padding;
+  };
+  // Decoder input for the candidate outputs (without the last character,
+  // which the decoder doesn't need).
+  const makeDecoderInput = outputStrs => {
+    const buffer = tf.buffer([outputStrs.length, outputLength]);
+    outputStrs.forEach((outputStr, i) => {
+      buffer.set(dateFormat.START_CODE, i, 0);
+      for (let j = 0; j < Math.min(outputStr.length, outputLength - 1); ++j) {
+        buffer.set(dateFormat.OUTPUT_VOCAB.indexOf(outputStr[j]), i, j + 1);
+      }
+    });
+    return buffer.toTensor();
+  };
+
+  const encoderInput =
+      dateFormat.encodeInputDateStrings([inputStr], inputLength);
+  let beams = [{outputStr: '', logProb: 0}];
+  for (let step = 0; step < outputLength; ++step) {
+    const logProbs = tf.tidy(() => {
+      const numBeams = beams.length;
+      return model
+          .predict([
+            encoderInput.tile([numBeams, 1]),
+            makeDecoderInput(beams.map(beam => beam.outputStr))
+          ])
+          .slice([0, step, 0], [numBeams, 1, -1])
+          .squeeze([1])
+          .log();
+    });
+    const logProbValues = await logProbs.array();
+    logProbs.dispose();
+
+    const candidates = [];
+    beams.forEach((beam, i) => {
+      for (const char of getAllowedChars(beam.outputStr)) {
+        candidates.push({
+          outputStr: beam.outputStr + char,
+          logProb: beam.logProb +
+              logProbValues[i][dateFormat.OUTPUT_VOCAB.indexOf(char)]
+        });
+      }
+    });
+    candidates.sort((a, b) => b.logProb - a.logProb);
+    beams = candidates.slice(0, beamWidth);
+  }
+
+  const removePadding = outputStr => {
+    const paddingIndex = outputStr.indexOf(padding);
+    return paddingIndex === -1 ? outputStr : outputStr.slice(0, paddingIndex);
+  };
+  const output = {
+    outputStr: removePadding(beams[0].outputStr),
+    beams: beams.map(({outputStr, logProb}) => ({
+                       outputStr: removePadding(outputStr),
+                       logProb
+                     }))
+  };
+  if (getAttention) {
+    // The attention matrix of the chosen candidate. Like for greedy decoding,
+    // it has a row for every output position, including the padding removed
+    // from `outputStr` (see attention_heatmap.js).
+    output.attention = tf.tidy(() => {
+      const attentionModel =
+          tf.model({inputs: model.inputs, outputs: getAttentionOutput(model)});
+      return attentionModel.predict(
+          [encoderInput, makeDecoderInput([beams[0].outputStr])]);
+    });
+  }
+  encoderInput.dispose();
+  return output;
+}
+
+/**
+ * Perform sequence-to-sequence decoding for a batch of date strings.
+ *
+ * The decoding is the same as in `runSeq2SeqInference()`, but for many input
+ * strings at once, which is much faster than converting them one by one.
+ *
+ * @param {tf.Model} model The model to be used for the sequence-to-sequence
+ *   decoding, as in `runSeq2SeqInference()`.
+ * @param {string[]} inputStrs Input date strings to be converted. Each of
+ *   them must be accepted by `dateFormat.canEncodeInputDateString()`.
+ * @return {Array<{outputStr: string, confidence: number}>} For every input
+ *   string:
+ *   - The `outputStr` field is the output date string, without the padding
+ *     at the end.
+ *   - The `confidence` field is the product of the maximum output
+ *     probabilities of all decoding steps, up to and including the step that
+ *     outputs the first padding character (if any).
+ */
+export async function runSeq2SeqInferenceBatch(model, inputStrs) {
+  const inputLength = model.inputs[0].shape[1];
+  const outputLength = model.inputs[1].shape[1];
+  const numExamples = inputStrs.length;
+  const encoderInput =
+      dateFormat.encodeInputDateStrings(inputStrs, inputLength);
+  const decoderInput = tf.buffer([numExamples, outputLength]);
+  const outputs = [];
+  for (let i = 0; i < numExamples; ++i) {
+    decoderInput.set(dateFormat.START_CODE, i, 0);
+    outputs.push({outputStr: '', confidence: 1, finished: false});
+  }
+
+  for (let step = 0; step < outputLength; ++step) {
+    const [indices, probs] = tf.tidy(() => {
+      const stepOutput =
+          model.predict([encoderInput, decoderInput.toTensor()])
+              .slice([0, step, 0], [numExamples, 1, -1])
+              .squeeze([1]);
+      return [stepOutput.argMax(-1), stepOutput.max(-1)];
+    });
+    const indexValues = await indices.data();
+    const probValues = await probs.data();
+    tf.dispose([indices, probs]);
+
+    for (let i = 0; i < numExamples; ++i) {
+      const output = outputs[i];
+      if (!output.finished) {
+        output.confidence *= probValues[i];
+        if (indexValues[i] === 0) {
+          output.finished = true;
+        } else {
+          output.outputStr += dateFormat.OUTPUT_VOCAB[indexValues[i]];
+        }
+      }
+      if (step + 1 < outputLength) {
+        decoderInput.set(indexValues[i], i, step + 1);
+      }
+    }
+  }
+  encoderInput.dispose();
+  return outputs.map(({outputStr, confidence}) => ({outputStr, confidence}));
+}
@@ -20,8 +20,15 @@ import * as tmp from 'tmp';
 
 import {expectArraysClose} from '../test_util';
 
+import {getAttentionHeatmapData} from './attention_heatmap';
 import * as dateFormat from './date_format';
-import {createModel, runSeq2SeqInference} from './model';
+import {
+  createModel,
+  createTransformerModel,
+  getInputVocabSize,
+  runSeq2SeqInference,
+  runSeq2SeqInferenceBatch
+} from './model';
 
 require('@tensorflow/tfjs-node');
 
@@ -71,6 +78,17 @@ describe('Model', () => {
     expectArraysClose(yPrime, y);
   });
 
+  it('getInputVocabSize', async () => {
+    const model = createModel(35, dateFormat.OUTPUT_VOCAB.length, 12, 10);
+    expect(getInputVocabSize(model)).toEqual(35);
+
+    const saveDir = tmp.dirSync();
+    await model.save(`file://${saveDir.name}`);
+    const modelPrime =
+        await tf.loadLayersModel(`file://${saveDir.name}/model.json`);
+    expect(getInputVocabSize(modelPrime)).toEqual(35);
+  });
+
   it('seq2seq inference', async () => {
     const model = createModel(
         dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
@@ -80,6 +98,212 @@ describe('Model', () => {
     const {outputStr} = await runSeq2SeqInference(model, '2019/01/18');
     // Assert no memory leak.
     expect(tf.memory().numTensors).toEqual(numTensors0);
-    expect(outputStr.length).toEqual(dateFormat.OUTPUT_LENGTH);
+    // The output is cut at the first padding character, if any.
+    expect(outputStr.length).toBeLessThanOrEqual(dateFormat.OUTPUT_LENGTH);
+    expect(outputStr).not.toContain('\n');
+  });
+
+  it('seq2seq inference: model with other lengths', async () => {
+    // E.g., a model trained on the original formats, with an input length of
+    // 12 and an output length of 10.
+    const model = createModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length, 12, 10);
+
+    const {outputStr, attention} =
+        await runSeq2SeqInference(model, '2019/01/18', true);
+    expect(outputStr.length).toBeLessThanOrEqual(10);
+    expect(attention.shape).toEqual([1, 10, 12]);
+    attention.dispose();
+  });
+
+  it('seq2seq inference: batch', async () => {
+    const model = createModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+        dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH);
+    const inputStrs = ['2019/01/18', '18. Januar 2019, 14:30 Uhr', 'jan 3 20'];
+
+    const numTensors0 = tf.memory().numTensors;
+    const outputs = await runSeq2SeqInferenceBatch(model, inputStrs);
+    // Assert no memory leak.
+    expect(tf.memory().numTensors).toEqual(numTensors0);
+    expect(outputs.length).toEqual(inputStrs.length);
+    for (let i = 0; i < inputStrs.length; ++i) {
+      // The batch decoding gives the same outputs as the one-by-one decoding.
+      const {outputStr} = await runSeq2SeqInference(model, inputStrs[i]);
+      expect(outputs[i].outputStr).toEqual(outputStr);
+      expect(outputs[i].confidence).toBeGreaterThan(0);
+      expect(outputs[i].confidence).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it('seq2seq inference: beam search', async () => {
+    const model = createModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+        dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH);
+
+    const numTensors0 = tf.memory().numTensors;
+    const {outputStr, beams, attention} = await runSeq2SeqInference(
+        model, '2019/01/18', true, {beamWidth: 3});
+    expect(beams.length).toEqual(3);
+    expect(outputStr).toEqual(beams[0].outputStr);
+    expect(outputStr).not.toContain('\n');
+    for (let i = 1; i < beams.length; ++i) {
+      expect(beams[i].logProb).toBeLessThanOrEqual(beams[i - 1].logProb);
+      expect(beams[i].outputStr).not.toEqual(beams[0].outputStr);
+    }
+    expect(beams[0].logProb).toBeLessThanOrEqual(0);
+    expect(attention.shape).toEqual([
+      1, dateFormat.OUTPUT_LENGTH, dateFormat.INPUT_LENGTH
+    ]);
+    attention.dispose();
+    // Assert no memory leak.
+    expect(tf.memory().numTensors).toEqual(numTensors0);
+  });
+
+  it('seq2seq inference: constrained decoding', async () => {
+    const model = createModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+        dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH);
+
+    for (const beamWidth of [1, 2]) {
+      for (const inputStr of ['2019/01/18', '18.01.2019 14:30', 'feb 30 19']) {
+        const {outputStr, beams} = await runSeq2SeqInference(
+            model, inputStr, false, {beamWidth, constrained: true});
+        // Even an untrained model outputs valid dates.
+        expect(outputStr).toMatch(/^\d{4}-\d\d-\d\d$/);
+        expect(dateFormat.isValidISODateString(outputStr)).toEqual(true);
+        expect(beams.length).toEqual(beamWidth);
+      }
+    }
+  });
+
+  it('seq2seq inference: attention heatmap of a beam', async () => {
+    const model = createModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+        dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH);
+
+    const inputStr = '18.01.2019';
+    const {outputStr, attention} = await runSeq2SeqInference(
+        model, inputStr, true, {beamWidth: 2, constrained: true});
+    // The output is a date without a time of day, but the attention matrix
+    // of the chosen beam has a row for every output position.
+    expect(outputStr.length).toEqual(dateFormat.DATE_OUTPUT_LENGTH);
+    expect(attention.shape).toEqual([
+      1, dateFormat.OUTPUT_LENGTH, dateFormat.INPUT_LENGTH
+    ]);
+    // The browser heatmap gets a label for every row and column.
+    const {values, xTickLabels, yTickLabels} =
+        getAttentionHeatmapData(inputStr, outputStr, attention);
+    expect(xTickLabels.length).toEqual(values.shape[0]);
+    expect(yTickLabels.length).toEqual(values.shape[1]);
+    expect(xTickLabels[dateFormat.DATE_OUTPUT_LENGTH - 1])
+        .toEqual(`(10) "${outputStr[9]}"`);
+    expect(xTickLabels[dateFormat.DATE_OUTPUT_LENGTH]).toEqual('(11) <pad>');
+    attention.dispose();
+    values.dispose();
+  });
+
+  it('seq2seq inference: invalid options', async () => {
+    const model = createModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length, 12, 8);
+    for (const [options, message] of [
+             [{beamWidth: 0}, /beamWidth to be a positive integer/],
+             [{constrained: true}, /requires an output length of at least/]
+         ]) {
+      let error;
+      try {
+        await runSeq2SeqInference(model, '2019/01/18', false, options);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).toMatch(message);
+    }
+  });
+});
+
+describe('Transformer model', () => {
+  it('Created model can train', async () => {
+    const model = createTransformerModel(16, 8, 6, 5, {numLayers: 1});
+    expect(model.inputs.length).toEqual(2);
+    expect(model.inputs[0].shape).toEqual([null, 6]);
+    expect(model.inputs[1].shape).toEqual([null, 5]);
+    expect(model.outputs.length).toEqual(1);
+    expect(model.outputs[0].shape).toEqual([null, 5, 8]);
+
+    const encoderInputs = tf.ones([3, 6]);
+    const decoderInputs = tf.ones([3, 5]);
+    const decoderOutputs = tf.randomUniform([3, 5, 8]);
+    const history = await model.fit(
+        [encoderInputs, decoderInputs], decoderOutputs, {epochs: 2});
+    expect(history.history.loss.length).toEqual(2);
+  });
+
+  it('getInputVocabSize', () => {
+    const model = createTransformerModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+        dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH,
+        {modelDim: 8, numHeads: 2, numLayers: 1, feedForwardDim: 8});
+    expect(getInputVocabSize(model)).toEqual(dateFormat.INPUT_VOCAB.length);
+  });
+
+  it('Invalid number of heads', () => {
+    expect(() => createTransformerModel(16, 8, 6, 5, {numHeads: 3}))
+        .toThrowError(/must be divisible by numHeads/);
+  });
+
+  it('Model save-load roundtrip', async () => {
+    const model = createTransformerModel(16, 8, 6, 5);
+    const encoderInputs = tf.tensor2d([[1, 2, 3, 0, 0, 0], [4, 5, 6, 7, 8, 9]]);
+    const decoderInputs = tf.ones([2, 5]);
+    const y = model.predict([encoderInputs, decoderInputs]);
+
+    const saveDir = tmp.dirSync();
+    await model.save(`file://${saveDir.name}`);
+    const modelPrime =
+        await tf.loadLayersModel(`file://${saveDir.name}/model.json`);
+    const yPrime = modelPrime.predict([encoderInputs, decoderInputs]);
+    expectArraysClose(yPrime, y);
+    expect(modelPrime.countParams()).toEqual(model.countParams());
+  });
+
+  it('Outputs depend only on the past decoder inputs', () => {
+    const model = createTransformerModel(16, 8, 6, 5);
+    const encoderInputs = tf.tensor2d([[1, 2, 3, 4, 0, 0]]);
+    const y = model.predict([encoderInputs, tf.tensor2d([[1, 2, 3, 4, 5]])]);
+    const yPrime =
+        model.predict([encoderInputs, tf.tensor2d([[1, 2, 3, 6, 7]])]);
+    expectArraysClose(
+        yPrime.slice([0, 0, 0], [1, 3, 8]), y.slice([0, 0, 0], [1, 3, 8]));
+  });
+
+  it('seq2seq inference', async () => {
+    const model = createTransformerModel(
+        dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+        dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH);
+
+    const numTensors0 = tf.memory().numTensors;
+    const {outputStr, attention} =
+        await runSeq2SeqInference(model, '2019/01/18', true);
+    expect(outputStr).not.toContain('\n');
+    expect(attention.shape).toEqual([
+      1, dateFormat.OUTPUT_LENGTH, dateFormat.INPUT_LENGTH
+    ]);
+    // No attention is paid to the padding after the 10 input characters.
+    const maxPaddingAttention =
+        tf.tidy(() => attention.slice([0, 0, 10], [-1, -1, -1]).max());
+    expect(maxPaddingAttention.dataSync()[0]).toBeCloseTo(0);
+    maxPaddingAttention.dispose();
+    attention.dispose();
+
+    const constrained = await runSeq2SeqInference(
+        model, '2019/01/18', true, {beamWidth: 2, constrained: true});
+    expect(dateFormat.isValidISODateString(constrained.outputStr))
+        .toEqual(true);
+    constrained.attention.dispose();
+    // Assert no memory leak.
+    expect(tf.memory().numTensors).toEqual(numTensors0);
+
+    const [batchOutput] = await runSeq2SeqInferenceBatch(model, ['2019/01/18']);
+    expect(batchOutput.outputStr).toEqual(outputStr);
   });
 });
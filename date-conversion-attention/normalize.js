@@ -0,0 +1,369 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Normalize a column of date strings in a CSV or JSONL file to ISO dates with
+ * a trained date-conversion model.
+ *
+ * Usage:
+ *
+ * ```sh
+ * yarn normalize dates.csv --column date --output dates.normalized.csv
+ * ```
+ *
+ * Every row of the output is the corresponding row of the input, with three
+ * additional columns (CSV) or keys (JSONL), e.g., for the column `date`:
+ *   - `date_normalized`: The ISO date (YYYY-MM-DD) or date and time
+ *     (YYYY-MM-DDTHH:MM) output by the model.
+ *   - `date_confidence`: The product of the maximum output probabilities of
+ *     the decoding steps. Low values indicate doubtful conversions.
+ *   - `date_valid`: Whether the output is an existing calendar date. The
+ *     model may output impossible dates such as 2019-02-30.
+ * Strings that the model can't take as input (e.g., because they contain
+ * unknown characters or are too long) get an empty output, a confidence of 0
+ * and are not valid.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {StringDecoder} from 'string_decoder';
+import * as argparse from 'argparse';
+import * as tf from '@tensorflow/tfjs';
+import * as dateFormat from './date_format';
+import {runSeq2SeqInferenceBatch} from './model';
+
+const FILE_FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Parse a line of a CSV file.
+ *
+ * Fields may be enclosed in double quotes, in which case they may contain
+ * commas and escaped double quotes (""). Line breaks inside fields are not
+ * supported.
+ *
+ * @param {string} line The line, without the line terminator.
+ * @returns {string[]} The fields.
+ */
+export function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; ++i) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        ++i;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field in CSV line: ${line}`);
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Format the items of a CSV line, quoting them where necessary.
+ *
+ * @param {Array<string|number|boolean>} items The items.
+ * @returns {string} The CSV line, with a line terminator.
+ */
+export function toCsvLine(items) {
+  return items
+             .map(item => {
+               const str = `${item}`;
+               return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` :
+                                           str;
+             })
+             .join(',') +
+      '\n';
+}
+
+/**
+ * Read the lines of a text file one by one, without reading the whole file
+ * into memory.
+ *
+ * @param {string} filePath Path to the file.
+ * @returns {Iterator<string>} The lines, without the line terminators.
+ */
+export function* readLines(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(1024 * 1024);
+  const decoder = new StringDecoder('utf8');
+  let remainder = '';
+  try {
+    let numBytes;
+    while ((numBytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines =
+          (remainder + decoder.write(buffer.slice(0, numBytes))).split('\n');
+      remainder = lines.pop();
+      for (const line of lines) {
+        yield line.replace(/\r$/, '');
+      }
+    }
+    remainder += decoder.end();
+    if (remainder.length > 0) {
+      yield remainder.replace(/\r$/, '');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Normalize date strings with a date-conversion model.
+ *
+ * @param {tf.Model} model The date-conversion model.
+ * @param {string[]} dateStrings The raw date strings.
+ * @returns {Array<{normalized: string, confidence: number, valid: boolean}>}
+ *   The ISO date string, the confidence and the validity of the output for
+ *   every input string.
+ */
+export async function normalizeDateStrings(model, dateStrings) {
+  const inputLength = model.inputs[0].shape[1];
+  const trimmed = dateStrings.map(str => str.trim());
+  const encodable = trimmed.filter(
+      str => dateFormat.canEncodeInputDateString(str, inputLength));
+  const outputs = encodable.length > 0 ?
+      await runSeq2SeqInferenceBatch(model, encodable) :
+      [];
+  let outputIndex = 0;
+  return trimmed.map(str => {
+    if (!dateFormat.canEncodeInputDateString(str, inputLength)) {
+      return {normalized: '', confidence: 0, valid: false};
+    }
+    const {outputStr, confidence} = outputs[outputIndex++];
+    return {
+      normalized: outputStr,
+      confidence,
+      valid: dateFormat.isValidISODateString(outputStr)
+    };
+  });
+}
+
+/**
+ * Get the format of a data file.
+ *
+ * @param {string} filePath Path to the file.
+ * @param {string} format The format, `csv` or `jsonl`, or `null` to infer it
+ *   from the file extension.
+ * @returns {string} The format.
+ */
+export function getFileFormat(filePath, format) {
+  if (format == null) {
+    const extension = path.extname(filePath).toLowerCase();
+    format = extension === '.ndjson' ? 'jsonl' : extension.slice(1);
+  }
+  if (FILE_FORMATS.indexOf(format) === -1) {
+    throw new Error(
+        `Unsupported file format "${format}" of ${filePath}. ` +
+        `Use one of ${FILE_FORMATS.join(', ')}.`);
+  }
+  return format;
+}
+
+/**
+ * Write a chunk of text to a stream.
+ *
+ * @param {stream.Writable} stream The stream.
+ * @param {string} chunk The text.
+ * @returns {Promise} A promise that is resolved once the chunk has been
+ *   handed over to the underlying file or pipe, so that no more than one
+ *   chunk is buffered at a time, and rejected if writing it fails.
+ */
+function writeChunk(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    stream.write(chunk, err => err == null ? resolve() : reject(err));
+  });
+}
+
+/**
+ * Normalize a column of date strings in a CSV or JSONL file.
+ *
+ * The file is processed in batches, so that it doesn't need to fit in
+ * memory.
+ *
+ * @param {tf.Model} model The date-conversion model.
+ * @param {string} inputPath Path to the input file.
+ * @param {stream.Writable} output Stream to which the output is written,
+ *   e.g., `process.stdout`. It is not ended.
+ * @param {object} options The options:
+ *   - `column`: The CSV column or JSONL key of the date strings.
+ *   - `format`: `csv` or `jsonl`. Inferred from the file extension if
+ *     `null`.
+ *   - `batchSize`: Number of date strings to convert at once.
+ * @returns {{numRows: number, numValid: number}} Number of rows and number
+ *   of valid outputs.
+ */
+export async function normalizeFile(model, inputPath, output, options) {
+  const {column, batchSize} = options;
+  const format = getFileFormat(inputPath, options.format);
+  const outputKeys = ['normalized', 'confidence', 'valid'];
+  const outputNames = outputKeys.map(key => `${column}_${key}`);
+
+  let columnIndex;
+  let rows = [];
+  let numRows = 0;
+  let numValid = 0;
+  const flush = async () => {
+    const dateStrings = rows.map(
+        row => format === 'csv' ? row[columnIndex] || '' :
+                                  `${row[column] == null ? '' : row[column]}`);
+    const results = await normalizeDateStrings(model, dateStrings);
+    let lines = '';
+    rows.forEach((row, i) => {
+      const values = outputKeys.map(key => results[i][key]);
+      if (format === 'csv') {
+        lines += toCsvLine(row.concat(values));
+      } else {
+        outputNames.forEach((name, j) => row[name] = values[j]);
+        lines += `${JSON.stringify(row)}\n`;
+      }
+      if (results[i].valid) {
+        numValid++;
+      }
+    });
+    await writeChunk(output, lines);
+    numRows += rows.length;
+    rows = [];
+  };
+
+  for (const line of readLines(inputPath)) {
+    if (line.trim().length === 0) {
+      continue;
+    }
+    if (format === 'csv' && columnIndex == null) {
+      const header = parseCsvLine(line);
+      columnIndex = header.indexOf(column);
+      if (columnIndex === -1) {
+        throw new Error(
+            `Column "${column}" not found in the CSV header of ${inputPath}: ` +
+            `${header.join(', ')}`);
+      }
+      await writeChunk(output, toCsvLine(header.concat(outputNames)));
+      continue;
+    }
+    rows.push(format === 'csv' ? parseCsvLine(line) : JSON.parse(line));
+    if (rows.length === batchSize) {
+      await flush();
+    }
+  }
+  if (rows.length > 0) {
+    await flush();
+  }
+  return {numRows, numValid};
+}
+
+function parseArguments() {
+  const argParser = new argparse.ArgumentParser({
+    description:
+        'Normalize a column of date strings in a CSV or JSONL file to ISO ' +
+        'dates with a trained date-conversion model'
+  });
+  argParser.addArgument('input', {
+    type: 'string',
+    help: 'Path to the input CSV or JSONL file.'
+  });
+  argParser.addArgument('--gpu', {
+    action: 'storeTrue',
+    help: 'Use tfjs-node-gpu for the conversion. Requires CUDA/CuDNN.'
+  });
+  argParser.addArgument('--column', {
+    type: 'string',
+    defaultValue: 'date',
+    help: 'Name of the CSV column or JSONL key that holds the date strings.'
+  });
+  argParser.addArgument('--format', {
+    type: 'string',
+    choices: FILE_FORMATS,
+    help: 'Format of the input file. By default, the format is inferred ' +
+    'from the file extension (.csv, .jsonl or .ndjson).'
+  });
+  argParser.addArgument('--output', {
+    type: 'string',
+    help: 'Path to the output file, which has the same format as the input ' +
+    'file. Defaults to the standard output.'
+  });
+  argParser.addArgument('--modelPath', {
+    type: 'string',
+    defaultValue: './dist/model',
+    help: 'Path to the model saved by the training script.'
+  });
+  argParser.addArgument('--batchSize', {
+    type: 'int',
+    defaultValue: 256,
+    help: 'Number of date strings to convert at once.'
+  });
+  return argParser.parseArgs();
+}
+
+async function run() {
+  const args = parseArguments();
+  // Progress is printed to the standard error, as the output may go to the
+  // standard output.
+  if (args.gpu) {
+    console.error('Using GPU');
+    require('@tensorflow/tfjs-node-gpu');
+  } else {
+    console.error('Using CPU');
+    require('@tensorflow/tfjs-node');
+  }
+
+  const modelURL = `file://${path.resolve(args.modelPath, 'model.json')}`;
+  console.error(`Loading model from ${modelURL}`);
+  const model = await tf.loadLayersModel(modelURL);
+
+  const output = args.output == null ? process.stdout :
+                                      fs.createWriteStream(args.output);
+  // Write errors also make the writes of `normalizeFile()` fail, which
+  // reports them.
+  output.on('error', () => {});
+  const t0 = tf.util.now();
+  const {numRows, numValid} = await normalizeFile(
+      model, args.input, output,
+      {column: args.column, format: args.format, batchSize: args.batchSize});
+  if (args.output != null) {
+    await new Promise((resolve, reject) => {
+      output.once('error', reject);
+      output.end(resolve);
+    });
+  }
+  console.error(
+      `Normalized ${numRows} date strings in ` +
+      `${((tf.util.now() - t0) / 1e3).toFixed(1)} s; ` +
+      `${numRows - numValid} output(s) are not valid dates.`);
+}
+
+if (require.main === module) {
+  run().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
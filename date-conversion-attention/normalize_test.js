@@ -0,0 +1,195 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {Writable} from 'stream';
+import * as tf from '@tensorflow/tfjs';
+import * as tmp from 'tmp';
+
+import * as dateFormat from './date_format';
+import {createModel} from './model';
+import * as normalize from './normalize';
+
+require('@tensorflow/tfjs-node');
+
+/**
+ * Normalize a file with `normalizeFile()`, writing the output to a file.
+ */
+async function normalizeToFile(model, inputPath, outputPath, options) {
+  const output = fs.createWriteStream(outputPath);
+  const result =
+      await normalize.normalizeFile(model, inputPath, output, options);
+  await new Promise(resolve => output.end(resolve));
+  return result;
+}
+
+describe('Normalize', () => {
+  it('parseCsvLine', () => {
+    expect(normalize.parseCsvLine('1,2019/01/18,')).toEqual([
+      '1', '2019/01/18', ''
+    ]);
+    expect(normalize.parseCsvLine('"Jan 18, 2019","say ""hi"""')).toEqual([
+      'Jan 18, 2019', 'say "hi"'
+    ]);
+    expect(() => normalize.parseCsvLine('"Jan 18, 2019'))
+        .toThrowError(/Unterminated quoted field/);
+  });
+
+  it('toCsvLine', () => {
+    expect(normalize.toCsvLine(['Jan 18, 2019', 'say "hi"', 0.5, true]))
+        .toEqual('"Jan 18, 2019","say ""hi""",0.5,true\n');
+    // Round trip.
+    const items = ['a,b', '"', ''];
+    expect(normalize.parseCsvLine(normalize.toCsvLine(items).trim()))
+        .toEqual(items);
+  });
+
+  it('getFileFormat', () => {
+    expect(normalize.getFileFormat('dates.CSV', null)).toEqual('csv');
+    expect(normalize.getFileFormat('dates.ndjson', null)).toEqual('jsonl');
+    expect(normalize.getFileFormat('dates.txt', 'jsonl')).toEqual('jsonl');
+    expect(() => normalize.getFileFormat('dates.txt', null))
+        .toThrowError(/Unsupported file format "txt"/);
+  });
+
+  it('readLines', () => {
+    const tmpDir = tmp.dirSync();
+    const filePath = path.join(tmpDir.name, 'lines.txt');
+    fs.writeFileSync(filePath, 'März\r\n\nlast');
+    expect(Array.from(normalize.readLines(filePath))).toEqual([
+      'März', '', 'last'
+    ]);
+  });
+
+  describe('with a model', () => {
+    let model;
+    let tmpDir;
+
+    beforeAll(() => {
+      model = createModel(
+          dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+          dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH);
+      tmpDir = tmp.dirSync();
+    });
+
+    it('normalizeDateStrings', async () => {
+      const numTensors0 = tf.memory().numTensors;
+      const results = await normalize.normalizeDateStrings(
+          model, [' 2019/01/18 ', '', '20 Jan 19 #', 'jan 3 20']);
+      // Assert no memory leak.
+      expect(tf.memory().numTensors).toEqual(numTensors0);
+      expect(results.length).toEqual(4);
+      for (const i of [0, 3]) {
+        expect(results[i].confidence).toBeGreaterThan(0);
+        expect(results[i].confidence).toBeLessThanOrEqual(1);
+        expect(results[i].valid)
+            .toEqual(dateFormat.isValidISODateString(results[i].normalized));
+      }
+      // Strings that can't be encoded aren't converted.
+      for (const i of [1, 2]) {
+        expect(results[i])
+            .toEqual({normalized: '', confidence: 0, valid: false});
+      }
+    });
+
+    it('normalizeFile: CSV', async () => {
+      const inputPath = path.join(tmpDir.name, 'dates.csv');
+      const outputPath = path.join(tmpDir.name, 'dates.normalized.csv');
+      fs.writeFileSync(
+          inputPath,
+          'id,when\n1,2019/01/18\n2,"Jan 18, 2019"\n\n3,#\n4,18.01.2019\n');
+      const {numRows, numValid} = await normalizeToFile(
+          model, inputPath, outputPath,
+          {column: 'when', format: null, batchSize: 3});
+
+      expect(numRows).toEqual(4);
+      const lines = fs.readFileSync(outputPath, 'utf8').trim().split('\n');
+      expect(lines.length).toEqual(5);
+      expect(lines[0])
+          .toEqual('id,when,when_normalized,when_confidence,when_valid');
+      const rows = lines.slice(1).map(normalize.parseCsvLine);
+      expect(rows.map(row => row.slice(0, 2))).toEqual([
+        ['1', '2019/01/18'], ['2', 'Jan 18, 2019'], ['3', '#'],
+        ['4', '18.01.2019']
+      ]);
+      expect(rows[2].slice(2)).toEqual(['', '0', 'false']);
+      expect(rows.filter(row => row[4] === 'true').length).toEqual(numValid);
+    });
+
+    it('normalizeFile: JSONL', async () => {
+      const inputPath = path.join(tmpDir.name, 'dates.jsonl');
+      const outputPath = path.join(tmpDir.name, 'dates.normalized.jsonl');
+      fs.writeFileSync(
+          inputPath,
+          '{"id": 1, "date": "2019/01/18"}\n{"id": 2}\n' +
+              '{"id": 3, "date": "18. Januar 2019, 14:30 Uhr"}\n');
+      const {numRows} = await normalizeToFile(
+          model, inputPath, outputPath,
+          {column: 'date', format: null, batchSize: 256});
+
+      expect(numRows).toEqual(3);
+      const rows = fs.readFileSync(outputPath, 'utf8')
+                       .trim()
+                       .split('\n')
+                       .map(line => JSON.parse(line));
+      expect(rows.map(row => row.id)).toEqual([1, 2, 3]);
+      expect(rows[0].date).toEqual('2019/01/18');
+      expect(typeof rows[0].date_normalized).toEqual('string');
+      expect(typeof rows[0].date_confidence).toEqual('number');
+      expect(typeof rows[0].date_valid).toEqual('boolean');
+      // A missing date string is treated as an empty one.
+      expect(rows[1].date_normalized).toEqual('');
+      expect(rows[1].date_valid).toEqual(false);
+    });
+
+    it('normalizeFile: missing CSV column', async () => {
+      const inputPath = path.join(tmpDir.name, 'no_dates.csv');
+      fs.writeFileSync(inputPath, 'id,when\n1,2019/01/18\n');
+      let error;
+      try {
+        await normalize.normalizeFile(
+            model, inputPath, null,
+            {column: 'date', format: null, batchSize: 256});
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).toMatch(/Column "date" not found/);
+    });
+
+    it('normalizeFile: write error', async () => {
+      const inputPath = path.join(tmpDir.name, 'dates_to_pipe.csv');
+      fs.writeFileSync(inputPath, 'id,when\n1,2019/01/18\n');
+      // E.g., a non-blocking pipe that fails.
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          callback(new Error('EAGAIN: resource temporarily unavailable'));
+        }
+      });
+      output.on('error', () => {});
+      let error;
+      try {
+        await normalize.normalizeFile(
+            model, inputPath, output,
+            {column: 'when', format: null, batchSize: 256});
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).toMatch(/EAGAIN/);
+    });
+  });
+});
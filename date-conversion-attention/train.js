@@ -24,11 +24,19 @@
  */
 
 import * as fs from 'fs';
+import * as path from 'path';
 import * as shelljs from 'shelljs';
 import * as argparse from 'argparse';
 import * as tf from '@tensorflow/tfjs';
 import * as dateFormat from './date_format';
-import {createModel, runSeq2SeqInference} from './model';
+import {
+  createModel,
+  createTransformerModel,
+  runSeq2SeqInference,
+  runSeq2SeqInferenceBatch
+} from './model';
+
+const ARCHITECTURES = ['lstm', 'transformer'];
 
 /**
  * Generate sets of data for training.
@@ -74,14 +82,21 @@ export function generateDataForTraining(trainSplit = 0.25, valSplit = 0.15) {
 
   function dateTuplesToTensor(dateTuples) {
     return tf.tidy(() => {
-      const inputs =
-          dateFormat.INPUT_FNS.map(fn => dateTuples.map(tuple => fn(tuple)));
+      // Every date appears in every input format. A random time of day is
+      // drawn for every example, which is used only by the formats with a
+      // time of day.
       const inputStrings = [];
-      inputs.forEach(inputs => inputStrings.push(...inputs));
+      const trainTargetStrings = [];
+      for (const fn of dateFormat.INPUT_FNS) {
+        for (const tuple of dateTuples) {
+          const dateTimeTuple = tuple.concat(dateFormat.generateRandomTime());
+          inputStrings.push(fn(dateTimeTuple));
+          trainTargetStrings.push(
+              dateFormat.getTargetString(fn, dateTimeTuple));
+        }
+      }
       const encoderInput =
           dateFormat.encodeInputDateStrings(inputStrings);
-      const trainTargetStrings = dateTuples.map(
-          tuple => dateFormat.dateTupleToYYYYDashMMDashDD(tuple));
       let decoderInput =
           dateFormat.encodeOutputDateStrings(trainTargetStrings)
           .asType('float32');
@@ -92,11 +107,10 @@ export function generateDataForTraining(trainSplit = 0.25, valSplit = 0.15) {
         tf.ones([decoderInput.shape[0], 1]).mul(dateFormat.START_CODE),
         decoderInput.slice(
             [0, 0], [decoderInput.shape[0], decoderInput.shape[1] - 1])
-      ], 1).tile([dateFormat.INPUT_FNS.length, 1]);
+      ], 1);
       const decoderOutput = tf.oneHot(
           dateFormat.encodeOutputDateStrings(trainTargetStrings),
-          dateFormat.OUTPUT_VOCAB.length).tile(
-              [dateFormat.INPUT_FNS.length, 1, 1]);
+          dateFormat.OUTPUT_VOCAB.length);
       return {encoderInput, decoderInput, decoderOutput};
     });
   }
@@ -124,6 +138,102 @@ export function generateDataForTraining(trainSplit = 0.25, valSplit = 0.15) {
   };
 }
 
+/**
+ * Create a date-conversion model of the given architecture.
+ *
+ * @param {string} architecture `lstm` (see `createModel()`) or `transformer`
+ *   (see `createTransformerModel()`).
+ * @return {tf.Model} A compiled model instance.
+ */
+export function createModelForArchitecture(architecture) {
+  const args = [
+    dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
+    dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH
+  ];
+  if (architecture === 'lstm') {
+    return createModel(...args);
+  } else if (architecture === 'transformer') {
+    return createTransformerModel(...args);
+  } else {
+    throw new Error(`Unsupported architecture: ${architecture}`);
+  }
+}
+
+/**
+ * Generate test examples from the test dates.
+ *
+ * The examples cycle through the input formats. They are generated once, so
+ * that different models can be evaluated on the same examples.
+ *
+ * @param {number[][]} testDateTuples Date tuples ([year, month, day]).
+ * @param {number} numExamples Number of examples.
+ * @return {Array<{inputStr: string, target: string}>} The input date strings
+ *   and the correct outputs.
+ */
+export function generateTestExamples(testDateTuples, numExamples) {
+  const examples = [];
+  for (let i = 0; i < numExamples; ++i) {
+    const inputFn = dateFormat.INPUT_FNS[i % dateFormat.INPUT_FNS.length];
+    const dateTimeTuple = testDateTuples[i % testDateTuples.length].concat(
+        dateFormat.generateRandomTime());
+    examples.push({
+      inputStr: inputFn(dateTimeTuple),
+      target: dateFormat.getTargetString(inputFn, dateTimeTuple)
+    });
+  }
+  return examples;
+}
+
+/**
+ * Evaluate a trained model on test examples.
+ *
+ * @param {tf.Model} model The model.
+ * @param {Array<{inputStr: string, target: string}>} testExamples The
+ *   examples, as returned by `generateTestExamples()`.
+ * @param {number} numLatencyRuns Number of examples converted one by one to
+ *   measure the latency.
+ * @return {{accuracy: number, numParams: number, latencyMs: number,
+ *   batchLatencyMs: number}}
+ *   - accuracy: Fraction of the examples converted exactly right.
+ *   - numParams: Number of weights of the model.
+ *   - latencyMs: Mean time (in milliseconds) to convert one string with
+ *     `runSeq2SeqInference()`, as in the browser.
+ *   - batchLatencyMs: Mean time per string to convert all the examples in
+ *     batches with `runSeq2SeqInferenceBatch()`.
+ */
+export async function evaluateModel(model, testExamples, numLatencyRuns = 20) {
+  const batchSize = 256;
+  let numCorrect = 0;
+  let t0 = tf.util.now();
+  for (let i = 0; i < testExamples.length; i += batchSize) {
+    const batch = testExamples.slice(i, i + batchSize);
+    const outputs = await runSeq2SeqInferenceBatch(
+        model, batch.map(example => example.inputStr));
+    outputs.forEach(({outputStr}, j) => {
+      if (outputStr === batch[j].target) {
+        numCorrect++;
+      }
+    });
+  }
+  const batchLatencyMs = (tf.util.now() - t0) / testExamples.length;
+
+  numLatencyRuns = Math.min(numLatencyRuns, testExamples.length);
+  // Warm up, so that the first call's one-time costs aren't measured.
+  await runSeq2SeqInference(model, testExamples[0].inputStr);
+  t0 = tf.util.now();
+  for (let i = 0; i < numLatencyRuns; ++i) {
+    await runSeq2SeqInference(model, testExamples[i].inputStr);
+  }
+  const latencyMs = (tf.util.now() - t0) / numLatencyRuns;
+
+  return {
+    accuracy: numCorrect / testExamples.length,
+    numParams: model.countParams(),
+    latencyMs,
+    batchLatencyMs
+  };
+}
+
 function parseArguments() {
   const argParser = new argparse.ArgumentParser({
     description:
@@ -133,6 +243,15 @@ function parseArguments() {
     action: 'storeTrue',
     help: 'Use tfjs-node-gpu to train the model. Requires CUDA/CuDNN.'
   });
+  argParser.addArgument('--architecture', {
+    type: 'string',
+    defaultValue: 'lstm',
+    choices: ARCHITECTURES.concat(['both']),
+    help: 'Model architecture: "lstm" (LSTM encoder and decoder with ' +
+    'dot-product attention) or "transformer" (multi-head self-attention ' +
+    'with positional encodings). "both" trains one model of each ' +
+    'architecture on the same data and compares them.'
+  });
   argParser.addArgument('--epochs', {
     type: 'int',
     defaultValue: 2,
@@ -158,6 +277,14 @@ function parseArguments() {
   argParser.addArgument('--savePath', {
     type: 'string',
     defaultValue: './dist/model',
+    help: 'Path to save the model to. With --architecture both, the models ' +
+    'are saved in the subdirectories lstm and transformer of this path.'
+  });
+  argParser.addArgument('--numTestExamples', {
+    type: 'int',
+    defaultValue: 2000,
+    help: 'Number of test examples used to evaluate the accuracy of the ' +
+    'trained model'
   });
   argParser.addArgument('--logDir', {
     type: 'string',
@@ -185,11 +312,6 @@ async function run() {
     tfn = require('@tensorflow/tfjs-node');
   }
 
-  const model = createModel(
-      dateFormat.INPUT_VOCAB.length, dateFormat.OUTPUT_VOCAB.length,
-      dateFormat.INPUT_LENGTH, dateFormat.OUTPUT_LENGTH);
-  model.summary();
-
   const {
     trainEncoderInput,
     trainDecoderInput,
@@ -199,43 +321,80 @@ async function run() {
     valDecoderOutput,
     testDateTuples
   } = generateDataForTraining(args.trainSplit, args.valSplit);
+  const testExamples =
+      generateTestExamples(testDateTuples, args.numTestExamples);
+
+  const architectures =
+      args.architecture === 'both' ? ARCHITECTURES : [args.architecture];
+  const results = [];
+  for (const architecture of architectures) {
+    // With several architectures, each gets its own subdirectory for the logs
+    // and the saved model.
+    const getPath = basePath => architectures.length > 1 ?
+        path.join(basePath, architecture) :
+        basePath;
+
+    console.log(`\nArchitecture: ${architecture}`);
+    const model = createModelForArchitecture(architecture);
+    model.summary();
 
-  await model.fit(
-      [trainEncoderInput, trainDecoderInput], trainDecoderOutput, {
-        epochs: args.epochs,
-        batchSize: args.batchSize,
-        shuffle: true,
-        validationData: [[valEncoderInput, valDecoderInput], valDecoderOutput],
-        callbacks: args.logDir == null ? null :
-            tfn.node.tensorBoard(args.logDir, {updateFreq: args.logUpdateFreq})
-      });
-
-  // Save the model.
-  if (args.savePath != null && args.savePath.length) {
-    if (!fs.existsSync(args.savePath)) {
-      shelljs.mkdir('-p', args.savePath);
+    await model.fit(
+        [trainEncoderInput, trainDecoderInput], trainDecoderOutput, {
+          epochs: args.epochs,
+          batchSize: args.batchSize,
+          shuffle: true,
+          validationData:
+              [[valEncoderInput, valDecoderInput], valDecoderOutput],
+          callbacks: args.logDir == null ? null :
+              tfn.node.tensorBoard(
+                  getPath(args.logDir), {updateFreq: args.logUpdateFreq})
+        });
+
+    // Save the model.
+    if (args.savePath != null && args.savePath.length) {
+      const savePath = getPath(args.savePath);
+      if (!fs.existsSync(savePath)) {
+        shelljs.mkdir('-p', savePath);
+      }
+      const saveURL = `file://${savePath}`
+      await model.save(saveURL);
+      console.log(`Saved model to ${saveURL}`);
     }
-    const saveURL = `file://${args.savePath}`
-    await model.save(saveURL);
-    console.log(`Saved model to ${saveURL}`);
-  }
 
-  // Run seq2seq inference tests and print the results to console.
-  const numTests = 10;
-  for (let n = 0; n < numTests; ++n) {
-    for (const testInputFn of dateFormat.INPUT_FNS) {
-      const inputStr = testInputFn(testDateTuples[n]);
-      console.log('\n-----------------------');
-      console.log(`Input string: ${inputStr}`);
-      const correctAnswer =
-          dateFormat.dateTupleToYYYYDashMMDashDD(testDateTuples[n]);
-      console.log(`Correct answer: ${correctAnswer}`);
-
-      const {outputStr} = await runSeq2SeqInference(model, inputStr);
-      const isCorrect = outputStr === correctAnswer;
-      console.log(
-          `Model output: ${outputStr} (${isCorrect ? 'OK' : 'WRONG'})` );
+    // Run seq2seq inference tests and print the results to console.
+    const numTests = 10;
+    for (let n = 0; n < numTests; ++n) {
+      for (const testInputFn of dateFormat.INPUT_FNS) {
+        const dateTimeTuple =
+            testDateTuples[n].concat(dateFormat.generateRandomTime());
+        const inputStr = testInputFn(dateTimeTuple);
+        console.log('\n-----------------------');
+        console.log(`Input string: ${inputStr}`);
+        const correctAnswer =
+            dateFormat.getTargetString(testInputFn, dateTimeTuple);
+        console.log(`Correct answer: ${correctAnswer}`);
+
+        const {outputStr} = await runSeq2SeqInference(model, inputStr);
+        const isCorrect = outputStr === correctAnswer;
+        console.log(
+            `Model output: ${outputStr} (${isCorrect ? 'OK' : 'WRONG'})` );
+      }
     }
+
+    const evaluation = await evaluateModel(model, testExamples);
+    results.push(Object.assign({architecture}, evaluation));
+  }
+
+  console.log(`\nEvaluation on ${testExamples.length} test examples:`);
+  console.log(
+      'Architecture  # of params  Accuracy  ms/string  ms/string (batch)');
+  for (const result of results) {
+    console.log(
+        result.architecture.padEnd(14) +
+        `${result.numParams}`.padEnd(13) +
+        result.accuracy.toFixed(4).padEnd(10) +
+        result.latencyMs.toFixed(1).padEnd(11) +
+        result.batchLatencyMs.toFixed(2));
   }
 }
 
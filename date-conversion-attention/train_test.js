@@ -16,7 +16,14 @@
  */
 
 import * as dateFormat from './date_format';
-import {generateDataForTraining} from './train';
+import {
+  createModelForArchitecture,
+  evaluateModel,
+  generateDataForTraining,
+  generateTestExamples
+} from './train';
+
+require('@tensorflow/tfjs-node');
 
 describe('generateBatchesForTraining', () => {
   it('generateDataForTraining', () => {
@@ -48,3 +55,41 @@ describe('generateBatchesForTraining', () => {
     expect(testDateTuples[testDateTuples.length - 1].length).toEqual(3);
   });
 });
+
+describe('Model comparison', () => {
+  it('createModelForArchitecture', () => {
+    for (const architecture of ['lstm', 'transformer']) {
+      const model = createModelForArchitecture(architecture);
+      expect(model.inputs[0].shape).toEqual([null, dateFormat.INPUT_LENGTH]);
+      expect(model.outputs[0].shape).toEqual([
+        null, dateFormat.OUTPUT_LENGTH, dateFormat.OUTPUT_VOCAB.length
+      ]);
+    }
+    expect(() => createModelForArchitecture('gru'))
+        .toThrowError(/Unsupported architecture: gru/);
+  });
+
+  it('generateTestExamples', () => {
+    const testDateTuples = [[2019, 1, 18], [1983, 8, 30]];
+    const numExamples = dateFormat.INPUT_FNS.length + 1;
+    const examples = generateTestExamples(testDateTuples, numExamples);
+    expect(examples.length).toEqual(numExamples);
+    // The examples cycle through the input formats and the dates.
+    expect(examples[0].target).toEqual('2019-01-18');
+    expect(examples[1].target.slice(0, 10)).toEqual('1983-08-30');
+    expect(examples[examples.length - 1].inputStr)
+        .toEqual(dateFormat.INPUT_FNS[0](
+            testDateTuples[dateFormat.INPUT_FNS.length % 2]));
+  });
+
+  it('evaluateModel', async () => {
+    const model = createModelForArchitecture('transformer');
+    const examples = generateTestExamples([[2019, 1, 18]], 5);
+    const evaluation = await evaluateModel(model, examples, 2);
+    expect(evaluation.accuracy).toBeGreaterThanOrEqual(0);
+    expect(evaluation.accuracy).toBeLessThanOrEqual(1);
+    expect(evaluation.numParams).toEqual(model.countParams());
+    expect(evaluation.latencyMs).toBeGreaterThan(0);
+    expect(evaluation.batchLatencyMs).toBeGreaterThan(0);
+  });
+});
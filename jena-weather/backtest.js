@@ -0,0 +1,618 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Walk-forward backtesting of the temperature-prediction models.
+ *
+ * The timeline of the data is split into consecutive test windows ("folds").
+ * For every fold, a model is trained (or fine-tuned) on the rows before the
+ * window only and then makes predictions for every row of the window, which
+ * are compared with the ground truth and with the commonsense baseline.
+ *
+ * This script runs in the Node.js environment using tfjs-node or tfjs-node-gpu
+ * (see the `--gpu` flag).
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import * as tf from '@tensorflow/tfjs';
+import {ArgumentParser} from 'argparse';
+
+import {addDataArguments, loadData, parseColumns} from './data_args';
+import {
+  buildModel,
+  getBaselinePredictions,
+  MODEL_TYPES,
+  trainModel
+} from './models';
+
+/** Ways to update the model from one fold to the next. */
+export const REFIT_MODES = ['retrain', 'fineTune'];
+
+/** Ways to choose the training rows of the folds. */
+export const WINDOW_TYPES = ['expanding', 'sliding'];
+
+/** Meteorological seasons of the Northern Hemisphere. */
+export const SEASONS = ['winter', 'spring', 'summer', 'autumn'];
+
+/**
+ * Get the number of rows that the features and targets of an example extend
+ * past its row index, including the row of the last target.
+ *
+ * @param {JenaWeatherData} jenaWeatherData The data.
+ * @param {number} lookBack Number of look-back time steps.
+ * @param {number} delay How many steps in the future the first prediction is
+ *   for.
+ * @param {number} step Number of steps between the predicted time points.
+ * @param {number} horizon Number of predicted time points.
+ * @returns {number} The number of rows.
+ */
+export function getTargetReach(
+    jenaWeatherData, lookBack, delay, step, horizon) {
+  const targetRows =
+      jenaWeatherData.getTargetRowIndices(0, lookBack, delay, step, horizon);
+  return targetRows[targetRows.length - 1] + 1;
+}
+
+/**
+ * Split the timeline of the data into walk-forward folds.
+ *
+ * The test windows of the folds are consecutive, starting after
+ * `initialTrainRows` rows. The training examples of a fold are all the
+ * examples whose features and targets precede the fold's test window.
+ *
+ * @param {number} numRows Number of rows of the data.
+ * @param {object} config The configuration, with the keys:
+ *   - `initialTrainRows` {number} Number of rows before the first test
+ *     window. With a sliding window, also the number of training rows of
+ *     every fold.
+ *   - `testRows` {number} Number of rows of each test window.
+ *   - `windowType` {'expanding' | 'sliding'} Whether the training rows start
+ *     at the beginning of the data, or `initialTrainRows` rows before the test
+ *     window.
+ *   - `lookBack` {number} Number of look-back time steps.
+ *   - `targetReach` {number} As returned by `getTargetReach()`.
+ *   - `maxNumFolds` {number} Maximum number of folds. Optional. By default,
+ *     the folds cover the rest of the data.
+ * @returns {object[]} The folds, with the keys `index`, `trainMinRow`,
+ *   `trainMaxRow`, `testMinRow` and `testMaxRow`. `trainMinRow` and
+ *   `trainMaxRow` are in the format of the `minIndex` and `maxIndex`
+ *   arguments of `getNextBatchFunction()`. The row indices of the test
+ *   examples are from `testMinRow` (inclusive) to `testMaxRow` (exclusive).
+ * @throws {Error} If there are too few rows for a single fold, or too few
+ *   training rows.
+ */
+export function getFolds(numRows, config) {
+  const {
+    initialTrainRows,
+    testRows,
+    windowType,
+    lookBack,
+    targetReach,
+    maxNumFolds
+  } = config;
+  if (WINDOW_TYPES.indexOf(windowType) === -1) {
+    throw new Error(`Invalid window type: ${windowType}`);
+  }
+  if (!(testRows > 0)) {
+    throw new Error(`Invalid number of test rows: ${testRows}`);
+  }
+  // The training examples must end before the test window, including their
+  // targets.
+  if (!(initialTrainRows - targetReach + 1 > lookBack)) {
+    throw new Error(
+        `Too few training rows (${initialTrainRows}) for the look-back ` +
+        `period and the prediction targets`);
+  }
+
+  const folds = [];
+  for (let testMinRow = initialTrainRows;
+       testMinRow + testRows + targetReach - 1 <= numRows &&
+       (maxNumFolds == null || folds.length < maxNumFolds);
+       testMinRow += testRows) {
+    folds.push({
+      index: folds.length,
+      trainMinRow:
+          windowType === 'expanding' ? 0 : testMinRow - initialTrainRows,
+      trainMaxRow: testMinRow - targetReach + 1,
+      testMinRow,
+      testMaxRow: testMinRow + testRows
+    });
+  }
+  if (folds.length === 0) {
+    throw new Error(
+        `Too few rows (${numRows}) for a single fold with ` +
+        `${initialTrainRows} training rows and ${testRows} test rows`);
+  }
+  return folds;
+}
+
+/**
+ * Get the meteorological season (of the Northern Hemisphere) of a date.
+ *
+ * @param {Date} date The date.
+ * @returns {string} One of `SEASONS`.
+ */
+export function getSeason(date) {
+  return SEASONS[Math.floor(((date.getUTCMonth() + 1) % 12) / 3)];
+}
+
+/**
+ * Format a line of a CSV file, quoting the fields where necessary.
+ *
+ * @param {Array<string | number>} items The fields.
+ * @returns {string} The line, including the line terminator.
+ */
+export function toCsvLine(items) {
+  return items
+             .map(item => {
+               const str = `${item}`;
+               return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` :
+                                           str;
+             })
+             .join(',') +
+      '\n';
+}
+
+/**
+ * Accumulates the absolute errors of the model and the baseline by key.
+ */
+class MeanAbsoluteErrors {
+  constructor() {
+    this.sums = {};
+  }
+
+  add(key, modelError, baselineError) {
+    if (!(key in this.sums)) {
+      this.sums[key] = {model: 0, baseline: 0, count: 0};
+    }
+    this.sums[key].model += modelError;
+    this.sums[key].baseline += baselineError;
+    this.sums[key].count++;
+  }
+
+  /**
+   * @returns {{model: number, baseline: number, count: number}} The mean
+   *   absolute errors of the model and the baseline, and the number of
+   *   predictions, for a key.
+   */
+  get(key) {
+    const sums = this.sums[key] || {model: 0, baseline: 0, count: 0};
+    return {
+      model: sums.model / sums.count,
+      baseline: sums.baseline / sums.count,
+      count: sums.count
+    };
+  }
+}
+
+const PREDICTIONS_CSV_HEADER = [
+  'fold', 'forecastTime', 'targetTime', 'rowsAhead', 'column', 'actual',
+  'prediction', 'residual', 'baselinePrediction', 'baselineResidual'
+];
+
+/**
+ * Run a walk-forward backtest.
+ *
+ * @param {JenaWeatherData} jenaWeatherData The data.
+ * @param {object[]} folds The folds, as returned by `getFolds()`.
+ * @param {object} config The configuration of the models, with the keys:
+ *   - `modelType` {string} One of `MODEL_TYPES`.
+ *   - `refit` {'retrain' | 'fineTune'} Whether to train a new model for every
+ *     fold, or to train a model for the first fold only and fine-tune it for
+ *     the following folds on the rows that became available since the
+ *     previous fold.
+ *   - `epochs` {number} Number of training epochs of a new model.
+ *   - `fineTuneEpochs` {number} Number of fine-tuning epochs.
+ *   - `batchSize` {number} Batch size.
+ *   - `normalize`, `includeDateTime`, `lookBack`, `step`, `delay`,
+ *     `targetColumns` and `horizon`: As for `trainModel()`.
+ * @param {string} predictionsPath Path of a CSV file to write every
+ *   prediction to, along with the actual value, the residual (actual minus
+ *   predicted value) and the baseline prediction. Optional.
+ * @returns {object} The results:
+ *   - `folds` {object[]} For every fold, the keys of the fold (see
+ *     `getFolds()`), `trainSeconds` and `errors`, which has an item for
+ *     every target column with the keys `column`, `model` and `baseline`
+ *     (the mean absolute errors, in the units of the column) and `count`
+ *     (the number of predictions).
+ *   - `overall` {object[]} The errors over all folds, in the format of
+ *     `errors` above.
+ *   - `seasons` {object[]} The errors over all folds by the season of the
+ *     time the predictions were made at, with an additional `season` key.
+ */
+export async function backtest(
+    jenaWeatherData, folds, config, predictionsPath) {
+  const {
+    modelType,
+    refit,
+    epochs,
+    fineTuneEpochs,
+    batchSize,
+    normalize,
+    includeDateTime,
+    lookBack,
+    step,
+    delay,
+    targetColumns,
+    horizon
+  } = config;
+  if (REFIT_MODES.indexOf(refit) === -1) {
+    throw new Error(`Invalid refit mode: ${refit}`);
+  }
+  const numFeatures = includeDateTime ? jenaWeatherData.numColumns + 2 :
+                                        jenaWeatherData.numColumns;
+  const numTargets = targetColumns.length;
+  const meansAndStddevs =
+      targetColumns.map(column => jenaWeatherData.getMeanAndStddev(column));
+  const denormalize = (value, c) => normalize ?
+      value * meansAndStddevs[c].stddev + meansAndStddevs[c].mean :
+      value;
+
+  let predictionsFile;
+  if (predictionsPath != null) {
+    predictionsFile = fs.openSync(predictionsPath, 'w');
+    fs.writeSync(predictionsFile, toCsvLine(PREDICTIONS_CSV_HEADER));
+  }
+
+  const overallErrors = new MeanAbsoluteErrors();
+  const seasonErrors = new MeanAbsoluteErrors();
+  const foldResults = [];
+  let model;
+  let previousFold;
+  for (const fold of folds) {
+    const t0 = new Date().getTime();
+    if (model == null || refit === 'retrain') {
+      if (model != null) {
+        model.dispose();
+      }
+      console.log(`Fold ${fold.index + 1}/${folds.length}: training...`);
+      model = buildModel(
+          modelType, Math.floor(lookBack / step), numFeatures,
+          horizon * numTargets);
+      await trainModel(
+          model, jenaWeatherData, normalize, includeDateTime, lookBack, step,
+          delay, batchSize, epochs, null, targetColumns, horizon,
+          {trainMinRow: fold.trainMinRow, trainMaxRow: fold.trainMaxRow});
+    } else {
+      console.log(`Fold ${fold.index + 1}/${folds.length}: fine-tuning...`);
+      // Fine-tune on the examples that became available since the previous
+      // fold, or on all the training examples if there are too few of those.
+      const trainMinRow = previousFold.testMinRow - lookBack;
+      await trainModel(
+          model, jenaWeatherData, normalize, includeDateTime, lookBack, step,
+          delay, batchSize, fineTuneEpochs, null, targetColumns, horizon, {
+            trainMinRow: fold.trainMaxRow > trainMinRow + lookBack ?
+                trainMinRow :
+                fold.trainMinRow,
+            trainMaxRow: fold.trainMaxRow
+          });
+    }
+    const trainSeconds = (new Date().getTime() - t0) / 1e3;
+    previousFold = fold;
+
+    const foldErrors = new MeanAbsoluteErrors();
+    const iterator = jenaWeatherData.getNextBatchFunction(
+        false, lookBack, delay, batchSize, step, fold.testMinRow - lookBack,
+        fold.testMaxRow, normalize, includeDateTime, targetColumns, horizon);
+    let rowIndex = fold.testMinRow;
+    while (true) {
+      const {value, done} = iterator.next();
+      if (done) {
+        break;
+      }
+      const [predictions, baselinePredictions, targets] = tf.tidy(
+          () => [model.predict(value.xs),
+                 getBaselinePredictions(
+                     jenaWeatherData, value.xs, targetColumns, horizon),
+                 value.ys]
+                    .map(tensor => tensor.dataSync()));
+      const numExamples = value.xs.shape[0];
+      tf.dispose(value);
+
+      let lines = '';
+      for (let i = 0; i < numExamples; ++i, ++rowIndex) {
+        const targetRows = jenaWeatherData.getTargetRowIndices(
+            rowIndex, lookBack, delay, step, horizon);
+        const forecastTime = jenaWeatherData.getTime(targetRows[0] - delay);
+        const season = getSeason(forecastTime);
+        targetRows.forEach((targetRow, k) => {
+          targetColumns.forEach((column, c) => {
+            const index = (i * horizon + k) * numTargets + c;
+            const actual = denormalize(targets[index], c);
+            const prediction = denormalize(predictions[index], c);
+            const baselinePrediction =
+                denormalize(baselinePredictions[index], c);
+            const modelError = Math.abs(actual - prediction);
+            const baselineError = Math.abs(actual - baselinePrediction);
+            foldErrors.add(column, modelError, baselineError);
+            overallErrors.add(column, modelError, baselineError);
+            seasonErrors.add(`${season}\t${column}`, modelError, baselineError);
+            if (predictionsFile != null) {
+              lines += toCsvLine([
+                fold.index, forecastTime.toISOString(),
+                jenaWeatherData.getTime(targetRow).toISOString(),
+                targetRow - targetRows[0] + delay, column, actual, prediction,
+                actual - prediction, baselinePrediction,
+                actual - baselinePrediction
+              ]);
+            }
+          });
+        });
+      }
+      if (predictionsFile != null) {
+        fs.writeSync(predictionsFile, lines);
+      }
+    }
+
+    const foldResult = Object.assign({}, fold, {
+      trainSeconds,
+      errors: targetColumns.map(
+          column => Object.assign({column}, foldErrors.get(column)))
+    });
+    foldResults.push(foldResult);
+    console.log(
+        `Fold ${fold.index + 1}/${folds.length} (test data from ` +
+        `${jenaWeatherData.getTime(fold.testMinRow).toISOString()}): ` +
+        foldResult.errors
+            .map(
+                ({column, model, baseline}) => `${column}: MAE=` +
+                    `${model.toFixed(4)} (baseline: ${baseline.toFixed(4)})`)
+            .join('; '));
+  }
+  model.dispose();
+  if (predictionsFile != null) {
+    fs.closeSync(predictionsFile);
+  }
+
+  const seasons = [];
+  for (const season of SEASONS) {
+    for (const column of targetColumns) {
+      const errors = seasonErrors.get(`${season}\t${column}`);
+      if (errors.count > 0) {
+        seasons.push(Object.assign({season, column}, errors));
+      }
+    }
+  }
+  return {
+    folds: foldResults,
+    overall: targetColumns.map(
+        column => Object.assign({column}, overallErrors.get(column))),
+    seasons
+  };
+}
+
+/**
+ * Write the errors of every fold of a backtest to a CSV file.
+ *
+ * @param {string} filePath Path of the CSV file.
+ * @param {JenaWeatherData} jenaWeatherData The data of the backtest.
+ * @param {object} results The results, as returned by `backtest()`.
+ */
+export function writeFoldsCsv(filePath, jenaWeatherData, results) {
+  const time = row => jenaWeatherData.getTime(row).toISOString();
+  let text = toCsvLine([
+    'fold', 'trainStartTime', 'testStartTime', 'testEndTime', 'trainSeconds',
+    'column', 'numPredictions', 'modelMae', 'baselineMae'
+  ]);
+  for (const fold of results.folds) {
+    for (const {column, model, baseline, count} of fold.errors) {
+      text += toCsvLine([
+        fold.index, time(fold.trainMinRow), time(fold.testMinRow),
+        time(fold.testMaxRow - 1), fold.trainSeconds, column, count, model,
+        baseline
+      ]);
+    }
+  }
+  fs.writeFileSync(filePath, text);
+}
+
+/**
+ * Summarize the results of a backtest against the commonsense baseline.
+ *
+ * @param {object} results The results, as returned by `backtest()`.
+ * @returns {string} The summary.
+ */
+export function formatSummary(results) {
+  const skill = (model, baseline) =>
+      `${((1 - model / baseline) * 100).toFixed(1)}%`;
+  const lines = [`Backtest over ${results.folds.length} fold(s):`];
+  for (const {column, model, baseline} of results.overall) {
+    const numBetterFolds =
+        results.folds
+            .filter(fold => {
+              const errors = fold.errors.find(item => item.column === column);
+              return errors.model < errors.baseline;
+            })
+            .length;
+    lines.push(
+        `${column}: MAE=${model.toFixed(4)}, ` +
+        `baseline MAE=${baseline.toFixed(4)} ` +
+        `(skill: ${skill(model, baseline)}); better than the baseline in ` +
+        `${numBetterFolds} of ${results.folds.length} fold(s)`);
+    for (const item of results.seasons) {
+      if (item.column === column) {
+        lines.push(
+            `  ${item.season}: MAE=${item.model.toFixed(4)}, ` +
+            `baseline MAE=${item.baseline.toFixed(4)} ` +
+            `(skill: ${skill(item.model, item.baseline)})`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+function parseArguments() {
+  const parser = new ArgumentParser({
+    description: 'Walk-forward backtesting of models for the Jena weather ' +
+        'problem'
+  });
+  parser.addArgument('--modelType', {
+    type: 'string',
+    defaultValue: 'gru',
+    choices: MODEL_TYPES,
+    help: 'Type of the model to backtest'
+  });
+  parser.addArgument('--gpu', {action: 'storeTrue', help: 'Use GPU'});
+  addDataArguments(parser);
+  parser.addArgument('--lookBack', {
+    type: 'int',
+    defaultValue: 10 * 24 * 6,
+    help: 'Look-back period (# of rows) for generating features'
+  });
+  parser.addArgument('--step', {
+    type: 'int',
+    defaultValue: 6,
+    help: 'Step size (# of rows) used for generating features'
+  });
+  parser.addArgument('--delay', {
+    type: 'int',
+    defaultValue: 24 * 6,
+    help: 'How many steps (# of rows) in the future to predict the ' +
+        'target columns for (the first time point, if --horizon > 1)'
+  });
+  parser.addArgument('--targetColumns', {
+    type: 'string',
+    help: 'Names of the data columns to predict, separated by commas ' +
+        '(default: "T (degC)" if the data has such a column, otherwise the ' +
+        'first data column)'
+  });
+  parser.addArgument('--horizon', {
+    type: 'int',
+    defaultValue: 1,
+    help: 'Number of future time points to predict, --step rows apart'
+  });
+  parser.addArgument('--includeDateTime', {
+    action: 'storeTrue',
+    help: 'Used date and time features (default: false)'
+  });
+  parser.addArgument('--initialTrainRows', {
+    type: 'int',
+    defaultValue: 365 * 24 * 6,
+    help: 'Number of rows before the first test window (default: one year ' +
+        'of the Jena weather data). With --windowType sliding, also the ' +
+        'number of training rows of every fold'
+  });
+  parser.addArgument('--testRows', {
+    type: 'int',
+    defaultValue: 91 * 24 * 6,
+    help: 'Number of rows of every test window (default: three months of ' +
+        'the Jena weather data)'
+  });
+  parser.addArgument('--windowType', {
+    type: 'string',
+    defaultValue: 'expanding',
+    choices: WINDOW_TYPES,
+    help: 'Whether the training rows of every fold start at the beginning ' +
+        'of the data (expanding) or --initialTrainRows before its test ' +
+        'window (sliding)'
+  });
+  parser.addArgument('--numFolds', {
+    type: 'int',
+    help: 'Maximum number of folds (default: as many as fit in the data)'
+  });
+  parser.addArgument('--refit', {
+    type: 'string',
+    defaultValue: 'fineTune',
+    choices: REFIT_MODES,
+    help: 'Whether to train a new model for every fold, or to fine-tune ' +
+        'the model of the previous fold on the rows added since'
+  });
+  parser.addArgument(
+      '--epochs',
+      {type: 'int', defaultValue: 10, help: 'Number of training epochs'});
+  parser.addArgument('--fineTuneEpochs', {
+    type: 'int',
+    defaultValue: 2,
+    help: 'Number of fine-tuning epochs, with --refit fineTune'
+  });
+  parser.addArgument(
+      '--batchSize',
+      {type: 'int', defaultValue: 128, help: 'Batch size for training'});
+  parser.addArgument('--outputDir', {
+    type: 'string',
+    defaultValue: './backtest',
+    help: 'Directory to write predictions.csv (every prediction, with the ' +
+        'actual value, the residual and the baseline prediction) and ' +
+        'folds.csv (the errors of every fold) to'
+  });
+  return parser.parseArgs();
+}
+
+async function main() {
+  const args = parseArguments();
+  if (args.gpu) {
+    console.log('Using GPU for training.');
+    require('@tensorflow/tfjs-node-gpu');
+  } else {
+    console.log('Using CPU for training.');
+    require('@tensorflow/tfjs-node');
+  }
+  // Used to download the Jena weather data.
+  global.fetch = require('node-fetch');
+
+  const jenaWeatherData = await loadData(args);
+  const targetColumns = args.targetColumns == null ?
+      [jenaWeatherData.getDefaultTargetColumn()] :
+      parseColumns(args.targetColumns);
+  if (!(args.horizon > 0)) {
+    throw new Error(`Invalid horizon: ${args.horizon}`);
+  }
+
+  const folds = getFolds(jenaWeatherData.numRows, {
+    initialTrainRows: args.initialTrainRows,
+    testRows: args.testRows,
+    windowType: args.windowType,
+    lookBack: args.lookBack,
+    targetReach: getTargetReach(
+        jenaWeatherData, args.lookBack, args.delay, args.step, args.horizon),
+    maxNumFolds: args.numFolds
+  });
+  console.log(`Backtesting on ${folds.length} fold(s)...`);
+
+  if (!fs.existsSync(args.outputDir)) {
+    fs.mkdirSync(args.outputDir);
+  }
+  const predictionsPath = path.join(args.outputDir, 'predictions.csv');
+  const results = await backtest(
+      jenaWeatherData, folds, {
+        modelType: args.modelType,
+        refit: args.refit,
+        epochs: args.epochs,
+        fineTuneEpochs: args.fineTuneEpochs,
+        batchSize: args.batchSize,
+        normalize: true,
+        includeDateTime: args.includeDateTime,
+        lookBack: args.lookBack,
+        step: args.step,
+        delay: args.delay,
+        targetColumns,
+        horizon: args.horizon
+      },
+      predictionsPath);
+  const foldsPath = path.join(args.outputDir, 'folds.csv');
+  writeFoldsCsv(foldsPath, jenaWeatherData, results);
+
+  console.log(formatSummary(results));
+  console.log(`Wrote the predictions to ${predictionsPath}`);
+  console.log(`Wrote the errors of the folds to ${foldsPath}`);
+}
+
+if (require.main === module) {
+  main();
+}
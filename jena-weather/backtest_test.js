@@ -0,0 +1,202 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {PassThrough} from 'stream';
+
+import {backtest, formatSummary, getFolds, getSeason, getTargetReach, toCsvLine, writeFoldsCsv} from './backtest';
+import {JenaWeatherData} from './data';
+
+describe('getFolds', () => {
+  it('Expanding window', () => {
+    const folds = getFolds(100, {
+      initialTrainRows: 40,
+      testRows: 20,
+      windowType: 'expanding',
+      lookBack: 10,
+      targetReach: 12
+    });
+    expect(folds).toEqual([
+      {index: 0, trainMinRow: 0, trainMaxRow: 29, testMinRow: 40,
+       testMaxRow: 60},
+      {index: 1, trainMinRow: 0, trainMaxRow: 49, testMinRow: 60,
+       testMaxRow: 80}
+    ]);
+  });
+
+  it('Sliding window and maximum number of folds', () => {
+    const folds = getFolds(1000, {
+      initialTrainRows: 40,
+      testRows: 20,
+      windowType: 'sliding',
+      lookBack: 10,
+      targetReach: 12,
+      maxNumFolds: 3
+    });
+    expect(folds.length).toEqual(3);
+    expect(folds[2]).toEqual({
+      index: 2,
+      trainMinRow: 40,
+      trainMaxRow: 69,
+      testMinRow: 80,
+      testMaxRow: 100
+    });
+  });
+
+  it('Too few rows throw', () => {
+    const config = {
+      initialTrainRows: 40,
+      testRows: 20,
+      windowType: 'expanding',
+      lookBack: 10,
+      targetReach: 12
+    };
+    expect(() => getFolds(70, config)).toThrowError(/single fold/);
+    expect(() => getFolds(100, Object.assign({}, config, {
+      initialTrainRows: 21
+    }))).toThrowError(/Too few training rows/);
+  });
+});
+
+describe('getSeason', () => {
+  it('Meteorological seasons', () => {
+    expect(getSeason(new Date(Date.UTC(2019, 0, 15)))).toEqual('winter');
+    expect(getSeason(new Date(Date.UTC(2019, 2, 1)))).toEqual('spring');
+    expect(getSeason(new Date(Date.UTC(2019, 7, 31)))).toEqual('summer');
+    expect(getSeason(new Date(Date.UTC(2019, 10, 30)))).toEqual('autumn');
+    expect(getSeason(new Date(Date.UTC(2019, 11, 1)))).toEqual('winter');
+  });
+});
+
+describe('toCsvLine', () => {
+  it('Quotes fields where necessary', () => {
+    expect(toCsvLine([1, 'T (degC)', 'a,b', 'say "hi"']))
+        .toEqual('1,T (degC),"a,b","say ""hi"""\n');
+  });
+});
+
+describe('backtest', () => {
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+  });
+
+  afterEach(() => {
+    for (const fileName of fs.readdirSync(outputDir)) {
+      fs.unlinkSync(path.join(outputDir, fileName));
+    }
+    fs.rmdirSync(outputDir);
+  });
+
+  it('Fine-tuning on a small dataset', async () => {
+    // Hourly data over 120 days.
+    const lines = ['time,temperature'];
+    for (let i = 0; i < 120 * 24; ++i) {
+      lines.push(`${1546300800 + i * 3600},${Math.sin(i / 24 * 2 * Math.PI)}`);
+    }
+    const stream = new PassThrough();
+    stream.end(lines.join('\n'));
+    const data = new JenaWeatherData();
+    await data.load(stream, {
+      dateTimeColumn: 'time',
+      dateTimeFormat: 'unix',
+      dataColumns: {'T (degC)': 'temperature'}
+    });
+
+    const lookBack = 12;
+    const step = 1;
+    const delay = 1;
+    const horizon = 2;
+    const folds = getFolds(data.numRows, {
+      initialTrainRows: 30 * 24,
+      testRows: 40 * 24,
+      windowType: 'expanding',
+      lookBack,
+      targetReach: getTargetReach(data, lookBack, delay, step, horizon)
+    });
+    expect(folds.length).toEqual(2);
+
+    const predictionsPath = path.join(outputDir, 'predictions.csv');
+    const results = await backtest(
+        data, folds, {
+          modelType: 'linear-regression',
+          refit: 'fineTune',
+          epochs: 1,
+          fineTuneEpochs: 1,
+          batchSize: 32,
+          normalize: true,
+          includeDateTime: false,
+          lookBack,
+          step,
+          delay,
+          targetColumns: ['T (degC)'],
+          horizon
+        },
+        predictionsPath);
+
+    expect(results.folds.length).toEqual(2);
+    expect(results.folds[0].errors[0].count).toEqual(40 * 24 * horizon);
+    expect(results.overall[0].column).toEqual('T (degC)');
+    expect(results.overall[0].count).toEqual(2 * 40 * 24 * horizon);
+    expect(results.overall[0].model).toBeGreaterThan(0);
+    expect(results.overall[0].baseline).toBeGreaterThan(0);
+    // The test windows span the winter and the spring of 2019.
+    expect(results.seasons.map(item => item.season)).toEqual([
+      'winter', 'spring'
+    ]);
+
+    const predictions = fs.readFileSync(predictionsPath, 'utf8').split('\n');
+    // Header, predictions and the final line terminator.
+    expect(predictions.length).toEqual(1 + 2 * 40 * 24 * horizon + 1);
+    expect(predictions[0].split(',')).toEqual([
+      'fold', 'forecastTime', 'targetTime', 'rowsAhead', 'column', 'actual',
+      'prediction', 'residual', 'baselinePrediction', 'baselineResidual'
+    ]);
+    // The first test example is at row 720, whose input ends at row 719 and
+    // whose targets are at rows 720 and 721.
+    const [
+      fold, forecastTime, targetTime, rowsAhead, column, actual, prediction,
+      residual, baselinePrediction, baselineResidual
+    ] = predictions[2].split(',');
+    expect(fold).toEqual('0');
+    expect(forecastTime).toEqual(data.getTime(719).toISOString());
+    expect(targetTime).toEqual(data.getTime(721).toISOString());
+    expect(rowsAhead).toEqual('2');
+    expect(column).toEqual('T (degC)');
+    expect(+actual).toBeCloseTo(Math.sin(721 / 24 * 2 * Math.PI), 4);
+    expect(+residual).toBeCloseTo(+actual - +prediction, 4);
+    // The baseline repeats the last input value.
+    expect(+baselinePrediction)
+        .toBeCloseTo(Math.sin(719 / 24 * 2 * Math.PI), 4);
+    expect(+baselineResidual).toBeCloseTo(+actual - +baselinePrediction, 4);
+
+    const foldsPath = path.join(outputDir, 'folds.csv');
+    writeFoldsCsv(foldsPath, data, results);
+    const foldLines = fs.readFileSync(foldsPath, 'utf8').trim().split('\n');
+    expect(foldLines.length).toEqual(3);
+    expect(foldLines[2].split(',').slice(0, 4)).toEqual([
+      '1', data.getTime(0).toISOString(), data.getTime(70 * 24).toISOString(),
+      data.getTime(110 * 24 - 1).toISOString()
+    ]);
+
+    expect(formatSummary(results))
+        .toMatch(/T \(degC\): MAE=.* better than the baseline in \d of 2/);
+  });
+});
@@ -0,0 +1,519 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Configurable loading of time-series CSV files.
+ *
+ * The CSV file is parsed line by line as it is read from the source, so the
+ * whole text of the file never needs to be held in memory. Rows with missing
+ * timestamps and missing values can optionally be filled in.
+ *
+ * This file is used in both
+ * - the browser: see [index.js](./index.js), and
+ * - the Node.js backend environment: see [train-rnn.js](./train-rnn.js).
+ */
+
+/** Methods for filling in missing rows and values. */
+export const FILL_GAPS_METHODS = ['none', 'previous', 'linear'];
+
+/** The configuration of the Jena weather CSV file. */
+export const DEFAULT_CSV_CONFIG = {
+  dateTimeColumn: 'Date Time',
+  dateTimeFormat: 'dd.MM.yyyy HH:mm:ss',
+  dataColumns: null,
+  delimiter: ',',
+  intervalMs: null,
+  fillGaps: 'none'
+};
+
+// Number of digits of the fields in date-time format strings.
+const DATE_TIME_FIELD_PATTERNS = {
+  yyyy: '(\\d{4})',
+  MM: '(\\d{1,2})',
+  dd: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{1,2})',
+  ss: '(\\d{1,2})',
+  SSS: '(\\d{1,3})'
+};
+
+/**
+ * Create a function that parses date-time strings of a format.
+ *
+ * @param {string} format The format. Either
+ *   - 'iso': An ISO 8601 string, parsed with `Date.parse()`,
+ *   - 'unix': Seconds since the Unix epoch,
+ *   - 'unixMs': Milliseconds since the Unix epoch, or
+ *   - A pattern made of the fields `yyyy` (year), `MM` (month), `dd` (day),
+ *     `HH` (hours), `mm` (minutes), `ss` (seconds) and `SSS` (milliseconds),
+ *     and of literal characters, e.g., 'dd.MM.yyyy HH:mm:ss' or
+ *     'yyyy-MM-dd HH:mm'. The times are interpreted as UTC.
+ * @returns {Function} A function that takes a string and returns the time it
+ *   represents, in milliseconds since the Unix epoch, or `NaN` if the string
+ *   doesn't have the format.
+ */
+export function makeDateTimeParser(format) {
+  if (format === 'iso') {
+    return str => Date.parse(str);
+  } else if (format === 'unix') {
+    return str => str.trim().length > 0 ? Number(str) * 1000 : NaN;
+  } else if (format === 'unixMs') {
+    return str => str.trim().length > 0 ? Number(str) : NaN;
+  }
+
+  const fields = [];
+  const pattern = format.replace(
+      /yyyy|MM|dd|HH|mm|ss|SSS|[.*+?^${}()|[\]\\]/g, match => {
+        if (match in DATE_TIME_FIELD_PATTERNS) {
+          fields.push(match);
+          return DATE_TIME_FIELD_PATTERNS[match];
+        }
+        return `\\${match}`;
+      });
+  if (fields.indexOf('yyyy') === -1) {
+    throw new Error(`Date-time format has no year (yyyy) field: ${format}`);
+  }
+  const regex = new RegExp(`^\\s*${pattern}\\s*$`);
+
+  return str => {
+    const match = regex.exec(str);
+    if (match == null) {
+      return NaN;
+    }
+    const values = {MM: 1, dd: 1, HH: 0, mm: 0, ss: 0, SSS: 0};
+    fields.forEach((field, i) => values[field] = +match[i + 1]);
+    return Date.UTC(
+        values.yyyy, values.MM - 1, values.dd, values.HH, values.mm, values.ss,
+        values.SSS);
+  };
+}
+
+/**
+ * Split a line of a CSV file into its fields.
+ *
+ * Fields may be quoted with double quotes, in which case they can contain the
+ * delimiter, and double quotes escaped as `""`.
+ *
+ * @param {string} line The line.
+ * @param {string} delimiter The delimiter between the fields.
+ * @returns {string[]} The fields, without the quotes.
+ */
+export function splitCsvLine(line, delimiter) {
+  if (line.indexOf('"') === -1) {
+    return line.split(delimiter);
+  }
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; ++i) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (line.startsWith(delimiter, i)) {
+      fields.push(field);
+      field = '';
+      i += delimiter.length - 1;
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function isWebStream(source) {
+  return source != null && typeof source.getReader === 'function';
+}
+
+function isNodeStream(source) {
+  return source != null && typeof source.on === 'function' &&
+      typeof source.pipe === 'function';
+}
+
+/**
+ * Read the text of a source chunk by chunk.
+ *
+ * @param {string | Response | Blob | ReadableStream | stream.Readable} source
+ *   See `loadTimeSeriesCsv()`.
+ * @param {Function} onChunk Called with every chunk of text, in order.
+ */
+async function readChunks(source, onChunk) {
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(
+          `Failed to fetch ${source}: ${response.status} ` +
+          `${response.statusText}`);
+    }
+    source = response;
+  }
+
+  if (source.body != null &&
+      (isWebStream(source.body) || isNodeStream(source.body))) {
+    // A `Response` of `fetch()`.
+    source = source.body;
+  } else if (typeof source.stream === 'function') {
+    // A `Blob` or `File`, in browsers that support streaming them.
+    source = source.stream();
+  }
+
+  if (isWebStream(source)) {
+    const reader = source.getReader();
+    const decoder = new TextDecoder();
+    while (true) {
+      const {done, value} = await reader.read();
+      if (done) {
+        break;
+      }
+      onChunk(decoder.decode(value, {stream: true}));
+    }
+    onChunk(decoder.decode());
+  } else if (isNodeStream(source)) {
+    source.setEncoding('utf8');
+    await new Promise((resolve, reject) => {
+      source.on('data', chunk => {
+        try {
+          onChunk(chunk);
+        } catch (err) {
+          // Errors thrown by event listeners would be uncaught otherwise.
+          source.destroy();
+          reject(err);
+        }
+      });
+      source.on('end', resolve);
+      source.on('error', reject);
+    });
+  } else if (typeof source.text === 'function') {
+    onChunk(await source.text());
+  } else {
+    throw new Error(
+        'Unsupported CSV source: expected a URL, a Response, a Blob or a ' +
+        'stream');
+  }
+}
+
+/**
+ * Read the lines of a source, without holding all of its text in memory.
+ *
+ * @param {string | Response | Blob | ReadableStream | stream.Readable} source
+ *   See `loadTimeSeriesCsv()`.
+ * @param {Function} onLine Called with every line, in order, without the line
+ *   terminator.
+ */
+export async function readLines(source, onLine) {
+  let remainder = '';
+  await readChunks(source, chunk => {
+    const lines = (remainder + chunk).split('\n');
+    remainder = lines.pop();
+    lines.forEach(line => onLine(line.replace(/\r$/, '')));
+  });
+  if (remainder.length > 0) {
+    onLine(remainder.replace(/\r$/, ''));
+  }
+}
+
+/**
+ * Find the index of a column in the header of a CSV file.
+ *
+ * @param {string[]} header The column names in the header.
+ * @param {string | number} column The name or the index of the column.
+ * @returns {number} The index.
+ * @throws {Error} If the column is not in the header.
+ */
+function getColumnIndex(header, column) {
+  const index = typeof column === 'number' ? column : header.indexOf(column);
+  if (!(index >= 0 && index < header.length)) {
+    throw new Error(
+        `Cannot find column "${column}" in the CSV header: ` +
+        `${header.join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Get the most common interval between consecutive timestamps, estimated as
+ * the median interval.
+ */
+function inferInterval(dateTime) {
+  const intervals = [];
+  for (let i = 1; i < dateTime.length && i <= 10000; ++i) {
+    intervals.push(dateTime[i] - dateTime[i - 1]);
+  }
+  intervals.sort((a, b) => a - b);
+  return intervals[Math.floor(intervals.length / 2)];
+}
+
+/**
+ * Fill in the missing values of the rows, column by column.
+ *
+ * @returns {number} The number of filled-in values.
+ */
+function fillMissingValues(data, columnNames, method) {
+  let numFilledValues = 0;
+  columnNames.forEach((name, col) => {
+    let prev = -1;  // Index of the previous row with a value.
+    for (let i = 0; i <= data.length; ++i) {
+      if (i < data.length && Number.isNaN(data[i][col])) {
+        continue;
+      }
+      if (prev === -1 && i === data.length) {
+        throw new Error(`Column "${name}" has no valid values`);
+      }
+      // Fill in the rows between `prev` and `i`.
+      for (let j = prev + 1; j < i; ++j) {
+        if (prev === -1) {
+          data[j][col] = data[i][col];
+        } else if (i === data.length || method === 'previous') {
+          data[j][col] = data[prev][col];
+        } else {
+          data[j][col] = data[prev][col] +
+              (data[i][col] - data[prev][col]) * (j - prev) / (i - prev);
+        }
+        numFilledValues++;
+      }
+      prev = i;
+    }
+  });
+  return numFilledValues;
+}
+
+/**
+ * Insert rows for missing timestamps, i.e., gaps between consecutive rows
+ * that are longer than the sampling interval.
+ *
+ * @returns {object} The rows with the gaps filled in: `dateTime`, `data`, and
+ *   also `numInsertedRows`.
+ */
+function fillMissingRows(dateTime, data, intervalMs, method) {
+  const filledDateTime = [dateTime[0]];
+  const filledData = [data[0]];
+  let numInsertedRows = 0;
+  for (let i = 1; i < data.length; ++i) {
+    const numMissing = countMissingRows(dateTime, i, intervalMs);
+    if (numMissing > 0) {
+      numInsertedRows += numMissing;
+    }
+    for (let k = 1; k <= numMissing; ++k) {
+      filledDateTime.push(dateTime[i - 1] + k * intervalMs);
+      filledData.push(data[i - 1].map(
+          (value, col) => method === 'previous' ?
+              value :
+              value + (data[i][col] - value) * k / (numMissing + 1)));
+    }
+    filledDateTime.push(dateTime[i]);
+    filledData.push(data[i]);
+  }
+  return {dateTime: filledDateTime, data: filledData, numInsertedRows};
+}
+
+/**
+ * Count the rows missing between row `i - 1` and row `i`.
+ */
+function countMissingRows(dateTime, i, intervalMs) {
+  return Math.round((dateTime[i] - dateTime[i - 1]) / intervalMs) - 1;
+}
+
+/**
+ * Count the gaps in the timestamps, i.e., the places where one or more rows
+ * are missing.
+ *
+ * @returns {number} The number of gaps.
+ */
+function countGaps(dateTime, intervalMs) {
+  let numGaps = 0;
+  for (let i = 1; i < dateTime.length; ++i) {
+    if (countMissingRows(dateTime, i, intervalMs) > 0) {
+      numGaps++;
+    }
+  }
+  return numGaps;
+}
+
+/**
+ * Parse a string that specifies the data columns to load.
+ *
+ * @param {string} str Comma-separated column names, each optionally followed
+ *   by `=` and the name of the column in the CSV file, e.g.,
+ *   'T (degC)=temperature,p (mbar)=pressure'.
+ * @returns {string[] | Object<string, string>} The list of column names, or, if
+ *   any of the columns is renamed, an object that maps the names to the names
+ *   in the CSV file. Suitable as the `dataColumns` of `loadTimeSeriesCsv()`.
+ */
+export function parseDataColumns(str) {
+  const columns =
+      str.split(',').map(name => name.trim()).filter(name => name.length);
+  if (columns.every(column => column.indexOf('=') === -1)) {
+    return columns;
+  }
+  const mapping = {};
+  for (const column of columns) {
+    const [name, sourceName] = column.split('=').map(item => item.trim());
+    mapping[name] = sourceName == null ? name : sourceName;
+  }
+  return mapping;
+}
+
+/**
+ * Load a time-series CSV file.
+ *
+ * The file must have a header with the names of the columns, a column with
+ * the timestamps of the rows, and numeric data columns.
+ *
+ * @param {string | Response | Blob | ReadableStream | stream.Readable} source
+ *   The source of the CSV file: A URL to fetch it from (with the global
+ *   `fetch()`), a response of `fetch()`, a `Blob` or `File` (e.g., from a file
+ *   input in the browser), a web `ReadableStream` or a Node.js readable stream
+ *   (e.g., from `fs.createReadStream()`).
+ * @param {object} config The format of the file, with the keys below.
+ *   Optional. Missing keys take their values from `DEFAULT_CSV_CONFIG`, which
+ *   describes the Jena weather CSV file.
+ *   - `dateTimeColumn` {string | number} The name or the index of the column
+ *     with the timestamps.
+ *   - `dateTimeFormat` {string} The format of the timestamps. See
+ *     `makeDateTimeParser()`.
+ *   - `dataColumns` {string[] | Object<string, string>} The data columns to
+ *     load. Either a list of column names, or an object that maps names
+ *     to use for the columns (e.g., 'T (degC)') to the names in the file
+ *     (e.g., 'temperature'). If `null` or `undefined`, all the columns other
+ *     than the date-time column are loaded, under their names in the file.
+ *   - `delimiter` {string} The delimiter between the fields of a line.
+ *   - `intervalMs` {number} The sampling interval of the rows, in
+ *     milliseconds. Used to detect missing timestamps. If `null` or
+ *     `undefined`, the median interval between consecutive rows is used.
+ *   - `fillGaps` {'none' | 'previous' | 'linear'} How to fill in missing
+ *     timestamps and missing (empty or non-numeric) values: Not at all, in
+ *     which case missing values are an error; with the previous value; or by
+ *     linear interpolation between the surrounding values. Unless 'none', rows
+ *     with a timestamp that is not later than the previous row's are
+ *     discarded.
+ * @returns {object} The loaded data:
+ *   - `dateTime` {number[]} The timestamps of the rows, in milliseconds since
+ *     the Unix epoch.
+ *   - `columnNames` {string[]} The names of the data columns.
+ *   - `data` {number[][]} The values of the data columns, one array per row.
+ *   - `report` {object} Statistics of the loading: `numRows`, `intervalMs`,
+ *     `numDiscardedRows`, `numGaps`, `numInsertedRows` and `numFilledValues`.
+ *     Gaps are counted even with `fillGaps: 'none'`.
+ * @throws {Error} If the file doesn't match the configuration.
+ */
+export async function loadTimeSeriesCsv(source, config) {
+  config = Object.assign({}, DEFAULT_CSV_CONFIG, config);
+  if (FILL_GAPS_METHODS.indexOf(config.fillGaps) === -1) {
+    throw new Error(`Invalid method for filling gaps: ${config.fillGaps}`);
+  }
+  const parseDateTime = makeDateTimeParser(config.dateTimeFormat);
+  const fillGaps = config.fillGaps !== 'none';
+
+  let dateTimeIndex;
+  let columnNames;
+  let columnIndices;
+  let dateTime = [];
+  let data = [];
+  let lineNumber = 0;
+  let numDiscardedRows = 0;
+  await readLines(source, line => {
+    lineNumber++;
+    if (line.trim().length === 0) {
+      return;
+    }
+    const items = splitCsvLine(line, config.delimiter);
+
+    if (columnNames == null) {
+      // Parse header.
+      const header = items.map(item => item.trim());
+      dateTimeIndex = getColumnIndex(header, config.dateTimeColumn);
+      if (config.dataColumns == null) {
+        columnNames = header.filter((name, i) => i !== dateTimeIndex);
+        columnIndices = columnNames.map(name => header.indexOf(name));
+      } else if (Array.isArray(config.dataColumns)) {
+        columnNames = config.dataColumns.slice();
+        columnIndices =
+            columnNames.map(name => getColumnIndex(header, name));
+      } else {
+        columnNames = Object.keys(config.dataColumns);
+        columnIndices = columnNames.map(
+            name => getColumnIndex(header, config.dataColumns[name]));
+      }
+      if (columnNames.length === 0) {
+        throw new Error('There are no data columns to load');
+      }
+      return;
+    }
+
+    const time = parseDateTime(items[dateTimeIndex] || '');
+    if (Number.isNaN(time)) {
+      throw new Error(
+          `Invalid date-time "${items[dateTimeIndex]}" at line ` +
+          `${lineNumber}: expected the format ${config.dateTimeFormat}`);
+    }
+    if (fillGaps && dateTime.length > 0 &&
+        time <= dateTime[dateTime.length - 1]) {
+      numDiscardedRows++;
+      return;
+    }
+
+    const row = columnIndices.map(index => {
+      const str = items[index];
+      return str == null || str.trim().length === 0 ? NaN : Number(str);
+    });
+    if (!fillGaps) {
+      const col = row.findIndex(value => Number.isNaN(value));
+      if (col !== -1) {
+        throw new Error(
+            `Invalid value "${items[columnIndices[col]]}" in column ` +
+            `"${columnNames[col]}" at line ${lineNumber}. Use the fillGaps ` +
+            `option to fill in missing values.`);
+      }
+    }
+    dateTime.push(time);
+    data.push(row);
+  });
+  if (data.length === 0) {
+    throw new Error('The CSV file has no data rows');
+  }
+
+  const intervalMs = config.intervalMs || inferInterval(dateTime);
+  // Gaps are counted even if they are not filled in.
+  const report = {
+    numRows: data.length,
+    intervalMs,
+    numDiscardedRows,
+    numGaps: countGaps(dateTime, intervalMs),
+    numInsertedRows: 0,
+    numFilledValues: 0
+  };
+  if (fillGaps) {
+    report.numFilledValues =
+        fillMissingValues(data, columnNames, config.fillGaps);
+    const filled =
+        fillMissingRows(dateTime, data, report.intervalMs, config.fillGaps);
+    dateTime = filled.dateTime;
+    data = filled.data;
+    report.numRows = data.length;
+    report.numInsertedRows = filled.numInsertedRows;
+  }
+  return {dateTime, columnNames, data, report};
+}
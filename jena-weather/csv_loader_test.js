@@ -0,0 +1,210 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import {PassThrough} from 'stream';
+
+import {loadTimeSeriesCsv, makeDateTimeParser, parseDataColumns, readLines, splitCsvLine} from './csv_loader';
+
+/**
+ * Create a Node.js stream that yields a text in chunks of a given size.
+ */
+function makeStream(text, chunkSize = 7) {
+  const stream = new PassThrough();
+  for (let i = 0; i < text.length; i += chunkSize) {
+    stream.write(text.slice(i, i + chunkSize));
+  }
+  stream.end();
+  return stream;
+}
+
+describe('makeDateTimeParser', () => {
+  it('Jena weather format', () => {
+    const parse = makeDateTimeParser('dd.MM.yyyy HH:mm:ss');
+    expect(parse('17.01.2009 22:10:00'))
+        .toEqual(Date.UTC(2009, 0, 17, 22, 10, 0));
+    expect(parse('2009-01-17 22:10:00')).toBeNaN();
+  });
+
+  it('Custom patterns', () => {
+    expect(makeDateTimeParser('yyyy-MM-dd HH:mm')('2019-3-5 7:05'))
+        .toEqual(Date.UTC(2019, 2, 5, 7, 5));
+    expect(makeDateTimeParser('MM/dd/yyyy')('12/31/2018'))
+        .toEqual(Date.UTC(2018, 11, 31));
+    expect(makeDateTimeParser('yyyyMMdd.HHmmss.SSS')('20190102.030405.678'))
+        .toEqual(Date.UTC(2019, 0, 2, 3, 4, 5, 678));
+  });
+
+  it('iso, unix and unixMs', () => {
+    expect(makeDateTimeParser('iso')('2019-01-02T03:04:05Z'))
+        .toEqual(Date.UTC(2019, 0, 2, 3, 4, 5));
+    expect(makeDateTimeParser('unix')('1546398245')).toEqual(1546398245000);
+    expect(makeDateTimeParser('unixMs')('1546398245000'))
+        .toEqual(1546398245000);
+    expect(makeDateTimeParser('unix')('')).toBeNaN();
+  });
+
+  it('Format without year throws', () => {
+    expect(() => makeDateTimeParser('HH:mm')).toThrowError(/year/);
+  });
+});
+
+describe('splitCsvLine', () => {
+  it('Unquoted and quoted fields', () => {
+    expect(splitCsvLine('a,b,,c', ',')).toEqual(['a', 'b', '', 'c']);
+    expect(splitCsvLine('"Date Time","T (degC)"', ','))
+        .toEqual(['Date Time', 'T (degC)']);
+    expect(splitCsvLine('"a,b";"say ""hi""";c', ';'))
+        .toEqual(['a,b', 'say "hi"', 'c']);
+  });
+});
+
+describe('parseDataColumns', () => {
+  it('List and mapping', () => {
+    expect(parseDataColumns('a, b')).toEqual(['a', 'b']);
+    expect(parseDataColumns('T (degC)=temp,b')).toEqual({
+      'T (degC)': 'temp',
+      b: 'b'
+    });
+  });
+});
+
+describe('readLines', () => {
+  it('Lines split across chunks', async () => {
+    const lines = [];
+    await readLines(makeStream('ab\r\ncde\n\nfghij\nk', 2), line => {
+      lines.push(line);
+    });
+    expect(lines).toEqual(['ab', 'cde', '', 'fghij', 'k']);
+  });
+});
+
+describe('loadTimeSeriesCsv', () => {
+  const jenaCsv = '"Date Time","p (mbar)","T (degC)"\n' +
+      '01.01.2009 00:10:00,996.52,-8.02\n' +
+      '01.01.2009 00:20:00,996.57,-8.41\n' +
+      '01.01.2009 00:30:00,996.53,-8.51\n';
+
+  it('Jena weather format by default', async () => {
+    const {dateTime, columnNames, data, report} =
+        await loadTimeSeriesCsv(makeStream(jenaCsv));
+    expect(columnNames).toEqual(['p (mbar)', 'T (degC)']);
+    expect(dateTime).toEqual([
+      Date.UTC(2009, 0, 1, 0, 10), Date.UTC(2009, 0, 1, 0, 20),
+      Date.UTC(2009, 0, 1, 0, 30)
+    ]);
+    expect(data).toEqual(
+        [[996.52, -8.02], [996.57, -8.41], [996.53, -8.51]]);
+    expect(report.numRows).toEqual(3);
+    expect(report.intervalMs).toEqual(10 * 60 * 1000);
+  });
+
+  it('Column mapping, date-time format and delimiter', async () => {
+    const csv = 'temperature;time;humidity;pressure\n' +
+        '20.5;2019-05-01 10:00;40;1001\n' +
+        '21.0;2019-05-01 11:00;41;1002\n';
+    const {dateTime, columnNames, data} = await loadTimeSeriesCsv(
+        makeStream(csv), {
+          dateTimeColumn: 1,
+          dateTimeFormat: 'yyyy-MM-dd HH:mm',
+          dataColumns: {'T (degC)': 'temperature', 'p (mbar)': 'pressure'},
+          delimiter: ';'
+        });
+    expect(columnNames).toEqual(['T (degC)', 'p (mbar)']);
+    expect(dateTime[1]).toEqual(Date.UTC(2019, 4, 1, 11));
+    expect(data).toEqual([[20.5, 1001], [21.0, 1002]]);
+  });
+
+  it('Linear interpolation of gaps', async () => {
+    const csv = 'time,a,b\n' +
+        '0,0,10\n' +
+        '60,1,\n' +        // Missing value.
+        '60,5,5\n' +       // Duplicate timestamp.
+        '120,2,30\n' +
+        '300,5,0\n';       // Two missing rows before.
+    const {dateTime, data, report} = await loadTimeSeriesCsv(
+        makeStream(csv),
+        {dateTimeColumn: 'time', dateTimeFormat: 'unix', fillGaps: 'linear'});
+    expect(dateTime).toEqual([0, 60e3, 120e3, 180e3, 240e3, 300e3]);
+    expect(data).toEqual(
+        [[0, 10], [1, 20], [2, 30], [3, 20], [4, 10], [5, 0]]);
+    expect(report.intervalMs).toEqual(60e3);
+    expect(report.numDiscardedRows).toEqual(1);
+    expect(report.numGaps).toEqual(1);
+    expect(report.numInsertedRows).toEqual(2);
+    expect(report.numFilledValues).toEqual(1);
+  });
+
+  it('Filling in gaps with the previous value', async () => {
+    const csv = 'time,a\n' +
+        '0,\n' +
+        '60,1\n' +
+        '180,3\n' +
+        '240,x\n';
+    const {dateTime, data, report} = await loadTimeSeriesCsv(
+        makeStream(csv), {
+          dateTimeColumn: 'time',
+          dateTimeFormat: 'unix',
+          intervalMs: 60e3,
+          fillGaps: 'previous'
+        });
+    expect(dateTime).toEqual([0, 60e3, 120e3, 180e3, 240e3]);
+    // Leading missing values are filled in with the next value.
+    expect(data).toEqual([[1], [1], [1], [3], [3]]);
+    expect(report.numFilledValues).toEqual(2);
+  });
+
+  it('Gaps are counted without filling them in', async () => {
+    const csv = 'time,a\n0,1\n60,2\n120,3\n300,4\n360,5\n540,6\n';
+    const {dateTime, data, report} = await loadTimeSeriesCsv(
+        makeStream(csv), {dateTimeColumn: 'time', dateTimeFormat: 'unix'});
+    expect(dateTime).toEqual([0, 60e3, 120e3, 300e3, 360e3, 540e3]);
+    expect(data).toEqual([[1], [2], [3], [4], [5], [6]]);
+    expect(report.intervalMs).toEqual(60e3);
+    expect(report.numGaps).toEqual(2);
+    expect(report.numInsertedRows).toEqual(0);
+  });
+
+  it('Missing values without filling in gaps throw', async () => {
+    const csv = 'time,a\n0,1\n60,\n';
+    let error;
+    try {
+      await loadTimeSeriesCsv(
+          makeStream(csv), {dateTimeColumn: 'time', dateTimeFormat: 'unix'});
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/column "a" at line 3/);
+  });
+
+  it('Invalid date-time and column names throw', async () => {
+    let error;
+    try {
+      await loadTimeSeriesCsv(makeStream(jenaCsv.replace('00:20:00', 'x')));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/Invalid date-time .* at line 3/);
+
+    error = null;
+    try {
+      await loadTimeSeriesCsv(makeStream(jenaCsv), {dataColumns: ['foo']});
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/Cannot find column "foo"/);
+  });
+});
@@ -22,6 +22,9 @@
  * [Jena weather archive
  * dataset](https://www.kaggle.com/pankrzysiu/weather-archive-jena).
  * 
+ * Other time-series CSV files can be loaded as well, see
+ * [csv_loader.js](./csv_loader.js).
+ *
  * This file is used to load the Jena weather data in both
  * - the browser: see [index.js](./index.js), and 
  * - the Node.js backend environment: see [train-rnn.js](./train-rnn.js).
@@ -29,6 +32,8 @@
 
 import * as tf from '@tensorflow/tfjs';
 
+import {loadTimeSeriesCsv} from './csv_loader';
+
 const LOCAL_JENA_WEATHER_CSV_PATH = './jena_climate_2009_2016.csv';
 const REMOTE_JENA_WEATHER_CSV_PATH =
     'https://storage.googleapis.com/learnjs-data/jena_climate/jena_climate_2009_2016.csv';
@@ -45,64 +50,65 @@ export class JenaWeatherData {
   /**
    * Load and preprocess data.
    *
-   * This method first tries to load the data from `LOCAL_JENA_WEATHER_CSV_PATH`
-   * (a relative path) and, if that fails, will try to load it from a remote
-   * URL (`JENA_WEATHER_CSV_PATH`).
+   * If no source is specified, this method first tries to load the Jena
+   * weather data from `LOCAL_JENA_WEATHER_CSV_PATH` (a relative path) and, if
+   * that fails, will try to load it from a remote URL
+   * (`JENA_WEATHER_CSV_PATH`).
+   *
+   * @param {string | Response | Blob | ReadableStream | stream.Readable} source
+   *   The source of a time-series CSV file to load instead of the Jena weather
+   *   data. Optional. See `loadTimeSeriesCsv()` in
+   *   [csv_loader.js](./csv_loader.js) for the supported sources.
+   * @param {object} config The format of the CSV file. Optional. Supports the
+   *   keys of `DEFAULT_CSV_CONFIG` in [csv_loader.js](./csv_loader.js), which
+   *   are also the defaults, and:
+   *   - `targetColumn` {string} Name of the data column to predict by
+   *     default. Defaults to 'T (degC)' if there is such a column, and to the
+   *     first data column otherwise.
    */
-  async load() {
-    let response;
-    try {
-      response = await fetch(LOCAL_JENA_WEATHER_CSV_PATH);
-    } catch (err) {}
+  async load(source, config) {
+    config = config || {};
+    if (source == null) {
+      let response;
+      try {
+        response = await fetch(LOCAL_JENA_WEATHER_CSV_PATH);
+      } catch (err) {}
 
-    if (response != null &&
-        (response.statusCode === 200 || response.statusCode === 304)) {
-      console.log('Loading data from local path');
-    } else {
-      response = await fetch(REMOTE_JENA_WEATHER_CSV_PATH);
-      console.log(
-          `Loading data from remote path: ${REMOTE_JENA_WEATHER_CSV_PATH}`);
+      if (response != null &&
+          (response.statusCode === 200 || response.statusCode === 304)) {
+        console.log('Loading data from local path');
+      } else {
+        response = await fetch(REMOTE_JENA_WEATHER_CSV_PATH);
+        console.log(
+            `Loading data from remote path: ${REMOTE_JENA_WEATHER_CSV_PATH}`);
+      }
+      source = response;
     }
-    const csvData = await response.text();
 
-    // Parse CSV file.
-    const csvLines = csvData.split('\n');
+    const {dateTime, columnNames, data, report} =
+        await loadTimeSeriesCsv(source, config);
+    console.log(`Loaded CSV data: ${JSON.stringify(report)}`);
+    this.loadReport = report;
 
-    // Parse header.
-    const columnNames = csvLines[0].split(',');
-    for (let i = 0; i < columnNames.length; ++i) {
-      // Discard the quotes around the column name.
-      columnNames[i] = columnNames[i].slice(1, columnNames[i].length - 1);
+    this.dataColumnNames = columnNames;
+    if (config.targetColumn != null) {
+      this.tempCol = this.dataColumnNames.indexOf(config.targetColumn);
+      if (this.tempCol === -1) {
+        throw new Error(`Invalid target column name: ${config.targetColumn}`);
+      }
+    } else {
+      this.tempCol = Math.max(this.dataColumnNames.indexOf('T (degC)'), 0);
     }
 
-    this.dateTimeCol = columnNames.indexOf('Date Time');
-    tf.util.assert(this.dateTimeCol === 0, `Unexpected date-time column index`);
-
-    this.dataColumnNames = columnNames.slice(1);
-    this.tempCol = this.dataColumnNames.indexOf('T (degC)');
-    tf.util.assert(this.tempCol >= 1, `Unexpected T (degC) column index`);
-
     this.dateTime = [];
-    this.data = [];  // Unnormalized data.
+    this.data = data;  // Unnormalized data.
     // Day of the year data, normalized between 0 and 1.
     this.normalizedDayOfYear = [];
     // Time of the day, normalized between 0 and 1.
     this.normalizedTimeOfDay = [];
-    for (let i = 1; i < csvLines.length; ++i) {
-      const line = csvLines[i].trim();
-      if (line.length === 0) {
-        continue;
-      }
-      const items = line.split(',');
-      const parsed = this.parseDateTime_(items[0]);
-      const newDateTime = parsed.date;
-      if (this.dateTime.length > 0 &&
-          newDateTime.getTime() <=
-              this.dateTime[this.dateTime.length - 1].getTime()) {
-      }
-
-      this.dateTime.push(newDateTime);
-      this.data.push(items.slice(1).map(x => +x));
+    for (const time of dateTime) {
+      const parsed = this.normalizeDateTime_(time);
+      this.dateTime.push(parsed.date);
       this.normalizedDayOfYear.push(parsed.normalizedDayOfYear);
       this.normalizedTimeOfDay.push(parsed.normalizedTimeOfDay);
     }
@@ -116,36 +122,33 @@ export class JenaWeatherData {
   }
 
   /**
-   * Parse the date-time string from the Jena weather CSV file.
+   * Calculate the date-time features of a timestamp.
    *
-   * @param {*} str The date time string with a format that looks like:
-   *   "17.01.2009 22:10:00"
+   * @param {number} time The timestamp, in milliseconds since the Unix epoch.
    * @returns date: A JavaScript Date object.
    *          normalizedDayOfYear: Day of the year, normalized between 0 and 1.
    *          normalizedTimeOfDay: Time of the day, normalized between 0 and 1.
    */
-  parseDateTime_(str) {
-    const items = str.split(' ');
-    const dateStr = items[0];
-    const dateStrItems = dateStr.split('.');
-    const day = +dateStrItems[0];
-    const month = +dateStrItems[1] - 1;  // month is 0-based in JS `Date` class.
-    const year = +dateStrItems[2];
-
-    const timeStrItems = items[1].split(':');
-    const hours = +timeStrItems[0];
-    const minutes = +timeStrItems[1];
-    const seconds = +timeStrItems[2];
+  normalizeDateTime_(time) {
+    const date = new Date(time);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
 
-    const date = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
-    const yearOnset = new Date(year, 0, 1);
+    const yearOnset = Date.UTC(year, 0, 1);
     const normalizedDayOfYear =
-        (date - yearOnset) / (366 * 1000 * 60 * 60 * 24);
-    const dayOnset = new Date(year, month, day);
-    const normalizedTimeOfDay = (date - dayOnset) / (1000 * 60 * 60 * 24)
+        (time - yearOnset) / (366 * 1000 * 60 * 60 * 24);
+    const dayOnset = Date.UTC(year, month, day);
+    const normalizedTimeOfDay = (time - dayOnset) / (1000 * 60 * 60 * 24);
     return {date, normalizedDayOfYear, normalizedTimeOfDay};
   }
 
+  /**
+   * Get the name of the data column that is predicted by default.
+   */
+  getDefaultTargetColumn() {
+    return this.dataColumnNames[this.tempCol];
+  }
 
   /**
    * Calculate the means and standard deviations of every column.
@@ -164,7 +167,7 @@ export class JenaWeatherData {
         const data =
             tf.tensor1d(this.getColumnData(columnName).slice(0, 6 * 24 * 365));
         const moments = tf.moments(data);
-        this.means.push(moments.mean.dataSync());
+        this.means.push(moments.mean.dataSync()[0]);
         this.stddevs.push(Math.sqrt(moments.variance.dataSync()));
       }
       console.log('means:', this.means);
@@ -232,6 +235,57 @@ export class JenaWeatherData {
     return out;
   }
 
+  /**
+   * Get the indices of the rows that the targets of an example are taken from.
+   *
+   * The first target is `delay` rows after the last row of the input
+   * features. The following ones are `step` rows apart from each other.
+   *
+   * @param {number} rowIndex The index of the example, i.e., the row right
+   *   after the look-back period of the input features.
+   * @param {number} lookBack Number of look-back time steps.
+   * @param {number} delay Number of time steps from the last time point in the
+   *   input features to the time of the first prediction.
+   * @param {number} step Number of steps between consecutive time points in the
+   *   input features and in the targets.
+   * @param {number} horizon Number of predicted time points.
+   * @returns {number[]} The row indices, of length `horizon`.
+   */
+  getTargetRowIndices(rowIndex, lookBack, delay, step, horizon) {
+    const lastInputRow =
+        rowIndex - lookBack + (Math.floor(lookBack / step) - 1) * step;
+    const rows = [];
+    for (let k = 0; k < horizon; ++k) {
+      rows.push(lastInputRow + delay + k * step);
+    }
+    return rows;
+  }
+
+  /**
+   * Get the indices of target data columns.
+   *
+   * @param {string[]} targetColumns Names of the columns. If `null` or
+   *   `undefined`, the default target column is used.
+   * @returns {number[]} The indices of the columns.
+   * @throws {Error} If any of the names is not a data column, or if there are
+   *   no names.
+   */
+  getTargetColumnIndices_(targetColumns) {
+    if (targetColumns == null) {
+      return [this.tempCol];
+    }
+    if (targetColumns.length === 0) {
+      throw new Error('At least one target column is required');
+    }
+    return targetColumns.map(name => {
+      const index = this.dataColumnNames.indexOf(name);
+      if (index === -1) {
+        throw new Error(`Invalid target column name: ${name}`);
+      }
+      return index;
+    });
+  }
+
   /**
    * Get a data iterator function.
    *
@@ -261,24 +315,35 @@ export class JenaWeatherData {
    *   normalized data.
    * @param {boolean} includeDateTime Include the date-time features, including
    *   normalized day-of-the-year and normalized time-of-the-day.
+   * @param {string[]} targetColumns Names of the data columns to predict.
+   *   Optional. Defaults to the default target column (the temperature in the
+   *   Jena weather data) only.
+   * @param {number} horizon Number of future time points to predict, `step`
+   *   rows apart from each other. Optional. Defaults to 1. See
+   *   `getTargetRowIndices()` for the exact rows.
    * @return {Function} An iterator Function, which returns a batch of features
    *   and targets when invoked. The features and targets are arranged in a
    *   length-2 array, in the said order.
    *   The features are represented as a float32-type `tf.Tensor` of shape
    *     `[batchSize, Math.floor(lookBack / step), featureLength]`
    *   The targets are represented as a float32-type `tf.Tensor` of shape
-   *     `[batchSize, 1]`.
+   *     `[batchSize, horizon * targetColumns.length]`, in which the target
+   *     for horizon step `k` and target column `c` is at index
+   *     `k * targetColumns.length + c`.
    */
   getNextBatchFunction(
       shuffle, lookBack, delay, batchSize, step, minIndex, maxIndex, normalize,
-      includeDateTime) {
+      includeDateTime, targetColumns, horizon) {
     let startIndex = minIndex + lookBack;
     const lookBackSlices = Math.floor(lookBack / step);
+    const targetCols = this.getTargetColumnIndices_(targetColumns);
+    if (horizon == null) {
+      horizon = 1;
+    }
 
     return {
       next: () => {
         const rowIndices = [];
-        let done = false;  // Indicates whether the dataset has ended.
         if (shuffle) {
           // If `shuffle` is `true`, start from randomly chosen rows.
           const range = maxIndex - (minIndex + lookBack);
@@ -292,8 +357,11 @@ export class JenaWeatherData {
           for (; r < startIndex + batchSize && r < maxIndex; ++r) {
             rowIndices.push(r);
           }
-          if (r >= maxIndex) {
-            done = true;
+          if (rowIndices.length === 0) {
+            // The dataset has ended. Returning the last batch along with
+            // `done: true` would cause it to be dropped (and its tensors to be
+            // leaked), so the end is signaled only after it.
+            return {value: null, done: true};
           }
         }
 
@@ -303,13 +371,14 @@ export class JenaWeatherData {
         const featureLength =
             includeDateTime ? this.numColumns + 2 : this.numColumns;
         const samples = tf.buffer([numExamples, lookBackSlices, featureLength]);
-        const targets = tf.buffer([numExamples, 1]);
+        const targets =
+            tf.buffer([numExamples, horizon * targetCols.length]);
         // Iterate over examples. Each example contains a number of rows.
         for (let j = 0; j < numExamples; ++j) {
           const rowIndex = rowIndices[j];
-          let exampleRow = 0;
           // Iterate over rows in the example.
-          for (let r = rowIndex - lookBack; r < rowIndex; r += step) {
+          for (let exampleRow = 0; exampleRow < lookBackSlices; ++exampleRow) {
+            const r = rowIndex - lookBack + exampleRow * step;
             let exampleCol = 0;
             // Iterate over features in the row.
             for (let n = 0; n < featureLength; ++n) {
@@ -325,17 +394,21 @@ export class JenaWeatherData {
               }
               samples.set(value, j, exampleRow, exampleCol++);
             }
-
-            const value = normalize ?
-                this.normalizedData[r + delay][this.tempCol] :
-                this.data[r + delay][this.tempCol];
-            targets.set(value, j, 0);
-            exampleRow++;
           }
+
+          const targetRows = this.getTargetRowIndices(
+              rowIndex, lookBack, delay, step, horizon);
+          targetRows.forEach((r, k) => {
+            targetCols.forEach((col, c) => {
+              const value = normalize ? this.normalizedData[r][col] :
+                                        this.data[r][col];
+              targets.set(value, j, k * targetCols.length + c);
+            });
+          });
         }
         return {
           value: {xs: samples.toTensor(), ys: targets.toTensor()},
-          done
+          done: false
         };
       }
     };
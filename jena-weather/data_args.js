@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Command-line flags that specify the time-series data to use, shared by
+ * train-rnn.js and backtest.js.
+ */
+
+import * as fs from 'fs';
+
+import {FILL_GAPS_METHODS, parseDataColumns} from './csv_loader';
+import {JenaWeatherData} from './data';
+
+/**
+ * Parse a string of comma-separated column names.
+ *
+ * @param {string} str The string, e.g., 'T (degC),p (mbar)'.
+ * @returns {string[]} The column names.
+ */
+export function parseColumns(str) {
+  return str.split(',').map(name => name.trim()).filter(name => name.length);
+}
+
+/**
+ * Load the data specified by the command-line arguments.
+ *
+ * @param {object} args The parsed command-line arguments, including the ones
+ *   added by `addDataArguments()`.
+ * @returns {JenaWeatherData} The loaded data.
+ */
+export async function loadData(args) {
+  const jenaWeatherData = new JenaWeatherData();
+  if (args.dataPath == null) {
+    console.log(`Loading Jena weather data...`);
+    await jenaWeatherData.load();
+    return jenaWeatherData;
+  }
+
+  console.log(`Loading data from ${args.dataPath}...`);
+  const source = /^https?:\/\//.test(args.dataPath) ?
+      args.dataPath :
+      fs.createReadStream(args.dataPath);
+  const dateTimeColumn = /^\d+$/.test(args.dateTimeColumn) ?
+      +args.dateTimeColumn :
+      args.dateTimeColumn;
+  await jenaWeatherData.load(source, {
+    dateTimeColumn,
+    dateTimeFormat: args.dateTimeFormat,
+    dataColumns:
+        args.dataColumns == null ? null : parseDataColumns(args.dataColumns),
+    delimiter: args.delimiter,
+    intervalMs:
+        args.intervalSeconds == null ? null : args.intervalSeconds * 1000,
+    fillGaps: args.fillGaps
+  });
+  return jenaWeatherData;
+}
+
+/**
+ * Add the flags that specify the data to train on to a parser.
+ *
+ * The data is loaded from the flags with `loadData()`.
+ *
+ * @param {ArgumentParser} parser The parser.
+ */
+export function addDataArguments(parser) {
+  parser.addArgument('--dataPath', {
+    type: 'string',
+    help: 'Path or http(s) URL of a time-series CSV file to use instead of ' +
+        'the Jena weather data. See the --dateTimeColumn, ' +
+        '--dateTimeFormat, --dataColumns, --delimiter, --intervalSeconds ' +
+        'and --fillGaps flags for its format'
+  });
+  parser.addArgument('--dateTimeColumn', {
+    type: 'string',
+    defaultValue: 'Date Time',
+    help: 'Name (or 0-based index) of the date-time column of the CSV file'
+  });
+  parser.addArgument('--dateTimeFormat', {
+    type: 'string',
+    defaultValue: 'dd.MM.yyyy HH:mm:ss',
+    help: 'Format of the date-time column: "iso", "unix" (seconds), ' +
+        '"unixMs", or a pattern of yyyy, MM, dd, HH, mm, ss and SSS, e.g., ' +
+        '"yyyy-MM-dd HH:mm"'
+  });
+  parser.addArgument('--dataColumns', {
+    type: 'string',
+    help: 'Data columns of the CSV file to use, separated by commas ' +
+        '(default: all but the date-time column). A column can be renamed ' +
+        'with name=nameInFile, e.g., "T (degC)=temperature"'
+  });
+  parser.addArgument('--delimiter', {
+    type: 'string',
+    defaultValue: ',',
+    help: 'Delimiter between the fields of the CSV file'
+  });
+  parser.addArgument('--intervalSeconds', {
+    type: 'float',
+    help: 'Sampling interval of the CSV file, used to detect missing ' +
+        'timestamps (default: the median interval between rows)'
+  });
+  parser.addArgument('--fillGaps', {
+    type: 'string',
+    defaultValue: 'none',
+    choices: FILL_GAPS_METHODS,
+    help: 'How to fill in missing timestamps and values of the CSV file: ' +
+        'not at all, with the previous value, or by linear interpolation'
+  });
+}
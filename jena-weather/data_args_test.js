@@ -0,0 +1,79 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import {ArgumentParser} from 'argparse';
+
+import {addDataArguments, loadData, parseColumns} from './data_args';
+
+describe('parseColumns', () => {
+  it('Splits and trims the column names', () => {
+    expect(parseColumns('T (degC), p (mbar),,')).toEqual([
+      'T (degC)', 'p (mbar)'
+    ]);
+  });
+});
+
+describe('addDataArguments', () => {
+  it('Defaults describe the Jena weather CSV file', () => {
+    const parser = new ArgumentParser();
+    addDataArguments(parser);
+    const args = parser.parseArgs([]);
+    expect(args.dataPath).toBeNull();
+    expect(args.dateTimeColumn).toEqual('Date Time');
+    expect(args.dateTimeFormat).toEqual('dd.MM.yyyy HH:mm:ss');
+    expect(args.delimiter).toEqual(',');
+    expect(args.fillGaps).toEqual('none');
+  });
+
+  it('Rejects unknown gap-filling methods', () => {
+    const parser = new ArgumentParser({debug: true});
+    addDataArguments(parser);
+    expect(() => parser.parseArgs(['--fillGaps', 'spline'])).toThrow();
+  });
+});
+
+describe('loadData', () => {
+  it('Loads a local CSV file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-args-test-'));
+    const dataPath = path.join(dir, 'data.csv');
+    fs.writeFileSync(
+        dataPath,
+        'time;a;b\n' +
+            '0;1;10\n' +
+            '60;2;20\n' +
+            '120;3;30\n');
+    try {
+      const parser = new ArgumentParser();
+      addDataArguments(parser);
+      const args = parser.parseArgs([
+        '--dataPath', dataPath, '--dateTimeColumn', '0', '--dateTimeFormat',
+        'unix', '--dataColumns', 'b=b', '--delimiter', ';'
+      ]);
+      const jenaWeatherData = await loadData(args);
+      expect(jenaWeatherData.numRows).toEqual(3);
+      expect(jenaWeatherData.getDataColumnNames()).toEqual(['b']);
+      expect(jenaWeatherData.getTime(1)).toEqual(new Date(60 * 1000));
+    } finally {
+      fs.unlinkSync(dataPath);
+      fs.rmdirSync(dir);
+    }
+  });
+});
@@ -15,6 +15,8 @@
  * =============================================================================
  */
 
+import {PassThrough} from 'stream';
+
 import {JenaWeatherData} from "./data";
 
 global.fetch = require('node-fetch');
@@ -41,4 +43,66 @@ describe('JenaWeatherData', () => {
       expect(item.value.xs.shape).toEqual([32, 100, 14]);
     }
   });
+
+  it('multiple target columns and time points', async () => {
+    const dataset = new JenaWeatherData();
+    await dataset.load();
+
+    const targetColumns = ['T (degC)', 'p (mbar)'];
+    const func = dataset.getNextBatchFunction(
+        false, 1000, 100, 32, 10, 0, 10000, false, false, targetColumns, 3);
+    const {xs, ys} = func.next().value;
+    expect(xs.shape).toEqual([32, 100, 14]);
+    expect(ys.shape).toEqual([32, 6]);
+
+    // The first example ends at row 1000. Its last input row is 990.
+    const targetRows = dataset.getTargetRowIndices(1000, 1000, 100, 10, 3);
+    expect(targetRows).toEqual([1090, 1100, 1110]);
+    const targets = ys.arraySync()[0];
+    targetRows.forEach((row, k) => {
+      expect(targets[k * 2]).toBeCloseTo(
+          dataset.getColumnData('T (degC)', false, false, row, 1)[0]);
+      expect(targets[k * 2 + 1]).toBeCloseTo(
+          dataset.getColumnData('p (mbar)', false, false, row, 1)[0]);
+    });
+
+    expect(
+        () => dataset.getNextBatchFunction(
+            false, 1000, 100, 32, 10, 0, 10000, false, false, ['foo']))
+        .toThrowError(/foo/);
+  });
+
+  it('load custom CSV source', async () => {
+    const lines = ['time,humidity,temperature'];
+    for (let i = 0; i < 100; ++i) {
+      // Row 50 is missing.
+      if (i !== 50) {
+        lines.push(`${1546300800 + i * 3600},${50 + i % 7},${i % 24}`);
+      }
+    }
+    const stream = new PassThrough();
+    stream.end(lines.join('\n'));
+
+    const dataset = new JenaWeatherData();
+    await dataset.load(stream, {
+      dateTimeColumn: 'time',
+      dateTimeFormat: 'unix',
+      dataColumns: {'rh (%)': 'humidity', 'T (degC)': 'temperature'},
+      fillGaps: 'linear'
+    });
+    expect(dataset.getDataColumnNames()).toEqual(['rh (%)', 'T (degC)']);
+    expect(dataset.getDefaultTargetColumn()).toEqual('T (degC)');
+    expect(dataset.numRows).toEqual(100);
+    expect(dataset.loadReport.numInsertedRows).toEqual(1);
+    expect(dataset.getTime(50).getTime())
+        .toEqual((1546300800 + 50 * 3600) * 1e3);
+    expect(dataset.getColumnData('T (degC)', false, false, 49, 3))
+        .toEqual([1, 2, 3]);
+
+    const func = dataset.getNextBatchFunction(
+        false, 24, 1, 8, 1, 0, 40, true, true);
+    const {xs, ys} = func.next().value;
+    expect(xs.shape).toEqual([8, 24, 4]);
+    expect(ys.shape).toEqual([8, 1]);
+  });
 });
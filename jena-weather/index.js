@@ -21,14 +21,16 @@
  * - Visualizes data using tfjs-vis.
  * - Trains simple models (linear regressor and MLPs) and visualizes the
  *   training processes.
+ * - Plots the trajectories predicted by the trained models against the ground
+ *   truth.
  */
 
 import * as tf from '@tensorflow/tfjs';
 import * as tfvis from '@tensorflow/tfjs-vis';
 
 import {JenaWeatherData} from './data';
-import {buildModel, trainModel} from './models';
-import {currBeginIndex, getDataVizOptions, logStatus, populateSelects, TIME_SPAN_RANGE_MAP, TIME_SPAN_STRIDE_MAP, updateDateTimeRangeSpan, updateScatterCheckbox} from './ui';
+import {buildModel, getBaselinePerHorizonMeanAbsoluteErrors, getDataSplits, getPerHorizonMeanAbsoluteErrors, predictTrajectory, trainModel} from './models';
+import {currBeginIndex, getCsvConfig, getDataVizOptions, getTargetColumns, logStatus, populateSelects, TIME_SPAN_RANGE_MAP, TIME_SPAN_STRIDE_MAP, resetBeginIndex, updateDateTimeRangeSpan, updateScatterCheckbox} from './ui';
 
 const dataChartContainer = document.getElementById('data-chart');
 const trainModelButton = document.getElementById('train-model');
@@ -36,9 +38,21 @@ const modelTypeSelect = document.getElementById('model-type');
 const includeDateTimeSelect =
     document.getElementById('include-date-time-features');
 const epochsInput = document.getElementById('epochs');
+const horizonInput = document.getElementById('horizon');
+const showPredictionButton = document.getElementById('show-prediction');
+const predictionChartContainer = document.getElementById('prediction-chart');
+const csvFileInput = document.getElementById('csv-file');
+const loadCsvButton = document.getElementById('load-csv');
 
 let jenaWeatherData;
 
+// The latest trained model, along with the settings of its training.
+let trainedModel;
+
+// The number of parameters, training throughput and error of every model
+// trained so far, for comparing the model types.
+const modelComparison = [];
+
 /**
  * Render data chart.
  *
@@ -149,9 +163,123 @@ function makeTimeSeriesScatterPlot(series1, series2, timeSpan, normalize) {
   });
 }
 
+/**
+ * Plot the trajectory predicted by the latest trained model against the
+ * ground truth, for a randomly chosen time in the validation data.
+ *
+ * One chart is rendered for every target column.
+ */
+function plotPrediction() {
+  const {
+    model,
+    normalize,
+    includeDateTime,
+    lookBack,
+    step,
+    delay,
+    targetColumns,
+    horizon
+  } = trainedModel;
+  const {valMinRow, valMaxRow} =
+      getDataSplits(jenaWeatherData, delay, step, horizon);
+  const rowIndex = valMinRow + lookBack +
+      Math.floor(Math.random() * (valMaxRow - valMinRow - lookBack));
+  const trajectories = predictTrajectory(
+      model, jenaWeatherData, rowIndex, normalize, includeDateTime, lookBack,
+      step, delay, targetColumns, horizon);
+
+  while (predictionChartContainer.firstChild) {
+    predictionChartContainer.removeChild(predictionChartContainer.firstChild);
+  }
+  for (const {column, history, truth, prediction} of trajectories) {
+    const chartContainer = document.createElement('div');
+    predictionChartContainer.appendChild(chartContainer);
+    tfvis.render.linechart(
+        chartContainer, {
+          values: [history, truth, prediction],
+          series: ['input', 'ground truth', 'prediction']
+        },
+        {
+          width: predictionChartContainer.offsetWidth * 0.95,
+          height: predictionChartContainer.offsetWidth * 0.3,
+          xLabel: 'Time',
+          yLabel: column,
+          zoomToFit: true
+        });
+  }
+  const time = new Date(jenaWeatherData.getTime(rowIndex)).toLocaleString();
+  logStatus(`Showing the prediction made at ${time}.`);
+}
+
+/**
+ * Plot the mean absolute errors of a model's predictions and of the
+ * commonsense baseline predictions against the number of hours ahead.
+ *
+ * @param {string} tab Name of the tfjs-vis visor tab to plot in.
+ * @param {string[]} targetColumns Names of the target columns.
+ * @param {number} delay Number of rows from the last input row to the first
+ *   prediction.
+ * @param {number} step Number of rows between the predicted time points.
+ * @param {{perHorizon: number[][]}} errors Errors of the model.
+ * @param {{perHorizon: number[][]}} baselineErrors Errors of the baseline.
+ */
+function plotPerHorizonErrors(
+    tab, targetColumns, delay, step, errors, baselineErrors) {
+  const values = [];
+  const series = [];
+  const rowsPerHour = 6;
+  targetColumns.forEach((column, c) => {
+    for (const [name, {perHorizon}] of
+             [['model', errors], ['baseline', baselineErrors]]) {
+      values.push(perHorizon.map(
+          (rowErrors, k) =>
+              ({x: (delay + k * step) / rowsPerHour, y: rowErrors[c]})));
+      series.push(`${column} (${name})`);
+    }
+  });
+  const surface =
+      tfvis.visor().surface({tab, name: 'Errors per Predicted Hour'});
+  tfvis.render.linechart(surface, {values, series}, {
+    xLabel: 'Hours ahead',
+    yLabel: 'Mean absolute error (normalized)'
+  });
+}
+
+/**
+ * Render a table of the number of parameters, training throughput and error
+ * of every model trained so far in the tfjs-vis visor.
+ */
+function renderModelComparison() {
+  const surface =
+      tfvis.visor().surface({tab: 'Comparison', name: 'Model Comparison'});
+  tfvis.render.table(surface, {
+    headers: [
+      'Model type', '# of parameters', 'Examples/s', 'Training time (s)',
+      'Mean absolute error', 'Baseline error'
+    ],
+    values: modelComparison.map(
+        item =>
+            [item.modelType, item.numParams,
+             item.examplesPerSecond.toFixed(1), item.seconds.toFixed(1),
+             item.error.toFixed(4), item.baselineError.toFixed(4)])
+  });
+}
+
 trainModelButton.addEventListener('click', async () => {
+  const targetColumns = getTargetColumns();
+  if (targetColumns.length === 0) {
+    logStatus('Select at least one target column.');
+    return;
+  }
+  const horizon = +horizonInput.value;
+  if (!(Number.isInteger(horizon) && horizon > 0)) {
+    logStatus(`Invalid number of predicted hours: ${horizonInput.value}`);
+    return;
+  }
+
   logStatus('Training model...');
   trainModelButton.disabled = true;
+  showPredictionButton.disabled = true;
   trainModelButton.textContent = 'Training model. Please wait...'
   // Test iteratorFn.
   const lookBack = 10 * 24 * 6;  // Look back 10 days.
@@ -164,7 +292,9 @@ trainModelButton.addEventListener('click', async () => {
 
   console.log('Creating model...');
   let numFeatures = jenaWeatherData.getDataColumnNames().length;
-  const model = buildModel(modelType, Math.floor(lookBack / step), numFeatures);
+  const model = buildModel(
+      modelType, Math.floor(lookBack / step), numFeatures,
+      horizon * targetColumns.length);
 
   // Draw a summary of the model with tfjs-vis visor.
   const surface =
@@ -176,14 +306,35 @@ trainModelButton.addEventListener('click', async () => {
 
   console.log('Starting model training...');
   const epochs = +epochsInput.value;
-  await trainModel(
+  const {numParams, seconds, examplesPerSecond} = await trainModel(
       model, jenaWeatherData, normalize, includeDateTime,
       lookBack, step, delay, batchSize, epochs,
       tfvis.show.fitCallbacks(trainingSurface, ['loss', 'val_loss'], {
         callbacks: ['onBatchEnd', 'onEpochEnd']
-      }));
+      }),
+      targetColumns, horizon);
 
-  logStatus('Model training complete...');
+  logStatus(
+      `Model training complete (${numParams} parameters, ` +
+      `${examplesPerSecond.toFixed(1)} examples/s). ` +
+      `Calculating errors per hour...`);
+  const errors = await getPerHorizonMeanAbsoluteErrors(
+      model, jenaWeatherData, normalize, includeDateTime, lookBack, step,
+      delay, targetColumns, horizon);
+  const baselineErrors = await getBaselinePerHorizonMeanAbsoluteErrors(
+      jenaWeatherData, normalize, includeDateTime, lookBack, step, delay,
+      targetColumns, horizon);
+  plotPerHorizonErrors(
+      modelType, targetColumns, delay, step, errors, baselineErrors);
+  modelComparison.push({
+    modelType,
+    numParams,
+    seconds,
+    examplesPerSecond,
+    error: errors.overall,
+    baselineError: baselineErrors.overall
+  });
+  renderModelComparison();
 
   if (modelType.indexOf('mlp') === 0) {
     visualizeModelLayers(
@@ -193,10 +344,28 @@ trainModelButton.addEventListener('click', async () => {
     visualizeModelLayers(modelType, [model.layers[1]], ['Dense Layer 1']);
   }
 
+  if (trainedModel != null) {
+    trainedModel.model.dispose();
+  }
+  trainedModel = {
+    model,
+    normalize,
+    includeDateTime,
+    lookBack,
+    step,
+    delay,
+    targetColumns,
+    horizon
+  };
+  plotPrediction();
+
   trainModelButton.textContent = 'Train model';
   trainModelButton.disabled = false;
+  showPredictionButton.disabled = false;
 });
 
+showPredictionButton.addEventListener('click', plotPrediction);
+
 /**
  * Visualize layers of a model.
  *
@@ -213,20 +382,63 @@ function visualizeModelLayers(tab, layers, layerNames) {
   });
 }
 
-async function run() {
-  logStatus('Loading Jena weather data (41.2 MB)...');
-  jenaWeatherData = new JenaWeatherData();
-  await jenaWeatherData.load();
-  logStatus('Done loading Jena weather data.');
+/**
+ * Use newly loaded data in the demo.
+ *
+ * @param {JenaWeatherData} data The loaded data.
+ */
+function setData(data) {
+  jenaWeatherData = data;
+  const targetColumn = jenaWeatherData.getDefaultTargetColumn();
   console.log(
-      'standard deviation of the T (degC) column: ' +
-      jenaWeatherData.getMeanAndStddev('T (degC)').stddev.toFixed(4));
+      `standard deviation of the ${targetColumn} column: ` +
+      jenaWeatherData.getMeanAndStddev(targetColumn).stddev.toFixed(4));
+
+  // A model trained on other data can't be used anymore.
+  if (trainedModel != null) {
+    trainedModel.model.dispose();
+    trainedModel = null;
+  }
+  showPredictionButton.disabled = true;
 
   console.log('Populating data-series selects...');
+  resetBeginIndex();
   populateSelects(jenaWeatherData);
 
   console.log('Plotting data...');
   plotData();
 }
 
+loadCsvButton.addEventListener('click', async () => {
+  const file = csvFileInput.files[0];
+  if (file == null) {
+    logStatus('Choose a CSV file to load first.');
+    return;
+  }
+  logStatus(`Loading ${file.name}...`);
+  loadCsvButton.disabled = true;
+  trainModelButton.disabled = true;
+  try {
+    const data = new JenaWeatherData();
+    await data.load(file, getCsvConfig());
+    setData(data);
+    const {numRows, numInsertedRows, numFilledValues} = data.loadReport;
+    logStatus(
+        `Loaded ${numRows} rows from ${file.name} ` +
+        `(${numInsertedRows} rows and ${numFilledValues} values filled in).`);
+  } catch (err) {
+    logStatus(`Failed to load ${file.name}: ${err.message}`);
+  }
+  loadCsvButton.disabled = false;
+  trainModelButton.disabled = false;
+});
+
+async function run() {
+  logStatus('Loading Jena weather data (41.2 MB)...');
+  const data = new JenaWeatherData();
+  await data.load();
+  setData(data);
+  logStatus('Done loading Jena weather data.');
+}
+
 run();
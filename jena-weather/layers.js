@@ -0,0 +1,234 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Custom layers for the temporal-convolution and transformer models.
+ *
+ * All layers take and return tensors of shape `[batchSize, numTimeSteps,
+ * numFeatures]`, except `LastTimeStep`. They are registered for serialization,
+ * so models that use them can be saved and loaded with `tf.loadLayersModel()`
+ * as long as this module has been imported.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+function getSingleTensor(inputs) {
+  return Array.isArray(inputs) ? inputs[0] : inputs;
+}
+
+/**
+ * A dilated causal 1D convolution.
+ *
+ * The output at time step `t` depends only on the inputs at time steps `t`,
+ * `t - dilationRate`, ..., `t - (kernelSize - 1) * dilationRate`. The inputs
+ * are padded with zeros on the left, so that the output has as many time
+ * steps as the input.
+ *
+ * (`tf.layers.conv1d()` supports neither causal padding nor the gradients of
+ * dilated convolutions, hence this layer. The taps of the kernel are gathered
+ * by slicing the padded input and multiplied with the kernel in a single
+ * matrix multiplication.)
+ */
+export class CausalConv1D extends tf.layers.Layer {
+  /**
+   * @param {object} config The configuration of the layer, with the keys
+   *   `filters` (number of output features), `kernelSize` and `dilationRate`
+   *   (optional, defaults to 1), in addition to the keys of all layers.
+   */
+  constructor(config) {
+    super(config);
+    this.filters = config.filters;
+    this.kernelSize = config.kernelSize;
+    this.dilationRate = config.dilationRate || 1;
+  }
+
+  build(inputShape) {
+    const inputDim = inputShape[inputShape.length - 1];
+    this.kernel = this.addWeight(
+        'kernel', [this.kernelSize * inputDim, this.filters], 'float32',
+        tf.initializers.glorotUniform({}));
+    this.bias = this.addWeight(
+        'bias', [this.filters], 'float32', tf.initializers.zeros());
+  }
+
+  computeOutputShape(inputShape) {
+    return [inputShape[0], inputShape[1], this.filters];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = getSingleTensor(inputs);
+      const [, numTimeSteps, inputDim] = x.shape;
+      const padding = (this.kernelSize - 1) * this.dilationRate;
+      const padded = tf.pad(x, [[0, 0], [padding, 0], [0, 0]]);
+      const taps = [];
+      for (let i = 0; i < this.kernelSize; ++i) {
+        taps.push(padded.slice(
+            [0, i * this.dilationRate, 0], [-1, numTimeSteps, -1]));
+      }
+      return tf.concat(taps, 2)
+          .reshape([-1, this.kernelSize * inputDim])
+          .matMul(this.kernel.read())
+          .add(this.bias.read())
+          .reshape([-1, numTimeSteps, this.filters]);
+    });
+  }
+
+  getConfig() {
+    return Object.assign(
+        {
+          filters: this.filters,
+          kernelSize: this.kernelSize,
+          dilationRate: this.dilationRate
+        },
+        super.getConfig());
+  }
+
+  static get className() {
+    return 'CausalConv1D';
+  }
+}
+tf.serialization.registerClass(CausalConv1D);
+
+/**
+ * Adds a learned embedding of the position of every time step to the input.
+ */
+export class PositionEmbedding extends tf.layers.Layer {
+  constructor(config) {
+    super(config || {});
+  }
+
+  build(inputShape) {
+    this.embeddings = this.addWeight(
+        'embeddings', [inputShape[1], inputShape[2]], 'float32',
+        tf.initializers.randomUniform({minval: -0.05, maxval: 0.05}));
+  }
+
+  computeOutputShape(inputShape) {
+    return inputShape;
+  }
+
+  call(inputs) {
+    return tf.tidy(() => getSingleTensor(inputs).add(this.embeddings.read()));
+  }
+
+  static get className() {
+    return 'PositionEmbedding';
+  }
+}
+tf.serialization.registerClass(PositionEmbedding);
+
+/**
+ * Multi-head scaled dot-product self-attention over the time steps.
+ */
+export class MultiHeadSelfAttention extends tf.layers.Layer {
+  /**
+   * @param {object} config The configuration of the layer, with the keys
+   *   `numHeads` and `keyDim` (the size of the queries, keys and values of
+   *   every head), in addition to the keys of all layers.
+   */
+  constructor(config) {
+    super(config);
+    this.numHeads = config.numHeads;
+    this.keyDim = config.keyDim;
+  }
+
+  build(inputShape) {
+    const inputDim = inputShape[inputShape.length - 1];
+    const headsDim = this.numHeads * this.keyDim;
+    const initializer = tf.initializers.glorotUniform({});
+    this.queryKernel = this.addWeight(
+        'query_kernel', [inputDim, headsDim], 'float32', initializer);
+    this.keyKernel = this.addWeight(
+        'key_kernel', [inputDim, headsDim], 'float32', initializer);
+    this.valueKernel = this.addWeight(
+        'value_kernel', [inputDim, headsDim], 'float32', initializer);
+    this.outputKernel = this.addWeight(
+        'output_kernel', [headsDim, inputDim], 'float32', initializer);
+    this.outputBias = this.addWeight(
+        'output_bias', [inputDim], 'float32', tf.initializers.zeros());
+  }
+
+  computeOutputShape(inputShape) {
+    return inputShape;
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = getSingleTensor(inputs);
+      const [, numTimeSteps, inputDim] = x.shape;
+      const flatX = x.reshape([-1, inputDim]);
+      // Project to the shape [batchSize, numHeads, numTimeSteps, keyDim].
+      const project = kernel =>
+          flatX.matMul(kernel.read())
+              .reshape([-1, numTimeSteps, this.numHeads, this.keyDim])
+              .transpose([0, 2, 1, 3]);
+      const queries = project(this.queryKernel);
+      const keys = project(this.keyKernel);
+      const values = project(this.valueKernel);
+
+      const attention =
+          tf.softmax(queries.matMul(keys, false, true).div(
+              Math.sqrt(this.keyDim)));
+      return attention.matMul(values)
+          .transpose([0, 2, 1, 3])
+          .reshape([-1, this.numHeads * this.keyDim])
+          .matMul(this.outputKernel.read())
+          .add(this.outputBias.read())
+          .reshape([-1, numTimeSteps, inputDim]);
+    });
+  }
+
+  getConfig() {
+    return Object.assign(
+        {numHeads: this.numHeads, keyDim: this.keyDim}, super.getConfig());
+  }
+
+  static get className() {
+    return 'MultiHeadSelfAttention';
+  }
+}
+tf.serialization.registerClass(MultiHeadSelfAttention);
+
+/**
+ * Outputs the features of the last time step, i.e., converts a tensor of
+ * shape `[batchSize, numTimeSteps, numFeatures]` to `[batchSize,
+ * numFeatures]`.
+ */
+export class LastTimeStep extends tf.layers.Layer {
+  constructor(config) {
+    super(config || {});
+  }
+
+  computeOutputShape(inputShape) {
+    return [inputShape[0], inputShape[2]];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = getSingleTensor(inputs);
+      const [, numTimeSteps, numFeatures] = x.shape;
+      return x.slice([0, numTimeSteps - 1, 0], [-1, 1, -1])
+          .reshape([-1, numFeatures]);
+    });
+  }
+
+  static get className() {
+    return 'LastTimeStep';
+  }
+}
+tf.serialization.registerClass(LastTimeStep);
@@ -0,0 +1,109 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+
+import {CausalConv1D, LastTimeStep, MultiHeadSelfAttention, PositionEmbedding} from './layers';
+
+describe('CausalConv1D', () => {
+  it('Output shape', () => {
+    const layer =
+        new CausalConv1D({filters: 5, kernelSize: 3, dilationRate: 2});
+    const y = layer.apply(tf.ones([2, 10, 4]));
+    expect(y.shape).toEqual([2, 10, 5]);
+    expect(layer.getWeights()[0].shape).toEqual([12, 5]);
+  });
+
+  it('Outputs depend only on the current and dilated past inputs', () => {
+    const layer =
+        new CausalConv1D({filters: 1, kernelSize: 2, dilationRate: 3});
+    layer.apply(tf.zeros([1, 8, 1]));
+    // Taps: [x(t - 3), x(t)].
+    layer.setWeights([tf.tensor2d([[10], [1]]), tf.tensor1d([0])]);
+    const x = tf.tensor3d([1, 2, 3, 4, 5, 6, 7, 8], [1, 8, 1]);
+    expect(Array.from(layer.apply(x).dataSync())).toEqual([
+      1, 2, 3, 4 + 10, 5 + 20, 6 + 30, 7 + 40, 8 + 50
+    ]);
+  });
+
+  it('Gradients', () => {
+    const layer =
+        new CausalConv1D({filters: 2, kernelSize: 3, dilationRate: 4});
+    const x = tf.randomNormal([3, 16, 2]);
+    layer.apply(x);
+    const {grads} = tf.variableGrads(
+        () => layer.apply(x).square().mean(),
+        layer.trainableWeights.map(weight => weight.read()));
+    expect(Object.keys(grads).length).toEqual(2);
+  });
+});
+
+describe('MultiHeadSelfAttention', () => {
+  it('Output shape and weights', () => {
+    const layer = new MultiHeadSelfAttention({numHeads: 2, keyDim: 3});
+    const y = layer.apply(tf.randomNormal([4, 7, 5]));
+    expect(y.shape).toEqual([4, 7, 5]);
+    expect(layer.getWeights().map(weight => weight.shape)).toEqual([
+      [5, 6], [5, 6], [5, 6], [6, 5], [5]
+    ]);
+  });
+
+  it('Output is equivariant to the permutation of the time steps', () => {
+    const layer = new MultiHeadSelfAttention({numHeads: 2, keyDim: 4});
+    const x = tf.randomNormal([1, 3, 4]);
+    const permuted = tf.concat(
+        [x.slice([0, 2, 0], [1, 1, 4]), x.slice([0, 0, 0], [1, 2, 4])], 1);
+    const y = layer.apply(x);
+    const yPermuted = layer.apply(permuted);
+    const expected = tf.concat(
+        [y.slice([0, 2, 0], [1, 1, 4]), y.slice([0, 0, 0], [1, 2, 4])], 1);
+    expect(tf.abs(yPermuted.sub(expected)).max().dataSync()[0])
+        .toBeLessThan(1e-5);
+  });
+});
+
+describe('PositionEmbedding and LastTimeStep', () => {
+  it('Shapes', () => {
+    const embedding = new PositionEmbedding();
+    expect(embedding.apply(tf.zeros([2, 6, 3])).shape).toEqual([2, 6, 3]);
+    expect(embedding.getWeights()[0].shape).toEqual([6, 3]);
+    const x = tf.tensor3d([1, 2, 3, 4, 5, 6], [1, 3, 2]);
+    expect(Array.from(new LastTimeStep().apply(x).dataSync())).toEqual([5, 6]);
+  });
+});
+
+describe('Serialization', () => {
+  it('Model with custom layers round trip', async () => {
+    const input = tf.input({shape: [6, 2]});
+    let x = new CausalConv1D({filters: 4, kernelSize: 2, dilationRate: 2})
+                .apply(input);
+    x = new PositionEmbedding().apply(x);
+    x = new MultiHeadSelfAttention({numHeads: 2, keyDim: 2}).apply(x);
+    const output = new LastTimeStep().apply(x);
+    const model = tf.model({inputs: input, outputs: output});
+
+    let artifacts;
+    await model.save(tf.io.withSaveHandler(async modelArtifacts => {
+      artifacts = modelArtifacts;
+      return {modelArtifactsInfo: {dateSaved: new Date()}};
+    }));
+    const loaded = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    const xs = tf.randomNormal([3, 6, 2]);
+    expect(Array.from(loaded.predict(xs).dataSync()))
+        .toEqual(Array.from(model.predict(xs).dataSync()));
+  });
+});
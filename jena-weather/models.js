@@ -26,6 +26,16 @@
 
 import * as tf from '@tensorflow/tfjs';
 import {JenaWeatherData} from './data';
+import {CausalConv1D, LastTimeStep, MultiHeadSelfAttention, PositionEmbedding} from './layers';
+
+/** Model types supported by `buildModel()`. */
+export const MODEL_TYPES = [
+  'linear-regression', 'mlp', 'mlp-l2', 'mlp-dropout', 'simpleRNN', 'gru',
+  'tcn', 'transformer'
+];
+
+// Number of batches in every training epoch.
+const BATCHES_PER_EPOCH = 500;
 
 // Row ranges of the training and validation data subsets.
 const TRAIN_MIN_ROW = 0;
@@ -33,6 +43,191 @@ const TRAIN_MAX_ROW = 200000;
 const VAL_MIN_ROW = 200001;
 const VAL_MAX_ROW = 300000;
 
+// Fractions of the rows used for training and validation in datasets that
+// are too small for the fixed row ranges above.
+const TRAIN_FRACTION = 0.5;
+const VAL_FRACTION = 0.25;
+
+/**
+ * Get the row ranges of the training and validation data subsets.
+ *
+ * The Jena weather data (and any other dataset with more than `VAL_MAX_ROW`
+ * rows) is split at fixed rows. Smaller datasets are split proportionally,
+ * with the first half used for training and the following quarter for
+ * validation. In both cases, the ends of the ranges are clamped so that the
+ * prediction targets of every example lie within the data.
+ *
+ * @param {JenaWeatherData} jenaWeatherData A loaded JenaWeatherData object.
+ * @param {number} delay How many steps in the future to make the first
+ *   prediction for. Optional. Defaults to 0.
+ * @param {number} step Step size used to generate the input features.
+ *   Optional. Defaults to 1.
+ * @param {number} horizon Number of predicted time points, `step` rows apart
+ *   from each other. Optional. Defaults to 1.
+ * @returns {{trainMinRow: number, trainMaxRow: number, valMinRow: number,
+ *   valMaxRow: number}} The row ranges.
+ */
+export function getDataSplits(
+    jenaWeatherData, delay = 0, step = 1, horizon = 1) {
+  const numRows = jenaWeatherData.numRows;
+  if (horizon == null) {
+    horizon = 1;
+  }
+  // The targets of the example at row `r` are at most at row
+  // `r - 1 + delay + (horizon - 1) * step`.
+  const maxRow = numRows - delay - (horizon - 1) * step;
+  let splits;
+  if (numRows > VAL_MAX_ROW) {
+    splits = {
+      trainMinRow: TRAIN_MIN_ROW,
+      trainMaxRow: Math.min(TRAIN_MAX_ROW, maxRow),
+      valMinRow: VAL_MIN_ROW,
+      valMaxRow: Math.min(VAL_MAX_ROW, maxRow)
+    };
+  } else {
+    const trainMaxRow = Math.min(Math.floor(numRows * TRAIN_FRACTION), maxRow);
+    splits = {
+      trainMinRow: 0,
+      trainMaxRow,
+      valMinRow: trainMaxRow + 1,
+      valMaxRow: Math.min(
+          Math.floor(numRows * (TRAIN_FRACTION + VAL_FRACTION)), maxRow)
+    };
+  }
+  if (splits.valMaxRow <= splits.valMinRow) {
+    throw new Error(
+        `The data has too few rows (${numRows}) for a delay of ${delay} ` +
+        `and a horizon of ${horizon} with a step of ${step}.`);
+  }
+  return splits;
+}
+
+/**
+ * Calculate the mean absolute errors of a predictor on the validation data,
+ * for every predicted time point and target column.
+ *
+ * @param {JenaWeatherData} jenaWeatherData A JenaWeatherData object.
+ * @param {Function} predict A function that maps a batch of features to
+ *   the predicted targets, in the format of `getNextBatchFunction()`.
+ * @param {boolean} normalize Whether to use normalized data.
+ * @param {boolean} includeDateTime Whether to include date and time features.
+ * @param {number} lookBack Number of look-back time steps.
+ * @param {number} step Step size used to generate the input features.
+ * @param {number} delay How many steps in the future to make the first
+ *   prediction for.
+ * @param {string[]} targetColumns Names of the predicted columns.
+ * @param {number} horizon Number of predicted time points.
+ * @returns {{overall: number, perHorizon: number[][]}} `overall` is the mean
+ *   absolute error over all predictions. `perHorizon[k][c]` is the mean
+ *   absolute error of the `k`-th predicted time point of the `c`-th target
+ *   column.
+ */
+async function computePerHorizonMeanAbsoluteErrors(
+    jenaWeatherData, predict, normalize, includeDateTime, lookBack, step,
+    delay, targetColumns, horizon) {
+  const batchSize = 128;
+  const {valMinRow, valMaxRow} =
+      getDataSplits(jenaWeatherData, delay, step, horizon);
+  const dataset = tf.data.generator(
+      () => jenaWeatherData.getNextBatchFunction(
+          false, lookBack, delay, batchSize, step, valMinRow, valMaxRow,
+          normalize, includeDateTime, targetColumns, horizon));
+
+  const numTargets = targetColumns.length;
+  const errorSums = new Float64Array(horizon * numTargets);
+  let numExamples = 0;
+  await dataset.forEachAsync(dataItem => {
+    const batchErrorSums = tf.tidy(
+        () => predict(dataItem.xs).sub(dataItem.ys).abs().sum(0).dataSync());
+    batchErrorSums.forEach((value, i) => errorSums[i] += value);
+    numExamples += dataItem.xs.shape[0];
+    tf.dispose(dataItem);
+  });
+
+  const perHorizon = [];
+  let total = 0;
+  for (let k = 0; k < horizon; ++k) {
+    const row = [];
+    for (let c = 0; c < numTargets; ++c) {
+      row.push(errorSums[k * numTargets + c] / numExamples);
+      total += errorSums[k * numTargets + c];
+    }
+    perHorizon.push(row);
+  }
+  return {overall: total / (numExamples * horizon * numTargets), perHorizon};
+}
+
+/**
+ * Get the names of the target columns, defaulting to the default target column
+ * of the data.
+ */
+function getTargetColumns(jenaWeatherData, targetColumns) {
+  return targetColumns == null ? [jenaWeatherData.getDefaultTargetColumn()] :
+                                 targetColumns;
+}
+
+/**
+ * Make the commonsense baseline predictions for a batch of features.
+ *
+ * For every target column, the latest value in the column's feature is used
+ * as the prediction for all time points of the horizon.
+ *
+ * @param {JenaWeatherData} jenaWeatherData The data the features are from.
+ * @param {tf.Tensor} features A batch of features, in the format of
+ *   `getNextBatchFunction()`.
+ * @param {string[]} targetColumns Names of the predicted columns.
+ * @param {number} horizon Number of predicted time points.
+ * @returns {tf.Tensor} The predictions, in the format of the targets of
+ *   `getNextBatchFunction()`.
+ */
+export function getBaselinePredictions(
+    jenaWeatherData, features, targetColumns, horizon) {
+  const columnIndices = targetColumns.map(
+      name => jenaWeatherData.getDataColumnNames().indexOf(name));
+  return tf.tidy(() => {
+    const timeSteps = features.shape[1];
+    return features.gather([timeSteps - 1], 1)
+        .gather(columnIndices, 2)
+        .tile([1, horizon, 1])
+        .reshape([features.shape[0], horizon * columnIndices.length]);
+  });
+}
+
+/**
+ * Calculate the commonsense baseline prediction errors for every predicted
+ * time point and target column.
+ *
+ * For every target column, the latest value in the column's feature is used
+ * as the prediction for all time points of the horizon.
+ *
+ * @param {JenaWeatherData} jenaWeatherData A JenaWeatherData object.
+ * @param {boolean} normalize Whether to used normalized data.
+ * @param {boolean} includeDateTime Whether to include date and time features.
+ * @param {number} lookBack Number of look-back time steps.
+ * @param {number} step Step size used to generate the input features.
+ * @param {number} delay How many steps in the future to make the first
+ *   prediction for.
+ * @param {string[]} targetColumns Names of the predicted columns. Optional.
+ *   Defaults to the default target column of the data (the temperature in the
+ *   Jena weather data) only.
+ * @param {number} horizon Number of predicted time points. Optional. Defaults
+ *   to 1.
+ * @returns {{overall: number, perHorizon: number[][]}} The mean absolute
+ *   errors of the commonsense baseline prediction. See
+ *   `getPerHorizonMeanAbsoluteErrors()` for the format.
+ */
+export async function getBaselinePerHorizonMeanAbsoluteErrors(
+    jenaWeatherData, normalize, includeDateTime, lookBack, step, delay,
+    targetColumns, horizon) {
+  targetColumns = getTargetColumns(jenaWeatherData, targetColumns);
+  horizon = horizon || 1;
+  const predict = features => getBaselinePredictions(
+      jenaWeatherData, features, targetColumns, horizon);
+  return computePerHorizonMeanAbsoluteErrors(
+      jenaWeatherData, predict, normalize, includeDateTime, lookBack, step,
+      delay, targetColumns, horizon);
+}
+
 /**
  * Calculate the commonsense baseline temperture-prediction accuracy.
  *
@@ -46,51 +241,127 @@ const VAL_MAX_ROW = 300000;
  * @param {number} step Step size used to generate the input features.
  * @param {number} delay How many steps in the future to make the prediction
  *   for.
+ * @param {string[]} targetColumns Names of the predicted columns. Optional.
+ *   Defaults to the default target column of the data (the temperature in the
+ *   Jena weather data) only.
+ * @param {number} horizon Number of predicted time points. Optional. Defaults
+ *   to 1.
  * @returns {number} The mean absolute error of the commonsense baseline
- *   prediction.
+ *   prediction, over all predicted time points and target columns.
  */
 export async function getBaselineMeanAbsoluteError(
-    jenaWeatherData, normalize, includeDateTime, lookBack, step, delay) {
-  const batchSize = 128;
-  const dataset = tf.data.generator(
-      () => jenaWeatherData.getNextBatchFunction(
-          false, lookBack, delay, batchSize, step, VAL_MIN_ROW, VAL_MAX_ROW,
-          normalize, includeDateTime));
+    jenaWeatherData, normalize, includeDateTime, lookBack, step, delay,
+    targetColumns, horizon) {
+  const errors = await getBaselinePerHorizonMeanAbsoluteErrors(
+      jenaWeatherData, normalize, includeDateTime, lookBack, step, delay,
+      targetColumns, horizon);
+  return errors.overall;
+}
 
-  const batchMeanAbsoluteErrors = [];
-  const batchSizes = [];
-  await dataset.forEachAsync(dataItem => {
-    const features = dataItem.xs;
-    const targets = dataItem.ys;
-    const timeSteps = features.shape[1];
-    batchSizes.push(features.shape[0]);
-    batchMeanAbsoluteErrors.push(tf.tidy(
-        () => tf.losses.absoluteDifference(
-            targets,
-            features.gather([timeSteps - 1], 1).gather([1], 2).squeeze([2]))));
-  });
+/**
+ * Calculate the prediction errors of a model on the validation data for
+ * every predicted time point and target column.
+ *
+ * @param {tf.LayersModel} model A model trained with `trainModel()`.
+ * @param {JenaWeatherData} jenaWeatherData A JenaWeatherData object.
+ * @param {boolean} normalize Whether to used normalized data.
+ * @param {boolean} includeDateTime Whether to include date and time features.
+ * @param {number} lookBack Number of look-back time steps.
+ * @param {number} step Step size used to generate the input features.
+ * @param {number} delay How many steps in the future to make the first
+ *   prediction for.
+ * @param {string[]} targetColumns Names of the predicted columns. Optional.
+ *   Defaults to the default target column of the data (the temperature in the
+ *   Jena weather data) only.
+ * @param {number} horizon Number of predicted time points. Optional. Defaults
+ *   to 1.
+ * @returns {{overall: number, perHorizon: number[][]}} `overall` is the mean
+ *   absolute error over all predictions. `perHorizon[k][c]` is the mean
+ *   absolute error of the `k`-th predicted time point of the `c`-th target
+ *   column.
+ */
+export async function getPerHorizonMeanAbsoluteErrors(
+    model, jenaWeatherData, normalize, includeDateTime, lookBack, step, delay,
+    targetColumns, horizon) {
+  return computePerHorizonMeanAbsoluteErrors(
+      jenaWeatherData, features => model.predict(features), normalize,
+      includeDateTime, lookBack, step, delay,
+      getTargetColumns(jenaWeatherData, targetColumns), horizon || 1);
+}
 
-  const meanAbsoluteError = tf.tidy(() => {
-    const batchSizesTensor = tf.tensor1d(batchSizes);
-    const batchMeanAbsoluteErrorsTensor = tf.stack(batchMeanAbsoluteErrors);
-    return batchMeanAbsoluteErrorsTensor.mul(batchSizesTensor)
-        .sum()
-        .div(batchSizesTensor.sum());
+/**
+ * Predict the trajectory of the target columns following a row of the data.
+ *
+ * @param {tf.LayersModel} model A model trained with `trainModel()`.
+ * @param {JenaWeatherData} jenaWeatherData A JenaWeatherData object.
+ * @param {number} rowIndex Index of the row right after the look-back period
+ *   of the input features.
+ * @param {boolean} normalize Whether the model was trained on normalized data.
+ * @param {boolean} includeDateTime Whether the model was trained with date and
+ *   time features.
+ * @param {number} lookBack Number of look-back time steps.
+ * @param {number} step Step size used to generate the input features.
+ * @param {number} delay How many steps in the future the first prediction is
+ *   for.
+ * @param {string[]} targetColumns Names of the predicted columns. Optional.
+ *   Defaults to the default target column of the data (the temperature in the
+ *   Jena weather data) only.
+ * @param {number} horizon Number of predicted time points. Optional. Defaults
+ *   to 1.
+ * @returns {object[]} One item per target column, with the keys:
+ *   - `column` {string} Name of the column.
+ *   - `history` {{x: number, y: number}[]} The column's input features.
+ *   - `truth` {{x: number, y: number}[]} The actual values at the predicted
+ *     time points.
+ *   - `prediction` {{x: number, y: number}[]} The predicted values.
+ *   `x` is the time in milliseconds since the epoch. `y` is in the original
+ *   (unnormalized) units of the column.
+ */
+export function predictTrajectory(
+    model, jenaWeatherData, rowIndex, normalize, includeDateTime, lookBack,
+    step, delay, targetColumns, horizon) {
+  targetColumns = getTargetColumns(jenaWeatherData, targetColumns);
+  horizon = horizon || 1;
+  const {xs, ys} = jenaWeatherData
+                       .getNextBatchFunction(
+                           false, lookBack, delay, 1, step, rowIndex - lookBack,
+                           rowIndex + 1, normalize, includeDateTime,
+                           targetColumns, horizon)
+                       .next()
+                       .value;
+  const predicted = tf.tidy(() => model.predict(xs).dataSync());
+  tf.dispose([xs, ys]);
+
+  const targetRows = jenaWeatherData.getTargetRowIndices(
+      rowIndex, lookBack, delay, step, horizon);
+  return targetColumns.map((column, c) => {
+    const {mean, stddev} = jenaWeatherData.getMeanAndStddev(column);
+    const denormalize = value => normalize ? value * stddev + mean : value;
+    const history = jenaWeatherData.getColumnData(
+        column, true, false, rowIndex - lookBack, lookBack, step);
+    const truth = targetRows.map(
+        r => jenaWeatherData.getColumnData(column, true, false, r, 1)[0]);
+    const prediction = targetRows.map((r, k) => ({
+      x: jenaWeatherData.getTime(r).getTime(),
+      y: denormalize(predicted[k * targetColumns.length + c])
+    }));
+    return {column, history, truth, prediction};
   });
-  tf.dispose(batchMeanAbsoluteErrors);
-  return meanAbsoluteError.dataSync()[0];
 }
 
 /**
  * Build a linear-regression model for the temperature-prediction problem.
  *
  * @param {tf.Shape} inputShape Input shape (without the batch dimenson).
+ * @param {number} outputSize Number of predicted values, i.e., the number of
+ *   predicted time points times the number of target columns. Optional.
+ *   Defaults to 1.
  * @returns {tf.LayersModel} A TensorFlow.js tf.LayersModel instance.
  */
-function buildLinearRegressionModel(inputShape) {
+function buildLinearRegressionModel(inputShape, outputSize) {
   const model = tf.sequential();
   model.add(tf.layers.flatten({inputShape}));
-  model.add(tf.layers.dense({units: 1}));
+  model.add(tf.layers.dense({units: outputSize || 1}));
   return model;
 }
 
@@ -104,9 +375,12 @@ function buildLinearRegressionModel(inputShape) {
  * @param {number} dropoutRate Dropout rate of an optional dropout layer
  *   inserted between the two dense layers of the MLP. Optional. If not
  *   specified, no dropout layers will be included in the MLP.
+ * @param {number} outputSize Number of predicted values. Optional. Defaults
+ *   to 1.
  * @returns {tf.LayersModel} A TensorFlow.js tf.LayersModel instance.
  */
-export function buildMLPModel(inputShape, kernelRegularizer, dropoutRate) {
+export function buildMLPModel(
+    inputShape, kernelRegularizer, dropoutRate, outputSize) {
   const model = tf.sequential();
   model.add(tf.layers.flatten({inputShape}));
   model.add(
@@ -114,7 +388,7 @@ export function buildMLPModel(inputShape, kernelRegularizer, dropoutRate) {
   if (dropoutRate > 0) {
     model.add(tf.layers.dropout({rate: dropoutRate}));
   }
-  model.add(tf.layers.dense({units: 1}));
+  model.add(tf.layers.dense({units: outputSize || 1}));
   return model;
 }
 
@@ -122,14 +396,16 @@ export function buildMLPModel(inputShape, kernelRegularizer, dropoutRate) {
  * Build a simpleRNN-based model for the temperature-prediction problem.
  *
  * @param {tf.Shape} inputShape Input shape (without the batch dimenson).
+ * @param {number} outputSize Number of predicted values. Optional. Defaults
+ *   to 1.
  * @returns {tf.LayersModel} A TensorFlow.js model consisting of a simpleRNN
  *   layer.
  */
-export function buildSimpleRNNModel(inputShape) {
+export function buildSimpleRNNModel(inputShape, outputSize) {
   const model = tf.sequential();
   const rnnUnits = 32;
   model.add(tf.layers.simpleRNN({units: rnnUnits, inputShape}));
-  model.add(tf.layers.dense({units: 1}));
+  model.add(tf.layers.dense({units: outputSize || 1}));
   return model;
 }
 
@@ -139,9 +415,12 @@ export function buildSimpleRNNModel(inputShape) {
  * @param {tf.Shape} inputShape Input shape (without the batch dimenson).
  * @param {number} dropout Optional input dropout rate
  * @param {number} recurrentDropout Optional recurrent dropout rate.
+ * @param {number} outputSize Number of predicted values. Optional. Defaults
+ *   to 1.
  * @returns {tf.LayersModel} A TensorFlow.js GRU model.
  */
-export function buildGRUModel(inputShape, dropout, recurrentDropout) {
+export function buildGRUModel(
+    inputShape, dropout, recurrentDropout, outputSize) {
   // TODO(cais): Recurrent dropout is currently not fully working.
   //   Make it work and add a flag to train-rnn.js.
   const model = tf.sequential();
@@ -152,10 +431,84 @@ export function buildGRUModel(inputShape, dropout, recurrentDropout) {
     dropout: dropout || 0,
     recurrentDropout: recurrentDropout || 0
   }));
-  model.add(tf.layers.dense({units: 1}));
+  model.add(tf.layers.dense({units: outputSize || 1}));
   return model;
 }
 
+/**
+ * Build a temporal convolutional network (TCN) for the temperature-prediction
+ * problem.
+ *
+ * The model is a stack of residual blocks of dilated causal convolutions.
+ * The dilation rate doubles from block to block, until the receptive field
+ * of the last time step covers all the time steps of the input. The
+ * prediction is made from the features of the last time step.
+ *
+ * @param {tf.Shape} inputShape Input shape (without the batch dimenson).
+ * @param {number} outputSize Number of predicted values. Optional. Defaults
+ *   to 1.
+ * @returns {tf.LayersModel} A TensorFlow.js TCN model.
+ */
+export function buildTCNModel(inputShape, outputSize) {
+  const filters = 32;
+  const kernelSize = 3;
+  const input = tf.input({shape: inputShape});
+  let x = input;
+  let receptiveField = 1;
+  for (let dilationRate = 1; receptiveField < inputShape[0];
+       dilationRate *= 2) {
+    let y = new CausalConv1D({filters, kernelSize, dilationRate}).apply(x);
+    y = tf.layers.activation({activation: 'relu'}).apply(y);
+    // Match the number of features of the residual connection to the output
+    // of the block.
+    const residual =
+        x === input ? tf.layers.dense({units: filters}).apply(x) : x;
+    x = tf.layers.add().apply([residual, y]);
+    receptiveField += (kernelSize - 1) * dilationRate;
+  }
+  x = new LastTimeStep().apply(x);
+  const output = tf.layers.dense({units: outputSize || 1}).apply(x);
+  return tf.model({inputs: input, outputs: output});
+}
+
+/**
+ * Build a transformer-encoder model for the temperature-prediction problem.
+ *
+ * The features of every time step are projected to the model dimension and
+ * added to a learned position embedding, followed by encoder blocks of
+ * multi-head self-attention and a feed-forward network, each with a residual
+ * connection and layer normalization. The prediction is made from the
+ * features of the last time step, which attends to all the time steps.
+ *
+ * @param {tf.Shape} inputShape Input shape (without the batch dimenson).
+ * @param {number} outputSize Number of predicted values. Optional. Defaults
+ *   to 1.
+ * @returns {tf.LayersModel} A TensorFlow.js transformer-encoder model.
+ */
+export function buildTransformerModel(inputShape, outputSize) {
+  const modelDim = 32;
+  const numHeads = 4;
+  const feedForwardDim = 64;
+  const numBlocks = 2;
+  const input = tf.input({shape: inputShape});
+  let x = tf.layers.dense({units: modelDim}).apply(input);
+  x = new PositionEmbedding().apply(x);
+  for (let i = 0; i < numBlocks; ++i) {
+    const attention =
+        new MultiHeadSelfAttention({numHeads, keyDim: modelDim / numHeads})
+            .apply(x);
+    x = tf.layers.layerNormalization().apply(
+        tf.layers.add().apply([x, attention]));
+    let y = tf.layers.dense({units: feedForwardDim, activation: 'relu'})
+                .apply(x);
+    y = tf.layers.dense({units: modelDim}).apply(y);
+    x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, y]));
+  }
+  x = new LastTimeStep().apply(x);
+  const output = tf.layers.dense({units: outputSize || 1}).apply(x);
+  return tf.model({inputs: input, outputs: output});
+}
+
 /**
  * Build a model for the temperature-prediction problem.
  *
@@ -163,28 +516,35 @@ export function buildGRUModel(inputShape, dropout, recurrentDropout) {
  * @param {number} numTimeSteps Number of time steps in each input.
  *   exapmle
  * @param {number} numFeatures Number of features (for each time step).
+ * @param {number} outputSize Number of predicted values, i.e., the number of
+ *   predicted time points times the number of target columns. Optional.
+ *   Defaults to 1.
  * @returns A compiled instance of `tf.LayersModel`.
  */
-export function buildModel(modelType, numTimeSteps, numFeatures) {
+export function buildModel(modelType, numTimeSteps, numFeatures, outputSize) {
   const inputShape = [numTimeSteps, numFeatures];
 
   console.log(`modelType = ${modelType}`);
   let model;
   if (modelType === 'mlp') {
-    model = buildMLPModel(inputShape);
+    model = buildMLPModel(inputShape, null, null, outputSize);
   } else if (modelType === 'mlp-l2') {
-    model = buildMLPModel(inputShape, tf.regularizers.l2());
+    model = buildMLPModel(inputShape, tf.regularizers.l2(), null, outputSize);
   } else if (modelType === 'linear-regression') {
-    model = buildLinearRegressionModel(inputShape);
+    model = buildLinearRegressionModel(inputShape, outputSize);
   } else if (modelType === 'mlp-dropout') {
     const regularizer = null;
     const dropoutRate = 0.25;
-    model = buildMLPModel(inputShape, regularizer, dropoutRate);
+    model = buildMLPModel(inputShape, regularizer, dropoutRate, outputSize);
   } else if (modelType === 'simpleRNN') {
-    model = buildSimpleRNNModel(inputShape);
+    model = buildSimpleRNNModel(inputShape, outputSize);
   } else if (modelType === 'gru') {
-    model = buildGRUModel(inputShape);
+    model = buildGRUModel(inputShape, null, null, outputSize);
     // TODO(cais): Add gru-dropout with recurrentDropout.
+  } else if (modelType === 'tcn') {
+    model = buildTCNModel(inputShape, outputSize);
+  } else if (modelType === 'transformer') {
+    model = buildTransformerModel(inputShape, outputSize);
   } else {
     throw new Error(`Unsupported model type: ${modelType}`);
   }
@@ -194,48 +554,118 @@ export function buildModel(modelType, numTimeSteps, numFeatures) {
   return model;
 }
 
+/**
+ * A callback that measures the training throughput.
+ *
+ * The time of every epoch is measured from its beginning to the end of its
+ * last batch, which excludes the validation at the end of the epoch.
+ */
+class ThroughputCallback extends tf.Callback {
+  constructor() {
+    super();
+    this.numExamples = 0;
+    this.seconds = 0;
+  }
+
+  async onEpochBegin() {
+    this.epochBeginTime_ = new Date().getTime();
+    this.lastBatchEndTime_ = null;
+  }
+
+  async onBatchEnd(batch, logs) {
+    this.numExamples += logs.size;
+    this.lastBatchEndTime_ = new Date().getTime();
+  }
+
+  async onEpochEnd() {
+    if (this.lastBatchEndTime_ != null) {
+      this.seconds += (this.lastBatchEndTime_ - this.epochBeginTime_) / 1e3;
+    }
+  }
+}
+
 /**
  * Train a model on the Jena weather data.
  *
  * @param {tf.LayersModel} model A compiled tf.LayersModel object. It is
  *   expected to have a 3D input shape `[numExamples, timeSteps, numFeatures].`
- *   and an output shape `[numExamples, 1]` for predicting the temperature
- * value.
+ *   and an output shape `[numExamples, horizon * targetColumns.length]` for
+ *   predicting the values of the target columns at the `horizon` future time
+ *   points.
  * @param {JenaWeatherData} jenaWeatherData A JenaWeatherData object.
  * @param {boolean} normalize Whether to used normalized data for training.
  * @param {boolean} includeDateTime Whether to include date and time features
  *   in training.
  * @param {number} lookBack Number of look-back time steps.
  * @param {number} step Step size used to generate the input features.
- * @param {number} delay How many steps in the future to make the prediction
- *   for.
+ * @param {number} delay How many steps in the future to make the first
+ *   prediction for.
  * @param {number} batchSize batchSize for training.
  * @param {number} epochs Number of training epochs.
  * @param {tf.Callback | tf.CustomCallbackArgs} customCallback Optional callback
  *   to invoke at the end of every epoch. Can optionally have `onBatchEnd` and
  *   `onEpochEnd` fields.
+ * @param {string[]} targetColumns Names of the predicted columns. Optional.
+ *   Defaults to the default target column of the data (the temperature in the
+ *   Jena weather data) only.
+ * @param {number} horizon Number of predicted time points, `step` rows apart
+ *   from each other. Optional. Defaults to 1.
+ * @param {object} splits The row ranges of the training and validation data,
+ *   in the format returned by `getDataSplits()`. Optional. Defaults to the
+ *   return value of `getDataSplits()`. If `valMinRow` is `null`, no
+ *   validation is performed.
+ * @returns {{numParams: number, numExamples: number, seconds: number,
+ *   examplesPerSecond: number}} The number of parameters of the model and the
+ *   training throughput: the number of training examples, the time spent on
+ *   training (excluding validation), and their ratio.
  */
 export async function trainModel(
     model, jenaWeatherData, normalize, includeDateTime, lookBack, step, delay,
-    batchSize, epochs, customCallback) {
+    batchSize, epochs, customCallback, targetColumns, horizon, splits) {
+  const {trainMinRow, trainMaxRow, valMinRow, valMaxRow} =
+      splits || getDataSplits(jenaWeatherData, delay, step, horizon);
   const trainShuffle = true;
   const trainDataset =
       tf.data
           .generator(
               () => jenaWeatherData.getNextBatchFunction(
-                  trainShuffle, lookBack, delay, batchSize, step, TRAIN_MIN_ROW,
-                  TRAIN_MAX_ROW, normalize, includeDateTime))
+                  trainShuffle, lookBack, delay, batchSize, step, trainMinRow,
+                  trainMaxRow, normalize, includeDateTime, targetColumns,
+                  horizon))
           .prefetch(8);
   const evalShuffle = false;
-  const valDataset = tf.data.generator(
-      () => jenaWeatherData.getNextBatchFunction(
-          evalShuffle, lookBack, delay, batchSize, step, VAL_MIN_ROW,
-          VAL_MAX_ROW, normalize, includeDateTime));
+  const valDataset = valMinRow == null ?
+      undefined :
+      tf.data.generator(
+          () => jenaWeatherData.getNextBatchFunction(
+              evalShuffle, lookBack, delay, batchSize, step, valMinRow,
+              valMaxRow, normalize, includeDateTime, targetColumns, horizon));
+
+  // Put the throughput callback and the custom callbacks in a single list of
+  // callback objects, as `fitDataset()` does not accept a mixed list of
+  // callback objects and callback configs.
+  const throughputCallback = new ThroughputCallback();
+  const callbacks = [throughputCallback];
+  for (const callback of [].concat(customCallback || [])) {
+    callbacks.push(
+        callback instanceof tf.Callback ||
+                callback instanceof tf.CustomCallback ?
+            callback :
+            new tf.CustomCallback(callback));
+  }
 
   await model.fitDataset(trainDataset, {
-    batchesPerEpoch: 500,
+    batchesPerEpoch: BATCHES_PER_EPOCH,
     epochs,
-    callbacks: customCallback,
+    callbacks,
     validationData: valDataset
   });
+
+  const {numExamples, seconds} = throughputCallback;
+  return {
+    numParams: model.countParams(),
+    numExamples,
+    seconds,
+    examplesPerSecond: numExamples / seconds
+  };
 }
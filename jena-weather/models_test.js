@@ -16,9 +16,10 @@
  */
 
 import * as tf from '@tensorflow/tfjs-node';
+import {PassThrough} from 'stream';
 
 import {JenaWeatherData} from "./data";
-import {buildGRUModel, buildMLPModel, buildSimpleRNNModel, getBaselineMeanAbsoluteError} from "./models";
+import {buildGRUModel, buildMLPModel, buildModel, buildSimpleRNNModel, buildTCNModel, buildTransformerModel, getBaselineMeanAbsoluteError, getBaselinePerHorizonMeanAbsoluteErrors, getDataSplits} from "./models";
 
 describe('Model creation', () => {
   it('MLP', () => {
@@ -52,6 +53,21 @@ describe('Model creation', () => {
     expect(model.outputs.length).toEqual(1);
     expect(model.outputs[0].shape).toEqual([null, 1]);
   });
+
+  it('MLP with multiple outputs', () => {
+    const model = buildMLPModel([8, 9], null, null, 6);
+    expect(model.outputs[0].shape).toEqual([null, 6]);
+  });
+
+  it('buildModel with multiple outputs', () => {
+    for (const modelType
+             of ['mlp', 'mlp-l2', 'mlp-dropout', 'linear-regression',
+                 'simpleRNN', 'gru', 'tcn', 'transformer']) {
+      const model = buildModel(modelType, 8, 9, 6);
+      expect(model.inputs[0].shape).toEqual([null, 8, 9]);
+      expect(model.outputs[0].shape).toEqual([null, 6]);
+    }
+  });
 });
 
 describe('RNN', () => {
@@ -72,6 +88,41 @@ describe('RNN', () => {
   });
 });
 
+describe('TCN and transformer', () => {
+  it('buildTCNModel', () => {
+    const model = buildTCNModel([24, 9], 3);
+    expect(model.inputs[0].shape).toEqual([null, 24, 9]);
+    expect(model.outputs[0].shape).toEqual([null, 3]);
+    // Dilation rates 1, 2, 4 and 8 give a receptive field of 31 >= 24 time
+    // steps.
+    const convLayers = model.layers.filter(
+        layer => layer.getClassName() === 'CausalConv1D');
+    expect(convLayers.map(layer => layer.getConfig().dilationRate))
+        .toEqual([1, 2, 4, 8]);
+  });
+
+  it('buildTransformerModel', () => {
+    const model = buildTransformerModel([24, 9], 3);
+    expect(model.inputs[0].shape).toEqual([null, 24, 9]);
+    expect(model.outputs[0].shape).toEqual([null, 3]);
+  });
+
+  it('Training reduces the loss', async () => {
+    // Predict the sum of the first feature over the last two time steps.
+    const xs = tf.randomNormal([64, 12, 2]);
+    const ys = xs.slice([0, 10, 0], [-1, 2, 1]).sum(1);
+    for (const modelType of ['tcn', 'transformer']) {
+      const model = buildModel(modelType, 12, 2, 1);
+      model.compile({loss: 'meanSquaredError', optimizer: tf.train.adam(1e-2)});
+      const history = await model.fit(xs, ys, {epochs: 20, batchSize: 64});
+      const losses = history.history.loss;
+      expect(losses[losses.length - 1]).toBeLessThan(losses[0]);
+      model.dispose();
+    }
+    tf.dispose([xs, ys]);
+  });
+});
+
 describe('getBaselineMeanAbsoluteError', () => {
   it('getBaselineMeanAbsoluteError', async () => {
     const dataset = new JenaWeatherData();
@@ -81,4 +132,82 @@ describe('getBaselineMeanAbsoluteError', () => {
         dataset, true, false, 10 * 24 * 6, 6, 24 * 6);
     expect(baselineMAE).toBeCloseTo(0.29033);
   });
+
+  it('getBaselinePerHorizonMeanAbsoluteErrors', async () => {
+    const dataset = new JenaWeatherData();
+    await dataset.load();
+
+    const errors = await getBaselinePerHorizonMeanAbsoluteErrors(
+        dataset, true, false, 10 * 24 * 6, 6, 24 * 6, ['T (degC)', 'p (mbar)'],
+        3);
+    expect(errors.perHorizon.length).toEqual(3);
+    expect(errors.perHorizon[0].length).toEqual(2);
+    // The first predicted time point is the same as in the single-step case.
+    expect(errors.perHorizon[0][0]).toBeCloseTo(0.29033);
+    let sum = 0;
+    errors.perHorizon.forEach(row => row.forEach(value => sum += value));
+    expect(errors.overall).toBeCloseTo(sum / 6);
+  });
+});
+
+describe('getDataSplits', () => {
+  /**
+   * Load a small synthetic time series with `numRows` rows, 10 minutes apart.
+   */
+  async function loadSyntheticData(numRows) {
+    const lines = ['"Date Time","p (mbar)","T (degC)"'];
+    for (let i = 0; i < numRows; ++i) {
+      const minutes = 10 * i;
+      const hh = `${Math.floor(minutes / 60)}`.padStart(2, '0');
+      const mm = `${minutes % 60}`.padStart(2, '0');
+      lines.push(`01.01.2009 ${hh}:${mm}:00,${1000 + i},${i}`);
+    }
+    const stream = new PassThrough();
+    stream.end(lines.join('\n') + '\n');
+    const dataset = new JenaWeatherData();
+    await dataset.load(stream);
+    return dataset;
+  }
+
+  it('Small datasets leave room for the targets', async () => {
+    const dataset = await loadSyntheticData(60);
+    const lookBack = 4;
+    const step = 1;
+    const delay = 18;
+    const horizon = 3;
+
+    // Without a delay and horizon, the proportional splits are used.
+    expect(getDataSplits(dataset)).toEqual(
+        {trainMinRow: 0, trainMaxRow: 30, valMinRow: 31, valMaxRow: 45});
+
+    const splits = getDataSplits(dataset, delay, step, horizon);
+    expect(splits).toEqual(
+        {trainMinRow: 0, trainMaxRow: 30, valMinRow: 31, valMaxRow: 40});
+    const lastTargetRows = dataset.getTargetRowIndices(
+        splits.valMaxRow - 1, lookBack, delay, step, horizon);
+    expect(lastTargetRows[horizon - 1]).toBeLessThan(dataset.numRows);
+
+    // All validation examples can be generated, with the right targets.
+    const batchFn = dataset.getNextBatchFunction(
+        false, lookBack, delay, 8, step, splits.valMinRow, splits.valMaxRow,
+        false, false, ['T (degC)'], horizon);
+    const targets = [];
+    for (let item = batchFn.next(); !item.done; item = batchFn.next()) {
+      targets.push(...item.value.ys.arraySync());
+      tf.dispose(item.value);
+    }
+    expect(targets.length)
+        .toEqual(splits.valMaxRow - splits.valMinRow - lookBack);
+    expect(targets[targets.length - 1]).toEqual(lastTargetRows);
+
+    const errors = await getBaselinePerHorizonMeanAbsoluteErrors(
+        dataset, false, false, lookBack, step, delay, ['T (degC)'], horizon);
+    expect(Number.isFinite(errors.overall)).toEqual(true);
+  });
+
+  it('Too few rows for the targets', async () => {
+    const dataset = await loadSyntheticData(60);
+    expect(() => getDataSplits(dataset, 40, 1, 1))
+        .toThrowError(/too few rows \(60\) for a delay of 40/);
+  });
 });
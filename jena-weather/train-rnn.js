@@ -28,26 +28,83 @@
 
 import {ArgumentParser} from 'argparse';
 
-import {JenaWeatherData} from './data';
-import {buildModel, getBaselineMeanAbsoluteError, trainModel} from './models';
+import {addDataArguments, loadData, parseColumns} from './data_args';
+import {
+  buildModel,
+  getBaselinePerHorizonMeanAbsoluteErrors,
+  getPerHorizonMeanAbsoluteErrors,
+  MODEL_TYPES,
+  trainModel
+} from './models';
 
 global.fetch = require('node-fetch');
 
+/**
+ * Print the mean absolute errors of the predictions as a table, with a row for
+ * each predicted time point and a column for each target column.
+ *
+ * @param {JenaWeatherData} jenaWeatherData The data the errors are
+ *   calculated on.
+ * @param {string[]} targetColumns Names of the target columns.
+ * @param {number} delay How many steps in the future the first prediction is
+ *   for.
+ * @param {number} step Number of steps between the predicted time points.
+ * @param {boolean} normalize Whether the errors are of normalized values. If
+ *   so, they are also printed in the units of the columns.
+ * @param {{overall: number, perHorizon: number[][]}} errors Errors of the
+ *   model's predictions, as returned by `getPerHorizonMeanAbsoluteErrors()`.
+ * @param {{overall: number, perHorizon: number[][]}} baselineErrors Errors of
+ *   the commonsense baseline predictions, for comparison. Optional.
+ */
+function printPerHorizonMeanAbsoluteErrors(
+    jenaWeatherData, targetColumns, delay, step, normalize, errors,
+    baselineErrors) {
+  const stddevs = targetColumns.map(
+      column => jenaWeatherData.getMeanAndStddev(column).stddev);
+  const formatError = (value, c) => normalize ?
+      `${value.toFixed(4)} (${(value * stddevs[c]).toFixed(4)})` :
+      value.toFixed(4);
+
+  console.log(
+      `Mean absolute errors per predicted time point` +
+      (normalize ? ' (in the units of the columns in parentheses)' : '') +
+      (baselineErrors != null ? ', vs. the commonsense baseline' : '') + ':');
+  console.log(['rows ahead'].concat(targetColumns).join('\t'));
+  errors.perHorizon.forEach((rowErrors, k) => {
+    const items = rowErrors.map((value, c) => {
+      let item = formatError(value, c);
+      if (baselineErrors != null) {
+        item += ` vs. ${formatError(baselineErrors.perHorizon[k][c], c)}`;
+      }
+      return item;
+    });
+    console.log([`${delay + k * step}`].concat(items).join('\t'));
+  });
+  console.log(
+      `Overall mean absolute error: ${errors.overall.toFixed(6)}` +
+      (baselineErrors != null ?
+           ` (commonsense baseline: ${baselineErrors.overall.toFixed(6)})` :
+           ''));
+}
+
 function parseArguments() {
   const parser =
       new ArgumentParser({description: 'Train RNNs for Jena weather problem'});
   parser.addArgument('--modelType', {
     type: 'string',
     defaultValue: 'gru',
-    optionStrings: ['baseline', 'gru', 'simpleRNN'],
+    choices: ['baseline'].concat(MODEL_TYPES),
     // TODO(cais): Add more model types, e.g., gru with recurrent dropout.
     help: 'Type of the model to train. Use "baseline" to compute the ' +
-    'commonsense baseline prediction error.'
+    'commonsense baseline prediction error. "tcn" is a temporal ' +
+    'convolutional network (dilated causal convolutions) and "transformer" ' +
+    'a transformer encoder (self-attention).'
   });
   parser.addArgument('--gpu', {
     action: 'storeTrue',
     help: 'Use GPU'
   });
+  addDataArguments(parser);
   parser.addArgument('--lookBack', {
     type: 'int',
     defaultValue: 10 * 24 * 6,
@@ -62,7 +119,19 @@ function parseArguments() {
     type: 'int',
     defaultValue: 24 * 6,
     help: 'How many steps (# of rows) in the future to predict the ' +
-        'temperature for'
+        'target columns for (the first time point, if --horizon > 1)'
+  });
+  parser.addArgument('--targetColumns', {
+    type: 'string',
+    help: 'Names of the data columns to predict, separated by commas, e.g., ' +
+        '"T (degC),p (mbar)" (default: "T (degC)" if the data has such a ' +
+        'column, otherwise the first data column)'
+  });
+  parser.addArgument('--horizon', {
+    type: 'int',
+    defaultValue: 1,
+    help: 'Number of future time points to predict. The time points are ' +
+        '--step rows apart, starting --delay rows after the last input row'
   });
   parser.addArgument('--normalize', {
     defaultValue: true,
@@ -109,22 +178,28 @@ async function main() {
     tfn = require('@tensorflow/tfjs-node');
   }
 
-  const jenaWeatherData = new JenaWeatherData();
-  console.log(`Loading Jena weather data...`);
-  await jenaWeatherData.load();
+  const jenaWeatherData = await loadData(args);
+
+  const targetColumns = args.targetColumns == null ?
+      [jenaWeatherData.getDefaultTargetColumn()] :
+      parseColumns(args.targetColumns);
+  if (!(args.horizon > 0)) {
+    throw new Error(`Invalid horizon: ${args.horizon}`);
+  }
 
+  console.log('Calculating commonsense baseline mean absolute error...');
+  const baselineErrors = await getBaselinePerHorizonMeanAbsoluteErrors(
+      jenaWeatherData, args.normalize, args.includeDateTime, args.lookBack,
+      args.step, args.delay, targetColumns, args.horizon);
   if (args.modelType === 'baseline') {
-    console.log('Calculating commonsense baseline mean absolute error...');
-    const baselineError = await getBaselineMeanAbsoluteError(
-        jenaWeatherData, args.normalize, args.includeDateTime, args.lookBack,
-        args.step, args.delay);
-    console.log(
-        `Commonsense baseline mean absolute error: ` +
-        `${baselineError.toFixed(6)}`);
+    printPerHorizonMeanAbsoluteErrors(
+        jenaWeatherData, targetColumns, args.delay, args.step, args.normalize,
+        baselineErrors);
   } else {
     let numFeatures = jenaWeatherData.getDataColumnNames().length;
     const model = buildModel(
-        args.modelType, Math.floor(args.lookBack / args.step), numFeatures);
+        args.modelType, Math.floor(args.lookBack / args.step), numFeatures,
+        args.horizon * targetColumns.length);
 
     let callback = [];
     if (args.logDir != null) {
@@ -145,10 +220,22 @@ async function main() {
       }));
     }
 
-    await trainModel(
+    const {numParams, numExamples, seconds, examplesPerSecond} =
+        await trainModel(
+            model, jenaWeatherData, args.normalize, args.includeDateTime,
+            args.lookBack, args.step, args.delay, args.batchSize, args.epochs,
+            callback, targetColumns, args.horizon);
+    console.log(
+        `Model type: ${args.modelType}; # of parameters: ${numParams}; ` +
+        `trained on ${numExamples} examples in ${seconds.toFixed(1)} s ` +
+        `(${examplesPerSecond.toFixed(1)} examples/s, excluding validation)`);
+
+    const errors = await getPerHorizonMeanAbsoluteErrors(
         model, jenaWeatherData, args.normalize, args.includeDateTime,
-        args.lookBack, args.step, args.delay, args.batchSize, args.epochs,
-        callback);
+        args.lookBack, args.step, args.delay, targetColumns, args.horizon);
+    printPerHorizonMeanAbsoluteErrors(
+        jenaWeatherData, targetColumns, args.delay, args.step, args.normalize,
+        errors, baselineErrors);
   }
 }
 
@@ -15,6 +15,7 @@
  * =============================================================================
  */
 
+import {parseDataColumns} from './csv_loader';
 import {plotData} from './index';
 
 const statusElement = document.getElementById('status');
@@ -26,6 +27,12 @@ const dateTimeRangeSpan = document.getElementById('date-time-range');
 const dataPrevButton = document.getElementById('data-prev');
 const dataNextButton = document.getElementById('data-next');
 const dataScatterCheckbox = document.getElementById('data-scatter');
+const targetColumnsSelect = document.getElementById('target-columns');
+const csvDateTimeColumnInput = document.getElementById('csv-date-time-column');
+const csvDateTimeFormatInput = document.getElementById('csv-date-time-format');
+const csvDataColumnsInput = document.getElementById('csv-data-columns');
+const csvDelimiterInput = document.getElementById('csv-delimiter');
+const csvFillGapsSelect = document.getElementById('csv-fill-gaps');
 
 export function logStatus(message) {
   statusElement.innerText = message;
@@ -46,14 +53,29 @@ export function populateSelects(dataObj) {
     }
   }
 
-  if (columnNames.indexOf('T (degC)') !== -1) {
-    selectSeries1.value = 'T (degC)';
-  }
+  selectSeries1.value = dataObj.getDefaultTargetColumn();
   if (columnNames.indexOf('p (mbar)') !== -1) {
     selectSeries2.value = 'p (mbar)';
   }
   timeSpanSelect.value = 'week';
   dataNormalizedCheckbox.checked = true;
+
+  while (targetColumnsSelect.firstChild) {
+    targetColumnsSelect.removeChild(targetColumnsSelect.firstChild);
+  }
+  for (const name of dataObj.getDataColumnNames()) {
+    const option = document.createElement('option');
+    option.setAttribute('value', name);
+    option.textContent = name;
+    option.selected = name === dataObj.getDefaultTargetColumn();
+    targetColumnsSelect.appendChild(option);
+  }
+}
+
+/** Get the names of the target columns selected for model training. */
+export function getTargetColumns() {
+  return Array.from(targetColumnsSelect.selectedOptions)
+      .map(option => option.value);
 }
 
 export const TIME_SPAN_RANGE_MAP = {
@@ -77,6 +99,11 @@ export const TIME_SPAN_STRIDE_MAP = {
 
 export let currBeginIndex = 0;
 
+/** Move the data visualization back to the beginning of the data. */
+export function resetBeginIndex() {
+  currBeginIndex = 0;
+}
+
 export function updateDateTimeRangeSpan(jenaWeatherData) {
   const timeSpan = timeSpanSelect.value;
   const currEndIndex = currBeginIndex + TIME_SPAN_RANGE_MAP[timeSpan];
@@ -117,6 +144,24 @@ selectSeries2.addEventListener('change', plotData);
 dataNormalizedCheckbox.addEventListener('change', plotData);
 dataScatterCheckbox.addEventListener('change', plotData);
 
+/**
+ * Get the format of a CSV file to load from the "Data Source" settings.
+ *
+ * @returns {object} The configuration for `JenaWeatherData.load()`.
+ */
+export function getCsvConfig() {
+  const dateTimeColumn = csvDateTimeColumnInput.value.trim();
+  const dataColumns = csvDataColumnsInput.value.trim();
+  return {
+    dateTimeColumn: /^\d+$/.test(dateTimeColumn) ? +dateTimeColumn :
+                                                    dateTimeColumn,
+    dateTimeFormat: csvDateTimeFormatInput.value.trim(),
+    dataColumns: dataColumns.length > 0 ? parseDataColumns(dataColumns) : null,
+    delimiter: csvDelimiterInput.value || ',',
+    fillGaps: csvFillGapsSelect.value
+  };
+}
+
 export function getDataVizOptions() {
   return {
     timeSpan: timeSpanSelect.value,
@@ -18,7 +18,8 @@
 import * as https from 'https';
 import * as tf from '@tensorflow/tfjs';
 
-// TODO(cais): Support user-supplied text data.
+import {CharTokenizer} from './tokenizer';
+
 export const TEXT_DATA_URLS = {
   'nietzsche': {
     url:
@@ -46,7 +47,8 @@ export const TEXT_DATA_URLS = {
  *
  * This class manages the following:
  *
- * - Converting training data (as a string) into one-hot encoded vectors.
+ * - Converting training data (as a string) into one-hot encoded vectors, or
+ *   into token indices for models with an embedding input.
  * - Drawing random slices from the training data. This is useful for training
  *   models and obtaining the seed text for model-based text generation.
  */
@@ -60,8 +62,13 @@ export class TextData {
    *   sequence length expected by the LSTM model.
    * @param {number} sampleStep How many characters to skip when going from one
    *   example of the training data (in `textString`) to the next.
+   * @param {CharTokenizer|WordTokenizer|BPETokenizer} tokenizer The tokenizer
+   *   that splits the text into the units predicted by the model (see
+   *   tokenizer.js). Optional: by default, the text is split into characters.
+   *   With other tokenizers, "characters" in the methods of this class means
+   *   tokens, and `sampleLen` and `sampleStep` are in number of tokens.
    */
-  constructor(dataIdentifier, textString, sampleLen, sampleStep) {
+  constructor(dataIdentifier, textString, sampleLen, sampleStep, tokenizer) {
     tf.util.assert(
         sampleLen > 0,
         `Expected sampleLen to be a positive integer, but got ${sampleLen}`);
@@ -80,8 +87,41 @@ export class TextData {
     this.sampleLen_ = sampleLen;
     this.sampleStep_ = sampleStep;
 
-    this.getCharSet_();
-    this.convertAllTextToIndices_();
+    this.setTokenizer(
+        tokenizer == null ? CharTokenizer.fromText(textString) : tokenizer);
+  }
+
+  /**
+   * Use another tokenizer, e.g., the one that a loaded model was trained with.
+   *
+   * @param {CharTokenizer|WordTokenizer|BPETokenizer} tokenizer The tokenizer.
+   * @throws Error if the text can't be tokenized with `tokenizer` (see
+   *   `textToIndices()`). The previous tokenizer is kept then.
+   */
+  setTokenizer(tokenizer) {
+    if (tokenizer.vocabularySize() > 65536) {
+      throw new Error(
+          `Vocabulary size (${tokenizer.vocabularySize()}) exceeds the ` +
+          `maximum of 65536.`);
+    }
+    const previousTokenizer = this.tokenizer_;
+    this.tokenizer_ = tokenizer;
+    try {
+      this.convertAllTextToIndices_();
+    } catch (err) {
+      this.tokenizer_ = previousTokenizer;
+      throw err;
+    }
+    this.charSetSize_ = tokenizer.vocabularySize();
+  }
+
+  /**
+   * Get the tokenizer.
+   *
+   * @returns {CharTokenizer|WordTokenizer|BPETokenizer} The tokenizer.
+   */
+  tokenizer() {
+    return this.tokenizer_;
   }
 
   /**
@@ -109,6 +149,16 @@ export class TextData {
     return this.sampleLen_;
   }
 
+  /**
+   * Get the number of tokens in the training text data.
+   *
+   * @returns {number} The number of tokens. Same as `textLen()` for
+   *   character-level tokenization.
+   */
+  numTokens() {
+    return this.indices_.length;
+  }
+
   /**
    * Get the size of the character set.
    *
@@ -119,33 +169,135 @@ export class TextData {
     return this.charSetSize_;
   }
 
+  /**
+   * Get the size of the vocabulary. Same as `charSetSize()`.
+   *
+   * @returns {number} The number of tokens in the vocabulary.
+   */
+  vocabularySize() {
+    return this.charSetSize_;
+  }
+
   /**
    * Generate the next epoch of data for training models.
    *
    * @param {number} numExamples Number examples to generate.
+   * @param {boolean} asIndices Whether to return token indices instead of
+   *   one-hot encodings, for models with an embedding input. Optional,
+   *   defaults to `false`.
+   * @param {number} validationSplit Fraction of the text, at its end, that is
+   *   held out for validation (see `getValidationData()`): the examples are
+   *   drawn from the rest of the text. Optional, defaults to 0.
    * @returns {[tf.Tensor, tf.Tensor]} `xs` and `ys` Tensors.
    *   `xs` has the shape of `[numExamples, this.sampleLen, this.charSetSize]`.
    *   `ys` has the shape of `[numExamples, this.charSetSize]`.
+   *   With `asIndices`, `xs` is an int32 Tensor of shape `[numExamples,
+   *   this.sampleLen]` and `ys` has the shape `[numExamples, 1]`.
    */
-  nextDataEpoch(numExamples) {
-    this.generateExampleBeginIndices_();
+  nextDataEpoch(numExamples, asIndices = false, validationSplit = 0) {
+    this.generateExampleBeginIndices_(
+        this.getValidationBeginIndex_(validationSplit));
+    if (this.exampleBeginIndices_.length === 0) {
+      throw new Error(
+          `The text is too short for examples of length ${this.sampleLen_}` +
+          (validationSplit > 0 ?
+               ` with a validation split of ${validationSplit}.` :
+               '.'));
+    }
 
     if (numExamples == null) {
       numExamples = this.exampleBeginIndices_.length;
     }
 
+    const beginIndices = [];
+    for (let i = 0; i < numExamples; ++i) {
+      beginIndices.push(this.exampleBeginIndices_[
+          this.examplePosition_ % this.exampleBeginIndices_.length]);
+      this.examplePosition_++;
+    }
+    return this.makeExamples_(beginIndices, asIndices);
+  }
+
+  /**
+   * Get the validation data: examples from the held-out end of the text,
+   * which `nextDataEpoch()` does not draw training examples from.
+   *
+   * @param {number} validationSplit Fraction of the text that is held out,
+   *   between 0 (exclusive) and 1 (exclusive).
+   * @param {number} maxExamples Optional maximum number of examples. If the
+   *   held-out text has more examples (every `sampleStep` characters), they
+   *   are subsampled evenly.
+   * @param {boolean} asIndices See `nextDataEpoch()`.
+   * @returns {[tf.Tensor, tf.Tensor]} `xs` and `ys` Tensors, in the same
+   *   format as the output of `nextDataEpoch()`.
+   */
+  getValidationData(validationSplit, maxExamples, asIndices = false) {
+    if (!(validationSplit > 0)) {
+      throw new Error(`Invalid validation split: ${validationSplit}`);
+    }
+    let beginIndices = [];
+    for (let i = this.getValidationBeginIndex_(validationSplit);
+         i < this.indices_.length - this.sampleLen_ - 1;
+         i += this.sampleStep_) {
+      beginIndices.push(i);
+    }
+    if (beginIndices.length === 0) {
+      throw new Error(
+          `The held-out text is too short for validation examples of ` +
+          `length ${this.sampleLen_}. Increase the validation split ` +
+          `(${validationSplit}).`);
+    }
+    if (maxExamples != null && beginIndices.length > maxExamples) {
+      const numBeginIndices = beginIndices.length;
+      const subsampled = [];
+      for (let i = 0; i < maxExamples; ++i) {
+        subsampled.push(
+            beginIndices[Math.floor(i * numBeginIndices / maxExamples)]);
+      }
+      beginIndices = subsampled;
+    }
+    return this.makeExamples_(beginIndices, asIndices);
+  }
+
+  /**
+   * Get the index of the first token of the held-out end of the text.
+   */
+  getValidationBeginIndex_(validationSplit) {
+    if (!(validationSplit >= 0 && validationSplit < 1)) {
+      throw new Error(`Invalid validation split: ${validationSplit}`);
+    }
+    return Math.floor(this.indices_.length * (1 - validationSplit));
+  }
+
+  /**
+   * Make the examples that begin at given token indices.
+   */
+  makeExamples_(beginIndices, asIndices) {
+    const numExamples = beginIndices.length;
+    if (asIndices) {
+      const xs = new Int32Array(numExamples * this.sampleLen_);
+      const ys = new Float32Array(numExamples);
+      beginIndices.forEach((beginIndex, i) => {
+        xs.set(
+            this.indices_.subarray(beginIndex, beginIndex + this.sampleLen_),
+            i * this.sampleLen_);
+        ys[i] = this.indices_[beginIndex + this.sampleLen_];
+      });
+      return [
+        tf.tensor2d(xs, [numExamples, this.sampleLen_], 'int32'),
+        tf.tensor2d(ys, [numExamples, 1])
+      ];
+    }
+
     const xsBuffer = new tf.TensorBuffer([
         numExamples, this.sampleLen_, this.charSetSize_]);
     const ysBuffer  = new tf.TensorBuffer([numExamples, this.charSetSize_]);
-    for (let i = 0; i < numExamples; ++i) {
-      const beginIndex = this.exampleBeginIndices_[
-          this.examplePosition_ % this.exampleBeginIndices_.length];
+    beginIndices.forEach((beginIndex, i) => {
       for (let j = 0; j < this.sampleLen_; ++j) {
         xsBuffer.set(1, i, j, this.indices_[beginIndex + j]);
       }
       ysBuffer.set(1, i, this.indices_[beginIndex + this.sampleLen_]);
-      this.examplePosition_++;
-    }
+    });
     return [xsBuffer.toTensor(), ysBuffer.toTensor()];
   }
 
@@ -156,7 +308,7 @@ export class TextData {
    * @returns {string} The unique character at `index` of the character set.
    */
   getFromCharSet(index) {
-    return this.charSet_[index];
+    return this.tokenizer_.getToken(index);
   }
 
   /**
@@ -164,11 +316,23 @@ export class TextData {
    *
    * @param {string} text Input text.
    * @returns {number[]} Indices of the characters of `text`.
+   * @throws Error if a character-level tokenizer is used and `text` has
+   *   characters that are not in its character set. (The word and BPE
+   *   tokenizers map unknown words and characters to `UNKNOWN_TOKEN`.)
    */
   textToIndices(text) {
-    const indices = [];
-    for (let i = 0; i < text.length; ++i) {
-      indices.push(this.charSet_.indexOf(text[i]));
+    const indices = this.tokenizer_.encode(text);
+    // Only `CharTokenizer` returns -1, for one character at a time.
+    const unknownChars = new Set();
+    indices.forEach((index, i) => {
+      if (index === -1) {
+        unknownChars.add(text[i]);
+      }
+    });
+    if (unknownChars.size > 0) {
+      throw new Error(
+          `The text has characters that are not in the character set: ` +
+          Array.from(unknownChars, char => JSON.stringify(char)).join(', '));
     }
     return indices;
   }
@@ -180,10 +344,11 @@ export class TextData {
    *   same slice.
    */
   getRandomSlice() {
-    const startIndex =
-        Math.round(Math.random() * (this.textLen_ - this.sampleLen_ - 1));
-    const textSlice = this.slice_(startIndex, startIndex + this.sampleLen_);
-    return [textSlice, this.textToIndices(textSlice)];
+    const startIndex = Math.round(
+        Math.random() * (this.indices_.length - this.sampleLen_ - 1));
+    const indices = Array.from(
+        this.indices_.subarray(startIndex, startIndex + this.sampleLen_));
+    return [this.tokenizer_.decode(indices), indices];
   }
 
   /**
@@ -198,19 +363,6 @@ export class TextData {
     return this.textString_.slice(startIndex, endIndex);
   }
 
-  /**
-   * Get the set of unique characters from text.
-   */
-  getCharSet_() {
-    this.charSet_ = [];
-    for (let i = 0; i < this.textLen_; ++i) {
-      if (this.charSet_.indexOf(this.textString_[i]) === -1) {
-        this.charSet_.push(this.textString_[i]);
-      }
-    }
-    this.charSetSize_ = this.charSet_.length;
-  }
-
   /**
    * Convert all training text to integer indices.
    */
@@ -220,12 +372,15 @@ export class TextData {
 
   /**
    * Generate the example-begin indices; shuffle them randomly.
+   *
+   * @param {number} endIndex The examples (including their targets) end
+   *   before this token index.
    */
-  generateExampleBeginIndices_() {
+  generateExampleBeginIndices_(endIndex) {
     // Prepare beginning indices of examples.
     this.exampleBeginIndices_ = [];
     for (let i = 0;
-        i < this.textLen_ - this.sampleLen_ - 1;
+        i < endIndex - this.sampleLen_ - 1;
         i += this.sampleStep_) {
       this.exampleBeginIndices_.push(i);
     }
@@ -260,3 +415,32 @@ export async function maybeDownload(sourceURL, destPath) {
     }
   });
 }
+
+/**
+ * Load the text to train a model on, in Node.js.
+ *
+ * @param {string} textDatasetNameOrPath The name of one of the datasets in
+ *   `TEXT_DATA_URLS`, which is downloaded to the temporary directory if
+ *   necessary, or the path to a local text file (UTF-8).
+ * @returns {string} The text.
+ */
+export async function loadText(textDatasetNameOrPath) {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  let textPath = textDatasetNameOrPath;
+  if (textDatasetNameOrPath in TEXT_DATA_URLS) {
+    const textDataURL = TEXT_DATA_URLS[textDatasetNameOrPath].url;
+    textPath = path.join(os.tmpdir(), path.basename(textDataURL));
+    await maybeDownload(textDataURL, textPath);
+  } else if (!fs.existsSync(textPath)) {
+    throw new Error(
+        `"${textDatasetNameOrPath}" is neither the name of a text dataset ` +
+        `(${Object.keys(TEXT_DATA_URLS).join(', ')}) nor an existing file.`);
+  }
+  const text = fs.readFileSync(textPath, {encoding: 'utf-8'});
+  if (text.length === 0) {
+    throw new Error(`The text in ${textPath} is empty.`);
+  }
+  return text;
+}
@@ -15,7 +15,12 @@
  * =============================================================================
  */
 
-import {TextData} from './data';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import {loadText, TextData} from './data';
+import {BPETokenizer, CharTokenizer, WordTokenizer} from './tokenizer';
 
 // tslint:disable:max-line-length
 const FAKE_TEXT = `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Suspendisse tempor aliquet justo non varius. Curabitur eget convallis velit. Vivamus malesuada, tortor ut finibus posuere, libero lacus eleifend felis, sit amet tempus dolor magna id nibh. Praesent non turpis libero. Praesent luctus, neque vitae suscipit suscipit, arcu neque aliquam justo, eget gravida diam augue nec lorem. Etiam scelerisque vel nibh sit amet maximus. Praesent et dui quis elit bibendum elementum a eget velit. Mauris porta lorem ac porttitor congue. Vestibulum lobortis ultrices velit, vitae condimentum elit ultrices a. Vivamus rutrum ultrices eros ac finibus. Orci varius natoque penatibus et magnis dis parturient montes, nascetur ridiculus mus. Morbi a purus a nibh eleifend convallis. Praesent non turpis volutpat, imperdiet lacus in, cursus tellus. Etiam elit velit, ornare sit amet nulla vel, aliquam iaculis mauris.
@@ -75,5 +80,129 @@ describe('TextData', () => {
     expect(typeof text).toEqual('string');
     expect(Array.isArray(indices)).toEqual(true);
   });
+
+  it('Word tokenization', () => {
+    const tokenizer = WordTokenizer.fromText(FAKE_TEXT, 50);
+    const data = new TextData('LoremIpsum', FAKE_TEXT, 8, 2, tokenizer);
+    expect(data.vocabularySize()).toEqual(50);
+    expect(data.charSetSize()).toEqual(50);
+    expect(data.numTokens()).toEqual(tokenizer.encode(FAKE_TEXT).length);
+    expect(data.textToIndices('sit amet')).toEqual(
+        tokenizer.encode('sit amet'));
+
+    const [text, indices] = data.getRandomSlice();
+    expect(indices.length).toEqual(8);
+    expect(text).toEqual(tokenizer.decode(indices));
+  });
+
+  it('nextDataEpoch: token indices', () => {
+    const tokenizer = BPETokenizer.fromText(FAKE_TEXT, 100);
+    const data = new TextData('LoremIpsum', FAKE_TEXT, 12, 3, tokenizer);
+    const [xs, ys] = data.nextDataEpoch(5, true);
+    expect(xs.shape).toEqual([5, 12]);
+    expect(xs.dtype).toEqual('int32');
+    expect(ys.shape).toEqual([5, 1]);
+    // Every target is the token that follows the input.
+    const allIndices = tokenizer.encode(FAKE_TEXT);
+    const xsArray = xs.arraySync();
+    const ysArray = ys.dataSync();
+    for (let i = 0; i < 5; ++i) {
+      let begin = -1;
+      for (let j = 0; j < allIndices.length - 12; ++j) {
+        if (allIndices.slice(j, j + 12).join() === xsArray[i].join() &&
+            allIndices[j + 12] === ysArray[i]) {
+          begin = j;
+          break;
+        }
+      }
+      expect(begin).not.toEqual(-1);
+    }
+  });
+
+  it('setTokenizer', () => {
+    const data = new TextData('LoremIpsum', FAKE_TEXT, 20, 3);
+    const charSetSize = data.charSetSize();
+    data.setTokenizer(WordTokenizer.fromText(FAKE_TEXT, 30));
+    expect(data.tokenizer().mode).toEqual('word');
+    expect(data.vocabularySize()).toEqual(30);
+    expect(data.numTokens()).toBeLessThan(data.textLen());
+    expect(charSetSize).not.toEqual(30);
+  });
+
+  it('setTokenizer: unknown characters', () => {
+    const data = new TextData('LoremIpsum', FAKE_TEXT, 20, 3);
+    const tokenizer = CharTokenizer.fromText('abcdefghijklmnopqrstuvwxyz ');
+    expect(() => data.setTokenizer(tokenizer))
+        .toThrowError(/not in the character set: .*"L"/);
+    // The previous tokenizer is kept.
+    expect(data.tokenizer().vocabularySize()).toEqual(data.charSetSize());
+    expect(Array.from(data.getRandomSlice()[1]).every(
+               index => index < data.charSetSize()))
+        .toEqual(true);
+
+    expect(() => data.textToIndices('Lorem\u00e9'))
+        .toThrowError(/not in the character set: "\u00e9"/);
+    // Unknown words are mapped to the unknown token by a word tokenizer.
+    data.setTokenizer(WordTokenizer.fromText(FAKE_TEXT, 30));
+    expect(data.textToIndices('Lorem zzz')).toContain(0);
+  });
+
+  it('Validation split: held-out end of the text', () => {
+    const text = 'abcdefghijklmnopqrstuvwxyz'.repeat(4);
+    const data = new TextData('Alphabet', text, 5, 1);
+    // The last 26 characters are held out. Every training example (including
+    // its target) ends before them.
+    const [xs, ys] = data.nextDataEpoch(null, true, 0.25);
+    expect(xs.shape).toEqual([72, 5]);
+    const xsArray = xs.arraySync();
+    const ysArray = ys.dataSync();
+    const heldOutBegin = 78;
+    for (let i = 0; i < xsArray.length; ++i) {
+      const beginIndex = text.indexOf(data.tokenizer().decode(xsArray[i]));
+      expect(beginIndex + 5).toBeLessThan(heldOutBegin);
+      expect(ysArray[i]).toEqual(data.textToIndices(text[beginIndex + 5])[0]);
+    }
+
+    const [valXs, valYs] = data.getValidationData(0.25, null, true);
+    expect(valXs.shape).toEqual([20, 5]);
+    expect(data.tokenizer().decode(valXs.arraySync()[0])).toEqual('abcde');
+    expect(valYs.dataSync()[0]).toEqual(data.textToIndices('f')[0]);
+
+    // Even subsampling.
+    const [subXs] = data.getValidationData(0.25, 4, true);
+    expect(subXs.arraySync().map(x => data.tokenizer().decode(x))).toEqual([
+      'abcde', 'fghij', 'klmno', 'pqrst'
+    ]);
+    // One-hot encoding.
+    const [oneHotXs, oneHotYs] = data.getValidationData(0.25, 3);
+    expect(oneHotXs.shape).toEqual([3, 5, 26]);
+    expect(oneHotYs.shape).toEqual([3, 26]);
+  });
+
+  it('Validation split: invalid values and too short texts throw', () => {
+    const data = new TextData('Alphabet', 'abcdefghijklmnopqrstuvwxyz', 5, 1);
+    expect(() => data.nextDataEpoch(4, false, 1)).toThrowError(/split/);
+    expect(() => data.getValidationData(0)).toThrowError(/split/);
+    expect(() => data.getValidationData(0.1)).toThrowError(/too short/);
+    expect(() => data.nextDataEpoch(4, false, 0.9)).toThrowError(/too short/);
+  });
 });
 
+describe('loadText', () => {
+  it('Local file', async () => {
+    const textPath = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'lstm-text-')), 'corpus.txt');
+    fs.writeFileSync(textPath, 'Some internal document.\n');
+    expect(await loadText(textPath)).toEqual('Some internal document.\n');
+    fs.unlinkSync(textPath);
+    fs.rmdirSync(path.dirname(textPath));
+
+    let error;
+    try {
+      await loadText(textPath);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/neither the name of a text dataset/);
+  });
+});
@@ -20,14 +20,14 @@
  */
 
 import * as fs from 'fs';
-import * as os from 'os';
 import * as path from 'path';
 import * as argparse from 'argparse';
 
 import * as tf from '@tensorflow/tfjs';
 
-import {maybeDownload, TextData, TEXT_DATA_URLS} from './data';
-import {generateText} from './model';
+import {loadText, TextData, TEXT_DATA_URLS} from './data';
+import {DECODING_METHODS, generateTextWithLogProbs} from './model';
+import {tokenizerFromJSON, VOCABULARY_FILE_NAME} from './tokenizer';
 
 function parseArgs() {
   const parser = argparse.ArgumentParser({
@@ -35,8 +35,9 @@ function parseArgs() {
   });
   parser.addArgument('textDatasetName', {
     type: 'string',
-    choices: Object.keys(TEXT_DATA_URLS),
-    help: 'Name of the text dataset'
+    help: 'Name of the text dataset (' +
+    Object.keys(TEXT_DATA_URLS).join(', ') + '), or path to a local text ' +
+    'file (UTF-8)'
   });
   parser.addArgument('modelJSONPath', {
     type: 'string',
@@ -46,7 +47,8 @@ function parseArgs() {
   parser.addArgument('--genLength', {
     type: 'int',
     defaultValue: 200,
-    help: 'Length of the text to generate.'
+    help: 'Length of the text to generate, in number of characters (or ' +
+    'tokens, for models trained with word or BPE tokenization).'
   });
   parser.addArgument('--temperature', {
     type: 'float',
@@ -54,6 +56,54 @@ function parseArgs() {
     help: 'Temperature value to use for text generation. Higher values ' +
     'lead to more random-looking generation results.'
   });
+  parser.addArgument('--decoding', {
+    type: 'string',
+    defaultValue: 'temperature',
+    choices: DECODING_METHODS,
+    help: 'Decoding method: sampling with temperature, top-k sampling, ' +
+    'nucleus (top-p) sampling, or beam search.'
+  });
+  parser.addArgument('--topK', {
+    type: 'int',
+    defaultValue: 10,
+    help: 'Number of most probable characters to sample from, with ' +
+    '--decoding topK.'
+  });
+  parser.addArgument('--topP', {
+    type: 'float',
+    defaultValue: 0.9,
+    help: 'Minimum total probability of the most probable characters to ' +
+    'sample from, with --decoding nucleus.'
+  });
+  parser.addArgument('--beamWidth', {
+    type: 'int',
+    defaultValue: 4,
+    help: 'Number of candidate texts to keep, with --decoding beam.'
+  });
+  parser.addArgument('--repetitionPenalty', {
+    type: 'float',
+    defaultValue: 1,
+    help: 'Penalty (>= 1) for characters that occurred within the last ' +
+    '--repetitionWindow characters. Their log-probabilities are multiplied ' +
+    'by it. 1 means no penalty.'
+  });
+  parser.addArgument('--repetitionWindow', {
+    type: 'int',
+    defaultValue: 20,
+    help: 'Number of recent characters that --repetitionPenalty applies to.'
+  });
+  parser.addArgument('--stateful', {
+    action: 'storeTrue',
+    help: 'Feed one character at a time to a stateful copy of the model, ' +
+    'instead of rerunning the model over the last sampleLen characters for ' +
+    'every generated character. This is faster, but the predictions after ' +
+    'the first character only approximate those of the model, as they ' +
+    'depend on all characters since the beginning of the seed.'
+  });
+  parser.addArgument('--printLogProbs', {
+    action: 'storeTrue',
+    help: 'Print the log-probability of every generated character.'
+  });
   parser.addArgument('--gpu', {
     action: 'storeTrue',
     help: 'Use CUDA GPU for training.'
@@ -79,26 +129,69 @@ async function main() {
   }
 
   // Load the model.
-  const model = await tf.loadModel(`file://${args.modelJSONPath}`);
+  const model = await tf.loadLayersModel(`file://${args.modelJSONPath}`);
 
   const sampleLen = model.inputs[0].shape[1];
 
   // Create the text data object.
-  const textDataURL = TEXT_DATA_URLS[args.textDatasetName].url;
-  const localTextDataPath = path.join(os.tmpdir(), path.basename(textDataURL));
-  await maybeDownload(textDataURL, localTextDataPath);
-  const text = fs.readFileSync(localTextDataPath, {encoding: 'utf-8'});
-  const textData = new TextData('text-data', text, sampleLen, args.sampleStep);
+  const text = await loadText(args.textDatasetName);
+
+  // Load the vocabulary saved by train_node.js next to the model. Models
+  // saved without one are character-level models whose character set is
+  // rebuilt from the text.
+  const vocabularyPath =
+      path.join(path.dirname(args.modelJSONPath), VOCABULARY_FILE_NAME);
+  let tokenizer;
+  if (fs.existsSync(vocabularyPath)) {
+    tokenizer =
+        tokenizerFromJSON(JSON.parse(fs.readFileSync(vocabularyPath, 'utf8')));
+    console.log(
+        `Loaded ${tokenizer.mode} vocabulary of size ` +
+        `${tokenizer.vocabularySize()} from ${vocabularyPath}`);
+  }
+  const textData =
+      new TextData('text-data', text, sampleLen, args.sampleStep, tokenizer);
+  if (textData.vocabularySize() !== model.outputs[0].shape[1]) {
+    throw new Error(
+        `The vocabulary size (${textData.vocabularySize()}) does not match ` +
+        `the output size of the model (${model.outputs[0].shape[1]}).`);
+  }
 
   // Get a seed text from the text data object.
   const [seed, seedIndices] = textData.getRandomSlice();
   
   console.log(`Seed text:\n"${seed}"\n`);
 
-  const generated = await generateText(
-      model, textData, seedIndices, args.genLength, args.temperature);
+  const decodingOptions = {
+    method: args.decoding,
+    temperature: args.temperature,
+    topK: args.topK,
+    topP: args.topP,
+    beamWidth: args.beamWidth,
+    repetitionPenalty: args.repetitionPenalty,
+    repetitionWindow: args.repetitionWindow,
+    stateful: args.stateful
+  };
+  const startTime = Date.now();
+  const {text: generated, indices, logProbs, perplexity} =
+      await generateTextWithLogProbs(
+          model, textData, seedIndices, args.genLength, decodingOptions);
+  const seconds = (Date.now() - startTime) / 1000;
 
+  const unit = textData.tokenizer().mode === 'char' ? 'characters' : 'tokens';
   console.log(`Generated text:\n"${generated}"\n`);
+  if (args.printLogProbs) {
+    console.log(`Log-probabilities of the generated ${unit}:`);
+    indices.forEach((index, i) => {
+      console.log(
+          `${JSON.stringify(textData.getFromCharSet(index))}\t` +
+          `${logProbs[i].toFixed(4)}`);
+    });
+  }
+  console.log(`Perplexity: ${perplexity.toFixed(4)}`);
+  console.log(
+      `Generated ${args.genLength} ${unit} in ${seconds.toFixed(2)} s ` +
+      `(${(args.genLength / seconds).toFixed(1)} ${unit}/s)`);
 }
 
 main();
@@ -30,6 +30,7 @@ import * as tf from '@tensorflow/tfjs';
 
 import {TextData} from './data';
 import * as model from './model';
+import {tokenizerFromJSON} from './tokenizer';
 import {onTextGenerationBegin, onTextGenerationChar, onTrainBatchEnd, onTrainBegin, onTrainEpochEnd, setUpUI} from './ui';
 
 /**
@@ -59,10 +60,12 @@ export class LSTMTextGenerator {
    *
    * @param {number | number[]} lstmLayerSizes Sizes of the LSTM layers, as a
    *   number or an non-empty array of numbers.
+   * @param {number} embeddingSize Optional size of the embedding of the input
+   *   tokens. See `createModel()` in model.js.
    */
-  createModel(lstmLayerSizes) {
+  createModel(lstmLayerSizes, embeddingSize) {
     this.model = model.createModel(
-        this.sampleLen_, this.charSetSize_, lstmLayerSizes);
+        this.sampleLen_, this.charSetSize_, lstmLayerSizes, embeddingSize);
   }
 
   /**
@@ -126,12 +129,33 @@ export class LSTMTextGenerator {
         this.model, this.textData_, sentenceIndices, length, temperature,
         onTextGenerationChar);
   }
+
+  /**
+   * Generate text using the LSTM model, with a choice of decoding methods.
+   *
+   * @param {number[]} sentenceIndices Seed sentence, represented as the
+   *   indices of the constituent characters.
+   * @param {number} length Length of the text to generate, in number of
+   *   characters.
+   * @param {object} decodingOptions Decoding method and its parameters. See
+   *   `generateTextWithLogProbs()` in model.js.
+   * @returns {{text: string, indices: number[], logProbs: number[],
+   *   perplexity: number}} The generated text, along with the log-probability
+   *   of every character and the perplexity of the text.
+   */
+  async generateTextWithLogProbs(sentenceIndices, length, decodingOptions) {
+    onTextGenerationBegin();
+    return await model.generateTextWithLogProbs(
+        this.model, this.textData_, sentenceIndices, length, decodingOptions,
+        onTextGenerationChar);
+  }
 };
 
 /**
  * A subclass of LSTMTextGenerator that supports model saving and loading.
  *
- * The model is saved to and loaded from browser's IndexedDB.
+ * The model is saved to and loaded from browser's IndexedDB. Its vocabulary
+ * (see tokenizer.js) is saved to and loaded from the browser's local storage.
  */
 export class SaveableLSTMTextGenerator extends LSTMTextGenerator {
   /**
@@ -141,10 +165,15 @@ export class SaveableLSTMTextGenerator extends LSTMTextGenerator {
    */
   constructor(textData) {
     super(textData);
-    this.modelIdentifier_ = textData.dataIdentifier();
+    // Models of different tokenization modes are saved separately.
+    const mode = textData.tokenizer().mode;
+    this.modelIdentifier_ = mode === 'char' ?
+        textData.dataIdentifier() :
+        `${textData.dataIdentifier()}-${mode}`;
     this.MODEL_SAVE_PATH_PREFIX_ = 'indexeddb://lstm-text-generation';
     this.modelSavePath_ =
         `${this.MODEL_SAVE_PATH_PREFIX_}/${this.modelIdentifier_}`;
+    this.vocabularyKey_ = `${this.modelSavePath_}/vocabulary`;
   }
 
   /**
@@ -168,6 +197,13 @@ export class SaveableLSTMTextGenerator extends LSTMTextGenerator {
       console.log(`Loading existing model...`);
       this.model = await tf.loadLayersModel(this.modelSavePath_);
       console.log(`Loaded model from ${this.modelSavePath_}`);
+      // Use the vocabulary that the model was trained with. (Models saved
+      // before vocabularies were saved are character-level models.)
+      const vocabulary = localStorage.getItem(this.vocabularyKey_);
+      if (vocabulary != null) {
+        this.textData_.setTokenizer(tokenizerFromJSON(JSON.parse(vocabulary)));
+        this.charSetSize_ = this.textData_.charSetSize();
+      }
     } else {
       throw new Error(
           `Cannot find model at ${this.modelSavePath_}. ` +
@@ -184,6 +220,9 @@ export class SaveableLSTMTextGenerator extends LSTMTextGenerator {
     if (this.model == null) {
       throw new Error('Cannot save model before creating model.');
     } else {
+      localStorage.setItem(
+          this.vocabularyKey_,
+          JSON.stringify(this.textData_.tokenizer().toJSON()));
       return await this.model.save(this.modelSavePath_);
     }
   }
@@ -196,6 +235,7 @@ export class SaveableLSTMTextGenerator extends LSTMTextGenerator {
       throw new Error(
           'Cannot remove locally saved model because it does not exist.');
     }
+    localStorage.removeItem(this.vocabularyKey_);
     return await tf.io.removeModel(this.modelSavePath_);
   }
 
@@ -221,11 +261,9 @@ export class SaveableLSTMTextGenerator extends LSTMTextGenerator {
     if (this.model == null) {
       throw new Error('Create model first.');
     }
-    const numLSTMLayers = this.model.layers.length - 1;
-    const layerSizes = [];
-    for (let i = 0; i < numLSTMLayers; ++i) {
-      layerSizes.push(this.model.layers[i].units);
-    }
+    const layerSizes = this.model.layers
+                           .filter(layer => layer.getClassName() === 'LSTM')
+                           .map(layer => layer.units);
     return layerSizes.length === 1 ? layerSizes[0] : layerSizes;
   }
 }
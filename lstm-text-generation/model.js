@@ -25,22 +25,36 @@ import {TextData} from './data';
  * @param {number} charSetSize Size of the character size: how many unique
  *   characters there are.
  * @param {number|numbre[]} lstmLayerSizes Size(s) of the LSTM layers.
+ * @param {number} embeddingSize Optional size of the embedding of the input
+ *   characters (or tokens). If specified, the model takes the indices of the
+ *   characters as input, instead of their one-hot encodings, which saves
+ *   memory for large vocabularies.
  * @return {tf.Model} A next-character prediction model with an input shape
- *   of `[null, sampleLen, charSetSize]` and an output shape of
- *   `[null, charSetSize]`.
+ *   of `[null, sampleLen, charSetSize]` (`[null, sampleLen]` with
+ *   `embeddingSize`) and an output shape of `[null, charSetSize]`.
  */
-export function createModel(sampleLen, charSetSize, lstmLayerSizes) {
+export function createModel(
+    sampleLen, charSetSize, lstmLayerSizes, embeddingSize) {
   if (!Array.isArray(lstmLayerSizes)) {
     lstmLayerSizes = [lstmLayerSizes];
   }
 
   const model = tf.sequential();
+  if (embeddingSize != null) {
+    model.add(tf.layers.embedding({
+      inputDim: charSetSize,
+      outputDim: embeddingSize,
+      inputLength: sampleLen
+    }));
+  }
   for (let i = 0; i < lstmLayerSizes.length; ++i) {
     const lstmLayerSize = lstmLayerSizes[i];
     model.add(tf.layers.lstm({
       units: lstmLayerSize,
       returnSequences: i < lstmLayerSizes.length - 1,
-      inputShape: i === 0 ? [sampleLen, charSetSize] : undefined
+      inputShape: i === 0 && embeddingSize == null ?
+          [sampleLen, charSetSize] :
+          undefined
     }));
   }
   model.add(
@@ -49,43 +63,123 @@ export function createModel(sampleLen, charSetSize, lstmLayerSizes) {
   return model;
 }
 
+/**
+ * Whether a model takes character (or token) indices as input, i.e., starts
+ * with an embedding layer, rather than one-hot encodings.
+ *
+ * @param {tf.Model} model The next-char prediction model.
+ * @returns {boolean} Whether the input of `model` has the shape
+ *   `[batchSize, sampleLen]`.
+ */
+export function hasEmbeddingInput(model) {
+  return model.inputs[0].shape.length === 2;
+}
+
 export function compileModel(model, learningRate) {
   const optimizer = tf.train.rmsprop(learningRate);
-  model.compile({optimizer: optimizer, loss: 'categoricalCrossentropy'});
+  // Models with an embedding input are trained on the indices of the next
+  // characters (see `TextData.nextDataEpoch()`).
+  const loss = hasEmbeddingInput(model) ? 'sparseCategoricalCrossentropy' :
+                                          'categoricalCrossentropy';
+  model.compile({optimizer: optimizer, loss});
   console.log(`Compiled model with learning rate ${learningRate}`);
   model.summary();
 }
 
 /**
  * Train model.
+ *
+ * With a positive `validationSplit`, the end of the text is held out (see
+ * `TextData.getValidationData()`) and the model is evaluated on it after every
+ * epoch. In addition to the losses, the logs passed to the `onEpochEnd`
+ * callback then contain the perplexities, i.e., the exponentials of the
+ * losses: `perplexity` and `val_perplexity`.
+ *
  * @param {tf.Model} model The next-char prediction model, assumed to have an
  *   input shape of `[null, sampleLen, charSetSize]` and an output shape of
  *   `[null, charSetSize]`.
  * @param {TextData} textData The TextData object to use during training.
  * @param {number} numEpochs Number of training epochs.
  * @param {number} examplesPerEpoch Number of examples to draw from the
- *   `textData` object per epoch.
+ *   `textData` object per epoch. With a `validationSplit`, a fraction
+ *   `validationSplit` of them are validation examples, which are the same
+ *   in every epoch (or fewer, if the held-out text is short).
  * @param {number} batchSize Batch size for training.
- * @param {number} validationSplit Validation split for training.
+ * @param {number} validationSplit Fraction of the text to hold out for
+ *   validation.
  * @param {tf.CustomCallbackArgs} callbacks Custom callbacks to use during
  *   `model.fit()` calls.
  */
 export async function fitModel(
     model, textData, numEpochs, examplesPerEpoch, batchSize, validationSplit,
     callbacks) {
-  for (let i = 0; i < numEpochs; ++i) {
-    const [xs, ys] = textData.nextDataEpoch(examplesPerEpoch);
-    await model.fit(xs, ys, {
-      epochs: 1,
-      batchSize: batchSize,
-      validationSplit,
-      callbacks
-    });
-    xs.dispose();
-    ys.dispose();
+  const asIndices = hasEmbeddingInput(model);
+  let numTrainExamples = examplesPerEpoch;
+  let validationData;
+  if (validationSplit > 0) {
+    numTrainExamples = Math.floor(examplesPerEpoch * (1 - validationSplit));
+    validationData = textData.getValidationData(
+        validationSplit, examplesPerEpoch - numTrainExamples, asIndices);
+  }
+  callbacks = Object.assign({}, callbacks);
+  const onEpochEnd = callbacks.onEpochEnd;
+  callbacks.onEpochEnd = async (epoch, logs) => {
+    logs.perplexity = Math.exp(logs.loss);
+    if (logs.val_loss != null) {
+      logs.val_perplexity = Math.exp(logs.val_loss);
+    }
+    if (onEpochEnd != null) {
+      await onEpochEnd(epoch, logs);
+    }
+  };
+
+  try {
+    for (let i = 0; i < numEpochs; ++i) {
+      const [xs, ys] =
+          textData.nextDataEpoch(numTrainExamples, asIndices, validationSplit);
+      await model.fit(xs, ys, {
+        epochs: 1,
+        batchSize: batchSize,
+        validationData,
+        callbacks
+      });
+      xs.dispose();
+      ys.dispose();
+    }
+  } finally {
+    if (validationData != null) {
+      tf.dispose(validationData);
+    }
   }
 }
 
+/**
+ * Methods for choosing the next character during text generation.
+ *
+ * - `temperature`: Sample from the predicted distribution, sharpened or
+ *   flattened by the temperature.
+ * - `topK`: Like `temperature`, but only from the `topK` most probable
+ *   characters.
+ * - `nucleus`: Like `temperature`, but only from the smallest set of the most
+ *   probable characters whose total probability is at least `topP` (a.k.a.
+ *   top-p sampling).
+ * - `beam`: Beam search, which keeps the `beamWidth` most probable texts
+ *   generated so far and returns the most probable one in the end. This is
+ *   deterministic.
+ */
+export const DECODING_METHODS = ['temperature', 'topK', 'nucleus', 'beam'];
+
+const DEFAULT_DECODING_OPTIONS = {
+  method: 'temperature',
+  temperature: 0.5,
+  topK: 10,
+  topP: 0.9,
+  beamWidth: 4,
+  repetitionPenalty: 1,
+  repetitionWindow: 20,
+  stateful: false
+};
+
 /**
  * Generate text using a next-char-prediction model.
  *
@@ -98,49 +192,489 @@ export async function fitModel(
  *   <= 1.
  * @param {(char: string) => Promise<void>} onTextGenerationChar An optinoal
  *   callback to be invoked each time a character is generated.
+ * @param {object} decodingOptions Optional decoding options, in the format of
+ *   the `options` argument of `generateTextWithLogProbs()`. The `temperature`
+ *   argument, if not `null`, takes precedence over
+ *   `decodingOptions.temperature`.
  * @returns {string} The generated sentence.
  */
 export async function generateText(
     model, textData, sentenceIndices, length, temperature,
+    onTextGenerationChar, decodingOptions) {
+  const options = Object.assign({}, decodingOptions);
+  if (temperature != null) {
+    options.temperature = temperature;
+  }
+  const {text} = await generateTextWithLogProbs(
+      model, textData, sentenceIndices, length, options, onTextGenerationChar);
+  return text;
+}
+
+/**
+ * Generate text using a next-char-prediction model, along with the
+ * log-probability of every generated character.
+ *
+ * @param {tf.Model} model The model object to be used for the text generation,
+ *   assumed to have input shape `[null, sampleLen, charSetSize]` and output
+ *   shape `[null, charSetSize]`.
+ * @param {TextData} textData The TextData object that the model was trained
+ *   with.
+ * @param {number[]} sentenceIndices The character indices in the seed sentence.
+ * @param {number} length Length of the sentence to generate.
+ * @param {object} options Decoding options, all optional:
+ *   - `method` {string} One of `DECODING_METHODS`. Default: `'temperature'`.
+ *   - `temperature` {number} Temperature value for all methods except `beam`.
+ *     Must be a number >= 0. Default: 0.5.
+ *   - `topK` {number} Number of characters to sample from with `topK`.
+ *     Default: 10.
+ *   - `topP` {number} Minimum total probability of the characters to sample
+ *     from with `nucleus`, in (0, 1]. Default: 0.9.
+ *   - `beamWidth` {number} Number of texts to keep with `beam`. Default: 4.
+ *   - `repetitionPenalty` {number} Penalty for characters that occur in the
+ *     last `repetitionWindow` characters: their log-probabilities are
+ *     multiplied by it, i.e., their probabilities raised to its power.
+ *     Must be >= 1. Default: 1 (no penalty).
+ *   - `repetitionWindow` {number} See `repetitionPenalty`. Default: 20.
+ *   - `stateful` {boolean} Whether to generate with a stateful copy of the
+ *     model (see `createStatefulModel()`), which is fed one character per
+ *     step, instead of rerunning the model over the last `sampleLen`
+ *     characters for every character. This is faster, but only approximates
+ *     the output distribution of the model after the first character, as the
+ *     predictions are conditioned on all characters since the beginning of
+ *     the seed. Default: `false`.
+ * @param {(char: string) => Promise<void>} onTextGenerationChar An optinoal
+ *   callback to be invoked each time a character is generated. With beam
+ *   search, the characters are known only at the end, and the callback is
+ *   invoked for all of them then.
+ * @returns {{text: string, indices: number[], logProbs: number[],
+ *   perplexity: number}} The generated text, the indices of its characters,
+ *   the log-probability (natural logarithm) of every character as predicted
+ *   by the model, i.e., before applying the temperature, the filtering and
+ *   the repetition penalty, and the perplexity of the text under the model.
+ */
+export async function generateTextWithLogProbs(
+    model, textData, sentenceIndices, length, options, onTextGenerationChar) {
+  options = Object.assign({}, DEFAULT_DECODING_OPTIONS, options);
+  if (DECODING_METHODS.indexOf(options.method) === -1) {
+    throw new Error(`Invalid decoding method: ${options.method}`);
+  }
+  if (!(options.repetitionPenalty >= 1)) {
+    throw new Error(
+        `Invalid repetition penalty: ${options.repetitionPenalty}`);
+  }
+
+  let result;
+  if (options.method === 'beam') {
+    if (!(options.beamWidth >= 1)) {
+      throw new Error(`Invalid beam width: ${options.beamWidth}`);
+    }
+    result = await beamSearch_(model, sentenceIndices, length, options);
+    if (onTextGenerationChar != null) {
+      for (const index of result.indices) {
+        await onTextGenerationChar(textData.getFromCharSet(index));
+      }
+    }
+  } else {
+    result = await sampleSequence_(
+        model, textData, sentenceIndices, length, options,
+        onTextGenerationChar);
+  }
+  const text =
+      result.indices.map(index => textData.getFromCharSet(index)).join('');
+  return {
+    text,
+    indices: result.indices,
+    logProbs: result.logProbs,
+    perplexity: perplexity(result.logProbs)
+  };
+}
+
+/**
+ * Create a stateful copy of a next-char prediction model.
+ *
+ * The LSTM layers of the copy are stateful and its input shape is
+ * `[batchSize, null, charSetSize]`, so that it can be fed one character of
+ * every sequence at a time, carrying over the states of the LSTM layers from
+ * one call to the next. This makes the cost of generating a character
+ * independent of `sampleLen`.
+ *
+ * Fed the same sequence from the initial (all-zero) states, the copy makes
+ * the same prediction as the original model. During text generation, it is
+ * fed the seed sentence and then every generated character, so unlike the
+ * original model, which was trained on windows of `sampleLen` characters, it
+ * conditions every prediction on all the characters since the beginning of
+ * the seed sentence. Its predictions after the first generated character
+ * are therefore only an approximation of those of the original model.
+ *
+ * @param {tf.Model} model The next-char prediction model, with input shape
+ *   `[null, sampleLen, charSetSize]`.
+ * @param {number} batchSize Number of sequences to feed at every step.
+ * @returns {tf.Model} The stateful model, with the same weights as `model`.
+ */
+export async function createStatefulModel(model, batchSize) {
+  const modelConfig = model.toJSON(null, false);
+  const layerConfigs = modelConfig.config.layers;
+  const firstLayerConfig = layerConfigs[0].config;
+  const inputShape = firstLayerConfig.batch_input_shape;
+  firstLayerConfig.batch_input_shape =
+      [batchSize, null].concat(inputShape.slice(2));
+  if (layerConfigs[0].class_name === 'Embedding') {
+    firstLayerConfig.input_length = null;
+  }
+  for (const layerConfig of layerConfigs) {
+    if (['LSTM', 'GRU', 'SimpleRNN'].indexOf(layerConfig.class_name) !== -1) {
+      layerConfig.config.stateful = true;
+    }
+    // The weights are copied from `model` below, so skip the (potentially
+    // expensive) random initialization.
+    for (const key in layerConfig.config) {
+      if (key.endsWith('_initializer') && layerConfig.config[key] != null) {
+        layerConfig.config[key] = {class_name: 'Zeros', config: {}};
+      }
+    }
+  }
+  const statefulModel = await tf.models.modelFromJSON(modelConfig);
+  statefulModel.setWeights(model.getWeights());
+  return statefulModel;
+}
+
+/**
+ * Make the one-hot encoding of sequences of character indices.
+ *
+ * @param {number[][]} sequences The sequences, all of the same length.
+ * @param {number} charSetSize Size of the character set.
+ * @returns {tf.Tensor} The encoding, of shape `[sequences.length,
+ *   sequenceLength, charSetSize]`.
+ */
+function oneHotEncode_(sequences, charSetSize) {
+  const buffer = new tf.TensorBuffer(
+      [sequences.length, sequences[0].length, charSetSize]);
+  sequences.forEach((sequence, b) => {
+    for (let i = 0; i < sequence.length; ++i) {
+      buffer.set(1, b, i, sequence[i]);
+    }
+  });
+  return buffer.toTensor();
+}
+
+/**
+ * Make the input of a model for sequences of character indices: their one-hot
+ * encoding, or the indices themselves for models with an embedding input.
+ */
+function encodeSequences_(model, sequences) {
+  return hasEmbeddingInput(model) ?
+      tf.tensor2d(sequences, null, 'int32') :
+      oneHotEncode_(sequences, model.inputs[0].shape[2]);
+}
+
+/**
+ * Predict the log-probabilities of the next character.
+ *
+ * @param {tf.Model} model The next-char prediction model.
+ * @param {number[][]} sequences The character indices of the input
+ *   sequences, all of the same length.
+ * @returns {Float32Array[]} The log-probabilities of all characters, for
+ *   every sequence.
+ */
+function predictLogProbs_(model, sequences) {
+  const numSequences = sequences.length;
+  const charSetSize = model.outputs[0].shape[1];
+  const input = encodeSequences_(model, sequences);
+  const logProbs = tf.tidy(
+      () => tf.log(model.predict(input, {batchSize: numSequences}))
+                .dataSync());
+  input.dispose();
+  const rows = [];
+  for (let b = 0; b < numSequences; ++b) {
+    rows.push(logProbs.slice(b * charSetSize, (b + 1) * charSetSize));
+  }
+  return rows;
+}
+
+/**
+ * Predicts the next characters of a fixed number of sequences ("rows") by
+ * running the model over the last `sampleLen` characters of every sequence
+ * at every step.
+ */
+class WindowPredictor {
+  constructor(model) {
+    this.model = model;
+  }
+
+  /**
+   * Start `numRows` sequences from the same seed.
+   *
+   * @param {number[]} sentenceIndices The character indices of the seed, of
+   *   length `sampleLen`.
+   * @param {number} numRows Number of sequences.
+   * @returns {Float32Array[]} The log-probabilities of the next character of
+   *   every sequence.
+   */
+  start(sentenceIndices, numRows) {
+    this.sequences = [];
+    for (let b = 0; b < numRows; ++b) {
+      this.sequences.push(sentenceIndices.slice());
+    }
+    return predictLogProbs_(this.model, this.sequences);
+  }
+
+  /**
+   * Extend the sequences by one character.
+   *
+   * @param {number[]} parents For every row, the row whose sequence it
+   *   continues. (In beam search, the beams are reordered at every step.)
+   * @param {number[]} indices For every row, the index of the next character.
+   * @returns {Float32Array[]} The log-probabilities of the next character of
+   *   every sequence.
+   */
+  step(parents, indices) {
+    this.sequences = parents.map(
+        (parent, b) => this.sequences[parent].slice(1).concat([indices[b]]));
+    return predictLogProbs_(this.model, this.sequences);
+  }
+
+  dispose() {}
+}
+
+/**
+ * Predicts the next characters of a fixed number of sequences incrementally
+ * with a stateful copy of the model. See `WindowPredictor` for the methods.
+ *
+ * The predictions are approximate: see `createStatefulModel()`.
+ */
+class StatefulPredictor {
+  static async create(model, numRows) {
+    const predictor = new StatefulPredictor();
+    predictor.model = await createStatefulModel(model, numRows);
+    predictor.rnnLayers =
+        predictor.model.layers.filter(layer => layer.stateful);
+    return predictor;
+  }
+
+  start(sentenceIndices, numRows) {
+    this.model.resetStates();
+    const sequences = [];
+    for (let b = 0; b < numRows; ++b) {
+      sequences.push(sentenceIndices);
+    }
+    return predictLogProbs_(this.model, sequences);
+  }
+
+  step(parents, indices) {
+    if (parents.some((parent, b) => parent !== b)) {
+      for (const layer of this.rnnLayers) {
+        tf.tidy(() => {
+          layer.resetStates(
+              layer.states.map(state => tf.gather(state, parents)));
+        });
+      }
+    }
+    return predictLogProbs_(this.model, indices.map(index => [index]));
+  }
+
+  dispose() {
+    for (const layer of this.rnnLayers) {
+      tf.dispose(layer.states);
+    }
+    this.model.dispose();
+  }
+}
+
+/**
+ * Create a predictor for `numRows` sequences.
+ */
+async function createPredictor_(model, numRows, stateful) {
+  return stateful ? await StatefulPredictor.create(model, numRows) :
+                    new WindowPredictor(model);
+}
+
+/**
+ * Generate text by sampling one character at a time.
+ */
+async function sampleSequence_(
+    model, textData, sentenceIndices, length, options,
     onTextGenerationChar) {
-  const sampleLen = model.inputs[0].shape[1];
-  const charSetSize = model.inputs[0].shape[2];
+  const recentIndices = sentenceIndices.slice(-options.repetitionWindow);
+  const predictor = await createPredictor_(model, 1, options.stateful);
 
-  // Avoid overwriting the original input.
-  sentenceIndices = sentenceIndices.slice();
+  const indices = [];
+  const logProbs = [];
+  try {
+    let [charLogProbs] = predictor.start(sentenceIndices, 1);
+    while (indices.length < length) {
+      const temperature = Math.max(options.temperature, 1e-6);
+      let logits = applyRepetitionPenalty(
+                       charLogProbs, recentIndices, options.repetitionPenalty)
+                       .map(value => value / temperature);
+      if (options.method === 'topK') {
+        logits = filterLogits(logits, options.topK, null);
+      } else if (options.method === 'nucleus') {
+        logits = filterLogits(logits, null, options.topP);
+      }
 
-  let generated = '';
-  while (generated.length < length) {
-    // Encode the current input sequence as a one-hot Tensor.
-    const inputBuffer =
-        new tf.TensorBuffer([1, sampleLen, charSetSize]);
+      // Sample randomly based on the logits.
+      const winnerIndex = tf.tidy(() => {
+        const isNormalized = false;
+        return tf.multinomial(tf.tensor1d(logits), 1, null, isNormalized)
+            .dataSync()[0];
+      });
+      indices.push(winnerIndex);
+      logProbs.push(charLogProbs[winnerIndex]);
+      if (onTextGenerationChar != null) {
+        await onTextGenerationChar(textData.getFromCharSet(winnerIndex));
+      }
 
-    // Make the one-hot encoding of the seeding sentence.
-    for (let i = 0; i < sampleLen; ++i) {
-      inputBuffer.set(1, 0, i, sentenceIndices[i]);
+      recentIndices.push(winnerIndex);
+      if (recentIndices.length > options.repetitionWindow) {
+        recentIndices.shift();
+      }
+      if (indices.length < length) {
+        [charLogProbs] = predictor.step([0], [winnerIndex]);
+      }
     }
-    const input = inputBuffer.toTensor();
+  } finally {
+    predictor.dispose();
+  }
+  return {indices, logProbs};
+}
+
+/**
+ * Generate text with beam search.
+ *
+ * The beams are ranked by their total log-probability after the repetition
+ * penalty. As all beams have the same length, no length normalization is
+ * needed.
+ */
+async function beamSearch_(model, sentenceIndices, length, options) {
+  // Every beam corresponds to a row of the predictor. There is only one beam
+  // before the first step, but the predictor needs a fixed number of rows.
+  const charSetSize = model.outputs[0].shape[1];
+  const beamWidth = Math.min(options.beamWidth, charSetSize);
+  const predictor = await createPredictor_(model, beamWidth, options.stateful);
 
-    // Call model.predict() to get the probability values of the next
-    // character.
-    const output = model.predict(input);
+  let beams = [{
+    recentIndices: sentenceIndices.slice(-options.repetitionWindow),
+    indices: [],
+    logProbs: [],
+    score: 0
+  }];
+  try {
+    let rowLogProbs = predictor.start(sentenceIndices, beamWidth);
+    for (let step = 0; step < length; ++step) {
+      const candidates = [];
+      beams.forEach((beam, b) => {
+        const scores = applyRepetitionPenalty(
+            rowLogProbs[b], beam.recentIndices, options.repetitionPenalty);
+        scores.forEach((score, index) => {
+          candidates.push({b, index, score: beam.score + score});
+        });
+      });
+      candidates.sort((a, b) => b.score - a.score);
 
-    // Sample randomly based on the probability values.
-    const winnerIndex = sample(tf.squeeze(output), temperature);
-    const winnerChar = textData.getFromCharSet(winnerIndex);
-    if (onTextGenerationChar != null) {
-      await onTextGenerationChar(winnerChar);
+      const selected = candidates.slice(0, beamWidth);
+      beams = selected.map(({b, index, score}) => {
+        const beam = beams[b];
+        const recentIndices = beam.recentIndices.concat([index]);
+        if (recentIndices.length > options.repetitionWindow) {
+          recentIndices.shift();
+        }
+        return {
+          recentIndices,
+          indices: beam.indices.concat([index]),
+          logProbs: beam.logProbs.concat([rowLogProbs[b][index]]),
+          score
+        };
+      });
+      if (step < length - 1) {
+        rowLogProbs = predictor.step(
+            selected.map(candidate => candidate.b),
+            selected.map(candidate => candidate.index));
+      }
+    }
+  } finally {
+    predictor.dispose();
+  }
+  return beams[0];
+}
+
+/**
+ * Apply a repetition penalty to the log-probabilities of characters.
+ *
+ * @param {Float32Array | number[]} logProbs Log-probabilities of all
+ *   characters.
+ * @param {number[]} recentIndices Indices of the recently generated
+ *   characters.
+ * @param {number} penalty The penalty, >= 1. The log-probabilities of the
+ *   recent characters are multiplied by it.
+ * @returns {number[]} The penalized log-probabilities.
+ */
+export function applyRepetitionPenalty(logProbs, recentIndices, penalty) {
+  const penalized = Array.from(logProbs);
+  if (penalty !== 1) {
+    for (const index of new Set(recentIndices)) {
+      penalized[index] *= penalty;
     }
+  }
+  return penalized;
+}
 
-    generated += winnerChar;
-    sentenceIndices = sentenceIndices.slice(1);
-    sentenceIndices.push(winnerIndex);
+/**
+ * Keep only the most probable characters for top-k or nucleus sampling.
+ *
+ * @param {number[]} logits Logits (unnormalized log-probabilities) of all
+ *   characters.
+ * @param {number} topK If not `null`, the number of characters to keep.
+ * @param {number} topP If not `null`, keep the smallest set of the most
+ *   probable characters whose total probability is at least `topP`.
+ * @returns {number[]} The logits, with those of the characters that are not
+ *   kept set to `-Infinity`.
+ */
+export function filterLogits(logits, topK, topP) {
+  const order = logits.map((logit, index) => index)
+                    .sort((a, b) => logits[b] - logits[a]);
+  let numKept = logits.length;
+  if (topK != null) {
+    if (!(topK >= 1)) {
+      throw new Error(`Invalid top-k value: ${topK}`);
+    }
+    numKept = Math.min(numKept, topK);
+  }
+  if (topP != null) {
+    if (!(topP > 0 && topP <= 1)) {
+      throw new Error(`Invalid top-p value: ${topP}`);
+    }
+    const maxLogit = logits[order[0]];
+    const probs = logits.map(logit => Math.exp(logit - maxLogit));
+    const total = probs.reduce((x, y) => x + y);
+    let cumulative = 0;
+    for (let i = 0; i < numKept; ++i) {
+      cumulative += probs[order[i]] / total;
+      if (cumulative >= topP) {
+        numKept = i + 1;
+        break;
+      }
+    }
+  }
+  const filtered = logits.map(() => -Infinity);
+  for (let i = 0; i < numKept; ++i) {
+    filtered[order[i]] = logits[order[i]];
+  }
+  return filtered;
+}
 
-    // Memory cleanups.
-    input.dispose();
-    output.dispose();
+/**
+ * Calculate the perplexity of a text from the log-probabilities of its
+ * characters.
+ *
+ * @param {number[]} logProbs Log-probabilities (natural logarithm).
+ * @returns {number} The perplexity, i.e., the exponential of the mean negative
+ *   log-probability.
+ */
+export function perplexity(logProbs) {
+  if (logProbs.length === 0) {
+    return NaN;
   }
-  return generated;
+  return Math.exp(-logProbs.reduce((x, y) => x + y) / logProbs.length);
 }
 
 /**
@@ -19,7 +19,8 @@ import * as tf from '@tensorflow/tfjs';
 import '@tensorflow/tfjs-node';
 
 import {TextData} from './data';
-import {createModel, compileModel, fitModel, generateText, sample} from './model';
+import {applyRepetitionPenalty, createModel, compileModel, createStatefulModel, filterLogits, fitModel, generateText, generateTextWithLogProbs, hasEmbeddingInput, perplexity, sample} from './model';
+import {BPETokenizer} from './tokenizer';
 
 // tslint:disable:max-line-length
 const FAKE_TEXT = `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Suspendisse tempor aliquet justo non varius. Curabitur eget convallis velit. Vivamus malesuada, tortor ut finibus posuere, libero lacus eleifend felis, sit amet tempus dolor magna id nibh. Praesent non turpis libero. Praesent luctus, neque vitae suscipit suscipit, arcu neque aliquam justo, eget gravida diam augue nec lorem. Etiam scelerisque vel nibh sit amet maximus. Praesent et dui quis elit bibendum elementum a eget velit. Mauris porta lorem ac porttitor congue. Vestibulum lobortis ultrices velit, vitae condimentum elit ultrices a. Vivamus rutrum ultrices eros ac finibus. Orci varius natoque penatibus et magnis dis parturient montes, nascetur ridiculus mus. Morbi a purus a nibh eleifend convallis. Praesent non turpis volutpat, imperdiet lacus in, cursus tellus. Etiam elit velit, ornare sit amet nulla vel, aliquam iaculis mauris.
@@ -91,6 +92,25 @@ describe('text-generation model', () => {
     expect(epochEndEpochs).toEqual([0, 0]);
   });
 
+  it('fitModel: validation loss and perplexity', async () => {
+    const textData = createTextDataForTest(10);
+    const model = createModel(textData.sampleLen(), textData.charSetSize(), 8);
+    compileModel(model, 1e-2);
+
+    const epochLogs = [];
+    await fitModel(model, textData, 2, 20, 5, 0.2, {
+      onEpochEnd: async (epoch, logs) => {
+        epochLogs.push(Object.assign({}, logs));
+      }
+    });
+    expect(epochLogs.length).toEqual(2);
+    for (const logs of epochLogs) {
+      expect(logs.val_loss).toBeGreaterThan(0);
+      expect(logs.perplexity).toBeCloseTo(Math.exp(logs.loss), 4);
+      expect(logs.val_perplexity).toBeCloseTo(Math.exp(logs.val_loss), 4);
+    }
+  });
+
   it('generateText', async () => {
     const sampleLen = 10;
     const textData = createTextDataForTest(sampleLen);
@@ -143,4 +163,299 @@ describe('text-generation model', () => {
     // Sampling under temperature 0.75 should be random.
     expect(uniqueSamples.length).toBeGreaterThan(1);
   });
+  it('generateTextWithLogProbs: all decoding methods', async () => {
+    const sampleLen = 10;
+    const textData = createTextDataForTest(sampleLen);
+    const model = createModel(textData.sampleLen(), textData.charSetSize(), 16);
+    const sentenceIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    for (const method of ['temperature', 'topK', 'nucleus', 'beam']) {
+      const generatedChars = [];
+      const result = await generateTextWithLogProbs(
+          model, textData, sentenceIndices, 12,
+          {method, topK: 3, topP: 0.5, beamWidth: 3, repetitionPenalty: 1.5},
+          async char => {
+            generatedChars.push(char);
+          });
+      expect(sentenceIndices).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(result.text.length).toEqual(12);
+      expect(result.indices.length).toEqual(12);
+      expect(generatedChars.join('')).toEqual(result.text);
+      expect(result.logProbs.length).toEqual(12);
+      for (const logProb of result.logProbs) {
+        expect(logProb).toBeLessThanOrEqual(0);
+      }
+      expect(result.perplexity).toBeCloseTo(perplexity(result.logProbs), 6);
+    }
+  });
+
+  it('generateTextWithLogProbs: log-probs match the model', async () => {
+    const sampleLen = 10;
+    const textData = createTextDataForTest(sampleLen);
+    const model = createModel(textData.sampleLen(), textData.charSetSize(), 16);
+    const sentenceIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    const {indices, logProbs} = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, 1, {temperature: 0.75});
+    const input = tf.oneHot(
+        tf.tensor2d([sentenceIndices], null, 'int32'), textData.charSetSize());
+    const probs = model.predict(input).dataSync();
+    expect(logProbs[0]).toBeCloseTo(Math.log(probs[indices[0]]), 5);
+  });
+
+  it('generateTextWithLogProbs: beam search of width 1 is greedy', async () => {
+    const sampleLen = 10;
+    const textData = createTextDataForTest(sampleLen);
+    const model = createModel(textData.sampleLen(), textData.charSetSize(), 16);
+    const sentenceIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    const beam = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, 8, {method: 'beam', beamWidth: 1});
+    const greedy = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, 8, {temperature: 0});
+    expect(beam.text).toEqual(greedy.text);
+    // A wider beam finds a text that is at least as probable.
+    const wideBeam = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, 8, {method: 'beam', beamWidth: 4});
+    expect(wideBeam.perplexity).toBeLessThanOrEqual(beam.perplexity + 1e-6);
+  });
+
+  it('createStatefulModel: incremental predictions', async () => {
+    const sampleLen = 10;
+    const textData = createTextDataForTest(sampleLen);
+    const charSetSize = textData.charSetSize();
+    const model = createModel(sampleLen, charSetSize, [16, 8]);
+    const sentenceIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+    const expected =
+        model
+            .predict(tf.oneHot(
+                tf.tensor2d([sentenceIndices], null, 'int32'), charSetSize))
+            .dataSync();
+
+    const statefulModel = await createStatefulModel(model, 1);
+    expect(statefulModel.inputs[0].shape).toEqual([1, null, charSetSize]);
+    // The whole sentence at once.
+    let actual = statefulModel
+                     .predict(tf.oneHot(
+                         tf.tensor2d([sentenceIndices], null, 'int32'),
+                         charSetSize))
+                     .dataSync();
+    for (let i = 0; i < charSetSize; ++i) {
+      expect(actual[i]).toBeCloseTo(expected[i], 5);
+    }
+
+    // The first half of the sentence, then one character at a time.
+    statefulModel.resetStates();
+    statefulModel.predict(tf.oneHot(
+        tf.tensor2d([sentenceIndices.slice(0, 5)], null, 'int32'),
+        charSetSize));
+    for (let i = 5; i < sampleLen; ++i) {
+      actual = statefulModel
+                   .predict(tf.oneHot(
+                       tf.tensor2d([[sentenceIndices[i]]], null, 'int32'),
+                       charSetSize))
+                   .dataSync();
+    }
+    for (let i = 0; i < charSetSize; ++i) {
+      expect(actual[i]).toBeCloseTo(expected[i], 5);
+    }
+    statefulModel.dispose();
+  });
+
+  it('generateTextWithLogProbs: stateful and stateless', async () => {
+    const sampleLen = 10;
+    const textData = createTextDataForTest(sampleLen);
+    const model = createModel(textData.sampleLen(), textData.charSetSize(), 16);
+    const sentenceIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    // The first character is predicted from the same input either way.
+    const stateful = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, 1, {temperature: 0, stateful: true});
+    const stateless = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, 1, {temperature: 0});
+    expect(stateful.text).toEqual(stateless.text);
+    expect(stateful.logProbs[0]).toBeCloseTo(stateless.logProbs[0], 5);
+
+    for (const method of ['temperature', 'beam']) {
+      const numTensors = tf.memory().numTensors;
+      const result = await generateTextWithLogProbs(
+          model, textData, sentenceIndices, 6,
+          {method, beamWidth: 3, stateful: false});
+      expect(result.text.length).toEqual(6);
+      expect(result.perplexity).toBeCloseTo(perplexity(result.logProbs), 6);
+      expect(tf.memory().numTensors).toEqual(numTensors);
+    }
+  });
+
+  it('generateTextWithLogProbs: log-probs beyond sampleLen', async () => {
+    const sampleLen = 5;
+    const textData = createTextDataForTest(sampleLen);
+    const charSetSize = textData.charSetSize();
+    const model = createModel(sampleLen, charSetSize, 16);
+    const sentenceIndices = [0, 1, 2, 3, 4];
+    const length = 2 * sampleLen + 2;
+    const encode = sequence =>
+        tf.oneHot(tf.tensor2d([sequence], null, 'int32'), charSetSize);
+
+    // By default, every character is predicted from the last `sampleLen`
+    // characters, as the model was trained.
+    const stateless = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, length, {temperature: 0});
+    let sequence = sentenceIndices.slice();
+    for (let i = 0; i < length; ++i) {
+      const probs =
+          model.predict(encode(sequence.slice(-sampleLen))).dataSync();
+      expect(stateless.logProbs[i])
+          .toBeCloseTo(Math.log(probs[stateless.indices[i]]), 4);
+      sequence.push(stateless.indices[i]);
+    }
+
+    // The stateful copy conditions every prediction on the whole text since
+    // the beginning of the seed.
+    const stateful = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, length,
+        {temperature: 0, stateful: true});
+    const statefulModel = await createStatefulModel(model, 1);
+    sequence = sentenceIndices.slice();
+    let numDifferent = 0;
+    for (let i = 0; i < length; ++i) {
+      statefulModel.resetStates();
+      const probs = statefulModel.predict(encode(sequence)).dataSync();
+      const expected = Math.log(probs[stateful.indices[i]]);
+      expect(stateful.logProbs[i]).toBeCloseTo(expected, 4);
+      const windowProbs =
+          model.predict(encode(sequence.slice(-sampleLen))).dataSync();
+      if (Math.abs(Math.log(windowProbs[stateful.indices[i]]) - expected) >
+          1e-4) {
+        numDifferent++;
+      }
+      sequence.push(stateful.indices[i]);
+    }
+    // Which differs from the prediction from the last `sampleLen` characters
+    // except for the first character.
+    expect(numDifferent).toBeGreaterThan(0);
+    expect(stateful.logProbs[0]).toBeCloseTo(stateless.logProbs[0], 5);
+    statefulModel.dispose();
+  });
+
+  it('generateTextWithLogProbs: stateful beam search', async () => {
+    const sampleLen = 10;
+    const textData = createTextDataForTest(sampleLen);
+    const charSetSize = textData.charSetSize();
+    const model = createModel(sampleLen, charSetSize, 16);
+    const sentenceIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    const {indices, logProbs} = await generateTextWithLogProbs(
+        model, textData, sentenceIndices, 6,
+        {method: 'beam', beamWidth: 3, stateful: true});
+
+    // The log-probabilities of the best beam must match those of its
+    // characters fed one at a time, even though the beams are reordered at
+    // every step.
+    const statefulModel = await createStatefulModel(model, 1);
+    let probs = statefulModel
+                    .predict(tf.oneHot(
+                        tf.tensor2d([sentenceIndices], null, 'int32'),
+                        charSetSize))
+                    .dataSync();
+    for (let i = 0; i < indices.length; ++i) {
+      expect(logProbs[i]).toBeCloseTo(Math.log(probs[indices[i]]), 4);
+      probs = statefulModel
+                  .predict(tf.oneHot(
+                      tf.tensor2d([[indices[i]]], null, 'int32'), charSetSize))
+                  .dataSync();
+    }
+    statefulModel.dispose();
+  });
+
+  it('Embedding input: training and generation', async () => {
+    const sampleLen = 8;
+    const tokenizer = BPETokenizer.fromText(FAKE_TEXT, 80);
+    const textData =
+        new TextData('LoremIpsum', FAKE_TEXT, sampleLen, 3, tokenizer);
+    const vocabularySize = textData.vocabularySize();
+    const model = createModel(sampleLen, vocabularySize, 16, 12);
+    expect(hasEmbeddingInput(model)).toEqual(true);
+    expect(model.inputs[0].shape).toEqual([null, sampleLen]);
+    expect(model.outputs[0].shape).toEqual([null, vocabularySize]);
+
+    compileModel(model, 1e-2);
+    const epochLosses = [];
+    await fitModel(model, textData, 2, 64, 32, 0, {
+      onEpochEnd: async (epoch, logs) => {
+        epochLosses.push(logs.loss);
+      }
+    });
+    expect(epochLosses.length).toEqual(2);
+    expect(epochLosses[0]).toBeGreaterThan(0);
+
+    const [, seedIndices] = textData.getRandomSlice();
+    for (const stateful of [true, false]) {
+      for (const method of ['temperature', 'beam']) {
+        const result = await generateTextWithLogProbs(
+            model, textData, seedIndices, 5, {method, stateful, beamWidth: 2});
+        expect(result.indices.length).toEqual(5);
+        expect(result.text).toEqual(tokenizer.decode(result.indices));
+      }
+    }
+
+    // The stateful copy makes the same predictions.
+    const statefulModel = await createStatefulModel(model, 1);
+    expect(statefulModel.inputs[0].shape).toEqual([1, null]);
+    const input = tf.tensor2d([seedIndices], null, 'int32');
+    const expected = model.predict(input).dataSync();
+    const actual = statefulModel.predict(input).dataSync();
+    for (let i = 0; i < vocabularySize; ++i) {
+      expect(actual[i]).toBeCloseTo(expected[i], 5);
+    }
+    statefulModel.dispose();
+  });
+
+  it('generateTextWithLogProbs: invalid options', async () => {
+    const sampleLen = 10;
+    const textData = createTextDataForTest(sampleLen);
+    const model = createModel(textData.sampleLen(), textData.charSetSize(), 16);
+    const sentenceIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    for (const [options, pattern] of [
+             [{method: 'foo'}, /decoding method/],
+             [{repetitionPenalty: 0.5}, /repetition penalty/],
+             [{method: 'beam', beamWidth: 0}, /beam width/],
+             [{method: 'nucleus', topP: 0}, /top-p/]]) {
+      let error;
+      try {
+        await generateTextWithLogProbs(
+            model, textData, sentenceIndices, 2, options);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).toMatch(pattern);
+    }
+  });
+
+  it('filterLogits: top-k and top-p', () => {
+    const logits = [Math.log(0.1), Math.log(0.5), Math.log(0.15),
+                    Math.log(0.25)];
+    expect(filterLogits(logits, 2, null)).toEqual(
+        [-Infinity, logits[1], -Infinity, logits[3]]);
+    expect(filterLogits(logits, null, 0.5)).toEqual(
+        [-Infinity, logits[1], -Infinity, -Infinity]);
+    expect(filterLogits(logits, null, 0.8)).toEqual(
+        [-Infinity, logits[1], logits[2], logits[3]]);
+    expect(filterLogits(logits, 2, 0.8)).toEqual(
+        [-Infinity, logits[1], -Infinity, logits[3]]);
+    expect(filterLogits(logits, null, 1)).toEqual(logits);
+  });
+
+  it('applyRepetitionPenalty', () => {
+    const logProbs = new Float32Array([-1, -2, -3]);
+    expect(applyRepetitionPenalty(logProbs, [2, 2, 0], 2)).toEqual(
+        [-2, -2, -6]);
+    expect(applyRepetitionPenalty(logProbs, [2], 1)).toEqual([-1, -2, -3]);
+  });
+
+  it('perplexity', () => {
+    expect(perplexity([Math.log(0.5), Math.log(0.5)])).toBeCloseTo(2, 6);
+    expect(perplexity([Math.log(0.25), Math.log(1)])).toBeCloseTo(2, 6);
+  });
 });
@@ -0,0 +1,424 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Tokenizers that split text into the units ("tokens") predicted by the
+ * model: characters, words or byte-pair-encoding (BPE) subwords.
+ *
+ * All tokenizers are lossless for text made up of known tokens: decoding
+ * concatenates the tokens, which include the whitespace and punctuation.
+ * Their vocabularies can be serialized with `toJSON()` and restored with
+ * `tokenizerFromJSON()`, so that a model can be used with the vocabulary it
+ * was trained with.
+ */
+
+/**
+ * Tokenization modes:
+ *
+ * - `char`: Every character is a token.
+ * - `word`: Every word, run of whitespace and punctuation character is a
+ *   token. Only the most frequent ones are kept in the vocabulary.
+ * - `bpe`: Byte-pair encoding. Starts with the characters and repeatedly
+ *   merges the most frequent pair of adjacent tokens into a new token, within
+ *   words (along with their leading space).
+ */
+export const TOKENIZATION_MODES = ['char', 'word', 'bpe'];
+
+/**
+ * The token that unknown words (`word` mode) or characters (`bpe` mode) are
+ * mapped to. It is always at index 0 of the vocabulary in those modes.
+ */
+export const UNKNOWN_TOKEN = '<unk>';
+
+/**
+ * Name of the file that the vocabulary is saved to, next to the model.json
+ * file of the model.
+ */
+export const VOCABULARY_FILE_NAME = 'vocabulary.json';
+
+const WORD_PATTERN = /\w+|\s+|[^\w\s]/g;
+const BPE_WORD_PATTERN = / ?\w+| ?[^\w\s]+|\s+/g;
+
+/**
+ * Split text into words, runs of whitespace and punctuation characters.
+ *
+ * @param {string} text The text.
+ * @param {RegExp} pattern A global regular expression that matches every
+ *   character of `text`.
+ * @returns {string[]} The pieces of `text`.
+ */
+function splitWords(text, pattern) {
+  return text.match(pattern) || [];
+}
+
+/**
+ * Base class of the tokenizers, which map tokens to indices in a vocabulary.
+ */
+class Tokenizer {
+  /**
+   * @param {string} mode One of `TOKENIZATION_MODES`.
+   * @param {string[]} tokens The vocabulary.
+   */
+  constructor(mode, tokens) {
+    this.mode = mode;
+    this.tokens_ = tokens;
+    this.tokenToIndex_ = new Map();
+    tokens.forEach((token, index) => this.tokenToIndex_.set(token, index));
+  }
+
+  /**
+   * Get the size of the vocabulary.
+   *
+   * @returns {number} The number of tokens in the vocabulary.
+   */
+  vocabularySize() {
+    return this.tokens_.length;
+  }
+
+  /**
+   * Get the token at given index of the vocabulary.
+   *
+   * @param {number} index
+   * @returns {string} The token, or `undefined` if `index` is out of range.
+   */
+  getToken(index) {
+    return this.tokens_[index];
+  }
+
+  /**
+   * Convert indices to text.
+   *
+   * @param {number[]} indices Indices of tokens.
+   * @returns {string} The concatenated tokens.
+   */
+  decode(indices) {
+    return Array.from(indices, index => this.tokens_[index]).join('');
+  }
+
+  /**
+   * Serialize the vocabulary.
+   *
+   * @returns {object} A JSON-serializable object, from which
+   *   `tokenizerFromJSON()` recreates the tokenizer.
+   */
+  toJSON() {
+    return {mode: this.mode, tokens: this.tokens_};
+  }
+}
+
+/**
+ * Character-level tokenizer.
+ */
+export class CharTokenizer extends Tokenizer {
+  /**
+   * @param {string[]} chars The character set.
+   */
+  constructor(chars) {
+    super('char', chars);
+  }
+
+  /**
+   * Create a tokenizer for the characters of a text, in the order of their
+   * first occurrence.
+   *
+   * @param {string} text The text.
+   * @returns {CharTokenizer} The tokenizer.
+   */
+  static fromText(text) {
+    const chars = new Set();
+    for (let i = 0; i < text.length; ++i) {
+      chars.add(text[i]);
+    }
+    return new CharTokenizer(Array.from(chars));
+  }
+
+  /**
+   * Convert text to indices.
+   *
+   * @param {string} text The text.
+   * @returns {number[]} Indices of the characters of `text`, -1 for the
+   *   characters that are not in the character set.
+   */
+  encode(text) {
+    const indices = [];
+    for (let i = 0; i < text.length; ++i) {
+      const index = this.tokenToIndex_.get(text[i]);
+      indices.push(index == null ? -1 : index);
+    }
+    return indices;
+  }
+}
+
+/**
+ * Word-level tokenizer.
+ */
+export class WordTokenizer extends Tokenizer {
+  /**
+   * @param {string[]} tokens The vocabulary, starting with `UNKNOWN_TOKEN`.
+   */
+  constructor(tokens) {
+    super('word', tokens);
+  }
+
+  /**
+   * Create a tokenizer with the most frequent words of a text.
+   *
+   * @param {string} text The text.
+   * @param {number} vocabularySize Maximum size of the vocabulary, including
+   *   `UNKNOWN_TOKEN`.
+   * @returns {WordTokenizer} The tokenizer.
+   */
+  static fromText(text, vocabularySize) {
+    if (!(vocabularySize >= 2)) {
+      throw new Error(`Invalid vocabulary size: ${vocabularySize}`);
+    }
+    const counts = new Map();
+    for (const word of splitWords(text, WORD_PATTERN)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    // Sort by decreasing frequency; break ties by first occurrence, which is
+    // the iteration order of the map.
+    const words = Array.from(counts.keys())
+                      .map((word, order) => ({word, order}))
+                      .sort(
+                          (a, b) => counts.get(b.word) - counts.get(a.word) ||
+                              a.order - b.order)
+                      .slice(0, vocabularySize - 1)
+                      .map(item => item.word);
+    return new WordTokenizer([UNKNOWN_TOKEN].concat(words));
+  }
+
+  /**
+   * Convert text to indices.
+   *
+   * @param {string} text The text.
+   * @returns {number[]} Indices of the words of `text`, 0 (`UNKNOWN_TOKEN`)
+   *   for the words that are not in the vocabulary.
+   */
+  encode(text) {
+    return splitWords(text, WORD_PATTERN).map(word => {
+      const index = this.tokenToIndex_.get(word);
+      return index == null ? 0 : index;
+    });
+  }
+}
+
+/**
+ * Byte-pair-encoding (BPE) subword tokenizer.
+ */
+export class BPETokenizer extends Tokenizer {
+  /**
+   * @param {string[]} chars The base characters.
+   * @param {Array<[string, string]>} merges The pairs of tokens merged during
+   *   training, in order.
+   */
+  constructor(chars, merges) {
+    // Different merges may make the same token, e.g., "ab" + "c" and
+    // "a" + "bc".
+    const tokens = [UNKNOWN_TOKEN].concat(chars, merges.map(([a, b]) => a + b));
+    super('bpe', Array.from(new Set(tokens)));
+    this.chars_ = chars;
+    this.merges_ = merges;
+    this.mergeRanks_ = new Map();
+    merges.forEach(([a, b], rank) => {
+      this.mergeRanks_.set(pairKey(a, b), rank);
+    });
+    this.cache_ = new Map();
+  }
+
+  /**
+   * Train a tokenizer on a text.
+   *
+   * @param {string} text The text.
+   * @param {number} vocabularySize Target size of the vocabulary, including
+   *   `UNKNOWN_TOKEN` and all the characters of `text`. Merging stops earlier
+   *   if no pair of tokens occurs more than once.
+   * @returns {BPETokenizer} The tokenizer.
+   */
+  static fromText(text, vocabularySize) {
+    const chars = CharTokenizer.fromText(text).tokens_;
+    if (!(vocabularySize >= chars.length + 1)) {
+      throw new Error(
+          `Invalid vocabulary size: ${vocabularySize}. The text has ` +
+          `${chars.length} distinct characters, so the vocabulary size ` +
+          `must be at least ${chars.length + 1}.`);
+    }
+
+    const counts = new Map();
+    for (const word of splitWords(text, BPE_WORD_PATTERN)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    const words = [];
+    for (const [word, count] of counts) {
+      words.push({symbols: Array.from(word), count});
+    }
+
+    // Number of occurrences of every pair of adjacent tokens, and the words
+    // it occurs in. Only the words that contain the merged pair are updated
+    // after every merge.
+    const pairs = new Map();
+    function updatePairs(wordIndex, sign) {
+      const {symbols, count} = words[wordIndex];
+      for (let i = 0; i < symbols.length - 1; ++i) {
+        const key = pairKey(symbols[i], symbols[i + 1]);
+        let pair = pairs.get(key);
+        if (pair == null) {
+          pair = {a: symbols[i], b: symbols[i + 1], count: 0, words: new Set()};
+          pairs.set(key, pair);
+        }
+        pair.count += sign * count;
+        if (sign > 0) {
+          pair.words.add(wordIndex);
+        }
+      }
+    }
+    words.forEach((word, wordIndex) => updatePairs(wordIndex, 1));
+
+    const merges = [];
+    const numMerges = vocabularySize - 1 - chars.length;
+    while (merges.length < numMerges) {
+      let best = null;
+      for (const pair of pairs.values()) {
+        if (best == null || pair.count > best.count) {
+          best = pair;
+        }
+      }
+      if (best == null || best.count < 2) {
+        break;
+      }
+      merges.push([best.a, best.b]);
+      for (const wordIndex of Array.from(best.words)) {
+        updatePairs(wordIndex, -1);
+        words[wordIndex].symbols =
+            mergePair(words[wordIndex].symbols, best.a, best.b);
+        updatePairs(wordIndex, 1);
+      }
+      pairs.delete(pairKey(best.a, best.b));
+    }
+    return new BPETokenizer(chars, merges);
+  }
+
+  /**
+   * Convert text to indices.
+   *
+   * @param {string} text The text.
+   * @returns {number[]} Indices of the subword tokens of `text`, 0
+   *   (`UNKNOWN_TOKEN`) for the characters that are not in the vocabulary.
+   */
+  encode(text) {
+    const indices = [];
+    for (const word of splitWords(text, BPE_WORD_PATTERN)) {
+      let wordIndices = this.cache_.get(word);
+      if (wordIndices == null) {
+        wordIndices = this.encodeWord_(word);
+        this.cache_.set(word, wordIndices);
+      }
+      for (const index of wordIndices) {
+        indices.push(index);
+      }
+    }
+    return indices;
+  }
+
+  /**
+   * Apply the merges to a single word, in the order they were learned.
+   */
+  encodeWord_(word) {
+    let symbols = Array.from(word).map(
+        char => this.tokenToIndex_.has(char) ? char : UNKNOWN_TOKEN);
+    while (symbols.length > 1) {
+      let bestRank = Infinity;
+      let bestIndex = -1;
+      for (let i = 0; i < symbols.length - 1; ++i) {
+        const rank = this.mergeRanks_.get(pairKey(symbols[i], symbols[i + 1]));
+        if (rank != null && rank < bestRank) {
+          bestRank = rank;
+          bestIndex = i;
+        }
+      }
+      if (bestIndex === -1) {
+        break;
+      }
+      symbols = mergePair(symbols, symbols[bestIndex], symbols[bestIndex + 1]);
+    }
+    return symbols.map(symbol => this.tokenToIndex_.get(symbol));
+  }
+
+  toJSON() {
+    return {mode: this.mode, chars: this.chars_, merges: this.merges_};
+  }
+}
+
+function pairKey(a, b) {
+  return JSON.stringify([a, b]);
+}
+
+/**
+ * Replace all non-overlapping occurrences of a pair of adjacent symbols,
+ * from left to right, with their concatenation.
+ */
+function mergePair(symbols, a, b) {
+  const merged = [];
+  for (let i = 0; i < symbols.length; ++i) {
+    if (i < symbols.length - 1 && symbols[i] === a && symbols[i + 1] === b) {
+      merged.push(a + b);
+      ++i;
+    } else {
+      merged.push(symbols[i]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Create a tokenizer from a text.
+ *
+ * @param {string} mode One of `TOKENIZATION_MODES`.
+ * @param {string} text The text to build the vocabulary from.
+ * @param {number} vocabularySize Maximum size of the vocabulary, for the
+ *   `word` and `bpe` modes.
+ * @returns {CharTokenizer|WordTokenizer|BPETokenizer} The tokenizer.
+ */
+export function createTokenizer(mode, text, vocabularySize) {
+  if (mode === 'char') {
+    return CharTokenizer.fromText(text);
+  } else if (mode === 'word') {
+    return WordTokenizer.fromText(text, vocabularySize);
+  } else if (mode === 'bpe') {
+    return BPETokenizer.fromText(text, vocabularySize);
+  } else {
+    throw new Error(`Invalid tokenization mode: ${mode}`);
+  }
+}
+
+/**
+ * Recreate a tokenizer from the output of its `toJSON()` method.
+ *
+ * @param {object} json The serialized tokenizer.
+ * @returns {CharTokenizer|WordTokenizer|BPETokenizer} The tokenizer.
+ */
+export function tokenizerFromJSON(json) {
+  if (json.mode === 'char') {
+    return new CharTokenizer(json.tokens);
+  } else if (json.mode === 'word') {
+    return new WordTokenizer(json.tokens);
+  } else if (json.mode === 'bpe') {
+    return new BPETokenizer(json.chars, json.merges);
+  } else {
+    throw new Error(`Invalid tokenization mode: ${json.mode}`);
+  }
+}
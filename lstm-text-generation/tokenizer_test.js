@@ -0,0 +1,99 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import {BPETokenizer, CharTokenizer, createTokenizer, tokenizerFromJSON, UNKNOWN_TOKEN, WordTokenizer} from './tokenizer';
+
+const TEXT = 'the cat sat on the mat. the cat ate the rat!\n' +
+    'then the cat sat on the hat.';
+
+describe('CharTokenizer', () => {
+  it('Characters in the order of first occurrence', () => {
+    const tokenizer = CharTokenizer.fromText('abcab');
+    expect(tokenizer.vocabularySize()).toEqual(3);
+    expect(tokenizer.encode('cabd')).toEqual([2, 0, 1, -1]);
+    expect(tokenizer.decode([1, 2, 0])).toEqual('bca');
+    expect(tokenizer.getToken(3)).toBeUndefined();
+  });
+});
+
+describe('WordTokenizer', () => {
+  it('Most frequent words', () => {
+    const tokenizer = WordTokenizer.fromText(TEXT, 5);
+    expect(tokenizer.vocabularySize()).toEqual(5);
+    // Spaces, "the", "cat", "sat" in the order of decreasing frequency.
+    expect(tokenizer.getToken(0)).toEqual(UNKNOWN_TOKEN);
+    expect(tokenizer.getToken(1)).toEqual(' ');
+    expect(tokenizer.getToken(2)).toEqual('the');
+    expect(tokenizer.getToken(3)).toEqual('cat');
+    expect(tokenizer.getToken(4)).toEqual('sat');
+    expect(tokenizer.encode('the dog sat')).toEqual([2, 1, 0, 1, 4]);
+    expect(tokenizer.decode([2, 1, 0, 1, 4])).toEqual(
+        `the ${UNKNOWN_TOKEN} sat`);
+  });
+
+  it('Lossless with a large vocabulary', () => {
+    const tokenizer = WordTokenizer.fromText(TEXT, 1000);
+    const indices = tokenizer.encode(TEXT);
+    expect(indices).not.toContain(0);
+    expect(tokenizer.decode(indices)).toEqual(TEXT);
+  });
+});
+
+describe('BPETokenizer', () => {
+  it('Merges frequent pairs', () => {
+    const charTokenizer = CharTokenizer.fromText(TEXT);
+    const tokenizer = BPETokenizer.fromText(TEXT, 30);
+    // Merging stops before reaching the vocabulary size, once no pair occurs
+    // more than once.
+    expect(tokenizer.vocabularySize())
+        .toBeGreaterThan(1 + charTokenizer.vocabularySize());
+    expect(tokenizer.vocabularySize()).toBeLessThan(30);
+    const indices = tokenizer.encode(TEXT);
+    expect(indices.length).toBeLessThan(TEXT.length / 2);
+    expect(tokenizer.decode(indices)).toEqual(TEXT);
+    // " the" and " cat" are frequent enough to become single tokens.
+    expect(tokenizer.encode(' the cat').length).toEqual(2);
+    // Unknown characters.
+    expect(tokenizer.decode(tokenizer.encode('the zoo'))).toEqual(
+        `the ${UNKNOWN_TOKEN}oo`);
+  });
+
+  it('Vocabulary size too small throws', () => {
+    expect(() => BPETokenizer.fromText(TEXT, 5))
+        .toThrowError(/at least 15/);
+  });
+});
+
+describe('Serialization', () => {
+  it('All modes', () => {
+    for (const mode of ['char', 'word', 'bpe']) {
+      const tokenizer = createTokenizer(mode, TEXT, 30);
+      const json = JSON.parse(JSON.stringify(tokenizer.toJSON()));
+      const restored = tokenizerFromJSON(json);
+      expect(restored.mode).toEqual(mode);
+      expect(restored.vocabularySize()).toEqual(tokenizer.vocabularySize());
+      expect(restored.encode(TEXT)).toEqual(tokenizer.encode(TEXT));
+    }
+  });
+
+  it('Invalid mode throws', () => {
+    expect(() => createTokenizer('foo', TEXT, 30))
+        .toThrowError(/Invalid tokenization mode/);
+    expect(() => tokenizerFromJSON({mode: 'foo'}))
+        .toThrowError(/Invalid tokenization mode/);
+  });
+});
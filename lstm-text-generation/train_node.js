@@ -20,13 +20,13 @@
  */
 
 import * as fs from 'fs';
-import * as os from 'os';
 import * as path from 'path';
 
 import * as argparse from 'argparse';
 
-import {maybeDownload, TextData, TEXT_DATA_URLS} from './data';
+import {loadText, TextData, TEXT_DATA_URLS} from './data';
 import {createModel, compileModel, fitModel, generateText} from './model';
+import {createTokenizer, TOKENIZATION_MODES, VOCABULARY_FILE_NAME} from './tokenizer';
 
 function parseArgs() {
   const parser = argparse.ArgumentParser({
@@ -34,18 +34,37 @@ function parseArgs() {
   });
   parser.addArgument('textDatasetName', {
     type: 'string',
-    choices: Object.keys(TEXT_DATA_URLS),
-    help: 'Name of the text dataset'
+    help: 'Name of the text dataset (' +
+    Object.keys(TEXT_DATA_URLS).join(', ') + '), or path to a local text ' +
+    'file (UTF-8)'
   });
   parser.addArgument('--gpu', {
     action: 'storeTrue',
     help: 'Use CUDA GPU for training.'
   });
+  parser.addArgument('--tokenization', {
+    type: 'string',
+    defaultValue: 'char',
+    choices: TOKENIZATION_MODES,
+    help: 'Units of text that the model predicts: characters, words, or ' +
+    'byte-pair-encoding (BPE) subwords.'
+  });
+  parser.addArgument('--vocabularySize', {
+    type: 'int',
+    defaultValue: 2000,
+    help: 'Maximum size of the vocabulary, with --tokenization word or bpe.'
+  });
+  parser.addArgument('--embeddingSize', {
+    type: 'int',
+    help: 'Size of the embedding of the input tokens. Defaults to 64 with ' +
+    '--tokenization word or bpe. With --tokenization char, the inputs are ' +
+    'one-hot encoded unless this is specified.'
+  });
   parser.addArgument('--sampleLen', {
     type: 'int',
     defaultValue: 60,
     help: 'Sample length: Length of each input sequence to the model, in ' +
-    'number of characters.'
+    'number of characters (or tokens).'
   });
   parser.addArgument('--sampleStep', {
     type: 'int',
@@ -76,7 +95,9 @@ function parseArgs() {
   parser.addArgument('--validationSplit', {
     type: 'float',
     defaultValue: 0.0625,
-    help: 'Validation split for training.'
+    help: 'Fraction of the text, at its end, that is held out for ' +
+    'validation. The validation loss and perplexity are reported after ' +
+    'every epoch.'
   });
   parser.addArgument('--displayLength', {
     type: 'int',
@@ -107,12 +128,19 @@ async function main() {
   }
 
   // Create the text data object.
-  const textDataURL = TEXT_DATA_URLS[args.textDatasetName].url;
-  const localTextDataPath = path.join(os.tmpdir(), path.basename(textDataURL));
-  await maybeDownload(textDataURL, localTextDataPath);
-  const text = fs.readFileSync(localTextDataPath, {encoding: 'utf-8'});
-  const textData =
-      new TextData('text-data', text, args.sampleLen, args.sampleStep);
+  const text = await loadText(args.textDatasetName);
+  if (args.tokenization !== 'char') {
+    console.log(`Building the ${args.tokenization} vocabulary...`);
+  }
+  const tokenizer =
+      createTokenizer(args.tokenization, text, args.vocabularySize);
+  const textData = new TextData(
+      'text-data', text, args.sampleLen, args.sampleStep, tokenizer);
+  console.log(
+      `Vocabulary size: ${textData.vocabularySize()}; ` +
+      `text length: ${textData.numTokens()} tokens`);
+  const embeddingSize = args.embeddingSize == null &&
+          args.tokenization !== 'char' ? 64 : args.embeddingSize;
 
   // Convert lstmLayerSize from string to number array before handing it
   // to `createModel()`.
@@ -121,7 +149,8 @@ async function main() {
       args.lstmLayerSize.split(',').map(x => Number.parseInt(x));
 
   const model = createModel(
-      textData.sampleLen(), textData.charSetSize(), lstmLayerSize);
+      textData.sampleLen(), textData.charSetSize(), lstmLayerSize,
+      embeddingSize);
   compileModel(model, args.learningRate);
 
   // Get a seed text for display in the course of model training.
@@ -138,6 +167,15 @@ async function main() {
           epochCount++;
           console.log(`Epoch ${epochCount} of ${args.epochs}:`);
         },
+        onEpochEnd: async (epoch, logs) => {
+          let message = `loss=${logs.loss.toFixed(4)}, ` +
+              `perplexity=${logs.perplexity.toFixed(2)}`;
+          if (logs.val_loss != null) {
+            message += `; val_loss=${logs.val_loss.toFixed(4)}, ` +
+                `val_perplexity=${logs.val_perplexity.toFixed(2)}`;
+          }
+          console.log(message);
+        },
         onTrainEnd: async () => {
           DISPLAY_TEMPERATURES.forEach(async temperature => {
             const generated = await generateText(
@@ -151,7 +189,11 @@ async function main() {
 
   if (args.savePath != null && args.savePath.length > 0) {
     await model.save(`file://${args.savePath}`);
-    console.log(`Saved model to ${args.savePath}`);
+    // Save the vocabulary next to the model, for gen_node.js and the web demo.
+    fs.writeFileSync(
+        path.join(args.savePath, VOCABULARY_FILE_NAME),
+        JSON.stringify(textData.tokenizer().toJSON()));
+    console.log(`Saved model and vocabulary to ${args.savePath}`);
   }
 }
 
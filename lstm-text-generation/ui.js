@@ -21,6 +21,7 @@ import * as tfvis from '@tensorflow/tfjs-vis';
 
 import {TEXT_DATA_URLS, TextData} from './data';
 import {SaveableLSTMTextGenerator} from './index';
+import {createTokenizer} from './tokenizer';
 
 // UI controls.
 const testText = document.getElementById('test-text');
@@ -33,8 +34,13 @@ const appStatus = document.getElementById('app-status');
 const textGenerationStatus = document.getElementById('text-generation-status');
 const loadTextDataButton = document.getElementById('load-text-data');
 const textDataSelect = document.getElementById('text-data-select');
+const textDropZone = document.getElementById('text-drop-zone');
+const textFileInput = document.getElementById('text-file');
+const tokenizationSelect = document.getElementById('tokenization');
+const vocabularySizeInput = document.getElementById('vocabulary-size');
 
 const lstmLayersSizesInput = document.getElementById('lstm-layer-sizes');
+const embeddingSizeInput = document.getElementById('embedding-size');
 
 const examplesPerEpochInput = document.getElementById('examples-per-epoch');
 const batchSizeInput = document.getElementById('batch-size');
@@ -44,10 +50,18 @@ const learningRateInput = document.getElementById('learning-rate');
 
 const generateLengthInput = document.getElementById('generate-length');
 const temperatureInput = document.getElementById('temperature');
+const decodingMethodSelect = document.getElementById('decoding-method');
+const topKInput = document.getElementById('top-k');
+const topPInput = document.getElementById('top-p');
+const beamWidthInput = document.getElementById('beam-width');
+const repetitionPenaltyInput = document.getElementById('repetition-penalty');
+const statefulInferenceCheckbox =
+    document.getElementById('stateful-inference');
 const seedTextInput = document.getElementById('seed-text');
 const generatedTextInput = document.getElementById('generated-text');
 
 const modelAvailableInfo = document.getElementById('model-available');
+const perplexityInfo = document.getElementById('perplexity');
 
 const sampleLen = 40;
 const sampleStep = 3;
@@ -104,8 +118,42 @@ export function onTrainEpochEnd(logs) {
     zoomToFit: true,
     xLabel: 'Epoch',
   });
+  tfvis.show.history(
+      document.getElementById('epoch-perplexity-canvas'), epochLossValues,
+      ['perplexity', 'val_perplexity'], {
+        height: 300,
+        zoomToFit: true,
+        xLabel: 'Epoch',
+        yLabel: 'Perplexity'
+      });
+  if (logs.val_perplexity != null) {
+    logStatus(
+        `Epoch ${epochLossValues.length}: ` +
+        `validation loss=${logs.val_loss.toFixed(4)}, ` +
+        `validation perplexity=${logs.val_perplexity.toFixed(2)}`);
+  }
+}
+
+/**
+ * Plot the log-probability of every generated character.
+ *
+ * @param {number[]} logProbs The log-probabilities of the characters.
+ */
+function plotLogProbs(logProbs) {
+  const container = document.getElementById('log-prob-canvas');
+  tfvis.render.linechart(
+      container, {values: logProbs.map((logProb, i) => ({x: i, y: logProb}))},
+      {
+        height: 300,
+        zoomToFit: true,
+        xLabel: 'Character position',
+        yLabel: 'Log-probability'
+      });
 }
 
+// Number of characters (or tokens) generated so far.
+let generatedTokenCount;
+
 /**
  * A function to call when text generation begins.
  *
@@ -114,6 +162,7 @@ export function onTrainEpochEnd(logs) {
  */
 export function onTextGenerationBegin() {
   generatedTextInput.value = '';
+  generatedTokenCount = 0;
   logStatus('Generating text...');
 }
 
@@ -125,7 +174,7 @@ export function onTextGenerationBegin() {
 export async function onTextGenerationChar(char) {
   generatedTextInput.value += char;
   generatedTextInput.scrollTop = generatedTextInput.scrollHeight;
-  const charCount = generatedTextInput.value.length;
+  const charCount = ++generatedTokenCount;
   const generateLength = parseInt(generateLengthInput.value);
   const status = `Generating text: ${charCount}/${generateLength} complete...`;
   logStatus(status);
@@ -183,6 +232,11 @@ export function setUpUI() {
       }
       const generateLength = parseInt(generateLengthInput.value);
       const temperature = parseFloat(temperatureInput.value);
+      const method = decodingMethodSelect.value;
+      const topK = parseInt(topKInput.value);
+      const topP = parseFloat(topPInput.value);
+      const beamWidth = parseInt(beamWidthInput.value);
+      const repetitionPenalty = parseFloat(repetitionPenaltyInput.value);
       if (!(generateLength > 0)) {
         logStatus(
             `ERROR: Invalid generation length: ${generateLength}. ` +
@@ -190,13 +244,41 @@ export function setUpUI() {
         enableModelButtons();
         return;
       }
-      if (!(temperature > 0 && temperature <= 1)) {
+      if (method !== 'beam' && !(temperature > 0 && temperature <= 1)) {
         logStatus(
             `ERROR: Invalid temperature: ${temperature}. ` +
             `Temperature must be a positive number.`);
         enableModelButtons();
         return;
       }
+      if (method === 'topK' && !(topK > 0)) {
+        logStatus(
+            `ERROR: Invalid top-k: ${topK}. ` +
+            `Top-k must be a positive integer.`);
+        enableModelButtons();
+        return;
+      }
+      if (method === 'nucleus' && !(topP > 0 && topP <= 1)) {
+        logStatus(
+            `ERROR: Invalid top-p: ${topP}. ` +
+            `Top-p must be a number > 0 and <= 1.`);
+        enableModelButtons();
+        return;
+      }
+      if (method === 'beam' && !(beamWidth > 0)) {
+        logStatus(
+            `ERROR: Invalid beam width: ${beamWidth}. ` +
+            `Beam width must be a positive integer.`);
+        enableModelButtons();
+        return;
+      }
+      if (!(repetitionPenalty >= 1)) {
+        logStatus(
+            `ERROR: Invalid repetition penalty: ${repetitionPenalty}. ` +
+            `Repetition penalty must be a number >= 1.`);
+        enableModelButtons();
+        return;
+      }
 
       let seedSentence;
       let seedSentenceIndices;
@@ -206,29 +288,41 @@ export function setUpUI() {
         seedTextInput.value = seedSentence;
       } else {
         seedSentence = seedTextInput.value;
-        if (seedSentence.length < textData.sampleLen()) {
+        seedSentenceIndices = textData.textToIndices(seedSentence);
+        if (seedSentenceIndices.length < textData.sampleLen()) {
+          const unit = textData.tokenizer().mode === 'char' ? '' : ' tokens';
           logStatus(
               `ERROR: Seed text must have a length of at least ` +
-              `${textData.sampleLen()}, but has a length of ` +
-              `${seedSentence.length}.`);
+              `${textData.sampleLen()}${unit}, but has a length of ` +
+              `${seedSentenceIndices.length}${unit}.`);
           enableModelButtons();
           return;
         }
-        seedSentence = seedSentence.slice(
-            seedSentence.length - textData.sampleLen(), seedSentence.length);
-        seedSentenceIndices = textData.textToIndices(seedSentence);
+        seedSentenceIndices =
+            seedSentenceIndices.slice(-textData.sampleLen());
       }
 
-      const sentence = await textGenerator.generateText(
-          seedSentenceIndices, generateLength, temperature);
-      generatedTextInput.value = sentence;
+      const {text, logProbs, perplexity} =
+          await textGenerator.generateTextWithLogProbs(
+              seedSentenceIndices, generateLength, {
+                method,
+                temperature,
+                topK,
+                topP,
+                beamWidth,
+                repetitionPenalty,
+                stateful: statefulInferenceCheckbox.checked
+              });
+      generatedTextInput.value = text;
+      perplexityInfo.textContent = perplexity.toFixed(3);
+      plotLogProbs(logProbs);
       const status = 'Done generating text.';
       logStatus(status);
       textGenerationStatus.value = status;
 
       enableModelButtons();
 
-      return sentence;
+      return text;
     } catch (err) {
       logStatus(`ERROR: Failed to generate text: ${err.message}, ${err.stack}`);
     }
@@ -236,16 +330,38 @@ export function setUpUI() {
 
   function disableModelParameterControls() {
     lstmLayersSizesInput.disabled = true;
+    embeddingSizeInput.disabled = true;
   }
 
   function enableModelParameterControls() {
     lstmLayersSizesInput.disabled = false;
+    // Character-level models take one-hot encoded inputs.
+    embeddingSizeInput.disabled = textData.tokenizer().mode === 'char';
   }
 
   function updateModelParameterControls(lstmLayerSizes) {
     lstmLayersSizesInput.value = lstmLayerSizes;
   }
 
+  /**
+   * Enable the vocabulary size input only for word and BPE tokenization.
+   */
+  function updateTokenizationControls() {
+    vocabularySizeInput.disabled = tokenizationSelect.disabled ||
+        tokenizationSelect.value === 'char';
+  }
+
+  /**
+   * Enable only the inputs of the parameters of the chosen decoding method.
+   */
+  function updateDecodingControls() {
+    const method = decodingMethodSelect.value;
+    temperatureInput.disabled = method === 'beam';
+    topKInput.disabled = method !== 'topK';
+    topPInput.disabled = method !== 'nucleus';
+    beamWidthInput.disabled = method !== 'beam';
+  }
+
   function updateTextInputParameters() {
     Object.keys(TEXT_DATA_URLS).forEach(key => {
       var opt = document.createElement('option');
@@ -263,11 +379,34 @@ export function setUpUI() {
     return hash >>> 0;
   }
 
+  /**
+   * Read a text file chosen or dropped by the user into the text box, from
+   * which it is loaded as custom text data.
+   *
+   * @param {File} file The file.
+   */
+  function readTextFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      testText.value = reader.result;
+      logStatus(
+          `Read ${file.name} ` +
+          `(length=${(reader.result.length / 1024).toFixed(1)}k). ` +
+          `Click "Load source data" to use it.`);
+    };
+    reader.onerror = () => {
+      logStatus(`ERROR: Failed to read ${file.name}: ${reader.error}`);
+    };
+    reader.readAsText(file);
+  }
+
   /**
    * Initialize UI state.
    */
 
   disableModelParameterControls();
+  updateDecodingControls();
+  updateTokenizationControls();
 
   /**
    * Update Text Inputs
@@ -278,8 +417,40 @@ export function setUpUI() {
    * Wire up UI callbacks.
    */
 
+  decodingMethodSelect.addEventListener('change', updateDecodingControls);
+  tokenizationSelect.addEventListener('change', updateTokenizationControls);
+
+  textFileInput.addEventListener('change', () => {
+    if (textFileInput.files.length > 0) {
+      readTextFile(textFileInput.files[0]);
+    }
+  });
+  textDropZone.addEventListener('dragover', event => {
+    event.preventDefault();
+    textDropZone.classList.add('drag-over');
+  });
+  textDropZone.addEventListener('dragleave', () => {
+    textDropZone.classList.remove('drag-over');
+  });
+  textDropZone.addEventListener('drop', event => {
+    event.preventDefault();
+    textDropZone.classList.remove('drag-over');
+    if (!textFileInput.disabled && event.dataTransfer.files.length > 0) {
+      readTextFile(event.dataTransfer.files[0]);
+    }
+  });
+
   loadTextDataButton.addEventListener('click', async () => {
+    const tokenization = tokenizationSelect.value;
+    const vocabularySize = parseInt(vocabularySizeInput.value);
+    if (tokenization !== 'char' && !(vocabularySize > 1)) {
+      logStatus(`ERROR: Invalid vocabulary size: ${vocabularySize}`);
+      return;
+    }
     textDataSelect.disabled = true;
+    tokenizationSelect.disabled = true;
+    updateTokenizationControls();
+    textFileInput.disabled = true;
     loadTextDataButton.disabled = true;
     let dataIdentifier = textDataSelect.value;
     const url = TEXT_DATA_URLS[dataIdentifier].url;
@@ -303,8 +474,24 @@ export function setUpUI() {
     } else {
       dataIdentifier = hashCode(testText.value);
     }
-    textData =
-        new TextData(dataIdentifier, testText.value, sampleLen, sampleStep);
+    let tokenizer;
+    try {
+      if (tokenization !== 'char') {
+        logStatus(`Building the ${tokenization} vocabulary...`);
+        await tf.nextFrame();
+      }
+      tokenizer = createTokenizer(tokenization, testText.value, vocabularySize);
+    } catch (err) {
+      logStatus(`ERROR: Failed to build the vocabulary: ${err.message}`);
+      textDataSelect.disabled = false;
+      tokenizationSelect.disabled = false;
+      updateTokenizationControls();
+      textFileInput.disabled = false;
+      loadTextDataButton.disabled = false;
+      return;
+    }
+    textData = new TextData(
+        dataIdentifier, testText.value, sampleLen, sampleStep, tokenizer);
     textGenerator = new SaveableLSTMTextGenerator(textData);
     await refreshLocalModelStatus();
   });
@@ -347,7 +534,16 @@ export function setUpUI() {
         }
       }
 
-      await textGenerator.createModel(lstmLayerSizes);
+      let embeddingSize = null;
+      if (textData.tokenizer().mode !== 'char') {
+        embeddingSize = parseInt(embeddingSizeInput.value);
+        if (!(embeddingSize > 0)) {
+          logStatus(`ERROR: Invalid embedding size: ${embeddingSize}`);
+          return;
+        }
+      }
+
+      await textGenerator.createModel(lstmLayerSizes, embeddingSize);
       logStatus(
           'Done creating model. ' +
           'Now you can train the model or use it to generate text.');
@@ -404,8 +600,14 @@ export function setUpUI() {
 
     textGenerator.compileModel(learningRate);
     disableModelButtons();
-    await textGenerator.fitModel(
-        numEpochs, examplesPerEpoch, batchSize, validationSplit);
+    try {
+      await textGenerator.fitModel(
+          numEpochs, examplesPerEpoch, batchSize, validationSplit);
+    } catch (err) {
+      logStatus(`ERROR: Failed to train the model: ${err.message}`);
+      enableModelButtons();
+      return;
+    }
     console.log(await textGenerator.saveModel());
     await refreshLocalModelStatus();
     enableModelButtons();
@@ -0,0 +1,429 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Metrics of the quality of the images generated by the ACGAN.
+ *
+ * The losses of a GAN say little about how good the generated images are.
+ * The metrics here instead use a separately trained MNIST classifier:
+ *
+ *   - Class-conditional accuracy: the fraction of the generated images that
+ *     the classifier assigns to the class the generator was asked for.
+ *   - Inception Score (Salimans et al., 2016, "Improved techniques for
+ *     training GANs", https://arxiv.org/abs/1606.03498), with the classifier
+ *     in lieu of the Inception network: `exp(E_x[KL(p(y|x) || p(y))])`. It
+ *     is high (at most 10) when every image is classified confidently and
+ *     all classes are generated equally often.
+ *   - Fréchet distance (Heusel et al., 2017, "GANs trained by a two
+ *     time-scale update rule converge to a local Nash equilibrium",
+ *     https://arxiv.org/abs/1706.08500) between Gaussians fitted to the
+ *     features of the penultimate layer of the classifier for real and
+ *     generated images. It is low when the generated images are similar to
+ *     the real ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const tf = require('@tensorflow/tfjs');
+const generation = require('./generation');
+
+// Number of classes in the MNIST dataset.
+const NUM_CLASSES = 10;
+
+// MNIST image size.
+const IMAGE_SIZE = 28;
+
+// Name of the layer of the classifier whose output is used as the features
+// for the Fréchet distance.
+const FEATURES_LAYER_NAME = 'classifierFeatures';
+
+// Random seed of the latent vectors of the sample image grids, so that the
+// grids of different epochs can be compared.
+const SAMPLE_GRID_SEED = 1337;
+
+// Small value that avoids taking the logarithm of zero.
+const EPSILON = 1e-12;
+
+/**
+ * Build a convolutional MNIST classifier.
+ *
+ * The classifier takes images of the same format as the generator produces,
+ * i.e., of shape [batchSize, 28, 28, 1] with pixel values in the [-1, 1]
+ * interval.
+ *
+ * @returns {tf.LayersModel} The classifier, compiled.
+ */
+function buildClassifier() {
+  const classifier = tf.sequential();
+  classifier.add(tf.layers.conv2d({
+    filters: 32,
+    kernelSize: 3,
+    activation: 'relu',
+    inputShape: [IMAGE_SIZE, IMAGE_SIZE, 1]
+  }));
+  classifier.add(tf.layers.maxPooling2d({poolSize: 2}));
+  classifier.add(
+      tf.layers.conv2d({filters: 64, kernelSize: 3, activation: 'relu'}));
+  classifier.add(tf.layers.maxPooling2d({poolSize: 2}));
+  classifier.add(tf.layers.flatten());
+  classifier.add(tf.layers.dense(
+      {units: 128, activation: 'relu', name: FEATURES_LAYER_NAME}));
+  classifier.add(
+      tf.layers.dense({units: NUM_CLASSES, activation: 'softmax'}));
+  classifier.compile({
+    optimizer: 'adam',
+    loss: 'categoricalCrossentropy',
+    metrics: ['accuracy']
+  });
+  return classifier;
+}
+
+/**
+ * Load the MNIST classifier, or train and save it if it doesn't exist yet.
+ *
+ * @param {string} classifierPath Directory of the saved classifier.
+ * @param {tf.Tensor4D} xTrain Training images.
+ * @param {tf.Tensor2D} yTrain One-hot training labels.
+ * @param {number} epochs Number of training epochs.
+ * @returns {tf.LayersModel} The trained classifier.
+ */
+async function loadOrTrainClassifier(classifierPath, xTrain, yTrain, epochs) {
+  if (fs.existsSync(path.join(classifierPath, 'model.json'))) {
+    console.log(`Loading MNIST classifier from ${classifierPath}`);
+    return tf.loadLayersModel(
+        `file://${path.join(classifierPath, 'model.json')}`);
+  }
+
+  console.log('Training MNIST classifier for the evaluation...');
+  const classifier = buildClassifier();
+  await classifier.fit(xTrain, yTrain, {
+    epochs,
+    batchSize: 128,
+    callbacks: {
+      onEpochEnd: (epoch, logs) => console.log(
+          `classifier epoch ${epoch + 1}/${epochs}: ` +
+          `loss = ${logs.loss.toFixed(4)}, acc = ${logs.acc.toFixed(4)}`)
+    }
+  });
+  await classifier.save(`file://${classifierPath}`);
+  console.log(`Saved MNIST classifier to: ${classifierPath}`);
+  return classifier;
+}
+
+/**
+ * Create a model that outputs both the features and the class probabilities
+ * of the classifier.
+ *
+ * @param {tf.LayersModel} classifier A classifier built by
+ *   `buildClassifier()`.
+ * @returns {tf.LayersModel} A model with the outputs `[features,
+ *   probabilities]`.
+ */
+function createFeatureExtractor(classifier) {
+  return tf.model({
+    inputs: classifier.inputs,
+    outputs: [
+      classifier.getLayer(FEATURES_LAYER_NAME).output, classifier.outputs[0]
+    ]
+  });
+}
+
+/**
+ * Fraction of examples whose most probable class is the expected one.
+ *
+ * @param {tf.Tensor2D} probs Class probabilities, of shape
+ *   [numExamples, numClasses].
+ * @param {number[]} labels The expected class of every example.
+ * @returns {number} The accuracy.
+ */
+function classConditionalAccuracy(probs, labels) {
+  return tf.tidy(
+      () => probs.argMax(-1)
+                .equal(tf.tensor1d(labels, 'int32'))
+                .asType('float32')
+                .mean()
+                .arraySync());
+}
+
+/**
+ * Inception Score of a set of class-probability vectors.
+ *
+ * @param {tf.Tensor2D} probs Class probabilities, of shape
+ *   [numExamples, numClasses].
+ * @returns {number} `exp(E_x[KL(p(y|x) || p(y))])`, between 1 and
+ *   `numClasses`.
+ */
+function inceptionScore(probs) {
+  return tf.tidy(() => {
+    const logProbs = probs.add(EPSILON).log();
+    const logMarginal = probs.mean(0, true).add(EPSILON).log();
+    const klDivergences = probs.mul(logProbs.sub(logMarginal)).sum(-1);
+    return klDivergences.mean().exp().arraySync();
+  });
+}
+
+/**
+ * Mean and covariance matrix of a set of feature vectors.
+ *
+ * @param {tf.Tensor2D} features Feature vectors, of shape
+ *   [numExamples, numFeatures].
+ * @returns {{mean: number[], covariance: number[][]}} The statistics.
+ */
+function computeFeatureStatistics(features) {
+  return tf.tidy(() => {
+    const mean = features.mean(0);
+    const centered = features.sub(mean);
+    const covariance = centered.transpose().matMul(centered).div(
+        Math.max(features.shape[0] - 1, 1));
+    return {mean: mean.arraySync(), covariance: covariance.arraySync()};
+  });
+}
+
+function matMul_(a, b) {
+  const n = a.length;
+  const m = b[0].length;
+  const result = [];
+  for (let i = 0; i < n; ++i) {
+    const row = new Float64Array(m);
+    for (let k = 0; k < b.length; ++k) {
+      const aik = a[i][k];
+      if (aik === 0) {
+        continue;
+      }
+      const bk = b[k];
+      for (let j = 0; j < m; ++j) {
+        row[j] += aik * bk[j];
+      }
+    }
+    result.push(row);
+  }
+  return result;
+}
+
+/**
+ * Eigendecomposition of a symmetric matrix with the cyclic Jacobi method.
+ *
+ * @param {number[][]} matrix A symmetric matrix.
+ * @returns {{values: number[], vectors: Float64Array[]}} The eigenvalues and
+ *   a matrix whose columns are the corresponding eigenvectors.
+ */
+function symmetricEigen_(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => Float64Array.from(row));
+  const v = [];
+  let norm = 0;
+  for (let i = 0; i < n; ++i) {
+    v.push(new Float64Array(n));
+    v[i][i] = 1;
+    for (let j = 0; j < n; ++j) {
+      norm += a[i][j] * a[i][j];
+    }
+  }
+
+  for (let sweep = 0; sweep < 100; ++sweep) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n - 1; ++p) {
+      for (let q = p + 1; q < n; ++q) {
+        offDiagonal += a[p][q] * a[p][q];
+      }
+    }
+    if (offDiagonal <= 1e-24 * norm) {
+      break;
+    }
+
+    for (let p = 0; p < n - 1; ++p) {
+      for (let q = p + 1; q < n; ++q) {
+        const apq = a[p][q];
+        if (apq === 0) {
+          continue;
+        }
+        // Rotate in the (p, q) plane so that a[p][q] becomes zero.
+        const theta = (a[q][q] - a[p][p]) / (2 * apq);
+        const t = (theta >= 0 ? 1 : -1) /
+            (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; ++k) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; ++k) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; ++k) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return {values: a.map((row, i) => row[i]), vectors: v};
+}
+
+/**
+ * Fréchet distance between two Gaussians.
+ *
+ * `||mean1 - mean2||^2 + Tr(cov1 + cov2 - 2 sqrt(cov1 cov2))`, where the
+ * trace of `sqrt(cov1 cov2)` is computed as the sum of the square roots of
+ * the eigenvalues of the symmetric matrix `sqrt(cov1) cov2 sqrt(cov1)`.
+ *
+ * @param {{mean: number[], covariance: number[][]}} statistics1 The mean and
+ *   covariance matrix of the first Gaussian.
+ * @param {{mean: number[], covariance: number[][]}} statistics2 The mean and
+ *   covariance matrix of the second Gaussian.
+ * @returns {number} The Fréchet distance.
+ */
+function frechetDistance(statistics1, statistics2) {
+  const n = statistics1.mean.length;
+  if (statistics2.mean.length !== n) {
+    throw new Error(
+        `Mismatch in the number of features: ${n} vs. ` +
+        `${statistics2.mean.length}`);
+  }
+  let distance = 0;
+  for (let i = 0; i < n; ++i) {
+    const diff = statistics1.mean[i] - statistics2.mean[i];
+    distance += diff * diff + statistics1.covariance[i][i] +
+        statistics2.covariance[i][i];
+  }
+
+  // Square root of the first covariance matrix, which is positive
+  // semi-definite up to rounding errors.
+  const {values, vectors} = symmetricEigen_(statistics1.covariance);
+  const scaledVectors = vectors.map(
+      row => row.map((x, j) => x * Math.sqrt(Math.max(values[j], 0))));
+  const transposedVectors =
+      vectors.map((row, i) => vectors.map(otherRow => otherRow[i]));
+  const sqrtCovariance1 = matMul_(scaledVectors, transposedVectors);
+
+  const product = matMul_(
+      matMul_(sqrtCovariance1, statistics2.covariance), sqrtCovariance1);
+  for (const value of symmetricEigen_(product).values) {
+    distance -= 2 * Math.sqrt(Math.max(value, 0));
+  }
+  return Math.max(distance, 0);
+}
+
+/**
+ * Features and class probabilities of the classifier for a set of images.
+ *
+ * @param {tf.LayersModel} featureExtractor A model created by
+ *   `createFeatureExtractor()`.
+ * @param {tf.Tensor4D} images The images, with pixel values in the [-1, 1]
+ *   interval.
+ * @param {number} batchSize Batch size for the prediction.
+ * @returns {tf.Tensor2D[]} The features and the class probabilities.
+ */
+function extractFeatures(featureExtractor, images, batchSize) {
+  return featureExtractor.predict(images, {batchSize});
+}
+
+/**
+ * Evaluate the quality of images generated by the generator of an ACGAN.
+ *
+ * @param {tf.LayersModel} generator The generator of the ACGAN.
+ * @param {tf.LayersModel} featureExtractor A model created by
+ *   `createFeatureExtractor()`.
+ * @param {{mean: number[], covariance: number[][]}} realStatistics Statistics
+ *   of the features of real images, from `computeFeatureStatistics()`.
+ * @param {number} numSamples Number of images to generate. The images cycle
+ *   through the digit classes 0, 1, ..., 9.
+ * @param {number} batchSize Batch size for the generation.
+ * @returns {{accuracy: number, inceptionScore: number,
+ *   frechetDistance: number}} The metrics.
+ */
+function evaluateGenerator(
+    generator, featureExtractor, realStatistics, numSamples, batchSize) {
+  const latentSize = generator.inputs[0].shape[1];
+  const labels = [];
+  for (let i = 0; i < numSamples; ++i) {
+    labels.push(i % NUM_CLASSES);
+  }
+
+  const [features, probs] = tf.tidy(() => {
+    const images = [];
+    for (let i = 0; i < numSamples; i += batchSize) {
+      const size = Math.min(batchSize, numSamples - i);
+      const latentVectors = tf.randomUniform([size, latentSize], -1, 1);
+      const imageClasses = tf.tensor2d(labels.slice(i, i + size), [size, 1]);
+      images.push(generator.predict([latentVectors, imageClasses]));
+    }
+    return extractFeatures(featureExtractor, tf.concat(images), batchSize);
+  });
+
+  try {
+    return {
+      accuracy: classConditionalAccuracy(probs, labels),
+      inceptionScore: inceptionScore(probs),
+      frechetDistance:
+          frechetDistance(computeFeatureStatistics(features), realStatistics)
+    };
+  } finally {
+    tf.dispose([features, probs]);
+  }
+}
+
+/**
+ * Generate a grid of sample images.
+ *
+ * Every column holds one digit class (0 through 9) and every row one latent
+ * vector. The latent vectors are the same on every call, so that the grids
+ * show how the generator changes during the training.
+ *
+ * @param {tf.LayersModel} generator The generator of the ACGAN.
+ * @param {number} numRows Number of latent vectors.
+ * @returns {tf.Tensor3D} The image grid, of shape
+ *   [numRows * 28, 10 * 28, 1], as int32 pixel values in the [0, 255]
+ *   interval.
+ */
+function makeSampleGrid(generator, numRows) {
+  return tf.tidy(() => {
+    const latentSize = generator.inputs[0].shape[1];
+    const latentVectors =
+        generation.makeLatentVectors(latentSize, numRows, SAMPLE_GRID_SEED)
+            .expandDims(1)
+            .tile([1, NUM_CLASSES, 1])
+            .reshape([numRows * NUM_CLASSES, latentSize]);
+    const digits = [];
+    for (let i = 0; i < numRows * NUM_CLASSES; ++i) {
+      digits.push(i % NUM_CLASSES);
+    }
+    const images = generation.generateImages(generator, latentVectors, digits);
+    return generation.makeSpriteSheet(images, NUM_CLASSES);
+  });
+}
+
+module.exports = {
+  buildClassifier,
+  classConditionalAccuracy,
+  computeFeatureStatistics,
+  createFeatureExtractor,
+  evaluateGenerator,
+  extractFeatures,
+  frechetDistance,
+  inceptionScore,
+  loadOrTrainClassifier,
+  makeSampleGrid
+};
@@ -0,0 +1,147 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tf = require('@tensorflow/tfjs-node');
+const evaluation = require('./evaluation');
+const gan = require('./gan');
+
+describe('Evaluation', () => {
+  it('buildClassifier and createFeatureExtractor', () => {
+    const classifier = evaluation.buildClassifier();
+    expect(classifier.inputs[0].shape).toEqual([null, 28, 28, 1]);
+    expect(classifier.outputs[0].shape).toEqual([null, 10]);
+    const featureExtractor = evaluation.createFeatureExtractor(classifier);
+    expect(featureExtractor.outputs.length).toEqual(2);
+    expect(featureExtractor.outputs[0].shape).toEqual([null, 128]);
+    expect(featureExtractor.outputs[1].shape).toEqual([null, 10]);
+  });
+
+  it('classConditionalAccuracy', () => {
+    const probs = tf.tensor2d([[0.9, 0.1], [0.2, 0.8], [0.6, 0.4]]);
+    expect(evaluation.classConditionalAccuracy(probs, [0, 1, 1]))
+        .toBeCloseTo(2 / 3);
+    probs.dispose();
+  });
+
+  it('inceptionScore', () => {
+    // Confident and balanced predictions give the maximum score.
+    const oneHot = tf.oneHot(tf.tensor1d([0, 1, 2, 3], 'int32'), 4);
+    expect(evaluation.inceptionScore(oneHot)).toBeCloseTo(4);
+    // Confident predictions of a single class give the minimum score.
+    const singleClass = tf.oneHot(tf.tensor1d([2, 2, 2], 'int32'), 4);
+    expect(evaluation.inceptionScore(singleClass)).toBeCloseTo(1);
+    // So do uniform predictions.
+    const uniform = tf.fill([3, 4], 0.25);
+    expect(evaluation.inceptionScore(uniform)).toBeCloseTo(1);
+    tf.dispose([oneHot, singleClass, uniform]);
+  });
+
+  it('computeFeatureStatistics', () => {
+    const features = tf.tensor2d([[1, 2], [3, 2], [5, 8]]);
+    const {mean, covariance} = evaluation.computeFeatureStatistics(features);
+    expect(mean[0]).toBeCloseTo(3);
+    expect(mean[1]).toBeCloseTo(4);
+    expect(covariance[0][0]).toBeCloseTo(4);
+    expect(covariance[0][1]).toBeCloseTo(6);
+    expect(covariance[1][0]).toBeCloseTo(6);
+    expect(covariance[1][1]).toBeCloseTo(12);
+    features.dispose();
+  });
+
+  it('frechetDistance', () => {
+    // For 2x2 matrices, Tr(sqrt(M)) = sqrt(Tr(M) + 2 sqrt(det(M))). Here
+    // M = [[2, 3], [1, 6]], so that Tr(sqrt(M)) = sqrt(14).
+    const statistics1 = {mean: [1, 0], covariance: [[2, 1], [1, 2]]};
+    const statistics2 = {mean: [0, 0], covariance: [[1, 0], [0, 3]]};
+    expect(evaluation.frechetDistance(statistics1, statistics2))
+        .toBeCloseTo(1 + 8 - 2 * Math.sqrt(14), 5);
+    expect(evaluation.frechetDistance(statistics2, statistics1))
+        .toBeCloseTo(1 + 8 - 2 * Math.sqrt(14), 5);
+
+    // Identical Gaussians with a larger, rank-deficient covariance matrix.
+    const features = tf.randomNormal([10, 20], 0, 1, 'float32', 42);
+    const statistics = evaluation.computeFeatureStatistics(features);
+    expect(evaluation.frechetDistance(statistics, statistics))
+        .toBeCloseTo(0, 3);
+    features.dispose();
+
+    expect(() => evaluation.frechetDistance(statistics, statistics1))
+        .toThrowError(/Mismatch in the number of features/);
+  });
+
+  it('evaluateGenerator', () => {
+    const generator = gan.buildGenerator(5);
+    const featureExtractor =
+        evaluation.createFeatureExtractor(evaluation.buildClassifier());
+    const realImages = tf.randomUniform([20, 28, 28, 1], -1, 1);
+    const [realFeatures, realProbs] =
+        evaluation.extractFeatures(featureExtractor, realImages, 8);
+    const realStatistics = evaluation.computeFeatureStatistics(realFeatures);
+    tf.dispose([realImages, realFeatures, realProbs]);
+
+    const numTensors0 = tf.memory().numTensors;
+    const metrics = evaluation.evaluateGenerator(
+        generator, featureExtractor, realStatistics, 30, 16);
+    expect(metrics.accuracy).toBeGreaterThanOrEqual(0);
+    expect(metrics.accuracy).toBeLessThanOrEqual(1);
+    expect(metrics.inceptionScore).toBeGreaterThanOrEqual(1 - 1e-4);
+    expect(metrics.inceptionScore).toBeLessThanOrEqual(10);
+    expect(metrics.frechetDistance).toBeGreaterThan(0);
+    // Assert no memory leak.
+    expect(tf.memory().numTensors).toEqual(numTensors0);
+  });
+
+  it('makeSampleGrid', () => {
+    const generator = gan.buildGenerator(5);
+    const grid1 = evaluation.makeSampleGrid(generator, 3);
+    const grid2 = evaluation.makeSampleGrid(generator, 3);
+    expect(grid1.shape).toEqual([3 * 28, 10 * 28, 1]);
+    expect(grid1.dtype).toEqual('int32');
+    // The grid uses the same latent vectors on every call.
+    expect(grid1.arraySync()).toEqual(grid2.arraySync());
+    tf.dispose([grid1, grid2]);
+  });
+
+  it('loadOrTrainClassifier', async () => {
+    const classifierPath =
+        fs.mkdtempSync(path.join(os.tmpdir(), 'acgan-classifier-'));
+    const xTrain = tf.randomUniform([8, 28, 28, 1], -1, 1);
+    const yTrain = tf.oneHot(tf.tensor1d([0, 1, 2, 3, 4, 5, 6, 7], 'int32'), 10)
+                       .asType('float32');
+    const classifier = await evaluation.loadOrTrainClassifier(
+        classifierPath, xTrain, yTrain, 1);
+    expect(fs.existsSync(path.join(classifierPath, 'model.json')))
+        .toEqual(true);
+
+    // The second call loads the saved classifier.
+    const loaded = await evaluation.loadOrTrainClassifier(
+        classifierPath, xTrain, yTrain, 1);
+    const expected = classifier.predict(xTrain);
+    const actual = loaded.predict(xTrain);
+    expect(actual.sub(expected).abs().max().arraySync()).toBeCloseTo(0, 5);
+    tf.dispose([xTrain, yTrain, expected, actual]);
+
+    for (const fileName of fs.readdirSync(classifierPath)) {
+      fs.unlinkSync(path.join(classifierPath, fileName));
+    }
+    fs.rmdirSync(classifierPath);
+  });
+});
@@ -58,6 +58,7 @@ const path = require('path');
 
 const argparse = require('argparse');
 const data = require('./data');
+const evaluation = require('./evaluation');
 
 // Number of classes in the MNIST dataset.
 const NUM_CLASSES = 10;
@@ -399,7 +400,37 @@ function parseArguments() {
   });
   parser.addArgument('--logDir', {
     type: 'string',
-    help: 'Optional log directory to which the loss values will be written.'
+    help: 'Optional log directory to which the loss values and the ' +
+        'sample-quality metrics will be written.'
+  });
+  parser.addArgument('--samplesDir', {
+    type: 'string',
+    defaultValue: './dist/samples',
+    help: 'Directory to which a PNG grid of generated images will be ' +
+        'written after every epoch.'
+  });
+  parser.addArgument('--classifierPath', {
+    type: 'string',
+    defaultValue: './dist/classifier',
+    help: 'Path of the MNIST classifier used to evaluate the generated ' +
+        'images. The classifier is trained and saved there if it doesn\'t ' +
+        'exist yet.'
+  });
+  parser.addArgument('--classifierEpochs', {
+    type: 'int',
+    defaultValue: 3,
+    help: 'Number of epochs to train the MNIST classifier for.'
+  });
+  parser.addArgument('--evalEvery', {
+    type: 'int',
+    defaultValue: 1,
+    help: 'Evaluate the quality of the generated images every this many ' +
+        'epochs. 0 disables the evaluation.'
+  });
+  parser.addArgument('--evalNumSamples', {
+    type: 'int',
+    defaultValue: 1000,
+    help: 'Number of generated and real images used in the evaluation.'
   });
   return parser.parseArgs();
 }
@@ -428,6 +459,12 @@ async function run() {
   if (!fs.existsSync(path.dirname(args.generatorSavePath))) {
     fs.mkdirSync(path.dirname(args.generatorSavePath));
   }
+  if (!fs.existsSync(path.dirname(args.samplesDir))) {
+    fs.mkdirSync(path.dirname(args.samplesDir));
+  }
+  if (!fs.existsSync(args.samplesDir)) {
+    fs.mkdirSync(args.samplesDir);
+  }
   const saveURL = `file://${args.generatorSavePath}`;
   const metadataPath = path.join(args.generatorSavePath, 'acgan-metadata.json');
 
@@ -449,6 +486,34 @@ async function run() {
 
   await data.loadData();
   let {images: xTrain, labels: yTrain} = data.getTrainData();
+
+  // The sample-quality metrics of the generated images are computed with a
+  // separately trained classifier. The statistics of its features for real
+  // images are computed once, from the test set.
+  let featureExtractor;
+  let realStatistics;
+  if (args.evalEvery > 0) {
+    const classifier = await evaluation.loadOrTrainClassifier(
+        args.classifierPath, xTrain, yTrain, args.classifierEpochs);
+    featureExtractor = evaluation.createFeatureExtractor(classifier);
+
+    const {images: xTest, labels: yTest} = data.getTestData();
+    const numRealSamples = Math.min(args.evalNumSamples, xTest.shape[0]);
+    const realImages = xTest.slice(0, numRealSamples);
+    const [realFeatures, realProbs] = evaluation.extractFeatures(
+        featureExtractor, realImages, args.batchSize);
+    realStatistics = evaluation.computeFeatureStatistics(realFeatures);
+    const realLabels = tf.tidy(
+        () => Array.from(yTest.slice(0, numRealSamples).argMax(-1).dataSync()));
+    const realAccuracy =
+        evaluation.classConditionalAccuracy(realProbs, realLabels);
+    const realInceptionScore = evaluation.inceptionScore(realProbs);
+    console.log(
+        `Classifier accuracy on real images = ${realAccuracy.toFixed(4)}, ` +
+        `Inception Score of real images = ${realInceptionScore.toFixed(3)}`);
+    tf.dispose([xTest, yTest, realImages, realFeatures, realProbs]);
+  }
+
   yTrain = tf.expandDims(yTrain.argMax(-1), -1);
 
   // Save the generator model once before starting the training.
@@ -513,7 +578,31 @@ async function run() {
     console.log(
         `epoch ${epoch + 1} elapsed time: ` +
         `${((tf.util.now() - tBatchBegin) / 1e3).toFixed(1)} s`);
-    console.log(`Saved generator model to: ${saveURL}\n`);
+    console.log(`Saved generator model to: ${saveURL}`);
+
+    const sampleGrid = evaluation.makeSampleGrid(generator, NUM_CLASSES);
+    const samplesPath = path.join(
+        args.samplesDir, `epoch-${String(epoch + 1).padStart(3, '0')}.png`);
+    fs.writeFileSync(samplesPath, await tf.node.encodePng(sampleGrid));
+    sampleGrid.dispose();
+    console.log(`Saved sample images to: ${samplesPath}`);
+
+    if (args.evalEvery > 0 && (epoch + 1) % args.evalEvery === 0) {
+      const metrics = evaluation.evaluateGenerator(
+          generator, featureExtractor, realStatistics, args.evalNumSamples,
+          args.batchSize);
+      console.log(
+          `epoch ${epoch + 1} sample quality: ` +
+          `accuracy = ${metrics.accuracy.toFixed(4)}, ` +
+          `inceptionScore = ${metrics.inceptionScore.toFixed(3)}, ` +
+          `frechetDistance = ${metrics.frechetDistance.toFixed(3)}`);
+      if (logWriter != null) {
+        logWriter.scalar('classConditionalAccuracy', metrics.accuracy, step);
+        logWriter.scalar('inceptionScore', metrics.inceptionScore, step);
+        logWriter.scalar('frechetDistance', metrics.frechetDistance, step);
+      }
+    }
+    console.log('');
   }
 
   // Write metadata to disk to indicate the end of the training.
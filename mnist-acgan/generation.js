@@ -0,0 +1,115 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Generation of images with the generator of a trained ACGAN, shared by the
+ * HTTP service (`serve.js`) and the evaluation of the generator
+ * (`evaluation.js`).
+ */
+
+const tf = require('@tensorflow/tfjs');
+
+/**
+ * Draw latent vectors reproducibly.
+ *
+ * The latent vectors are drawn from the same distribution as during
+ * training, i.e., uniformly from the interval [-1, 1). The latent vectors
+ * drawn with the same seed are identical, and the first `n` of `count`
+ * latent vectors don't depend on `count`.
+ *
+ * @param {number} latentSize Size of the latent space.
+ * @param {number} count Number of latent vectors to draw.
+ * @param {number} seed The random seed.
+ * @returns {tf.Tensor2D} The latent vectors, of shape [count, latentSize].
+ */
+function makeLatentVectors(latentSize, count, seed) {
+  return tf.randomUniform([count, latentSize], -1, 1, 'float32', seed);
+}
+
+/**
+ * Interpolate linearly between the first latent vectors of two seeds.
+ *
+ * @param {number} latentSize Size of the latent space.
+ * @param {number} fromSeed The seed of the first latent vector.
+ * @param {number} toSeed The seed of the last latent vector.
+ * @param {number} count Number of latent vectors, including both ends.
+ * @returns {tf.Tensor2D} The latent vectors, of shape [count, latentSize].
+ */
+function interpolateLatentVectors(latentSize, fromSeed, toSeed, count) {
+  return tf.tidy(() => {
+    const from = makeLatentVectors(latentSize, 1, fromSeed);
+    const to = makeLatentVectors(latentSize, 1, toSeed);
+    const weights = count === 1 ?
+        tf.zeros([1, 1]) :
+        tf.linspace(0, 1, count).reshape([count, 1]);
+    return from.mul(tf.scalar(1).sub(weights)).add(to.mul(weights));
+  });
+}
+
+/**
+ * Generate images with the generator of an ACGAN.
+ *
+ * @param {tf.LayersModel} generator The generator of the ACGAN.
+ * @param {tf.Tensor2D} latentVectors The latent vectors, of shape
+ *   [numImages, latentSize].
+ * @param {number[]} digits The digit class of every image.
+ * @returns {tf.Tensor4D} The generated images, of shape
+ *   [numImages, 28, 28, 1], with pixel values in the [0, 1] interval.
+ */
+function generateImages(generator, latentVectors, digits) {
+  return tf.tidy(() => {
+    const labels = tf.tensor2d(digits, [digits.length, 1]);
+    // The output has pixel values in the [-1, 1] interval.
+    return generator.predict([latentVectors, labels]).add(1).div(2);
+  });
+}
+
+/**
+ * Arrange images in a grid.
+ *
+ * The images are placed row by row. The unused cells of the last row are
+ * left black.
+ *
+ * @param {tf.Tensor4D} images The images, of shape
+ *   [numImages, height, width, 1], with pixel values in the [0, 1] interval.
+ * @param {number} columns Number of images per row.
+ * @returns {tf.Tensor3D} The sprite sheet, of shape
+ *   [numRows * height, columns * width, 1], as int32 pixel values in the
+ *   [0, 255] interval.
+ */
+function makeSpriteSheet(images, columns) {
+  return tf.tidy(() => {
+    const [numImages, height, width] = images.shape;
+    const rows = Math.ceil(numImages / columns);
+    const padded = tf.pad(
+        images, [[0, rows * columns - numImages], [0, 0], [0, 0], [0, 0]]);
+    return padded.reshape([rows, columns, height, width, 1])
+        .transpose([0, 2, 1, 3, 4])
+        .reshape([rows * height, columns * width, 1])
+        .mul(255)
+        .round()
+        .clipByValue(0, 255)
+        .asType('int32');
+  });
+}
+
+module.exports = {
+  generateImages,
+  interpolateLatentVectors,
+  makeLatentVectors,
+  makeSpriteSheet
+};
@@ -0,0 +1,70 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+const tf = require('@tensorflow/tfjs');
+const generation = require('./generation');
+
+describe('Generation', () => {
+  it('makeLatentVectors is reproducible', () => {
+    const a = generation.makeLatentVectors(5, 4, 42);
+    const b = generation.makeLatentVectors(5, 2, 42);
+    const c = generation.makeLatentVectors(5, 2, 43);
+    expect(a.shape).toEqual([4, 5]);
+    expect(a.min().arraySync()).toBeGreaterThanOrEqual(-1);
+    expect(a.max().arraySync()).toBeLessThan(1);
+    // The first latent vectors don't depend on the count.
+    expect(a.slice(0, 2).arraySync()).toEqual(b.arraySync());
+    expect(c.arraySync()).not.toEqual(b.arraySync());
+    tf.dispose([a, b, c]);
+  });
+
+  it('interpolateLatentVectors', () => {
+    const numTensors0 = tf.memory().numTensors;
+    const latentVectors = generation.interpolateLatentVectors(5, 1, 2, 5);
+    expect(latentVectors.shape).toEqual([5, 5]);
+    const from = generation.makeLatentVectors(5, 1, 1);
+    const to = generation.makeLatentVectors(5, 1, 2);
+    const values = latentVectors.arraySync();
+    const fromValues = from.arraySync()[0];
+    const toValues = to.arraySync()[0];
+    for (let i = 0; i < 5; ++i) {
+      expect(values[0][i]).toBeCloseTo(fromValues[i]);
+      expect(values[2][i]).toBeCloseTo((fromValues[i] + toValues[i]) / 2);
+      expect(values[4][i]).toBeCloseTo(toValues[i]);
+    }
+    tf.dispose([latentVectors, from, to]);
+    // Assert no memory leak.
+    expect(tf.memory().numTensors).toEqual(numTensors0);
+  });
+
+  it('makeSpriteSheet', () => {
+    // Three 2x2 images with the constant pixel values 0, 0.5 and 1.
+    const images = tf.stack([
+      tf.zeros([2, 2, 1]), tf.fill([2, 2, 1], 0.5), tf.ones([2, 2, 1])
+    ]);
+    const spriteSheet = generation.makeSpriteSheet(images, 2);
+    expect(spriteSheet.shape).toEqual([4, 4, 1]);
+    expect(spriteSheet.dtype).toEqual('int32');
+    expect(spriteSheet.squeeze().arraySync()).toEqual([
+      [0, 0, 128, 128],
+      [0, 0, 128, 128],
+      [255, 255, 0, 0],
+      [255, 255, 0, 0],
+    ]);
+    tf.dispose([images, spriteSheet]);
+  });
+});
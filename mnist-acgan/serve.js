@@ -0,0 +1,311 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * An HTTP service that generates fake MNIST digits with the generator saved
+ * by the training script (`gan.js`).
+ *
+ * To start the service after (or during) training:
+ *
+ * ```sh
+ * yarn serve --generatorPath ./dist/generator --port 8080
+ * ```
+ *
+ * It serves two endpoints:
+ *
+ *   - `GET /generate?digit=7&count=16&seed=42`: `count` images of the digit
+ *     `digit`, generated from `count` latent vectors drawn with the random
+ *     seed `seed`. If `digit` is omitted, the images cycle through the digits
+ *     0, 1, ..., 9. If `seed` is omitted, a random seed is used.
+ *   - `GET /interpolate?digit=7&from=1&to=2&count=10`: `count` images of the
+ *     digit `digit`, generated from latent vectors that are evenly spaced on
+ *     the straight line between the latent vectors of the seeds `from` and
+ *     `to`.
+ *
+ * Both endpoints take the optional parameters `format` (`png` for a sprite
+ * sheet, which is the default, or `json` for raw pixel values) and `columns`
+ * (the number of images per row of the sprite sheet). The seed that was used
+ * is returned in the `X-Seed` header of every response, so that every image
+ * can be generated again.
+ */
+
+const http = require('http');
+const path = require('path');
+const url = require('url');
+
+const argparse = require('argparse');
+const tf = require('@tensorflow/tfjs');
+
+const {
+  generateImages,
+  interpolateLatentVectors,
+  makeLatentVectors,
+  makeSpriteSheet
+} = require('./generation');
+
+// Number of classes in the MNIST dataset.
+const NUM_CLASSES = 10;
+
+// MNIST image size.
+const IMAGE_SIZE = 28;
+
+// Maximum value of a random seed.
+const MAX_SEED = 2147483647;
+
+const OUTPUT_FORMATS = ['png', 'json'];
+
+/**
+ * Parse an integer query parameter.
+ *
+ * @param {object} query The parsed query string.
+ * @param {string} name Name of the parameter.
+ * @param {number} min Minimum allowed value.
+ * @param {number} max Maximum allowed value.
+ * @param {number} defaultValue Value to use if the parameter is absent.
+ * @returns {number} The value of the parameter.
+ */
+function parseIntParameter_(query, name, min, max, defaultValue) {
+  const value = query[name];
+  if (value == null || value === '') {
+    if (defaultValue === undefined) {
+      throw new Error(`Missing parameter: ${name}`);
+    }
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(
+        `Expected ${name} to be an integer between ${min} and ${max}, ` +
+        `but got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+/**
+ * Parse the query parameters shared by all endpoints.
+ *
+ * @param {object} query The parsed query string.
+ * @param {number} maxCount Maximum number of images per request.
+ * @param {boolean} requireDigit Whether the `digit` parameter is required.
+ * @returns {object} The digit class of every image as `digits`, and `count`,
+ *   `format` and `columns`.
+ */
+function parseCommonParameters_(query, maxCount, requireDigit) {
+  const count = parseIntParameter_(query, 'count', 1, maxCount, 16);
+  const digit = parseIntParameter_(
+      query, 'digit', 0, NUM_CLASSES - 1, requireDigit ? undefined : null);
+  const digits = [];
+  for (let i = 0; i < count; ++i) {
+    digits.push(digit == null ? i % NUM_CLASSES : digit);
+  }
+  const format = query.format || 'png';
+  if (OUTPUT_FORMATS.indexOf(format) === -1) {
+    throw new Error(
+        `Expected format to be one of ${OUTPUT_FORMATS.join(', ')}, ` +
+        `but got ${JSON.stringify(format)}`);
+  }
+  const columns = parseIntParameter_(
+      query, 'columns', 1, maxCount, Math.ceil(Math.sqrt(count)));
+  return {digits, count, format, columns};
+}
+
+/**
+ * Parse the query of a `/generate` request.
+ *
+ * @param {object} query The parsed query string.
+ * @param {number} maxCount Maximum number of images per request.
+ * @returns {object} The parameters of the request: `digits`, `count`,
+ *   `seed`, `format` and `columns`.
+ */
+function parseGenerateQuery(query, maxCount) {
+  const params = parseCommonParameters_(query, maxCount, false);
+  params.seed = parseIntParameter_(
+      query, 'seed', 0, MAX_SEED, Math.floor(Math.random() * MAX_SEED));
+  return params;
+}
+
+/**
+ * Parse the query of an `/interpolate` request.
+ *
+ * @param {object} query The parsed query string.
+ * @param {number} maxCount Maximum number of images per request.
+ * @returns {object} The parameters of the request: `digits`, `count`,
+ *   `fromSeed`, `toSeed`, `format` and `columns`.
+ */
+function parseInterpolateQuery(query, maxCount) {
+  const params = parseCommonParameters_(query, maxCount, true);
+  params.fromSeed = parseIntParameter_(query, 'from', 0, MAX_SEED);
+  params.toSeed = parseIntParameter_(query, 'to', 0, MAX_SEED);
+  return params;
+}
+
+function sendJSON_(response, statusCode, headers, body) {
+  response.writeHead(
+      statusCode,
+      Object.assign({'Content-Type': 'application/json'}, headers));
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Generate the images of a request and encode them in the requested format.
+ *
+ * @param {tf.LayersModel} generator The generator of the ACGAN.
+ * @param {object} tfn The tfjs-node or tfjs-node-gpu module.
+ * @param {tf.Tensor2D} latentVectors The latent vectors of the images.
+ * @param {object} params The parsed request parameters.
+ * @returns {{contentType: string, body: (string|Buffer)}} The response.
+ */
+async function renderImages_(generator, tfn, latentVectors, params) {
+  const images = generateImages(generator, latentVectors, params.digits);
+  try {
+    if (params.format === 'json') {
+      return {
+        contentType: 'application/json',
+        body: JSON.stringify({
+          digits: params.digits,
+          shape: [params.count, IMAGE_SIZE, IMAGE_SIZE],
+          images: tf.tidy(
+              () => images.reshape([params.count, IMAGE_SIZE, IMAGE_SIZE])
+                        .arraySync())
+        })
+      };
+    } else {
+      const spriteSheet = makeSpriteSheet(images, params.columns);
+      try {
+        const png = await tfn.node.encodePng(spriteSheet);
+        return {contentType: 'image/png', body: Buffer.from(png)};
+      } finally {
+        spriteSheet.dispose();
+      }
+    }
+  } finally {
+    images.dispose();
+  }
+}
+
+/**
+ * Create an HTTP server that generates images with an ACGAN generator.
+ *
+ * @param {tf.LayersModel} generator The generator of the ACGAN.
+ * @param {object} tfn The tfjs-node or tfjs-node-gpu module, used for
+ *   encoding PNG images.
+ * @param {number} maxCount Maximum number of images per request.
+ * @returns {http.Server} The server, which is not listening yet.
+ */
+function createServer(generator, tfn, maxCount) {
+  const latentSize = generator.inputs[0].shape[1];
+  return http.createServer(async (request, response) => {
+    const {pathname, query} = url.parse(request.url, true);
+    if (request.method !== 'GET' ||
+        (pathname !== '/generate' && pathname !== '/interpolate')) {
+      sendJSON_(response, 404, {}, {error: `Not found: ${pathname}`});
+      return;
+    }
+
+    let params;
+    let latentVectors;
+    let seedHeader;
+    try {
+      if (pathname === '/generate') {
+        params = parseGenerateQuery(query, maxCount);
+        latentVectors =
+            makeLatentVectors(latentSize, params.count, params.seed);
+        seedHeader = `${params.seed}`;
+      } else {
+        params = parseInterpolateQuery(query, maxCount);
+        latentVectors = interpolateLatentVectors(
+            latentSize, params.fromSeed, params.toSeed, params.count);
+        seedHeader = `${params.fromSeed},${params.toSeed}`;
+      }
+    } catch (err) {
+      sendJSON_(response, 400, {}, {error: err.message});
+      return;
+    }
+
+    try {
+      const {contentType, body} =
+          await renderImages_(generator, tfn, latentVectors, params);
+      response.writeHead(
+          200, {'Content-Type': contentType, 'X-Seed': seedHeader});
+      response.end(body);
+    } catch (err) {
+      console.error(err);
+      sendJSON_(response, 500, {}, {error: err.message});
+    } finally {
+      latentVectors.dispose();
+    }
+  });
+}
+
+function parseArguments() {
+  const parser = new argparse.ArgumentParser({
+    description: 'TensorFlow.js: MNIST ACGAN generation service.',
+    addHelp: true
+  });
+  parser.addArgument('--gpu', {
+    action: 'storeTrue',
+    help: 'Use tfjs-node-gpu for generation (required CUDA GPU)'
+  });
+  parser.addArgument('--generatorPath', {
+    type: 'string',
+    defaultValue: './dist/generator',
+    help: 'Path to the generator model saved by the training script.'
+  });
+  parser.addArgument(
+      '--port',
+      {type: 'int', defaultValue: 8080, help: 'Port to listen on.'});
+  parser.addArgument('--maxCount', {
+    type: 'int',
+    defaultValue: 256,
+    help: 'Maximum number of images per request.'
+  });
+  return parser.parseArgs();
+}
+
+async function run() {
+  const args = parseArguments();
+  let tfn;
+  if (args.gpu) {
+    console.log('Using GPU');
+    tfn = require('@tensorflow/tfjs-node-gpu');
+  } else {
+    console.log('Using CPU');
+    tfn = require('@tensorflow/tfjs-node');
+  }
+
+  const modelURL =
+      `file://${path.resolve(args.generatorPath, 'model.json')}`;
+  console.log(`Loading generator from ${modelURL}`);
+  const generator = await tf.loadLayersModel(modelURL);
+
+  const server = createServer(generator, tfn, args.maxCount);
+  server.listen(args.port, () => {
+    console.log(`Listening on http://localhost:${args.port}`);
+    console.log(
+        `Try: http://localhost:${args.port}/generate?digit=7&count=16&seed=42`);
+  });
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  createServer,
+  parseGenerateQuery,
+  parseInterpolateQuery
+};
@@ -0,0 +1,161 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+const http = require('http');
+
+const tfn = require('@tensorflow/tfjs-node');
+const tf = require('@tensorflow/tfjs');
+const gan = require('./gan');
+const serve = require('./serve');
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://localhost:${port}${path}`, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks)
+      }));
+    }).on('error', reject);
+  });
+}
+
+describe('Generation service', () => {
+  it('parseGenerateQuery', () => {
+    expect(serve.parseGenerateQuery(
+               {digit: '7', count: '3', seed: '42', format: 'json'}, 10))
+        .toEqual({
+          digits: [7, 7, 7],
+          count: 3,
+          seed: 42,
+          format: 'json',
+          columns: 2
+        });
+    // Without a digit, the images cycle through all the digits.
+    const params = serve.parseGenerateQuery({count: '12'}, 100);
+    expect(params.digits).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 0, 1]);
+    expect(params.format).toEqual('png');
+    expect(params.columns).toEqual(4);
+    expect(Number.isInteger(params.seed)).toEqual(true);
+
+    expect(() => serve.parseGenerateQuery({digit: '10'}, 100))
+        .toThrowError(/digit to be an integer between 0 and 9/);
+    expect(() => serve.parseGenerateQuery({count: '101'}, 100))
+        .toThrowError(/count to be an integer between 1 and 100/);
+    expect(() => serve.parseGenerateQuery({seed: 'abc'}, 100))
+        .toThrowError(/seed to be an integer/);
+    expect(() => serve.parseGenerateQuery({format: 'gif'}, 100))
+        .toThrowError(/format to be one of png, json/);
+  });
+
+  it('parseInterpolateQuery', () => {
+    expect(serve.parseInterpolateQuery(
+               {digit: '3', from: '1', to: '2', count: '2'}, 10))
+        .toEqual({
+          digits: [3, 3],
+          count: 2,
+          fromSeed: 1,
+          toSeed: 2,
+          format: 'png',
+          columns: 2
+        });
+    expect(() => serve.parseInterpolateQuery({from: '1', to: '2'}, 10))
+        .toThrowError(/Missing parameter: digit/);
+    expect(() => serve.parseInterpolateQuery({digit: '3', from: '1'}, 10))
+        .toThrowError(/Missing parameter: to/);
+  });
+
+  describe('createServer', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+      const generator = gan.buildGenerator(5);
+      server = serve.createServer(generator, tfn, 32);
+      server.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    it('PNG sprite sheet', async () => {
+      const response = await get(port, '/generate?digit=7&count=6&seed=42');
+      expect(response.statusCode).toEqual(200);
+      expect(response.headers['content-type']).toEqual('image/png');
+      expect(response.headers['x-seed']).toEqual('42');
+      // PNG signature.
+      expect(Array.from(response.body.slice(0, 8))).toEqual([
+        137, 80, 78, 71, 13, 10, 26, 10
+      ]);
+      // Width and height from the IHDR chunk: 3 columns and 2 rows.
+      expect(response.body.readUInt32BE(16)).toEqual(3 * 28);
+      expect(response.body.readUInt32BE(20)).toEqual(2 * 28);
+    });
+
+    it('Raw arrays are reproducible', async () => {
+      const numTensors0 = tf.memory().numTensors;
+      const response1 =
+          await get(port, '/generate?digit=2&count=3&seed=1&format=json');
+      const response2 =
+          await get(port, '/generate?digit=2&count=2&seed=1&format=json');
+      expect(response1.statusCode).toEqual(200);
+      expect(response1.headers['content-type']).toEqual('application/json');
+      const result1 = JSON.parse(response1.body.toString());
+      const result2 = JSON.parse(response2.body.toString());
+      expect(result1.digits).toEqual([2, 2, 2]);
+      expect(result1.shape).toEqual([3, 28, 28]);
+      expect(result1.images.length).toEqual(3);
+      expect(result1.images[0].length).toEqual(28);
+      expect(result1.images[0][0].length).toEqual(28);
+      expect(result1.images.slice(0, 2)).toEqual(result2.images);
+      // Assert no memory leak.
+      expect(tf.memory().numTensors).toEqual(numTensors0);
+    });
+
+    it('Interpolation', async () => {
+      const response = await get(
+          port, '/interpolate?digit=4&from=1&to=2&count=3&format=json');
+      const endpoint =
+          await get(port, '/generate?digit=4&count=1&seed=2&format=json');
+      expect(response.statusCode).toEqual(200);
+      expect(response.headers['x-seed']).toEqual('1,2');
+      const images = JSON.parse(response.body.toString()).images;
+      const endpointImages = JSON.parse(endpoint.body.toString()).images;
+      expect(images.length).toEqual(3);
+      for (let i = 0; i < 28; ++i) {
+        for (let j = 0; j < 28; ++j) {
+          expect(images[2][i][j]).toBeCloseTo(endpointImages[0][i][j], 4);
+        }
+      }
+    });
+
+    it('Invalid requests', async () => {
+      const badRequest = await get(port, '/generate?count=33');
+      expect(badRequest.statusCode).toEqual(400);
+      expect(JSON.parse(badRequest.body.toString()).error)
+          .toMatch(/count to be an integer between 1 and 32/);
+      const notFound = await get(port, '/foo');
+      expect(notFound.statusCode).toEqual(404);
+    });
+  });
+});
@@ -22,6 +22,11 @@ import * as os from 'os';
 import * as path from 'path';
 
 import {OOV_INDEX, padSequences} from './sequence_utils';
+import {
+  splitWords,
+  trainWordPieceVocabulary,
+  WordPieceTokenizer
+} from './tokenizer';
 
 // `import` doesn't seem to work with extract-zip.
 const extract = require('extract-zip');
@@ -32,21 +37,12 @@ const METADATA_TEMPLATE_URL =
     'https://storage.googleapis.com/learnjs-data/imdb/metadata.json.zip';
 
 /**
- * Load IMDB data features from a local file.
+ * Read the sequences of word indices of IMDB data from a local file.
  *
  * @param {string} filePath Data file on local filesystem.
- * @param {string} numWords Number of words in the vocabulary. Word indices
- *   that exceed this limit will be marked as `OOV_INDEX`.
- * @param {string} maxLen Length of each sequence. Longer sequences will be
- *   pre-truncated; shorter ones will be pre-padded.
- * @param {string} multihot Whether to use multi-hot encoding of the words.
- *   Default: `false`.
- * @return {tf.Tensor} If `multihot` is `false` (default), the dataset
- *   represented as a 2D `tf.Tensor` of shape `[numExamples, maxLen]` and
- *   dtype `int32`. Else, the dataset represented as a 2D `tf.Tensor` of
- *   shape `[numExamples, numWords]` and dtype `float32`.
+ * @return {number[][]} The sequences of word indices.
  */
-function loadFeatures(filePath, numWords, maxLen, multihot = false) {
+function readSequences(filePath) {
   const buffer = fs.readFileSync(filePath);
   const numBytes = buffer.byteLength;
 
@@ -64,14 +60,28 @@ function loadFeatures(filePath, numWords, maxLen, multihot = false) {
       seq = [];
     } else {
       // Sequence continues.
-      seq.push(value >= numWords ? OOV_INDEX : value);
+      seq.push(value);
     }
     index += 4;
   }
   if (seq.length > 0) {
     sequences.push(seq);
   }
+  return sequences;
+}
 
+/**
+ * Convert sequences of token indices to a tensor.
+ *
+ * @param {number[][]} sequences The sequences of token indices, which must be
+ *   less than `numWords`.
+ * @param {string} numWords Number of words in the vocabulary.
+ * @param {string} maxLen Length of each sequence. Longer sequences will be
+ *   pre-truncated; shorter ones will be pre-padded.
+ * @param {string} multihot Whether to use multi-hot encoding of the words.
+ * @return {tf.Tensor} See `loadFeatures()`.
+ */
+function sequencesToTensor(sequences, numWords, maxLen, multihot) {
   // Get some sequence length stats.
   let minLength = Infinity;
   let maxLength = -Infinity;
@@ -106,6 +116,27 @@ function loadFeatures(filePath, numWords, maxLen, multihot = false) {
   }
 }
 
+/**
+ * Load IMDB data features from a local file.
+ *
+ * @param {string} filePath Data file on local filesystem.
+ * @param {string} numWords Number of words in the vocabulary. Word indices
+ *   that exceed this limit will be marked as `OOV_INDEX`.
+ * @param {string} maxLen Length of each sequence. Longer sequences will be
+ *   pre-truncated; shorter ones will be pre-padded.
+ * @param {string} multihot Whether to use multi-hot encoding of the words.
+ *   Default: `false`.
+ * @return {tf.Tensor} If `multihot` is `false` (default), the dataset
+ *   represented as a 2D `tf.Tensor` of shape `[numExamples, maxLen]` and
+ *   dtype `int32`. Else, the dataset represented as a 2D `tf.Tensor` of
+ *   shape `[numExamples, numWords]` and dtype `float32`.
+ */
+function loadFeatures(filePath, numWords, maxLen, multihot = false) {
+  const sequences = readSequences(filePath).map(
+      seq => seq.map(value => value >= numWords ? OOV_INDEX : value));
+  return sequencesToTensor(sequences, numWords, maxLen, multihot);
+}
+
 /**
  * Load IMDB targets from a file.
  *
@@ -238,6 +269,76 @@ export async function loadData(numWords, len, multihot = false) {
   return {xTrain, yTrain, xTest, yTest};
 }
 
+/**
+ * Load data tokenized into subwords, by downloading and extracting files if
+ * necessary.
+ *
+ * The IMDB data files hold word indices. The words of the reviews are looked
+ * up in the word index of the metadata template and split again with
+ * `splitWords()`, as the text is split in the browser. A WordPiece
+ * vocabulary is then learned from the words of the training reviews and
+ * used to tokenize both the training and the test reviews.
+ *
+ * @param {number} vocabularySize Maximum number of tokens in the vocabulary.
+ * @param {number} len Length of each sequence. Longer sequences will
+ *   be pre-truncated and shorter ones will be pre-padded.
+ * @return The same as `loadData()`, and
+ *   vocabulary: The vocabulary, as returned by `trainWordPieceVocabulary()`.
+ */
+export async function loadSubwordData(vocabularySize, len, multihot = false) {
+  const dataDir = await maybeDownloadAndExtract();
+  const metadata = await loadMetadataTemplate();
+  const indexToWord = [];
+  for (const word in metadata.word_index) {
+    indexToWord[metadata.word_index[word] + metadata.index_from] = word;
+  }
+  const toWords = seq => splitWords(
+      seq.map(index => indexToWord[index] || '').join(' '));
+  const trainWords =
+      readSequences(path.join(dataDir, 'imdb_train_data.bin')).map(toWords);
+  const testWords =
+      readSequences(path.join(dataDir, 'imdb_test_data.bin')).map(toWords);
+
+  const wordCounts = new Map();
+  trainWords.forEach(words => words.forEach(word => {
+    wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+  }));
+  console.log(
+      `Learning a vocabulary of up to ${vocabularySize} subwords from ` +
+      `${wordCounts.size} distinct words...`);
+  const vocabulary = trainWordPieceVocabulary(wordCounts, vocabularySize);
+  const tokenizer = new WordPieceTokenizer(vocabulary);
+
+  const trainSequences = trainWords.map(words => tokenizer.encodeWords(words));
+  const testSequences = testWords.map(words => tokenizer.encodeWords(words));
+  let numTestTokens = 0;
+  let numTestUnknown = 0;
+  testSequences.forEach(seq => seq.forEach(index => {
+    numTestTokens++;
+    if (index === OOV_INDEX) {
+      numTestUnknown++;
+    }
+  }));
+  console.log(
+      `Vocabulary size: ${vocabulary.length}; unknown test tokens: ` +
+      `${(numTestUnknown / numTestTokens * 100).toFixed(3)}%`);
+
+  const xTrain = sequencesToTensor(
+      trainSequences, vocabulary.length, len, multihot);
+  const xTest = sequencesToTensor(
+      testSequences, vocabulary.length, len, multihot);
+  const yTrain = loadTargets(path.join(dataDir, 'imdb_train_targets.bin'));
+  const yTest = loadTargets(path.join(dataDir, 'imdb_test_targets.bin'));
+
+  tf.util.assert(
+      xTrain.shape[0] === yTrain.shape[0],
+      `Mismatch in number of examples between xTrain and yTrain`);
+  tf.util.assert(
+      xTest.shape[0] === yTest.shape[0],
+      `Mismatch in number of examples between xTest and yTest`);
+  return {xTrain, yTrain, xTest, yTest, vocabulary};
+}
+
 /**
  * Load a metadata template by downloading and extracting files if necessary.
  *
@@ -19,6 +19,7 @@ import * as tf from '@tensorflow/tfjs';
 import * as loader from './loader';
 import * as ui from './ui';
 import {OOV_INDEX, padSequences} from './sequence_utils';
+import {WordPieceTokenizer} from './tokenizer';
 
 const HOSTED_URLS = {
   model:
@@ -47,28 +48,41 @@ class SentimentPredictor {
     const sentimentMetadata =
         await loader.loadHostedMetadata(this.urls.metadata);
     ui.showMetadata(sentimentMetadata);
-    this.indexFrom = sentimentMetadata['index_from'];
     this.maxLen = sentimentMetadata['max_len'];
-    console.log('indexFrom = ' + this.indexFrom);
     console.log('maxLen = ' + this.maxLen);
-
-    this.wordIndex = sentimentMetadata['word_index'];
     this.vocabularySize = sentimentMetadata['vocabulary_size'];
     console.log('vocabularySize = ', this.vocabularySize);
+
+    // Models trained with `--tokenizer wordpiece` come with their subword
+    // vocabulary instead of a word index.
+    if (sentimentMetadata['vocabulary'] != null) {
+      this.tokenizer = new WordPieceTokenizer(sentimentMetadata['vocabulary']);
+      return;
+    }
+    this.indexFrom = sentimentMetadata['index_from'];
+    console.log('indexFrom = ' + this.indexFrom);
+    this.wordIndex = sentimentMetadata['word_index'];
   }
 
   predict(text) {
-    // Convert to lower case and remove all punctuations.
-    const inputText =
-        text.trim().toLowerCase().replace(/(\.|\,|\!)/g, '').split(' ');
-    // Convert the words to a sequence of word indices.
-    const sequence = inputText.map(word => {
-      let wordIndex = this.wordIndex[word] + this.indexFrom;
-      if (wordIndex > this.vocabularySize) {
-        wordIndex = OOV_INDEX;
-      }
-      return wordIndex;
-    });
+    let sequence;
+    if (this.tokenizer != null) {
+      // Split the words into subwords, so that words not seen during training
+      // are still represented by their pieces.
+      sequence = this.tokenizer.encode(text);
+    } else {
+      // Convert to lower case and remove all punctuations.
+      const inputText =
+          text.trim().toLowerCase().replace(/(\.|\,|\!)/g, '').split(' ');
+      // Convert the words to a sequence of word indices.
+      sequence = inputText.map(word => {
+        let wordIndex = this.wordIndex[word] + this.indexFrom;
+        if (wordIndex > this.vocabularySize) {
+          wordIndex = OOV_INDEX;
+        }
+        return wordIndex;
+      });
+    }
     // Perform truncation and padding.
     const paddedSequence = padSequences([sequence], this.maxLen);
     const input = tf.tensor2d(paddedSequence, [1, this.maxLen]);
@@ -0,0 +1,347 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Subword (WordPiece) tokenization, used both for training in Node.js and
+ * for inference in the browser.
+ *
+ * Words are split into pieces from a fixed vocabulary. The first piece of a
+ * word is a plain string, the following ones are marked with the prefix '##',
+ * e.g., 'unwatchable' may become ['un', '##watch', '##able']. Unlike a word
+ * vocabulary, a subword vocabulary can represent words never seen during
+ * training, as long as they consist of known characters.
+ *
+ * The vocabulary is learned from word counts by byte-pair encoding (BPE):
+ * starting from single characters, the most frequent pair of adjacent pieces
+ * is merged into a new piece, until the vocabulary has the requested size.
+ * Text is then tokenized by greedily matching the longest pieces of the
+ * vocabulary, which requires only the vocabulary (not the merges) to be
+ * exported with the model.
+ */
+
+import {OOV_INDEX, PAD_INDEX} from './sequence_utils';
+
+export const CONTINUATION_PREFIX = '##';
+export const UNKNOWN_TOKEN = '[UNK]';
+
+// The first tokens of every vocabulary. Their indices are the same as those
+// of the word vocabulary of the IMDB dataset (see sequence_utils.js): 0 for
+// the padding, 1 for the start of a sequence and 2 for unknown words.
+export const SPECIAL_TOKENS = ['[PAD]', '[START]', UNKNOWN_TOKEN];
+
+/**
+ * Split a text into lower-case words.
+ *
+ * HTML line breaks, punctuation and all other characters except for
+ * letters, digits and apostrophes inside words separate the words.
+ *
+ * @param {string} text The text.
+ * @returns {string[]} The words.
+ */
+export function splitWords(text) {
+  return text.toLowerCase()
+      .replace(/<br\s*\/?>/g, ' ')
+      .split(/[^a-z0-9'À-ɏ]+/)
+      .map(word => word.replace(/^'+|'+$/g, ''))
+      .filter(word => word.length > 0);
+}
+
+/**
+ * A binary max-heap.
+ */
+class MaxHeap {
+  /**
+   * @param {(a, b) => number} compare Comparison function, which returns a
+   *   positive number if `a` should come out of the heap before `b`.
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) <= 0) {
+        break;
+      }
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        let largest = i;
+        for (const child of [2 * i + 1, 2 * i + 2]) {
+          if (child < items.length &&
+              this.compare(items[child], items[largest]) > 0) {
+            largest = child;
+          }
+        }
+        if (largest === i) {
+          break;
+        }
+        [items[i], items[largest]] = [items[largest], items[i]];
+        i = largest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Learn a WordPiece vocabulary from word counts.
+ *
+ * @param {Map<string, number>} wordCounts The number of occurrences of every
+ *   word in the training text (see `splitWords()`).
+ * @param {number} vocabularySize Maximum size of the vocabulary, including
+ *   the special tokens.
+ * @param {number} minFrequency Minimum number of occurrences of a character
+ *   or a pair of pieces to be added to the vocabulary. Words with rarer
+ *   characters are tokenized as `UNKNOWN_TOKEN`. Defaults to 2.
+ * @returns {string[]} The vocabulary: the special tokens, followed by the
+ *   single characters (sorted) and the merged pieces in the order in which
+ *   they were learned. It has fewer than `vocabularySize` tokens if no pair
+ *   of pieces occurs at least `minFrequency` times anymore.
+ */
+export function trainWordPieceVocabulary(
+    wordCounts, vocabularySize, minFrequency = 2) {
+  const charCounts = new Map();
+  const toPieces = word => Array.from(word).map(
+      (char, i) => i === 0 ? char : CONTINUATION_PREFIX + char);
+  for (const [word, count] of wordCounts) {
+    for (const piece of toPieces(word)) {
+      charCounts.set(piece, (charCounts.get(piece) || 0) + count);
+    }
+  }
+  const alphabet = Array.from(charCounts.keys())
+                       .filter(piece => charCounts.get(piece) >= minFrequency)
+                       .sort();
+  if (SPECIAL_TOKENS.length + alphabet.length > vocabularySize) {
+    throw new Error(
+        `A vocabulary size of ${vocabularySize} is too small for the ` +
+        `${SPECIAL_TOKENS.length} special tokens and the ${alphabet.length} ` +
+        `single characters of the text`);
+  }
+  const vocabulary = SPECIAL_TOKENS.concat(alphabet);
+  const vocabularySet = new Set(vocabulary);
+
+  // The words that consist of known characters, as lists of pieces.
+  const words = [];
+  for (const [word, count] of wordCounts) {
+    const pieces = toPieces(word);
+    if (pieces.every(piece => vocabularySet.has(piece))) {
+      words.push({pieces, count});
+    }
+  }
+
+  // The number of occurrences of every pair of adjacent pieces, and the
+  // words in which the pairs occur (or occurred). A pair is represented as
+  // the two pieces separated by a space, which words don't contain.
+  const pairCounts = new Map();
+  const pairWords = new Map();
+  const updatePairs = (wordIndex, sign, changedPairs) => {
+    const {pieces, count} = words[wordIndex];
+    for (let i = 0; i + 1 < pieces.length; ++i) {
+      const pair = `${pieces[i]} ${pieces[i + 1]}`;
+      pairCounts.set(pair, (pairCounts.get(pair) || 0) + sign * count);
+      if (sign > 0) {
+        if (!pairWords.has(pair)) {
+          pairWords.set(pair, new Set());
+        }
+        pairWords.get(pair).add(wordIndex);
+      }
+      changedPairs.add(pair);
+    }
+  };
+
+  // The heap holds [count, pair] entries. Entries whose count is no longer
+  // the current count of their pair are outdated and skipped. Ties are
+  // broken by the order of the pairs, so that training is deterministic.
+  const heap = new MaxHeap(
+      (a, b) => a[0] !== b[0] ? a[0] - b[0] : (a[1] < b[1] ? 1 : -1));
+  const pushPairs = pairs => {
+    for (const pair of pairs) {
+      const count = pairCounts.get(pair);
+      if (count >= minFrequency) {
+        heap.push([count, pair]);
+      }
+    }
+  };
+  const initialPairs = new Set();
+  words.forEach((word, i) => updatePairs(i, 1, initialPairs));
+  pushPairs(initialPairs);
+
+  while (vocabulary.length < vocabularySize && heap.size > 0) {
+    const [count, pair] = heap.pop();
+    if (count !== pairCounts.get(pair)) {
+      continue;
+    }
+    const [first, second] = pair.split(' ');
+    const merged = first + second.slice(CONTINUATION_PREFIX.length);
+    // The same piece may result from different pairs, e.g., 'th' + '##e'
+    // and 't' + '##he'.
+    if (!vocabularySet.has(merged)) {
+      vocabulary.push(merged);
+      vocabularySet.add(merged);
+    }
+
+    const changedPairs = new Set();
+    for (const wordIndex of pairWords.get(pair)) {
+      const word = words[wordIndex];
+      updatePairs(wordIndex, -1, changedPairs);
+      const pieces = [];
+      for (let i = 0; i < word.pieces.length; ++i) {
+        if (i + 1 < word.pieces.length && word.pieces[i] === first &&
+            word.pieces[i + 1] === second) {
+          pieces.push(merged);
+          ++i;
+        } else {
+          pieces.push(word.pieces[i]);
+        }
+      }
+      word.pieces = pieces;
+      updatePairs(wordIndex, 1, changedPairs);
+    }
+    pairWords.delete(pair);
+    pushPairs(changedPairs);
+  }
+  return vocabulary;
+}
+
+/**
+ * Tokenizes text into the pieces of a WordPiece vocabulary.
+ */
+export class WordPieceTokenizer {
+  /**
+   * @param {string[]} vocabulary The vocabulary, e.g., as returned by
+   *   `trainWordPieceVocabulary()`. It must contain `UNKNOWN_TOKEN`.
+   * @param {number} maxWordLength Words longer than this are tokenized as
+   *   `UNKNOWN_TOKEN`. Defaults to 100.
+   */
+  constructor(vocabulary, maxWordLength = 100) {
+    this.vocabulary = vocabulary;
+    this.maxWordLength = maxWordLength;
+    this.tokenIndex = new Map(vocabulary.map((token, i) => [token, i]));
+    if (!this.tokenIndex.has(UNKNOWN_TOKEN)) {
+      throw new Error(`The vocabulary lacks the token ${UNKNOWN_TOKEN}`);
+    }
+    if (this.tokenIndex.get(UNKNOWN_TOKEN) !== OOV_INDEX ||
+        this.tokenIndex.get(SPECIAL_TOKENS[PAD_INDEX]) !== PAD_INDEX) {
+      throw new Error(
+          `The vocabulary must start with the special tokens ` +
+          `${SPECIAL_TOKENS.join(', ')}`);
+    }
+    // Word indices of the words encoded so far.
+    this.cache = new Map();
+  }
+
+  /**
+   * Tokenize a word by greedily matching the longest pieces.
+   *
+   * @param {string} word The word, as returned by `splitWords()`.
+   * @returns {string[]} The pieces, or `[UNKNOWN_TOKEN]` if the word can't be
+   *   tokenized with the vocabulary.
+   */
+  tokenizeWord(word) {
+    const chars = Array.from(word);
+    if (chars.length > this.maxWordLength) {
+      return [UNKNOWN_TOKEN];
+    }
+    const pieces = [];
+    let start = 0;
+    while (start < chars.length) {
+      let end = chars.length;
+      let piece = null;
+      while (end > start) {
+        const candidate = (start > 0 ? CONTINUATION_PREFIX : '') +
+            chars.slice(start, end).join('');
+        if (this.tokenIndex.has(candidate)) {
+          piece = candidate;
+          break;
+        }
+        --end;
+      }
+      if (piece == null) {
+        return [UNKNOWN_TOKEN];
+      }
+      pieces.push(piece);
+      start = end;
+    }
+    return pieces;
+  }
+
+  /**
+   * Tokenize a text.
+   *
+   * @param {string} text The text.
+   * @returns {string[]} The pieces of all the words of the text.
+   */
+  tokenize(text) {
+    const pieces = [];
+    for (const word of splitWords(text)) {
+      pieces.push(...this.tokenizeWord(word));
+    }
+    return pieces;
+  }
+
+  /**
+   * Convert words to token indices.
+   *
+   * @param {string[]} words The words, as returned by `splitWords()`.
+   * @returns {number[]} The indices of the pieces of all the words in the
+   *   vocabulary.
+   */
+  encodeWords(words) {
+    const indices = [];
+    for (const word of words) {
+      let wordIndices = this.cache.get(word);
+      if (wordIndices == null) {
+        wordIndices = this.tokenizeWord(word).map(
+            piece => this.tokenIndex.get(piece));
+        this.cache.set(word, wordIndices);
+      }
+      indices.push(...wordIndices);
+    }
+    return indices;
+  }
+
+  /**
+   * Convert a text to token indices.
+   *
+   * @param {string} text The text.
+   * @returns {number[]} The indices of the pieces of all the words of the
+   *   text in the vocabulary.
+   */
+  encode(text) {
+    return this.encodeWords(splitWords(text));
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import {OOV_INDEX, PAD_INDEX} from './sequence_utils';
+import {
+  SPECIAL_TOKENS,
+  splitWords,
+  trainWordPieceVocabulary,
+  UNKNOWN_TOKEN,
+  WordPieceTokenizer
+} from './tokenizer';
+
+const WORD_COUNTS = new Map([
+  ['watch', 10], ['watched', 6], ['watching', 5], ['watchable', 3],
+  ['play', 8], ['played', 4], ['playing', 4], ['fun', 7], ['funny', 5],
+  ['boring', 2], ['qat', 1]
+]);
+
+describe('splitWords', () => {
+  it('Lower-cases and removes punctuation', () => {
+    expect(splitWords('Great movie!<br /><br />It\'s a 10/10, \'really\'.'))
+        .toEqual(['great', 'movie', 'it\'s', 'a', '10', '10', 'really']);
+  });
+
+  it('Keeps accented letters', () => {
+    expect(splitWords('  Amélie,  NAÏVE  ')).toEqual(['amélie', 'naïve']);
+  });
+
+  it('Empty text', () => {
+    expect(splitWords(' ... ')).toEqual([]);
+  });
+});
+
+describe('trainWordPieceVocabulary', () => {
+  it('Starts with the special tokens and the characters', () => {
+    const vocabulary = trainWordPieceVocabulary(WORD_COUNTS, 40);
+    expect(vocabulary.slice(0, 3)).toEqual(SPECIAL_TOKENS);
+    expect(vocabulary[PAD_INDEX]).toEqual('[PAD]');
+    expect(vocabulary[OOV_INDEX]).toEqual(UNKNOWN_TOKEN);
+    for (const piece of ['w', 'p', 'f', 'b', '##a', '##g', '##y']) {
+      expect(vocabulary).toContain(piece);
+    }
+    // Characters that occur less than `minFrequency` times are left out.
+    expect(vocabulary).not.toContain('q');
+    expect(vocabulary).not.toContain('##q');
+    expect(vocabulary.length).toEqual(40);
+    expect(new Set(vocabulary).size).toEqual(vocabulary.length);
+  });
+
+  it('Learns frequent words and subwords', () => {
+    const vocabulary = trainWordPieceVocabulary(WORD_COUNTS, 1000);
+    for (const piece of ['watch', 'play', 'fun', '##ing', '##ed']) {
+      expect(vocabulary).toContain(piece);
+    }
+    // Learning stops when no pair of pieces is frequent enough.
+    expect(vocabulary.length).toBeLessThan(1000);
+    expect(vocabulary).not.toContain('qat');
+  });
+
+  it('Is deterministic', () => {
+    expect(trainWordPieceVocabulary(WORD_COUNTS, 50))
+        .toEqual(trainWordPieceVocabulary(WORD_COUNTS, 50));
+  });
+
+  it('Too small vocabulary size', () => {
+    expect(() => trainWordPieceVocabulary(WORD_COUNTS, 10))
+        .toThrowError(/too small/);
+  });
+});
+
+describe('WordPieceTokenizer', () => {
+  const vocabulary = trainWordPieceVocabulary(WORD_COUNTS, 1000);
+
+  it('Tokenizes known words as one piece', () => {
+    const tokenizer = new WordPieceTokenizer(vocabulary);
+    expect(tokenizer.tokenizeWord('watch')).toEqual(['watch']);
+    expect(tokenizer.tokenize('Fun, fun!')).toEqual(['fun', 'fun']);
+  });
+
+  it('Tokenizes unseen words into subwords', () => {
+    const tokenizer = new WordPieceTokenizer(vocabulary);
+    const pieces = tokenizer.tokenizeWord('playable');
+    expect(pieces.length).toBeGreaterThan(1);
+    expect(pieces[0]).toEqual('play');
+    expect(pieces.slice(1).every(piece => piece.startsWith('##')))
+        .toEqual(true);
+    // The pieces make up the word.
+    expect(pieces.map(piece => piece.replace(/^##/, '')).join(''))
+        .toEqual('playable');
+  });
+
+  it('Unknown characters', () => {
+    const tokenizer = new WordPieceTokenizer(vocabulary);
+    expect(tokenizer.tokenizeWord('quiz')).toEqual([UNKNOWN_TOKEN]);
+    expect(tokenizer.encode('fun quiz')).toEqual([
+      vocabulary.indexOf('fun'), OOV_INDEX
+    ]);
+  });
+
+  it('Long words', () => {
+    const tokenizer = new WordPieceTokenizer(vocabulary, 5);
+    expect(tokenizer.tokenizeWord('watch')).toEqual(['watch']);
+    expect(tokenizer.tokenizeWord('watched')).toEqual([UNKNOWN_TOKEN]);
+  });
+
+  it('encode', () => {
+    const tokenizer = new WordPieceTokenizer(vocabulary);
+    const text = 'Watching funny, boring plays';
+    const indices = tokenizer.encode(text);
+    expect(indices.map(index => vocabulary[index]))
+        .toEqual(tokenizer.tokenize(text));
+    // Encoding again gives the same result (from the cache).
+    expect(tokenizer.encode(text)).toEqual(indices);
+    expect(tokenizer.encodeWords(splitWords(text))).toEqual(indices);
+  });
+
+  it('Invalid vocabulary', () => {
+    expect(() => new WordPieceTokenizer(['a', 'b']))
+        .toThrowError(/lacks the token/);
+    expect(() => new WordPieceTokenizer([UNKNOWN_TOKEN, '[PAD]', 'a']))
+        .toThrowError(/must start with the special tokens/);
+  });
+});
@@ -21,7 +21,7 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as shelljs from 'shelljs';
 
-import {loadData, loadMetadataTemplate} from './data';
+import {loadData, loadMetadataTemplate, loadSubwordData} from './data';
 import {writeEmbeddingMatrixAndLabels} from './embedding';
 
 /**
@@ -93,10 +93,19 @@ function parseArguments() {
        'multihot', 'flatten', 'cnn', 'simpleRNN', 'lstm', 'bidirectionalLSTM'],
     help: 'Model type'
   });
+  parser.addArgument('--tokenizer', {
+    type: 'string',
+    defaultValue: 'word',
+    choices: ['word', 'wordpiece'],
+    help: 'Tokenization of the reviews: "word" uses the most frequent words ' +
+    'of the IMDB word index, "wordpiece" learns a vocabulary of subwords ' +
+    'from the training reviews, so that fewer words are out of vocabulary'
+  });
   parser.addArgument('--numWords', {
     type: 'int',
     defaultValue: 10000,
-    help: 'Number of words in the vocabulary'
+    help: 'Number of words (or subwords, with --tokenizer wordpiece) in the ' +
+    'vocabulary'
   });
   parser.addArgument('--maxLen', {
     type: 'int',
@@ -171,12 +180,17 @@ async function main() {
 
   console.log('Loading data...');
   const multihot = args.modelType === 'multihot';
-  const {xTrain, yTrain, xTest, yTest} =
+  const {xTrain, yTrain, xTest, yTest, vocabulary} =
+      args.tokenizer === 'wordpiece' ?
+      await loadSubwordData(args.numWords, args.maxLen, multihot) :
       await loadData(args.numWords, args.maxLen, multihot);
+  // The learned subword vocabulary may be smaller than requested.
+  const vocabularySize =
+      vocabulary == null ? args.numWords : vocabulary.length;
 
   console.log('Building model...');
   const model = buildModel(
-      args.modelType, args.maxLen, args.numWords, args.embeddingSize);
+      args.modelType, args.maxLen, vocabularySize, args.embeddingSize);
 
   model.compile({
     loss: 'binaryCrossentropy',
@@ -221,7 +235,14 @@ async function main() {
       metadata.max_len = args.maxLen;
       metadata.model_type = args.modelType;
       metadata.batch_size = args.batchSize;
-      metadata.vocabulary_size = args.numWords;
+      metadata.vocabulary_size = vocabularySize;
+      metadata.tokenizer = args.tokenizer;
+      if (vocabulary != null) {
+        // The subword vocabulary replaces the word index.
+        metadata.vocabulary = vocabulary;
+        delete metadata.word_index;
+        delete metadata.index_from;
+      }
       const metadataPath = path.join(args.modelSaveDir, 'metadata.json');
       fs.writeFileSync(metadataPath, JSON.stringify(metadata));
       console.log(`Saved metadata to ${metadataPath}`);
@@ -234,12 +255,19 @@ async function main() {
 
   if (args.embeddingFilesPrefix != null &&
       args.embeddingFilesPrefix.length > 0) {
-    if (metadata == null) {
-      metadata = await loadMetadataTemplate();
+    if (vocabulary != null) {
+      const tokenIndex = {};
+      vocabulary.forEach((token, i) => tokenIndex[token] = i);
+      await writeEmbeddingMatrixAndLabels(
+          model, args.embeddingFilesPrefix, tokenIndex, 0);
+    } else {
+      if (metadata == null) {
+        metadata = await loadMetadataTemplate();
+      }
+      await writeEmbeddingMatrixAndLabels(
+          model, args.embeddingFilesPrefix, metadata.word_index,
+          metadata.index_from);
     }
-    await writeEmbeddingMatrixAndLabels(
-        model, args.embeddingFilesPrefix, metadata.word_index,
-        metadata.index_from);
   }
 }
 
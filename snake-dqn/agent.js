@@ -18,15 +18,20 @@
 import * as tf from '@tensorflow/tfjs';
 
 import {createDeepQNetwork} from './dqn';
-import {getRandomAction, SnakeGame, NUM_ACTIONS, ALL_ACTIONS, getStateTensor} from './snake_game';
-import {ReplayMemory} from './replay_memory';
+import {getRandomAction, SnakeGame, NUM_ACTIONS, ALL_ACTIONS, getNumStateChannels, getStateTensor} from './snake_game';
+import {EpisodeRecorder} from './episode_recorder';
+import {PrioritizedReplayMemory, ReplayMemory} from './replay_memory';
 import { assertPositiveInteger } from './utils';
 
 export class SnakeGameAgent {
   /**
    * Constructor of SnakeGameAgent.
    *
-   * @param {SnakeGame} game A game object.
+   * @param {SnakeGame | SnakeGame[]} game A game object, or an array of game
+   *   objects with the same board size and obstacles. With multiple games,
+   *   `playSteps()` steps all of them together, using a single batched
+   *   inference call of the online network, which increases the throughput
+   *   of experience collection.
    * @param {object} config The configuration object with the following keys:
    *   - `replayBufferSize` {number} Size of the replay memory. Must be a
    *     positive integer.
@@ -38,11 +43,46 @@ export class SnakeGameAgent {
    *     `epsilon` decreases from `episloInit` to `epsilonFinal`, via a linear
    *     schedule.
    *   - `learningRate` {number} The learning rate to use during training.
+   *   - `dueling` {boolean} Whether to use the dueling architecture for the
+   *     online and target networks. Optional, defaults to `false`.
+   *   - `doubleDQN` {boolean} Whether to compute the bootstrapped target
+   *     Q-values the Double-DQN way, i.e., by evaluating the action selected
+   *     by the online network with the target network. Optional, defaults
+   *     to `false`.
+   *   - `prioritizedReplay` {boolean} Whether to use prioritized experience
+   *     replay instead of uniform sampling from the replay memory. Optional,
+   *     defaults to `false`.
+   *   - `priorityAlpha` {number} The prioritization exponent of prioritized
+   *     replay. Used only if `prioritizedReplay` is `true`. Must be >= 0.
+   *   - `priorityBetaInit` {number} Initial value of the importance-sampling
+   *     exponent beta of prioritized replay. Must be >= 0 and <= 1.
+   *   - `priorityBetaFinal` {number} The final value of beta.
+   *   - `priorityBetaAnnealFrames` {number} The # of frames over which the
+   *     value of beta changes from `priorityBetaInit` to `priorityBetaFinal`,
+   *     via a linear schedule.
    */
   constructor(game, config) {
     assertPositiveInteger(config.epsilonDecayFrames);
 
-    this.game = game;
+    this.games = Array.isArray(game) ? game : [game];
+    if (this.games.length === 0) {
+      throw new Error('Expected at least one game, but got none');
+    }
+    this.games.forEach(g => {
+      if (g.height !== this.games[0].height ||
+          g.width !== this.games[0].width) {
+        throw new Error(
+            `All games must have the same board size, but got ` +
+            `${g.height}x${g.width} and ` +
+            `${this.games[0].height}x${this.games[0].width}`);
+      }
+      if (JSON.stringify(g.obstacles) !==
+          JSON.stringify(this.games[0].obstacles)) {
+        throw new Error('All games must have the same obstacles');
+      }
+    });
+    this.game = this.games[0];
+    const numChannels = getNumStateChannels(this.game.obstacles);
 
     this.epsilonInit = config.epsilonInit;
     this.epsilonFinal = config.epsilonFinal;
@@ -50,10 +90,22 @@ export class SnakeGameAgent {
     this.epsilonIncrement_ = (this.epsilonFinal - this.epsilonInit) /
         this.epsilonDecayFrames;
 
-    this.onlineNetwork =
-        createDeepQNetwork(game.height,  game.width, NUM_ACTIONS);
-    this.targetNetwork =
-        createDeepQNetwork(game.height,  game.width, NUM_ACTIONS);
+    this.dueling = config.dueling === true;
+    this.doubleDQN = config.doubleDQN === true;
+    this.onlineNetwork = createDeepQNetwork(
+        this.game.height, this.game.width, NUM_ACTIONS, this.dueling,
+        numChannels);
+    this.targetNetwork = createDeepQNetwork(
+        this.game.height, this.game.width, NUM_ACTIONS, this.dueling,
+        numChannels);
+    // Record the variant and the game configuration in the saved model
+    // artifacts, so that they can be inspected when the model is loaded
+    // (e.g., by the browser demo).
+    this.onlineNetwork.setUserDefinedMetadata({
+      dueling: this.dueling,
+      doubleDQN: this.doubleDQN,
+      game: this.game.getConfig()
+    });
     // Freeze taget network: it's weights are updated only through copying from
     // the online network.
     this.targetNetwork.trainable = false;
@@ -61,68 +113,256 @@ export class SnakeGameAgent {
     this.optimizer = tf.train.adam(config.learningRate);
 
     this.replayBufferSize = config.replayBufferSize;
-    this.replayMemory = new ReplayMemory(config.replayBufferSize);
+    this.prioritizedReplay = config.prioritizedReplay === true;
+    if (this.prioritizedReplay) {
+      assertPositiveInteger(
+          config.priorityBetaAnnealFrames, 'priorityBetaAnnealFrames');
+      this.replayMemory = new PrioritizedReplayMemory(
+          config.replayBufferSize, config.priorityAlpha);
+      this.priorityBetaInit = config.priorityBetaInit;
+      this.priorityBetaFinal = config.priorityBetaFinal;
+      this.priorityBetaAnnealFrames = config.priorityBetaAnnealFrames;
+      this.priorityBetaIncrement_ =
+          (this.priorityBetaFinal - this.priorityBetaInit) /
+          this.priorityBetaAnnealFrames;
+    } else {
+      this.replayMemory = new ReplayMemory(config.replayBufferSize);
+    }
     this.frameCount = 0;
     this.reset();
   }
 
+  /** Reset all games and their cumulative rewards and fruit counts. */
   reset() {
-    this.cumulativeReward_ = 0;
-    this.fruitsEaten_ = 0;
-    this.game.reset();
+    this.cumulativeRewards_ = this.games.map(() => 0);
+    this.fruitsEatenCounts_ = this.games.map(() => 0);
+    this.games.forEach(game => game.reset());
+    // Per game: `EpisodeRecorder` of the ongoing episode, if it's being
+    // recorded, and the metadata of the next episode to record, if any.
+    this.recorders_ = this.games.map(() => null);
+    this.pendingRecordings_ = this.games.map(() => null);
+  }
+
+  /**
+   * Record the next complete episode of a game.
+   *
+   * Recording starts when the ongoing episode of the game ends. The recorded
+   * episode, including the Q-values of every frame, is returned as the
+   * `episode` field of the output of `playSteps()` for the step that ends
+   * it. See `episode_recorder.js` for the format.
+   *
+   * @param {number} gameIndex Index of the game to record. Defaults to 0.
+   * @param {object} metadata Free-form information to store with the
+   *   episode. Optional.
+   */
+  recordNextEpisode(gameIndex = 0, metadata = {}) {
+    this.pendingRecordings_[gameIndex] = metadata;
+  }
+
+  /** Number of games played together by the agent. */
+  get numGames() {
+    return this.games.length;
+  }
+
+  /** Cumulative reward of the ongoing (first) game. */
+  get cumulativeReward_() {
+    return this.cumulativeRewards_[0];
+  }
+
+  /** Number of fruits eaten in the ongoing (first) game. */
+  get fruitsEaten_() {
+    return this.fruitsEatenCounts_[0];
+  }
+
+  /**
+   * Get a JSON-serializable snapshot of the agent's non-network state,
+   * including the replay memory and the ongoing game, e.g., for
+   * checkpointing.
+   *
+   * The weights of the online and target networks are not included.
+   *
+   * @return {object} The snapshot, which can be passed to `restore()`.
+   */
+  serialize() {
+    return {
+      height: this.game.height,
+      width: this.game.width,
+      dueling: this.dueling,
+      prioritizedReplay: this.prioritizedReplay,
+      frameCount: this.frameCount,
+      cumulativeRewards: this.cumulativeRewards_,
+      fruitsEatenCounts: this.fruitsEatenCounts_,
+      gameStates: this.games.map(game => game.getState()),
+      snakeDirections: this.games.map(game => game.snakeDirection),
+      gameNumSteps: this.games.map(game => game.numSteps),
+      replayMemory: this.replayMemory.serialize()
+    };
+  }
+
+  /**
+   * Restore the agent's non-network state from a snapshot.
+   *
+   * @param {object} data A snapshot as returned by `serialize()`.
+   */
+  restore(data) {
+    if (data.height !== this.game.height || data.width !== this.game.width) {
+      throw new Error(
+          `Snapshot board size (${data.height}x${data.width}) does not ` +
+          `match the game's board size ` +
+          `(${this.game.height}x${this.game.width})`);
+    }
+    if (data.dueling !== this.dueling ||
+        data.prioritizedReplay !== this.prioritizedReplay) {
+      throw new Error(
+          `Snapshot agent configuration (dueling=${data.dueling}, ` +
+          `prioritizedReplay=${data.prioritizedReplay}) does not match ` +
+          `the agent's (dueling=${this.dueling}, ` +
+          `prioritizedReplay=${this.prioritizedReplay})`);
+    }
+    if (data.gameStates.length !== this.numGames) {
+      throw new Error(
+          `Snapshot number of games (${data.gameStates.length}) does not ` +
+          `match the agent's number of games (${this.numGames})`);
+    }
+    this.frameCount = data.frameCount;
+    this.cumulativeRewards_ = data.cumulativeRewards.slice();
+    this.fruitsEatenCounts_ = data.fruitsEatenCounts.slice();
+    this.games.forEach((game, i) => game.restore(
+        data.gameStates[i], data.snakeDirections[i], data.gameNumSteps[i]));
+    this.replayMemory.restore(data.replayMemory);
   }
 
   /**
    * Play one step of the game.
    *
-   * @returns {number | null} If this step leads to the end of the game,
-   *   the total reward from the game as a plain number. Else, `null`.
+   * Can be used only if the agent plays a single game. See `playSteps()`.
+   *
+   * @returns {object} The output of the step for the game, see `playSteps()`.
    */
   playStep() {
+    if (this.numGames !== 1) {
+      throw new Error(
+          `playStep() requires a single game, but the agent plays ` +
+          `${this.numGames} games; use playSteps() instead.`);
+    }
+    return this.playSteps()[0];
+  }
+
+  /**
+   * Play one step of every game.
+   *
+   * The greedy actions of all games are computed with a single batched
+   * inference call of the online network. The frame count is incremented by
+   * the number of games.
+   *
+   * @returns {object[]} The outputs of the step, one for each game, with the
+   *   following keys:
+   *   - `action` {number} The action taken.
+   *   - `cumulativeReward` {number} The cumulative reward of the game so far.
+   *   - `done` {boolean} Whether this step has ended the game, in which case
+   *     the game is reset.
+   *   - `fruitsEaten` {number} The number of fruits eaten in the game so far.
+   *   - `episode` {object} The recorded episode, if this step has ended a
+   *     game that was being recorded (see `recordNextEpisode()`).
+   */
+  playSteps() {
     this.epsilon = this.frameCount >= this.epsilonDecayFrames ?
         this.epsilonFinal :
         this.epsilonInit + this.epsilonIncrement_  * this.frameCount;
-    this.frameCount++;
+    this.frameCount += this.numGames;
 
     // The epsilon-greedy algorithm.
-    let action;
-    const state = this.game.getState();
-    if (Math.random() < this.epsilon) {
-      // Pick an action at random.
-      action = getRandomAction();
-    } else {
-      // Greedily pick an action based on online DQN output.
+    const states = this.games.map(game => game.getState());
+    const snakeDirections = this.games.map(game => game.snakeDirection);
+    const actions = [];
+    // Indices of the games whose Q-values are needed: those that act
+    // greedily and those being recorded.
+    const qIndices = [];
+    for (let i = 0; i < this.numGames; ++i) {
+      if (Math.random() < this.epsilon) {
+        // Pick an action at random.
+        actions.push(getRandomAction());
+      } else {
+        actions.push(null);
+      }
+      if (actions[i] == null || this.recorders_[i] != null) {
+        qIndices.push(i);
+      }
+    }
+    const qValues = this.games.map(() => null);
+    if (qIndices.length > 0) {
+      // Greedily pick actions based on online DQN output.
       tf.tidy(() => {
-        const stateTensor =
-            getStateTensor(state, this.game.height, this.game.width)
-        action = ALL_ACTIONS[
-            this.onlineNetwork.predict(stateTensor).argMax(-1).dataSync()[0]];
+        const stateTensor = getStateTensor(
+            qIndices.map(i => states[i]), this.game.height,
+            this.game.width, this.game.obstacles);
+        const qs = this.onlineNetwork.predict(stateTensor);
+        const bestActions = qs.argMax(-1).dataSync();
+        const qsData = qs.dataSync();
+        qIndices.forEach((gameIndex, k) => {
+          if (actions[gameIndex] == null) {
+            actions[gameIndex] = ALL_ACTIONS[bestActions[k]];
+          }
+          qValues[gameIndex] =
+              qsData.slice(k * NUM_ACTIONS, (k + 1) * NUM_ACTIONS);
+        });
       });
     }
 
-    const {state: nextState, reward, done, fruitEaten} = this.game.step(action);
+    return this.games.map((game, i) => {
+      const action = actions[i];
+      const {state: nextState, reward, done, truncated, fruitEaten} =
+          game.step(action);
 
-    this.replayMemory.append([state, action, reward, done, nextState]);
+      // A game that ends because of the time limit is not in a terminal
+      // state, so the transition is stored as a non-terminal one: its target
+      // Q-value is still bootstrapped from the next state.
+      this.replayMemory.append(
+          [states[i], action, reward, done && !truncated, nextState]);
 
-    this.cumulativeReward_ += reward;
-    if (fruitEaten) {
-      this.fruitsEaten_++;
-    }
-    const output = {
-      action,
-      cumulativeReward: this.cumulativeReward_,
-      done,
-      fruitsEaten: this.fruitsEaten_
-    };
-    if (done) {
-      this.reset();
-    }
-    return output;
+      const recorder = this.recorders_[i];
+      if (recorder != null) {
+        recorder.addFrame(
+            states[i], snakeDirections[i], action, qValues[i], reward,
+            fruitEaten);
+      }
+
+      this.cumulativeRewards_[i] += reward;
+      if (fruitEaten) {
+        this.fruitsEatenCounts_[i]++;
+      }
+      const output = {
+        action,
+        cumulativeReward: this.cumulativeRewards_[i],
+        done,
+        fruitsEaten: this.fruitsEatenCounts_[i]
+      };
+      if (done) {
+        this.cumulativeRewards_[i] = 0;
+        this.fruitsEatenCounts_[i] = 0;
+        game.reset();
+        if (recorder != null) {
+          output.episode = recorder.getEpisode();
+          this.recorders_[i] = null;
+        }
+        if (this.pendingRecordings_[i] != null) {
+          this.recorders_[i] = new EpisodeRecorder(
+              game.getConfig(), this.pendingRecordings_[i]);
+          this.pendingRecordings_[i] = null;
+        }
+      }
+      return output;
+    });
   }
 
   /**
    * Perform training on a randomly sampled batch from the replay buffer.
    *
+   * If prioritized replay is enabled, the batch is sampled in proportion to
+   * the priorities of the examples, the loss is weighted by the
+   * importance-sampling weights and the priorities of the sampled examples
+   * are updated with their new TD errors afterwards.
+   *
    * @param {number} batchSize Batch size.
    * @param {number} gamma Reward discount rate. Must be >= 0 and <= 1.
    * @param {tf.train.Optimizer} optimizer The optimizer object used to update
@@ -130,10 +370,25 @@ export class SnakeGameAgent {
    */
   trainOnReplayBatch(batchSize, gamma, optimizer) {
     // Get a batch of examples from the replay buffer.
-    const batch = this.replayMemory.sample(batchSize);
+    let batch;
+    let indices;
+    let weights;
+    if (this.prioritizedReplay) {
+      this.priorityBeta =
+          this.frameCount >= this.priorityBetaAnnealFrames ?
+          this.priorityBetaFinal :
+          this.priorityBetaInit +
+              this.priorityBetaIncrement_ * this.frameCount;
+      ({items: batch, indices, weights} =
+           this.replayMemory.sampleWithWeights(batchSize, this.priorityBeta));
+    } else {
+      batch = this.replayMemory.sample(batchSize);
+    }
+    let tdErrors;
     const lossFunction = () => tf.tidy(() => {
       const stateTensor = getStateTensor(
-          batch.map(example => example[0]), this.game.height, this.game.width);
+          batch.map(example => example[0]), this.game.height, this.game.width,
+          this.game.obstacles);
       const actionTensor = tf.tensor1d(
           batch.map(example => example[1]), 'int32');
       const qs = this.onlineNetwork.apply(stateTensor, {training: true})
@@ -141,13 +396,29 @@ export class SnakeGameAgent {
 
       const rewardTensor = tf.tensor1d(batch.map(example => example[2]));
       const nextStateTensor = getStateTensor(
-          batch.map(example => example[4]), this.game.height, this.game.width);
-      const nextMaxQTensor =
-          this.targetNetwork.predict(nextStateTensor).max(-1);
+          batch.map(example => example[4]), this.game.height, this.game.width,
+          this.game.obstacles);
+      let nextMaxQTensor;
+      if (this.doubleDQN) {
+        // Double DQN: select the next action with the online network, but
+        // evaluate it with the target network. This reduces the
+        // overestimation bias of the max operator.
+        const nextActionTensor =
+            this.onlineNetwork.predict(nextStateTensor).argMax(-1);
+        nextMaxQTensor = this.targetNetwork.predict(nextStateTensor)
+            .mul(tf.oneHot(nextActionTensor, NUM_ACTIONS)).sum(-1);
+      } else {
+        nextMaxQTensor = this.targetNetwork.predict(nextStateTensor).max(-1);
+      }
       const doneMask = tf.scalar(1).sub(
           tf.tensor1d(batch.map(example => example[3])).asType('float32'));
       const targetQs =
           rewardTensor.add(nextMaxQTensor.mul(doneMask).mul(gamma));
+      if (this.prioritizedReplay) {
+        tdErrors = targetQs.sub(qs).dataSync();
+        return tf.losses.meanSquaredError(
+            targetQs, qs, tf.tensor1d(weights));
+      }
       return tf.losses.meanSquaredError(targetQs, qs);
     });
 
@@ -157,6 +428,9 @@ export class SnakeGameAgent {
     // Use the gradients to update the online DQN's weights.
     optimizer.applyGradients(grads.grads);
     tf.dispose(grads);
+    if (this.prioritizedReplay) {
+      this.replayMemory.updatePriorities(indices, tdErrors);
+    }
     // TODO(cais): Return the loss value here?
   }
 }
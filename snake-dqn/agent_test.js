@@ -67,6 +67,144 @@ describe('SnakeGameAgent', () => {
     }
   });
 
+  it('playSteps with multiple games', () => {
+    const numGames = 3;
+    const games = [];
+    for (let i = 0; i < numGames; ++i) {
+      games.push(new SnakeGame({
+        height: 9,
+        width: 9,
+        numFruits: 1,
+        initLen: 2
+      }));
+    }
+    const agent = new SnakeGameAgent(games, {
+      replayBufferSize: 100,
+      epsilonInit: 0.5,
+      epsilonFinal: 0.1,
+      epsilonDecayFrames: 10
+    });
+    expect(agent.numGames).toEqual(numGames);
+    expect(() => agent.playStep()).toThrowError(/playSteps/);
+
+    for (let n = 0; n < 10; ++n) {
+      const currentStates = games.map(game => game.getState());
+      const outputs = agent.playSteps();
+      expect(outputs.length).toEqual(numGames);
+      expect(agent.frameCount).toEqual((n + 1) * numGames);
+      expect(agent.replayMemory.length).toEqual((n + 1) * numGames);
+      outputs.forEach((out, i) => {
+        const item = agent.replayMemory.buffer[n * numGames + i];
+        expect(item[0]).toEqual(currentStates[i]);
+        expect(item[1]).toEqual(out.action);
+        expect(item[3]).toEqual(out.done);
+        if (out.done) {
+          // A finished game is reset, independently of the other games.
+          expect(agent.cumulativeRewards_[i]).toEqual(0);
+        } else {
+          expect(agent.cumulativeRewards_[i]).toEqual(out.cumulativeReward);
+          expect(item[4]).toEqual(games[i].getState());
+        }
+      });
+    }
+  });
+
+  it('Time-limit endings are not terminal in replay', () => {
+    // With wrap-around, a snake of length 2 can't die in its first step, so
+    // every game ends by reaching the time limit.
+    const game = new SnakeGame({
+      height: 9,
+      width: 9,
+      numFruits: 1,
+      initLen: 2,
+      maxSteps: 1,
+      wrapAround: true
+    });
+    const agent = new SnakeGameAgent(game, {
+      replayBufferSize: 100,
+      epsilonInit: 1,
+      epsilonFinal: 0.1,
+      epsilonDecayFrames: 10
+    });
+    for (let n = 0; n < 10; ++n) {
+      const currentState = agent.game.getState();
+      const out = agent.playStep();
+      expect(out.done).toEqual(true);
+      const [state, action, , done, nextState] = agent.replayMemory.buffer[n];
+      expect(state).toEqual(currentState);
+      expect(action).toEqual(out.action);
+      // The transition is not terminal, and keeps its next state.
+      expect(done).toEqual(false);
+      expect(nextState).toBeDefined();
+      agent.reset();
+    }
+  });
+
+  it('recordNextEpisode', () => {
+    const game = new SnakeGame({
+      height: 9,
+      width: 9,
+      numFruits: 1,
+      initLen: 2
+    });
+    const agent = new SnakeGameAgent(game, {
+      replayBufferSize: 100,
+      epsilonInit: 1,
+      epsilonFinal: 0.1,
+      epsilonDecayFrames: 10
+    });
+
+    // Make sure that a game is ongoing when the recording is requested.
+    let out = agent.playStep();
+    while (out.done) {
+      out = agent.playStep();
+    }
+    agent.recordNextEpisode(0, {frameCount: 42});
+
+    // The ongoing game is not recorded.
+    do {
+      out = agent.playStep();
+      expect(out.episode).toBeUndefined();
+    } while (!out.done);
+
+    // The next game is.
+    let numSteps = 0;
+    const initialState = game.getState();
+    do {
+      out = agent.playStep();
+      numSteps++;
+    } while (!out.done);
+    const episode = out.episode;
+    expect(episode.game).toEqual(game.getConfig());
+    expect(episode.metadata).toEqual({frameCount: 42});
+    expect(episode.frames.length).toEqual(numSteps);
+    expect(episode.frames[0].state).toEqual(initialState);
+    expect(episode.cumulativeReward).toBeCloseTo(out.cumulativeReward);
+    expect(episode.fruitsEaten).toEqual(out.fruitsEaten);
+    for (const frame of episode.frames) {
+      expect(frame.qValues.length).toEqual(3);
+    }
+
+    // Only a single episode is recorded per request.
+    do {
+      out = agent.playStep();
+      expect(out.episode).toBeUndefined();
+    } while (!out.done);
+  });
+
+  it('Games with different board sizes lead to Error', () => {
+    const games = [
+      new SnakeGame({height: 9, width: 9, numFruits: 1, initLen: 2}),
+      new SnakeGame({height: 8, width: 9, numFruits: 1, initLen: 2})
+    ];
+    expect(() => new SnakeGameAgent(games, {
+      replayBufferSize: 100,
+      epsilonInit: 1,
+      epsilonFinal: 0.1,
+      epsilonDecayFrames: 10
+    })).toThrowError(/board size/);
+  });
+
   it('trainOnReplayBatch', () => {
     const game = new SnakeGame({
       height: 9,
@@ -119,4 +257,111 @@ describe('SnakeGameAgent', () => {
           .abs().max().arraySync()).toEqual(0);
     }
   });
+
+  it('trainOnReplayBatch with prioritized replay', () => {
+    const game = new SnakeGame({
+      height: 9,
+      width: 9,
+      numFruits: 1,
+      initLen: 2
+    });
+    const replayBufferSize = 100;
+    const agent = new SnakeGameAgent(game, {
+      replayBufferSize,
+      epsilonInit: 1,
+      epsilonFinal: 0.1,
+      epsilonDecayFrames: 1000,
+      learningRate: 1e-2,
+      prioritizedReplay: true,
+      priorityAlpha: 0.6,
+      priorityBetaInit: 0.4,
+      priorityBetaFinal: 1,
+      priorityBetaAnnealFrames: 200
+    });
+    for (let i = 0; i < replayBufferSize; ++i) {
+      agent.playStep();
+    }
+    // All new examples start with the same priority.
+    const oldPriorities = [];
+    for (let i = 0; i < replayBufferSize; ++i) {
+      oldPriorities.push(agent.replayMemory.sumTree_.get(i));
+    }
+    expect(new Set(oldPriorities).size).toEqual(1);
+
+    const batchSize = 32;
+    const gamma = 0.99;
+    const optimizer = tf.train.adam();
+    // Burn-in run for memory leak check below.
+    agent.trainOnReplayBatch(batchSize, gamma, optimizer);
+    // Beta is annealed linearly: 0.4 + (1 - 0.4) * 100 / 200.
+    expect(agent.priorityBeta).toBeCloseTo(0.7);
+
+    const numTensors0 = tf.memory().numTensors;
+    agent.trainOnReplayBatch(batchSize, gamma, optimizer);
+    expect(tf.memory().numTensors).toEqual(numTensors0);
+
+    // The priorities of the sampled examples have been updated.
+    const newPriorities = [];
+    for (let i = 0; i < replayBufferSize; ++i) {
+      newPriorities.push(agent.replayMemory.sumTree_.get(i));
+    }
+    expect(new Set(newPriorities).size).toBeGreaterThan(1);
+  });
+
+  it('trainOnReplayBatch with Double DQN and dueling network', () => {
+    const game = new SnakeGame({
+      height: 9,
+      width: 9,
+      numFruits: 1,
+      initLen: 2
+    });
+    const replayBufferSize = 100;
+    const agent = new SnakeGameAgent(game, {
+      replayBufferSize,
+      epsilonInit: 1,
+      epsilonFinal: 0.1,
+      epsilonDecayFrames: 1000,
+      learningRate: 1e-2,
+      dueling: true,
+      doubleDQN: true
+    });
+    const metadata = agent.onlineNetwork.getUserDefinedMetadata();
+    expect(metadata.dueling).toEqual(true);
+    expect(metadata.doubleDQN).toEqual(true);
+    expect(metadata.game).toEqual(game.getConfig());
+
+    const oldOnlineWeights =
+        agent.onlineNetwork.getWeights().map(x => x.dataSync());
+    const oldTargetWeights =
+        agent.targetNetwork.getWeights().map(x => x.dataSync());
+    for (let i = 0; i < replayBufferSize; ++i) {
+      agent.playStep();
+    }
+    const batchSize = 32;
+    const gamma = 0.99;
+    const optimizer = tf.train.adam();
+    // Burn-in run for memory leak check below.
+    agent.trainOnReplayBatch(batchSize, gamma, optimizer);
+
+    const numTensors0 = tf.memory().numTensors;
+    agent.trainOnReplayBatch(batchSize, gamma, optimizer);
+    expect(tf.memory().numTensors).toEqual(numTensors0);
+
+    const newOnlineWeights =
+        agent.onlineNetwork.getWeights().map(x => x.dataSync());
+    const newTargetWeights =
+        agent.targetNetwork.getWeights().map(x => x.dataSync());
+    // Verify that the online network's weights are updated.
+    for (let i = 0; i < oldOnlineWeights.length; ++i) {
+      expect(tf.tensor1d(newOnlineWeights[i])
+          .sub(tf.tensor1d(oldOnlineWeights[i]))
+          .abs().max().arraySync()).toBeGreaterThan(0);
+    }
+    // Verify that the target network's weights have not changed.
+    for (let i = 0; i < oldTargetWeights.length; ++i) {
+      expect(tf.tensor1d(newTargetWeights[i])
+          .sub(tf.tensor1d(oldTargetWeights[i]))
+          .abs().max().arraySync()).toEqual(0);
+    }
+  });
 });
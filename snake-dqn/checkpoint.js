@@ -0,0 +1,128 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Saving and restoring the full state of a DQN training run.
+ *
+ * A checkpoint directory has the following layout:
+ *   - online/   The online DQN, in the tfjs LayersModel format.
+ *   - target/   The target DQN, in the tfjs LayersModel format.
+ *   - optimizer.bin  The optimizer's weights (e.g., Adam's moments).
+ *   - state.json     Everything else: the agent's replay memory, frame
+ *                    count and ongoing game, the optimizer's weight specs
+ *                    and the state of the training loop.
+ *
+ * This module uses the file system and works only in Node.js.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import * as tf from '@tensorflow/tfjs';
+import {mkdir} from 'shelljs';
+
+import {copyWeights} from './dqn';
+
+const STATE_FILE_NAME = 'state.json';
+const OPTIMIZER_WEIGHTS_FILE_NAME = 'optimizer.bin';
+
+/**
+ * Save a checkpoint of a DQN training run.
+ *
+ * @param {string} checkpointDir Path to the directory to save the checkpoint
+ *   in. Created if it doesn't exist. An existing checkpoint in the directory
+ *   is overwritten.
+ * @param {SnakeGameAgent} agent The agent being trained.
+ * @param {tf.train.Optimizer} optimizer The optimizer used to train the
+ *   online network of the agent.
+ * @param {object} trainState JSON-serializable state of the training loop,
+ *   returned as is by `loadCheckpoint()`.
+ */
+export async function saveCheckpoint(
+    checkpointDir, agent, optimizer, trainState) {
+  if (!fs.existsSync(checkpointDir)) {
+    mkdir('-p', checkpointDir);
+  }
+  await agent.onlineNetwork.save(
+      `file://${path.join(checkpointDir, 'online')}`);
+  await agent.targetNetwork.save(
+      `file://${path.join(checkpointDir, 'target')}`);
+
+  const optimizerWeights = await optimizer.getWeights();
+  const {data, specs} = await tf.io.encodeWeights(optimizerWeights);
+  // `getWeights()` returns the optimizer's variables themselves, along with
+  // new tensors such as the iteration count. Dispose only the latter.
+  tf.dispose(optimizerWeights.map(w => w.tensor)
+      .filter(tensor => !(tensor instanceof tf.Variable)));
+  fs.writeFileSync(
+      path.join(checkpointDir, OPTIMIZER_WEIGHTS_FILE_NAME),
+      Buffer.from(data));
+
+  // The state file is written last, so that its presence indicates a
+  // complete checkpoint.
+  fs.writeFileSync(path.join(checkpointDir, STATE_FILE_NAME), JSON.stringify({
+    agent: agent.serialize(),
+    optimizerWeightSpecs: specs,
+    train: trainState
+  }));
+}
+
+/**
+ * Restore a DQN training run from a checkpoint.
+ *
+ * The agent and the optimizer must have been created with the same
+ * configuration as the ones the checkpoint was saved from.
+ *
+ * @param {string} checkpointDir Path to the checkpoint directory, as passed to
+ *   `saveCheckpoint()`.
+ * @param {SnakeGameAgent} agent The agent to restore the networks and the
+ *   state of.
+ * @param {tf.train.Optimizer} optimizer The optimizer to restore the weights
+ *   of.
+ * @return {object} The state of the training loop, as passed to
+ *   `saveCheckpoint()`.
+ */
+export async function loadCheckpoint(checkpointDir, agent, optimizer) {
+  const statePath = path.join(checkpointDir, STATE_FILE_NAME);
+  if (!fs.existsSync(statePath)) {
+    throw new Error(
+        `Cannot find a complete checkpoint in ${checkpointDir}: ` +
+        `${STATE_FILE_NAME} is missing`);
+  }
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  agent.restore(state.agent);
+
+  for (const [name, network] of
+           [['online', agent.onlineNetwork], ['target', agent.targetNetwork]]) {
+    const loaded = await tf.loadLayersModel(
+        `file://${path.join(checkpointDir, name, 'model.json')}`);
+    copyWeights(network, loaded);
+    loaded.dispose();
+  }
+
+  const buffer = fs.readFileSync(
+      path.join(checkpointDir, OPTIMIZER_WEIGHTS_FILE_NAME));
+  const weightMap = tf.io.decodeWeights(
+      buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length),
+      state.optimizerWeightSpecs);
+  // Keep the order of the weights, which the optimizer relies on.
+  await optimizer.setWeights(state.optimizerWeightSpecs.map(
+      spec => ({name: spec.name, tensor: weightMap[spec.name]})));
+  tf.dispose(Object.keys(weightMap).map(name => weightMap[name]));
+
+  return state.train;
+}
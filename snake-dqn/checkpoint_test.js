@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as fs from 'fs';
+
+import * as tf from '@tensorflow/tfjs-node';
+import * as shelljs from 'shelljs';
+import * as tmp from 'tmp';
+
+import {SnakeGameAgent} from './agent';
+import {loadCheckpoint, saveCheckpoint} from './checkpoint';
+import {SnakeGame} from './snake_game';
+
+function createAgent(height, width) {
+  const game = new SnakeGame({height, width, numFruits: 1, initLen: 2});
+  return new SnakeGameAgent(game, {
+    replayBufferSize: 50,
+    epsilonInit: 1,
+    epsilonFinal: 0.1,
+    epsilonDecayFrames: 1000,
+    learningRate: 1e-2,
+    prioritizedReplay: true,
+    priorityAlpha: 0.6,
+    priorityBetaInit: 0.4,
+    priorityBetaFinal: 1,
+    priorityBetaAnnealFrames: 1000
+  });
+}
+
+describe('checkpoint', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync().name;
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(tmpDir)) {
+      shelljs.rm('-rf', tmpDir);
+    }
+  });
+
+  it('saveCheckpoint and loadCheckpoint', async () => {
+    const agent1 = createAgent(9, 9);
+    const optimizer1 = tf.train.adam();
+    for (let i = 0; i < 60; ++i) {
+      agent1.playStep();
+    }
+    agent1.trainOnReplayBatch(8, 0.99, optimizer1);
+    agent1.trainOnReplayBatch(8, 0.99, optimizer1);
+
+    await saveCheckpoint(tmpDir, agent1, optimizer1, {foo: 'bar'});
+    expect(fs.existsSync(`${tmpDir}/online/model.json`)).toEqual(true);
+    expect(fs.existsSync(`${tmpDir}/target/model.json`)).toEqual(true);
+
+    const agent2 = createAgent(9, 9);
+    const optimizer2 = tf.train.adam();
+    const trainState = await loadCheckpoint(tmpDir, agent2, optimizer2);
+    expect(trainState).toEqual({foo: 'bar'});
+
+    expect(agent2.frameCount).toEqual(agent1.frameCount);
+    expect(agent2.cumulativeReward_).toEqual(agent1.cumulativeReward_);
+    expect(agent2.game.getState()).toEqual(agent1.game.getState());
+    expect(agent2.game.snakeDirection).toEqual(agent1.game.snakeDirection);
+    expect(JSON.stringify(agent2.replayMemory.serialize()))
+        .toEqual(JSON.stringify(agent1.replayMemory.serialize()));
+
+    const networkPairs = [
+      [agent1.onlineNetwork, agent2.onlineNetwork],
+      [agent1.targetNetwork, agent2.targetNetwork]
+    ];
+    for (const [network1, network2] of networkPairs) {
+      const weights1 = network1.getWeights();
+      const weights2 = network2.getWeights();
+      expect(weights2.length).toEqual(weights1.length);
+      for (let i = 0; i < weights1.length; ++i) {
+        expect(weights2[i].sub(weights1[i]).abs().max().arraySync())
+            .toEqual(0);
+      }
+    }
+
+    const optimizerWeights1 = await optimizer1.getWeights();
+    const optimizerWeights2 = await optimizer2.getWeights();
+    expect(optimizerWeights2.length).toEqual(optimizerWeights1.length);
+    expect(optimizerWeights2[0].tensor.arraySync()).toEqual(2);
+    for (let i = 0; i < optimizerWeights1.length; ++i) {
+      expect(optimizerWeights2[i].name).toEqual(optimizerWeights1[i].name);
+      expect(optimizerWeights2[i].tensor.sub(optimizerWeights1[i].tensor)
+          .abs().max().arraySync()).toEqual(0);
+    }
+  });
+
+  it('Mismatching board size leads to Error', async () => {
+    const agent1 = createAgent(9, 9);
+    await saveCheckpoint(tmpDir, agent1, tf.train.adam(), {});
+
+    const agent2 = createAgent(8, 8);
+    let caughtError;
+    try {
+      await loadCheckpoint(tmpDir, agent2, tf.train.adam());
+    } catch (err) {
+      caughtError = err;
+    }
+    expect(caughtError.message).toMatch(/board size/);
+  });
+
+  it('Missing checkpoint leads to Error', async () => {
+    let caughtError;
+    try {
+      await loadCheckpoint(`${tmpDir}/nonexistent`, createAgent(9, 9),
+          tf.train.adam());
+    } catch (err) {
+      caughtError = err;
+    }
+    expect(caughtError.message).toMatch(/state\.json is missing/);
+  });
+});
@@ -17,7 +17,56 @@
 
 import * as tf from '@tensorflow/tfjs';
 
-export function createDeepQNetwork(h, w, numActions) {
+/**
+ * A layer that aggregates the value and advantage streams of a dueling
+ * deep-Q network into Q-values.
+ *
+ * Takes two inputs: the state value `V` of shape `[batchSize, 1]` and the
+ * action advantages `A` of shape `[batchSize, numActions]`, and computes
+ *   Q = V + (A - mean(A))
+ * Subtracting the mean advantage makes `V` and `A` identifiable. See:
+ *   Wang et al., "Dueling Network Architectures for Deep Reinforcement
+ *   Learning", https://arxiv.org/abs/1511.06581
+ */
+export class DuelingAggregationLayer extends tf.layers.Layer {
+  constructor(config) {
+    super(config || {});
+  }
+
+  computeOutputShape(inputShape) {
+    return inputShape[1];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const [value, advantage] = inputs;
+      return value.add(advantage.sub(advantage.mean(-1, true)));
+    });
+  }
+
+  static get className() {
+    return 'DuelingAggregationLayer';
+  }
+}
+tf.serialization.registerClass(DuelingAggregationLayer);
+
+/**
+ * Create a deep-Q network for the snake game.
+ *
+ * @param {number} h Height of the game board.
+ * @param {number} w Width of the game board.
+ * @param {number} numActions Number of possible actions.
+ * @param {boolean} dueling Whether to use the dueling architecture, i.e.,
+ *   separate value and advantage streams on top of the convolutional layers.
+ *   Defaults to `false`.
+ * @param {number} numChannels Number of channels of the state tensor, see
+ *   `getNumStateChannels()`. Defaults to 2.
+ * @return {tf.LayersModel} The deep-Q network, which takes an input of shape
+ *   `[batchSize, h, w, numChannels]` and outputs Q-values of shape
+ *   `[batchSize, numActions]`.
+ */
+export function createDeepQNetwork(
+    h, w, numActions, dueling = false, numChannels = 2) {
   if (!(Number.isInteger(h) && h > 0)) {
     throw new Error(`Expected height to be a positive integer, but got ${h}`);
   }
@@ -29,30 +78,18 @@ export function createDeepQNetwork(h, w, numActions) {
         `Expected numActions to be a integer greater than 1, ` +
         `but got ${numActions}`);
   }
+  if (!(Number.isInteger(numChannels) && numChannels > 0)) {
+    throw new Error(
+        `Expected numChannels to be a positive integer, ` +
+        `but got ${numChannels}`);
+  }
+
+  if (dueling) {
+    return createDuelingDeepQNetwork(h, w, numActions, numChannels);
+  }
 
   const model = tf.sequential();
-  model.add(tf.layers.conv2d({
-    filters: 128,
-    kernelSize: 3,
-    strides: 1,
-    activation: 'relu',
-    inputShape: [h, w, 2]
-  }));
-  model.add(tf.layers.batchNormalization());
-  model.add(tf.layers.conv2d({
-    filters: 256,
-    kernelSize: 3,
-    strides: 1,
-    activation: 'relu'
-  }));
-  model.add(tf.layers.batchNormalization());
-  model.add(tf.layers.conv2d({
-    filters: 256,
-    kernelSize: 3,
-    strides: 1,
-    activation: 'relu'
-  }));
-  model.add(tf.layers.flatten());
+  createConvLayers(h, w, numChannels).forEach(layer => model.add(layer));
   model.add(tf.layers.dense({units: 100, activation: 'relu'}));
   model.add(tf.layers.dropout({rate: 0.25}));
   model.add(tf.layers.dense({units: numActions}));
@@ -60,6 +97,62 @@ export function createDeepQNetwork(h, w, numActions) {
   return model;
 }
 
+/**
+ * Create the convolutional layers shared by the DQN architectures.
+ *
+ * @param {number} h Height of the game board.
+ * @param {number} w Width of the game board.
+ * @param {number} numChannels Number of channels of the state tensor.
+ * @return {tf.layers.Layer[]} The layers, in order, ending with a flatten
+ *   layer.
+ */
+function createConvLayers(h, w, numChannels) {
+  return [
+    tf.layers.conv2d({
+      filters: 128,
+      kernelSize: 3,
+      strides: 1,
+      activation: 'relu',
+      inputShape: [h, w, numChannels]
+    }),
+    tf.layers.batchNormalization(),
+    tf.layers.conv2d({
+      filters: 256,
+      kernelSize: 3,
+      strides: 1,
+      activation: 'relu'
+    }),
+    tf.layers.batchNormalization(),
+    tf.layers.conv2d({
+      filters: 256,
+      kernelSize: 3,
+      strides: 1,
+      activation: 'relu'
+    }),
+    tf.layers.flatten()
+  ];
+}
+
+function createDuelingDeepQNetwork(h, w, numActions, numChannels) {
+  const input = tf.input({shape: [h, w, numChannels]});
+  let torso = input;
+  createConvLayers(h, w, numChannels).forEach(layer => {
+    torso = layer.apply(torso);
+  });
+
+  let value = tf.layers.dense({units: 100, activation: 'relu'}).apply(torso);
+  value = tf.layers.dropout({rate: 0.25}).apply(value);
+  value = tf.layers.dense({units: 1}).apply(value);
+
+  let advantage =
+      tf.layers.dense({units: 100, activation: 'relu'}).apply(torso);
+  advantage = tf.layers.dropout({rate: 0.25}).apply(advantage);
+  advantage = tf.layers.dense({units: numActions}).apply(advantage);
+
+  const output = new DuelingAggregationLayer().apply([value, advantage]);
+  return tf.model({inputs: input, outputs: output});
+}
+
 /**
  * Copy the weights from a source deep-Q network to another.
  *
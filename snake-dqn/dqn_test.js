@@ -17,7 +17,7 @@
 
 import * as tf from '@tensorflow/tfjs-node';
 
-import {createDeepQNetwork, copyWeights} from "./dqn";
+import {createDeepQNetwork, copyWeights, DuelingAggregationLayer} from "./dqn";
 
 describe('createDeepQNetwork', () => {
   it('createDeepQNetwork', () => {
@@ -32,6 +32,43 @@ describe('createDeepQNetwork', () => {
     expect(model.outputs[0].shape).toEqual([null, numActions]);
   });
 
+  it('createDeepQNetwork with dueling architecture', () => {
+    const h = 9;
+    const w = 9;
+    const numActions = 4;
+    const model = createDeepQNetwork(h, w, numActions, true);
+
+    expect(model.inputs.length).toEqual(1);
+    expect(model.inputs[0].shape).toEqual([null, h, w, 2]);
+    expect(model.outputs.length).toEqual(1);
+    expect(model.outputs[0].shape).toEqual([null, numActions]);
+    expect(model.layers[model.layers.length - 1].getClassName())
+        .toEqual('DuelingAggregationLayer');
+  });
+
+  it('Dueling network can be saved and loaded', async () => {
+    const model = createDeepQNetwork(9, 9, 4, true);
+    let artifacts;
+    await model.save(tf.io.withSaveHandler(async modelArtifacts => {
+      artifacts = modelArtifacts;
+      return {modelArtifactsInfo: {dateSaved: new Date()}};
+    }));
+    const loaded = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+
+    const xs = tf.randomUniform([2, 9, 9, 2]);
+    expect(loaded.predict(xs).sub(model.predict(xs)).abs().max().arraySync())
+        .toBeCloseTo(0);
+  });
+
+  it('createDeepQNetwork with obstacle channel', () => {
+    const model = createDeepQNetwork(9, 9, 4, false, 3);
+    expect(model.inputs[0].shape).toEqual([null, 9, 9, 3]);
+    const duelingModel = createDeepQNetwork(9, 9, 4, true, 3);
+    expect(duelingModel.inputs[0].shape).toEqual([null, 9, 9, 3]);
+    expect(() => createDeepQNetwork(9, 9, 4, false, 0))
+        .toThrowError(/numChannels/);
+  });
+
   it('Invalid h and/or w leads to Error', () => {
     expect(() => createDeepQNetwork(0, 10, 4)).toThrowError(/height/);
     expect(() => createDeepQNetwork('10', 10, 4)).toThrowError(/height/);
@@ -54,6 +91,16 @@ describe('createDeepQNetwork', () => {
   });
 });
 
+describe('DuelingAggregationLayer', () => {
+  it('Combines value and mean-centered advantages', () => {
+    const value = tf.tensor2d([[1], [-2]]);
+    const advantage = tf.tensor2d([[1, 2, 3], [0, 0, 6]]);
+    const q = new DuelingAggregationLayer().apply([value, advantage]);
+    expect(q.shape).toEqual([2, 3]);
+    expect(q.arraySync()).toEqual([[0, 1, 2], [-4, -4, 2]]);
+  });
+});
+
 describe('copyWeights', () => {
   it('copyWeights', async () => {
     const h = 9;
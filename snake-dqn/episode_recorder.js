@@ -0,0 +1,149 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Recording of snake-game episodes, shared by the Node.js trainer and the
+ * browser demo.
+ *
+ * A recorded episode is a plain JSON-serializable object with the keys:
+ *   - `game` {object} The configuration of the game, as returned by
+ *     `SnakeGame.getConfig()`.
+ *   - `frames` {object[]} One item per step of the game, with the keys:
+ *     - `state` {object} The state of the game before the step, as returned
+ *       by `SnakeGame.getState()`.
+ *     - `snakeDirection` {'l' | 'u' | 'r' | 'd'} The direction of the snake
+ *       before the step.
+ *     - `action` {number} The action taken in the step.
+ *     - `qValues` {number[] | null} The Q-values of the actions in the state,
+ *       if available.
+ *     - `reward` {number} The reward of the step.
+ *     - `fruitEaten` {boolean} Whether a fruit was eaten in the step.
+ *   - `cumulativeReward` {number} The total reward of the episode.
+ *   - `fruitsEaten` {number} The number of fruits eaten in the episode.
+ *   - `metadata` {object} Free-form information about the episode (e.g., the
+ *     frame count of the training at which it was recorded).
+ */
+
+import {SnakeGame} from './snake_game';
+
+/** Records the frames of a single episode of the snake game. */
+export class EpisodeRecorder {
+  /**
+   * Constructor of EpisodeRecorder.
+   *
+   * @param {object} gameConfig The configuration of the game, as returned by
+   *   `SnakeGame.getConfig()`.
+   * @param {object} metadata Free-form information to store with the
+   *   episode. Optional.
+   */
+  constructor(gameConfig, metadata) {
+    this.gameConfig = gameConfig;
+    this.metadata = metadata || {};
+    this.frames = [];
+    this.cumulativeReward = 0;
+    this.fruitsEaten = 0;
+  }
+
+  /**
+   * Record one step of the game.
+   *
+   * @param {object} state The state of the game before the step.
+   * @param {'l' | 'u' | 'r' | 'd'} snakeDirection The direction of the snake
+   *   before the step.
+   * @param {number} action The action taken in the step.
+   * @param {number[] | Float32Array | null} qValues The Q-values of the
+   *   actions in `state`, if available.
+   * @param {number} reward The reward of the step.
+   * @param {boolean} fruitEaten Whether a fruit was eaten in the step.
+   */
+  addFrame(state, snakeDirection, action, qValues, reward, fruitEaten) {
+    this.frames.push({
+      state,
+      snakeDirection,
+      action,
+      qValues: qValues == null ? null : Array.from(qValues),
+      reward,
+      fruitEaten
+    });
+    this.cumulativeReward += reward;
+    if (fruitEaten) {
+      this.fruitsEaten++;
+    }
+  }
+
+  /**
+   * Get the recorded episode.
+   *
+   * @return {object} The episode, in the format described at the top of this
+   *   file.
+   */
+  getEpisode() {
+    return {
+      game: this.gameConfig,
+      frames: this.frames,
+      cumulativeReward: this.cumulativeReward,
+      fruitsEaten: this.fruitsEaten,
+      metadata: this.metadata
+    };
+  }
+}
+
+/**
+ * Parse and validate a recorded episode.
+ *
+ * @param {string | object} json The episode, as a JSON string or an
+ *   already-parsed object.
+ * @return {object} The episode.
+ * @throws {Error} If `json` is not a valid recorded episode.
+ */
+export function parseEpisode(json) {
+  const episode = typeof json === 'string' ? JSON.parse(json) : json;
+  if (episode == null || episode.game == null ||
+      !Array.isArray(episode.frames)) {
+    throw new Error(
+        'Invalid episode: expected an object with `game` and `frames`');
+  }
+  if (episode.frames.length === 0) {
+    throw new Error('Invalid episode: there are no frames');
+  }
+  episode.frames.forEach((frame, i) => {
+    if (frame.state == null || !Array.isArray(frame.state.s) ||
+        !Array.isArray(frame.state.f) || frame.snakeDirection == null) {
+      throw new Error(`Invalid episode: frame ${i} has no valid state`);
+    }
+  });
+  return episode;
+}
+
+/**
+ * Create a game object that is in the state of a recorded frame, e.g., for
+ * rendering it with `renderSnakeGame()`.
+ *
+ * @param {object} episode The recorded episode.
+ * @param {number} frameIndex Index of the frame.
+ * @param {SnakeGame} game A game created from `episode.game` to reuse.
+ *   Optional.
+ * @return {SnakeGame} The game, in the state of the frame.
+ */
+export function getFrameGame(episode, frameIndex, game) {
+  if (game == null) {
+    game = new SnakeGame(Object.assign({}, episode.game));
+  }
+  const frame = episode.frames[frameIndex];
+  game.restore(frame.state, frame.snakeDirection);
+  return game;
+}
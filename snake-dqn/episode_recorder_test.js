@@ -0,0 +1,109 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import {EpisodeRecorder, getFrameGame, parseEpisode} from './episode_recorder';
+import {ACTION_GO_STRAIGHT, ACTION_TURN_LEFT, SnakeGame} from './snake_game';
+
+function recordEpisode(game, actions) {
+  const recorder = new EpisodeRecorder(game.getConfig(), {frameCount: 10});
+  for (const action of actions) {
+    const state = game.getState();
+    const snakeDirection = game.snakeDirection;
+    const {reward, done, fruitEaten} = game.step(action);
+    recorder.addFrame(
+        state, snakeDirection, action, new Float32Array([1, 2, 3]), reward,
+        fruitEaten);
+    if (done) {
+      break;
+    }
+  }
+  return recorder.getEpisode();
+}
+
+describe('EpisodeRecorder', () => {
+  it('getEpisode', () => {
+    const game = new SnakeGame(
+        {height: 9, width: 9, numFruits: 1, initLen: 2, wrapAround: true});
+    const episode = recordEpisode(
+        game, [ACTION_GO_STRAIGHT, ACTION_TURN_LEFT, ACTION_GO_STRAIGHT]);
+
+    expect(episode.game).toEqual(game.getConfig());
+    expect(episode.metadata).toEqual({frameCount: 10});
+    expect(episode.frames.length).toEqual(3);
+    expect(episode.frames[1].action).toEqual(ACTION_TURN_LEFT);
+    // Typed arrays are converted to plain arrays for JSON serialization.
+    expect(episode.frames[0].qValues).toEqual([1, 2, 3]);
+    let cumulativeReward = 0;
+    let fruitsEaten = 0;
+    for (const frame of episode.frames) {
+      cumulativeReward += frame.reward;
+      fruitsEaten += frame.fruitEaten ? 1 : 0;
+    }
+    expect(episode.cumulativeReward).toBeCloseTo(cumulativeReward);
+    expect(episode.fruitsEaten).toEqual(fruitsEaten);
+  });
+
+  it('addFrame without Q-values', () => {
+    const game = new SnakeGame({height: 9, width: 9, numFruits: 1, initLen: 2});
+    const recorder = new EpisodeRecorder(game.getConfig());
+    recorder.addFrame(
+        game.getState(), game.snakeDirection, ACTION_GO_STRAIGHT, null, 1,
+        true);
+    const episode = recorder.getEpisode();
+    expect(episode.frames[0].qValues).toBeNull();
+    expect(episode.fruitsEaten).toEqual(1);
+    expect(episode.metadata).toEqual({});
+  });
+});
+
+describe('parseEpisode', () => {
+  it('Round trip through JSON', () => {
+    const game = new SnakeGame({height: 9, width: 9, numFruits: 1, initLen: 2});
+    const episode = recordEpisode(game, [ACTION_GO_STRAIGHT]);
+    expect(parseEpisode(JSON.stringify(episode))).toEqual(episode);
+    expect(parseEpisode(episode)).toEqual(episode);
+  });
+
+  it('Invalid episodes lead to Error', () => {
+    expect(() => parseEpisode('{}')).toThrowError(/game.*frames/);
+    expect(() => parseEpisode({game: {}, frames: []}))
+        .toThrowError(/no frames/);
+    expect(() => parseEpisode({game: {}, frames: [{state: {s: []}}]}))
+        .toThrowError(/frame 0/);
+    expect(() => parseEpisode('not json')).toThrowError();
+  });
+});
+
+describe('getFrameGame', () => {
+  it('Restores the state of each frame', () => {
+    const game = new SnakeGame(
+        {height: 9, width: 9, numFruits: 2, initLen: 3, wrapAround: true});
+    const episode = recordEpisode(
+        game, [ACTION_GO_STRAIGHT, ACTION_TURN_LEFT, ACTION_GO_STRAIGHT]);
+
+    const frameGame = getFrameGame(episode, 0);
+    expect(frameGame.getConfig()).toEqual(game.getConfig());
+    expect(frameGame.getState()).toEqual(episode.frames[0].state);
+    expect(frameGame.snakeDirection).toEqual(episode.frames[0].snakeDirection);
+
+    // Reuse the game for another frame.
+    const reused = getFrameGame(episode, 2, frameGame);
+    expect(reused).toBe(frameGame);
+    expect(reused.getState()).toEqual(episode.frames[2].state);
+    expect(reused.snakeDirection).toEqual(episode.frames[2].snakeDirection);
+  });
+});
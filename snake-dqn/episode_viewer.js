@@ -0,0 +1,165 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import {getFrameGame} from './episode_recorder';
+import {ALL_ACTIONS} from './snake_game';
+import {renderSnakeGame} from './snake_graphics';
+
+const ACTION_NAMES = ['straight', 'left', 'right'];
+
+/** Interval between frames during playback, in milliseconds. */
+const PLAY_INTERVAL_MS = 100;
+
+/**
+ * A scrubbable timeline viewer for recorded episodes of the snake game.
+ */
+export class EpisodeViewer {
+  /**
+   * Constructor of EpisodeViewer.
+   *
+   * @param {object} elements The HTML elements used by the viewer:
+   *   - `canvas` {HTMLCanvasElement} The canvas to render the frames in.
+   *   - `timeline` {HTMLInputElement} A range input for scrubbing.
+   *   - `playPauseButton` {HTMLButtonElement}
+   *   - `stepBackButton` {HTMLButtonElement}
+   *   - `stepForwardButton` {HTMLButtonElement}
+   *   - `statusSpan` {HTMLElement} Element to show frame information in.
+   *   - `showQValuesCheckbox` {HTMLInputElement} Whether to overlay the
+   *     recorded Q-values.
+   */
+  constructor(elements) {
+    this.elements = elements;
+    this.episode = null;
+    this.game = null;
+    this.frameIndex = 0;
+    this.playIntervalJob = null;
+
+    elements.timeline.addEventListener('input', () => {
+      this.pause();
+      this.showFrame(Number.parseInt(elements.timeline.value));
+    });
+    elements.playPauseButton.addEventListener('click', () => {
+      if (this.playIntervalJob == null) {
+        this.play();
+      } else {
+        this.pause();
+      }
+    });
+    elements.stepBackButton.addEventListener('click', () => {
+      this.pause();
+      this.showFrame(this.frameIndex - 1);
+    });
+    elements.stepForwardButton.addEventListener('click', () => {
+      this.pause();
+      this.showFrame(this.frameIndex + 1);
+    });
+    elements.showQValuesCheckbox.addEventListener(
+        'change', () => this.render());
+    this.setControlsDisabled_(true);
+  }
+
+  /**
+   * Load an episode into the viewer and show its first frame.
+   *
+   * @param {object} episode A recorded episode, see `episode_recorder.js`.
+   */
+  load(episode) {
+    this.pause();
+    this.episode = episode;
+    this.game = getFrameGame(episode, 0);
+    this.elements.timeline.min = 0;
+    this.elements.timeline.max = episode.frames.length - 1;
+    this.setControlsDisabled_(false);
+    this.showFrame(0);
+  }
+
+  /**
+   * Show a frame of the loaded episode.
+   *
+   * @param {number} frameIndex Index of the frame. Clipped to the valid
+   *   range.
+   */
+  showFrame(frameIndex) {
+    if (this.episode == null) {
+      return;
+    }
+    this.frameIndex =
+        Math.max(0, Math.min(frameIndex, this.episode.frames.length - 1));
+    this.elements.timeline.value = this.frameIndex;
+    this.render();
+  }
+
+  /** Render the current frame. */
+  render() {
+    if (this.episode == null) {
+      return;
+    }
+    const frame = this.episode.frames[this.frameIndex];
+    getFrameGame(this.episode, this.frameIndex, this.game);
+    renderSnakeGame(
+        this.elements.canvas, this.game,
+        this.elements.showQValuesCheckbox.checked ? frame.qValues : null);
+
+    let cumulativeReward = 0;
+    for (let i = 0; i <= this.frameIndex; ++i) {
+      cumulativeReward += this.episode.frames[i].reward;
+    }
+    const isLastFrame = this.frameIndex === this.episode.frames.length - 1;
+    this.elements.statusSpan.textContent =
+        `Frame ${this.frameIndex + 1}/${this.episode.frames.length}: ` +
+        `action=${ACTION_NAMES[ALL_ACTIONS.indexOf(frame.action)]}; ` +
+        `reward=${frame.reward.toFixed(1)}; ` +
+        `cumulative reward=${cumulativeReward.toFixed(1)}` +
+        (frame.fruitEaten ? '; fruit eaten' : '') +
+        (isLastFrame ? '. Game over.' : '');
+  }
+
+  /** Play the episode from the current frame on. */
+  play() {
+    if (this.episode == null || this.playIntervalJob != null) {
+      return;
+    }
+    if (this.frameIndex === this.episode.frames.length - 1) {
+      // Restart from the beginning if the end has been reached.
+      this.showFrame(0);
+    }
+    this.playIntervalJob = setInterval(() => {
+      if (this.frameIndex >= this.episode.frames.length - 1) {
+        this.pause();
+        return;
+      }
+      this.showFrame(this.frameIndex + 1);
+    }, PLAY_INTERVAL_MS);
+    this.elements.playPauseButton.textContent = 'Pause';
+  }
+
+  /** Pause the playback. */
+  pause() {
+    if (this.playIntervalJob != null) {
+      clearInterval(this.playIntervalJob);
+      this.playIntervalJob = null;
+    }
+    this.elements.playPauseButton.textContent = 'Play';
+  }
+
+  setControlsDisabled_(disabled) {
+    this.elements.timeline.disabled = disabled;
+    this.elements.playPauseButton.disabled = disabled;
+    this.elements.stepBackButton.disabled = disabled;
+    this.elements.stepForwardButton.disabled = disabled;
+  }
+}
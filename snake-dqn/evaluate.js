@@ -0,0 +1,367 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Headless evaluation of a DQN saved by `train.js`.
+ *
+ * Plays a number of greedy (or epsilon-greedy) episodes of the snake game
+ * with the DQN and reports statistics of the episodes, e.g.,
+ *
+ * ```sh
+ * yarn evaluate --modelPath ./models/dqn --numEpisodes 200
+ * ```
+ */
+
+import * as fs from 'fs';
+
+import * as tf from '@tensorflow/tfjs';
+import * as argparse from 'argparse';
+
+// Importing dqn.js registers the custom layer of the dueling DQN, which is
+// needed for loading models of that variant.
+import './dqn';
+import {ALL_ACTIONS, DEATH_CAUSE_OBSTACLE, DEATH_CAUSE_SELF, DEATH_CAUSE_WALL, getNumStateChannels, getRandomAction, getStateTensor, parseLevelMap, SnakeGame} from './snake_game';
+
+/** How an episode ends without the snake dying. */
+export const ENDING_TIME_LIMIT = 'timeLimit';
+
+/** All the ways in which an episode can end. */
+export const ALL_ENDINGS = [
+  DEATH_CAUSE_WALL, DEATH_CAUSE_OBSTACLE, DEATH_CAUSE_SELF, ENDING_TIME_LIMIT
+];
+
+/**
+ * Time limit of the episodes if neither the command line nor the model
+ * specifies one. Without a time limit, a greedy policy that runs in circles
+ * would never finish an episode.
+ */
+const DEFAULT_MAX_STEPS = 1000;
+
+/**
+ * Play episodes of the snake game with a DQN.
+ *
+ * @param {tf.LayersModel} qNet The DQN. Its input shape must match the board
+ *   size (and obstacles) of the game.
+ * @param {SnakeGame} game The game to play. It is reset before every episode.
+ *   The game should have a time limit (`maxSteps`), as a greedy policy may
+ *   never finish an episode otherwise.
+ * @param {number} numEpisodes Number of episodes to play.
+ * @param {number} epsilon Probability of taking a random action instead of
+ *   the greedy one in each step. Defaults to 0, i.e., a purely greedy
+ *   policy.
+ * @return {object[]} One item per episode, with the keys:
+ *   - `cumulativeReward` {number} The total reward of the episode.
+ *   - `fruitsEaten` {number} The number of fruits eaten.
+ *   - `length` {number} The number of steps of the episode.
+ *   - `ending` {'wall' | 'obstacle' | 'self' | 'timeLimit'} How the episode
+ *     ended: the cause of the death of the snake, or the time limit.
+ */
+export function playEpisodes(qNet, game, numEpisodes, epsilon = 0) {
+  const [, height, width, numChannels] = qNet.inputs[0].shape;
+  const gameNumChannels = getNumStateChannels(game.obstacles);
+  if (height !== game.height || width !== game.width ||
+      numChannels !== gameNumChannels) {
+    throw new Error(
+        `The input shape of the model ([${height}, ${width}, ` +
+        `${numChannels}]) does not match the game ([${game.height}, ` +
+        `${game.width}, ${gameNumChannels}])`);
+  }
+  if (!(epsilon >= 0 && epsilon <= 1)) {
+    throw new Error(`Expected epsilon to be >= 0 and <= 1, but got ${epsilon}`);
+  }
+
+  const results = [];
+  for (let n = 0; n < numEpisodes; ++n) {
+    game.reset();
+    let cumulativeReward = 0;
+    let fruitsEaten = 0;
+    let length = 0;
+    while (true) {
+      let action;
+      if (Math.random() < epsilon) {
+        action = getRandomAction();
+      } else {
+        action = tf.tidy(() => {
+          const stateTensor = getStateTensor(
+              game.getState(), game.height, game.width, game.obstacles);
+          const bestActionIndex =
+              qNet.predict(stateTensor).argMax(-1).dataSync()[0];
+          return ALL_ACTIONS[bestActionIndex];
+        });
+      }
+      const {reward, done, fruitEaten, deathCause} = game.step(action);
+      cumulativeReward += reward;
+      if (fruitEaten) {
+        fruitsEaten++;
+      }
+      length++;
+      if (done) {
+        results.push({
+          cumulativeReward,
+          fruitsEaten,
+          length,
+          ending: deathCause == null ? ENDING_TIME_LIMIT : deathCause
+        });
+        break;
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Compute summary statistics of a list of numbers.
+ *
+ * @param {number[]} values The numbers. Must not be empty.
+ * @return {object} An object with the keys `mean`, `median`, `min` and `max`.
+ */
+export function describeValues(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 1 ?
+      sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return {
+    mean: sorted.reduce((sum, x) => sum + x, 0) / sorted.length,
+    median,
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Summarize the results of `playEpisodes()`.
+ *
+ * @param {object[]} results The results, as returned by `playEpisodes()`.
+ * @return {object} The summary, with the keys:
+ *   - `numEpisodes` {number}
+ *   - `cumulativeReward`, `fruitsEaten` and `episodeLength` {object}
+ *     Statistics of the respective quantities, see `describeValues()`.
+ *   - `endings` {object} The number of episodes that ended in each way of
+ *     `ALL_ENDINGS`.
+ */
+export function summarizeEpisodes(results) {
+  if (results.length === 0) {
+    throw new Error('Cannot summarize an empty list of episodes');
+  }
+  const endings = {};
+  ALL_ENDINGS.forEach(ending => endings[ending] = 0);
+  results.forEach(result => endings[result.ending]++);
+  return {
+    numEpisodes: results.length,
+    cumulativeReward: describeValues(results.map(r => r.cumulativeReward)),
+    fruitsEaten: describeValues(results.map(r => r.fruitsEaten)),
+    episodeLength: describeValues(results.map(r => r.length)),
+    endings
+  };
+}
+
+/**
+ * Format a summary returned by `summarizeEpisodes()` as human-readable text.
+ *
+ * @param {object} summary The summary.
+ * @return {string} The text, with one line per statistic.
+ */
+export function formatSummary(summary) {
+  const formatStats = (name, stats, digits) =>
+      `${name}: mean=${stats.mean.toFixed(digits)}, ` +
+      `median=${stats.median.toFixed(digits)}, ` +
+      `min=${stats.min.toFixed(digits)}, max=${stats.max.toFixed(digits)}`;
+  const lines = [
+    `Episodes: ${summary.numEpisodes}`,
+    formatStats('Cumulative reward', summary.cumulativeReward, 2),
+    formatStats('Fruits eaten', summary.fruitsEaten, 2),
+    formatStats('Episode length', summary.episodeLength, 1),
+    'Endings: ' + ALL_ENDINGS.map(ending => {
+      const count = summary.endings[ending];
+      const percent = (100 * count / summary.numEpisodes).toFixed(1);
+      return `${ending}=${count} (${percent}%)`;
+    }).join(', ')
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Determine the configuration of the game to evaluate a model on.
+ *
+ * The configuration that the model was trained with (stored in its metadata
+ * by `train.js`) is used as the base, and the command-line flags override
+ * it.
+ *
+ * @param {object} args Parsed command-line arguments.
+ * @param {object} modelMetadata User-defined metadata of the model.
+ * @return {object} The configuration, to be passed to the `SnakeGame`
+ *   constructor.
+ */
+export function getGameConfig(args, modelMetadata) {
+  // Models saved before the game configuration was stored in the metadata
+  // were trained on the default 9x9 board.
+  const config = Object.assign(
+      {height: 9, width: 9, numFruits: 1, initLen: 2},
+      (modelMetadata || {}).game);
+  for (const key of
+           ['height', 'width', 'numFruits', 'initLen', 'maxSteps',
+            'wrapAround']) {
+    if (args[key] != null) {
+      config[key] = args[key];
+    }
+  }
+  if (args.levelMap != null) {
+    Object.assign(
+        config, parseLevelMap(fs.readFileSync(args.levelMap, 'utf8')));
+  }
+  if (config.maxSteps == null) {
+    config.maxSteps = DEFAULT_MAX_STEPS;
+  }
+  return config;
+}
+
+export function parseArguments() {
+  const parser = new argparse.ArgumentParser({
+    description: 'Evaluate a DQN that plays the snake game, by playing a ' +
+    'number of episodes with it and reporting statistics of the episodes.'
+  });
+  parser.addArgument('--gpu', {
+    action: 'storeTrue',
+    help: 'Whether to use tfjs-node-gpu for evaluation ' +
+    '(requires CUDA GPU, drivers, and libraries).'
+  });
+  parser.addArgument('--modelPath', {
+    type: 'string',
+    defaultValue: './models/dqn',
+    help: 'Path to the saved DQN, i.e., the --savePath of train.js, or the ' +
+    'path to its model.json file.'
+  });
+  parser.addArgument('--numEpisodes', {
+    type: 'int',
+    defaultValue: 100,
+    help: 'Number of episodes to play.'
+  });
+  parser.addArgument('--epsilon', {
+    type: 'float',
+    defaultValue: 0,
+    help: 'Probability of taking a random action in each step. The default ' +
+    '(0) evaluates the purely greedy policy.'
+  });
+  parser.addArgument('--height', {
+    type: 'int',
+    defaultValue: null,
+    help: 'Height of the game board. Defaults to the one the model was ' +
+    'trained with.'
+  });
+  parser.addArgument('--width', {
+    type: 'int',
+    defaultValue: null,
+    help: 'Width of the game board. Defaults to the one the model was ' +
+    'trained with.'
+  });
+  parser.addArgument('--numFruits', {
+    type: 'int',
+    defaultValue: null,
+    help: 'Number of fruits present on the board at any given time. ' +
+    'Defaults to the one the model was trained with.'
+  });
+  parser.addArgument('--initLen', {
+    type: 'int',
+    defaultValue: null,
+    help: 'Initial length of the snake, in number of squares. Defaults to ' +
+    'the one the model was trained with.'
+  });
+  parser.addArgument('--levelMap', {
+    type: 'string',
+    defaultValue: null,
+    help: 'Path to a level map file (see train.js), which overrides the ' +
+    'board size and the obstacles of the game.'
+  });
+  const wrapAroundGroup = parser.addMutuallyExclusiveGroup();
+  wrapAroundGroup.addArgument('--wrapAround', {
+    action: 'storeTrue',
+    dest: 'wrapAround',
+    help: 'Make the board toroidal, even if the model was trained without ' +
+    'wrap-around. Defaults to the setting the model was trained with.'
+  });
+  wrapAroundGroup.addArgument('--noWrapAround', {
+    action: 'storeFalse',
+    dest: 'wrapAround',
+    help: 'Make the board non-toroidal, even if the model was trained with ' +
+    'wrap-around.'
+  });
+  // Neither flag: use the setting that the model was trained with.
+  parser.setDefaults({wrapAround: null});
+  parser.addArgument('--maxSteps', {
+    type: 'int',
+    defaultValue: null,
+    help: 'Maximum number of steps in an episode. Defaults to the one the ' +
+    `model was trained with, or ${DEFAULT_MAX_STEPS} if it was trained ` +
+    'without a time limit.'
+  });
+  parser.addArgument('--output', {
+    type: 'string',
+    defaultValue: 'text',
+    choices: ['text', 'json'],
+    help: 'Format of the report printed to stdout.'
+  });
+  parser.addArgument('--minMeanReward', {
+    type: 'float',
+    defaultValue: null,
+    help: 'If specified, exit with a non-zero status if the mean cumulative ' +
+    'reward is below this value, e.g., for regression tests of trained ' +
+    'models.'
+  });
+  return parser.parseArgs();
+}
+
+async function main() {
+  const args = parseArguments();
+  // The Node.js bindings provide the backend and the file:// IO handler.
+  if (args.gpu) {
+    require('@tensorflow/tfjs-node-gpu');
+  } else {
+    require('@tensorflow/tfjs-node');
+  }
+
+  const modelURL = args.modelPath.endsWith('.json') ?
+      `file://${args.modelPath}` : `file://${args.modelPath}/model.json`;
+  const qNet = await tf.loadLayersModel(modelURL);
+  const gameConfig = getGameConfig(args, qNet.getUserDefinedMetadata());
+  const game = new SnakeGame(gameConfig);
+
+  const results = playEpisodes(qNet, game, args.numEpisodes, args.epsilon);
+  const summary = summarizeEpisodes(results);
+  if (args.output === 'json') {
+    console.log(JSON.stringify({
+      modelPath: args.modelPath,
+      epsilon: args.epsilon,
+      game: game.getConfig(),
+      summary
+    }, null, 2));
+  } else {
+    console.log(`Model: ${args.modelPath} (epsilon=${args.epsilon})`);
+    console.log(formatSummary(summary));
+  }
+
+  if (args.minMeanReward != null &&
+      summary.cumulativeReward.mean < args.minMeanReward) {
+    console.error(
+        `Mean cumulative reward ${summary.cumulativeReward.mean.toFixed(2)} ` +
+        `is below the threshold ${args.minMeanReward}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,146 @@
+/**
+ * @license
+ * Copyright 2019 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+
+import {createDeepQNetwork} from './dqn';
+import {ALL_ENDINGS, describeValues, ENDING_TIME_LIMIT, formatSummary, getGameConfig, playEpisodes, summarizeEpisodes} from './evaluate';
+import {DEATH_CAUSE_SELF, DEATH_CAUSE_WALL, SnakeGame} from './snake_game';
+
+describe('playEpisodes', () => {
+  it('Greedy and epsilon-greedy episodes', () => {
+    const game = new SnakeGame(
+        {height: 9, width: 9, numFruits: 1, initLen: 2, maxSteps: 20});
+    const qNet = createDeepQNetwork(9, 9, 3);
+
+    for (const epsilon of [0, 0.5]) {
+      const results = playEpisodes(qNet, game, 4, epsilon);
+      expect(results.length).toEqual(4);
+      for (const result of results) {
+        expect(result.length).toBeGreaterThan(0);
+        expect(result.length).toBeLessThanOrEqual(20);
+        expect(ALL_ENDINGS).toContain(result.ending);
+        if (result.ending === ENDING_TIME_LIMIT) {
+          expect(result.length).toEqual(20);
+        }
+        expect(result.fruitsEaten).toBeGreaterThanOrEqual(0);
+      }
+    }
+    qNet.dispose();
+  });
+
+  it('Mismatch between model and board size leads to Error', () => {
+    const game = new SnakeGame({height: 9, width: 9, maxSteps: 20});
+    const qNet = createDeepQNetwork(8, 9, 3);
+    expect(() => playEpisodes(qNet, game, 1)).toThrowError(/input shape/);
+    qNet.dispose();
+  });
+
+  it('Mismatch between model and obstacles leads to Error', () => {
+    const game =
+        new SnakeGame({height: 9, width: 9, maxSteps: 20, obstacles: [[0, 0]]});
+    const qNet = createDeepQNetwork(9, 9, 3);
+    expect(() => playEpisodes(qNet, game, 1)).toThrowError(/input shape/);
+    qNet.dispose();
+  });
+});
+
+describe('summarizeEpisodes', () => {
+  it('describeValues', () => {
+    expect(describeValues([3, 1, 2]))
+        .toEqual({mean: 2, median: 2, min: 1, max: 3});
+    expect(describeValues([4, 1, 2, 10]))
+        .toEqual({mean: 4.25, median: 3, min: 1, max: 10});
+  });
+
+  it('Statistics and endings', () => {
+    const summary = summarizeEpisodes([
+      {cumulativeReward: 10, fruitsEaten: 2, length: 30,
+       ending: DEATH_CAUSE_WALL},
+      {cumulativeReward: -5, fruitsEaten: 0, length: 10,
+       ending: DEATH_CAUSE_SELF},
+      {cumulativeReward: 1, fruitsEaten: 1, length: 20,
+       ending: DEATH_CAUSE_WALL}
+    ]);
+    expect(summary.numEpisodes).toEqual(3);
+    expect(summary.cumulativeReward.mean).toBeCloseTo(2);
+    expect(summary.cumulativeReward.median).toEqual(1);
+    expect(summary.cumulativeReward.max).toEqual(10);
+    expect(summary.fruitsEaten.max).toEqual(2);
+    expect(summary.episodeLength.median).toEqual(20);
+    expect(summary.endings)
+        .toEqual({wall: 2, obstacle: 0, self: 1, timeLimit: 0});
+
+    const text = formatSummary(summary);
+    expect(text).toMatch(/Episodes: 3/);
+    expect(text).toMatch(/Cumulative reward: mean=2.00, median=1.00/);
+    expect(text).toMatch(/wall=2 \(66.7%\)/);
+    expect(text).toMatch(/self=1 \(33.3%\)/);
+  });
+
+  it('Empty list leads to Error', () => {
+    expect(() => summarizeEpisodes([])).toThrowError(/empty/);
+  });
+});
+
+describe('getGameConfig', () => {
+  it('Defaults to the configuration of the model', () => {
+    const metadata = {
+      game: new SnakeGame({height: 7, width: 8, numFruits: 2, maxSteps: 50})
+          .getConfig()
+    };
+    const config = getGameConfig({}, metadata);
+    expect(config.height).toEqual(7);
+    expect(config.width).toEqual(8);
+    expect(config.numFruits).toEqual(2);
+    expect(config.maxSteps).toEqual(50);
+  });
+
+  it('Flags override the configuration of the model', () => {
+    const metadata = {game: {height: 9, width: 9, numFruits: 1, initLen: 2}};
+    const config =
+        getGameConfig({numFruits: 3, maxSteps: 10, wrapAround: true}, metadata);
+    expect(config.numFruits).toEqual(3);
+    expect(config.maxSteps).toEqual(10);
+    expect(config.wrapAround).toEqual(true);
+  });
+
+  it('Wrap-around defaults to the model and can be turned on or off', () => {
+    const withWrapAround = {
+      game: {height: 9, width: 9, numFruits: 1, initLen: 2, wrapAround: true}
+    };
+    const withoutWrapAround = {
+      game: {height: 9, width: 9, numFruits: 1, initLen: 2, wrapAround: false}
+    };
+    expect(getGameConfig({wrapAround: null}, withWrapAround).wrapAround)
+        .toEqual(true);
+    expect(getGameConfig({wrapAround: null}, withoutWrapAround).wrapAround)
+        .toEqual(false);
+    expect(getGameConfig({wrapAround: false}, withWrapAround).wrapAround)
+        .toEqual(false);
+    expect(getGameConfig({wrapAround: true}, withoutWrapAround).wrapAround)
+        .toEqual(true);
+  });
+
+  it('Models without metadata and time limit', () => {
+    const config = getGameConfig({}, undefined);
+    expect(config.height).toEqual(9);
+    expect(config.width).toEqual(9);
+    // A time limit is always imposed, so that the evaluation terminates.
+    expect(config.maxSteps).toEqual(1000);
+  });
+});
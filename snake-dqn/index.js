@@ -17,6 +17,11 @@
 
 import * as tf from '@tensorflow/tfjs';
 
+// Importing dqn.js registers the custom layer of the dueling DQN, which is
+// needed for loading models of that variant.
+import './dqn';
+import {EpisodeRecorder, parseEpisode} from './episode_recorder';
+import {EpisodeViewer} from './episode_viewer';
 import {ALL_ACTIONS, getStateTensor, SnakeGame} from './snake_game';
 import {renderSnakeGame} from './snake_graphics';
 
@@ -30,6 +35,21 @@ const autoPlayStopButton = document.getElementById('auto-play-stop');
 const gameStatusSpan = document.getElementById('game-status');
 const showQValuesCheckbox = document.getElementById('show-q-values');
 
+const downloadEpisodeButton = document.getElementById('download-episode');
+const replayEpisodeButton = document.getElementById('replay-episode');
+const loadEpisodeInput = document.getElementById('load-episode');
+const episodeStatusSpan = document.getElementById('episode-status');
+
+const episodeViewer = new EpisodeViewer({
+  canvas: document.getElementById('replay-canvas'),
+  timeline: document.getElementById('replay-timeline'),
+  playPauseButton: document.getElementById('replay-play-pause'),
+  stepBackButton: document.getElementById('replay-step-back'),
+  stepForwardButton: document.getElementById('replay-step-forward'),
+  statusSpan: document.getElementById('replay-status'),
+  showQValuesCheckbox: document.getElementById('replay-show-q-values')
+});
+
 let game;
 let qNet;
 
@@ -38,12 +58,18 @@ let cumulativeFruits = 0;
 let autoPlaying = false;
 let autoPlayIntervalJob;
 
+// Every live game is recorded, so that it can be downloaded or replayed once
+// it's over.
+let episodeRecorder;
+let lastEpisode;
+
 /** Reset the game state. */
 async function reset() {
   if (game == null) {
     return;
   }
   game.reset();
+  episodeRecorder = new EpisodeRecorder(game.getConfig(), {source: 'browser'});
   await calcQValuesAndBestAction();
   renderSnakeGame(gameCanvas, game,
       showQValuesCheckbox.checked ? currentQValues : null);
@@ -62,7 +88,11 @@ async function reset() {
  * - Render the game in the canvas.
  */
 async function step() {
+  const state = game.getState();
+  const snakeDirection = game.snakeDirection;
   const {reward, done, fruitEaten} = game.step(bestAction);
+  episodeRecorder.addFrame(
+      state, snakeDirection, bestAction, currentQValues, reward, fruitEaten);
   invalidateQValuesAndBestAction();
   cumulativeReward += reward;
   if (fruitEaten) {
@@ -72,6 +102,9 @@ async function step() {
       `Reward=${cumulativeReward.toFixed(1)}; Fruits=${cumulativeFruits}`;
   if (done) {
     gameStatusSpan.textContent += '. Game Over!';
+    lastEpisode = episodeRecorder.getEpisode();
+    downloadEpisodeButton.disabled = false;
+    replayEpisodeButton.disabled = false;
     cumulativeReward = 0;
     cumulativeFruits = 0;
     if (autoPlayIntervalJob) {
@@ -95,7 +128,8 @@ async function calcQValuesAndBestAction() {
     return;
   }
   tf.tidy(() => {
-    const stateTensor = getStateTensor(game.getState(), game.height, game.width);
+    const stateTensor = getStateTensor(
+        game.getState(), game.height, game.width, game.obstacles);
     const predictOut = qNet.predict(stateTensor);
     currentQValues = predictOut.dataSync();
     bestAction = ALL_ACTIONS[predictOut.argMax(-1).dataSync()[0]];
@@ -110,6 +144,21 @@ function invalidateQValuesAndBestAction() {
 const LOCAL_MODEL_URL = './dqn/model.json';
 const REMOTE_MODEL_URL = 'https://storage.googleapis.com/tfjs-examples/snake-dqn/models/model.json';
 
+/**
+ * Get a human-readable description of the DQN variant of a loaded model.
+ *
+ * @param {tf.LayersModel} model The loaded model.
+ * @return {string} The description, e.g., 'dueling, Double DQN'.
+ */
+function describeModelVariant(model) {
+  const metadata = model.getUserDefinedMetadata() || {};
+  const variant = [metadata.dueling ? 'dueling' : 'standard'];
+  if (metadata.doubleDQN) {
+    variant.push('Double DQN');
+  }
+  return variant.join(', ');
+}
+
 function enableGameButtons() {
   autoPlayStopButton.disabled = false;
   stepButton.disabled = false;
@@ -117,7 +166,10 @@ function enableGameButtons() {
 }
 
 async function initGame() {
-  game = new SnakeGame({
+  // Models trained with obstacles, wrap-around, etc. record the game
+  // configuration in their metadata. Older models use the default 9x9 game.
+  const metadata = qNet.getUserDefinedMetadata() || {};
+  game = new SnakeGame(metadata.game || {
     height: 9,
     width: 9,
     numFruits: 1,
@@ -126,7 +178,8 @@ async function initGame() {
 
   // Warm up qNet.
   for (let i = 0; i < 3; ++i) {
-    qNet.predict(getStateTensor(game.getState(), game.height, game.width));
+    qNet.predict(getStateTensor(
+        game.getState(), game.height, game.width, game.obstacles));
   }
 
   await reset();
@@ -152,10 +205,55 @@ async function initGame() {
   resetButton.addEventListener('click',  () => reset(game));
 }
 
+/**
+ * Let the user download an object as a JSON file.
+ *
+ * @param {object} obj The object to download.
+ * @param {string} fileName Name of the file.
+ */
+function downloadJSON(obj, fileName) {
+  const blob = new Blob([JSON.stringify(obj)], {type: 'application/json'});
+  const anchor = document.createElement('a');
+  anchor.href = URL.createObjectURL(blob);
+  anchor.download = fileName;
+  anchor.click();
+  // The download may start asynchronously, so the URL is revoked only after
+  // the click has been handled.
+  setTimeout(() => URL.revokeObjectURL(anchor.href), 0);
+}
+
+downloadEpisodeButton.addEventListener('click', () => {
+  downloadJSON(lastEpisode, `snake-episode-${new Date().getTime()}.json`);
+});
+
+replayEpisodeButton.addEventListener('click', () => {
+  episodeViewer.load(lastEpisode);
+  episodeStatusSpan.textContent = 'Showing the last live game.';
+});
+
+loadEpisodeInput.addEventListener('change', () => {
+  const file = loadEpisodeInput.files[0];
+  if (file == null) {
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = event => {
+    try {
+      episodeViewer.load(parseEpisode(event.target.result));
+      episodeStatusSpan.textContent = `Loaded episode from ${file.name}.`;
+    } catch (err) {
+      episodeStatusSpan.textContent =
+          `Failed to load episode from ${file.name}: ${err.message}`;
+    }
+  };
+  reader.readAsText(file);
+});
+
 (async function() {
   try {
     qNet = await tf.loadLayersModel(LOCAL_MODEL_URL);
-    loadHostedModelButton.textContent = `Loaded model from ${LOCAL_MODEL_URL}`;
+    loadHostedModelButton.textContent =
+        `Loaded model from ${LOCAL_MODEL_URL} (${describeModelVariant(qNet)})`;
     initGame();
     enableGameButtons();
   } catch (err) {
@@ -166,7 +264,8 @@ async function initGame() {
   loadHostedModelButton.addEventListener('click', async () => {
     try {
       qNet = await tf.loadLayersModel(REMOTE_MODEL_URL);
-      loadHostedModelButton.textContent = `Loaded hosted model.`;
+      loadHostedModelButton.textContent =
+          `Loaded hosted model (${describeModelVariant(qNet)}).`;
       loadHostedModelButton.disabled = true;
       initGame();
       enableGameButtons();
@@ -71,4 +71,265 @@ export class ReplayMemory {
     }
     return out;
   }
+
+  /**
+   * Get a JSON-serializable snapshot of the replay buffer, e.g., for
+   * checkpointing.
+   *
+   * @return {object} The snapshot, which can be passed to `restore()`.
+   */
+  serialize() {
+    return {
+      maxLen: this.maxLen,
+      index: this.index,
+      length: this.length,
+      buffer: this.buffer
+    };
+  }
+
+  /**
+   * Restore the content of the replay buffer from a snapshot.
+   *
+   * @param {object} data A snapshot as returned by `serialize()`.
+   */
+  restore(data) {
+    if (data.maxLen !== this.maxLen) {
+      throw new Error(
+          `Snapshot buffer length (${data.maxLen}) does not match ` +
+          `buffer length (${this.maxLen})`);
+    }
+    this.buffer = data.buffer.slice();
+    this.index = data.index;
+    this.length = data.length;
+  }
+}
+
+/**
+ * A binary sum tree over a fixed number of non-negative leaf values.
+ *
+ * Each internal node holds the sum of its two children, so that the total
+ * of all leaves is available at the root and a leaf can be located from a
+ * cumulative value in O(log(n)) time. Used by `PrioritizedReplayMemory` to
+ * sample items with probabilities proportional to their priorities.
+ */
+export class SumTree {
+  /**
+   * Constructor of SumTree.
+   *
+   * @param {number} capacity Number of leaves. Must be a positive integer.
+   */
+  constructor(capacity) {
+    if (!(Number.isInteger(capacity) && capacity > 0)) {
+      throw new Error(
+          `Expected capacity to be a positive integer, but got ${capacity}`);
+    }
+    this.capacity = capacity;
+    // Round the number of leaves up to a power of two, so that leaves are
+    // laid out left-to-right in index order at the bottom of the tree.
+    this.numLeaves_ = 1;
+    while (this.numLeaves_ < capacity) {
+      this.numLeaves_ *= 2;
+    }
+    // Node 1 is the root; the children of node i are 2i and 2i + 1.
+    this.nodes_ = new Float64Array(2 * this.numLeaves_);
+  }
+
+  /**
+   * Set the value of a leaf and update the sums of its ancestors.
+   *
+   * @param {number} index Index of the leaf, >= 0 and < capacity.
+   * @param {number} value New value of the leaf. Must be >= 0.
+   */
+  set(index, value) {
+    if (!(value >= 0)) {
+      throw new Error(`Expected value to be >= 0, but got ${value}`);
+    }
+    let node = index + this.numLeaves_;
+    this.nodes_[node] = value;
+    node = Math.floor(node / 2);
+    while (node >= 1) {
+      this.nodes_[node] = this.nodes_[2 * node] + this.nodes_[2 * node + 1];
+      node = Math.floor(node / 2);
+    }
+  }
+
+  /**
+   * Get the value of a leaf.
+   *
+   * @param {number} index Index of the leaf, >= 0 and < capacity.
+   * @return {number} The value of the leaf.
+   */
+  get(index) {
+    return this.nodes_[index + this.numLeaves_];
+  }
+
+  /** Sum of all leaf values. */
+  get total() {
+    return this.nodes_[1];
+  }
+
+  /**
+   * Find the leaf at which the cumulative sum of leaf values (in index
+   * order) reaches a given value.
+   *
+   * @param {number} value A value >= 0 and < `total`.
+   * @return {number} Index of the leaf.
+   */
+  find(value) {
+    let node = 1;
+    while (node < this.numLeaves_) {
+      const left = 2 * node;
+      // The second condition guards against round-off errors leading
+      // to a descent into an all-zero subtree (e.g., of unfilled slots).
+      if (value < this.nodes_[left] || this.nodes_[left + 1] <= 0) {
+        node = left;
+      } else {
+        value -= this.nodes_[left];
+        node = left + 1;
+      }
+    }
+    return node - this.numLeaves_;
+  }
+}
+
+/**
+ * Prioritized replay buffer for DQN training.
+ *
+ * Items are sampled with probabilities proportional to `priority^alpha`,
+ * where the priority of an item is the absolute value of its latest
+ * temporal-difference (TD) error. See:
+ *   Schaul et al., "Prioritized Experience Replay", https://arxiv.org/abs/1511.05952
+ */
+export class PrioritizedReplayMemory extends ReplayMemory {
+  /**
+   * Constructor of PrioritizedReplayMemory.
+   *
+   * @param {number} maxLen Maximal buffer length.
+   * @param {number} alpha The exponent that determines how much
+   *   prioritization is used. 0 corresponds to uniform sampling. Must be
+   *   >= 0.
+   * @param {number} priorityEpsilon A small positive constant added to the
+   *   absolute TD errors, so that items with a zero error still have a
+   *   chance of being sampled.
+   */
+  constructor(maxLen, alpha = 0.6, priorityEpsilon = 1e-3) {
+    super(maxLen);
+    if (!(alpha >= 0)) {
+      throw new Error(`Expected alpha to be >= 0, but got ${alpha}`);
+    }
+    this.alpha = alpha;
+    this.priorityEpsilon = priorityEpsilon;
+    this.sumTree_ = new SumTree(maxLen);
+    // Newly-appended items get the maximal priority seen so far, which
+    // guarantees that every item gets sampled at least once.
+    this.maxPriority_ = 1;
+  }
+
+  /**
+   * Append an item to the replay buffer with the maximal priority.
+   *
+   * @param {any} item The item to append.
+   */
+  append(item) {
+    this.sumTree_.set(this.index, Math.pow(this.maxPriority_, this.alpha));
+    super.append(item);
+  }
+
+  /**
+   * Sample a batch of items from the replay buffer in proportion to their
+   * priorities.
+   *
+   * The sampling is done *with* replacement.
+   *
+   * @param {number} batchSize Size of the batch.
+   * @return {Array<any>} Sampled items.
+   */
+  sample(batchSize) {
+    return this.sampleWithWeights(batchSize, 0).items;
+  }
+
+  /**
+   * Sample a batch of items in proportion to their priorities, along with
+   * their buffer indices and importance-sampling weights.
+   *
+   * Stratified sampling is used: the total priority is split into
+   * `batchSize` equal segments and one item is drawn from each segment.
+   *
+   * @param {number} batchSize Size of the batch.
+   * @param {number} beta The exponent of the importance-sampling correction.
+   *   0 means no correction and 1 means full correction. Must be >= 0 and
+   *   <= 1.
+   * @return {object} An object with the following keys:
+   *   - `items` {Array<any>} Sampled items.
+   *   - `indices` {number[]} Buffer indices of the sampled items, to be
+   *     passed to `updatePriorities()`.
+   *   - `weights` {number[]} Importance-sampling weights of the sampled
+   *     items, normalized so that the largest weight in the batch is 1.
+   */
+  sampleWithWeights(batchSize, beta) {
+    if (batchSize > this.maxLen) {
+      throw new Error(
+          `batchSize (${batchSize}) exceeds buffer length (${this.maxLen})`);
+    }
+    if (this.length === 0) {
+      throw new Error('Cannot sample from an empty replay buffer');
+    }
+    const total = this.sumTree_.total;
+    const segment = total / batchSize;
+
+    const items = [];
+    const indices = [];
+    const weights = [];
+    let maxWeight = 0;
+    for (let i = 0; i < batchSize; ++i) {
+      const index = this.sumTree_.find((i + Math.random()) * segment);
+      const probability = this.sumTree_.get(index) / total;
+      const weight = Math.pow(this.length * probability, -beta);
+      items.push(this.buffer[index]);
+      indices.push(index);
+      weights.push(weight);
+      maxWeight = Math.max(maxWeight, weight);
+    }
+    return {items, indices, weights: weights.map(w => w / maxWeight)};
+  }
+
+  /**
+   * Update the priorities of items in the buffer.
+   *
+   * @param {number[]} indices Buffer indices of the items, as returned by
+   *   `sampleWithWeights()`.
+   * @param {number[] | Float32Array} tdErrors TD errors of the items, in the
+   *   same order as `indices`.
+   */
+  updatePriorities(indices, tdErrors) {
+    if (indices.length !== tdErrors.length) {
+      throw new Error(
+          `Length of indices (${indices.length}) does not match length of ` +
+          `tdErrors (${tdErrors.length})`);
+    }
+    for (let i = 0; i < indices.length; ++i) {
+      const priority = Math.abs(tdErrors[i]) + this.priorityEpsilon;
+      this.maxPriority_ = Math.max(this.maxPriority_, priority);
+      this.sumTree_.set(indices[i], Math.pow(priority, this.alpha));
+    }
+  }
+
+  serialize() {
+    const data = super.serialize();
+    data.priorities = [];
+    for (let i = 0; i < this.maxLen; ++i) {
+      data.priorities.push(this.sumTree_.get(i));
+    }
+    data.maxPriority = this.maxPriority_;
+    return data;
+  }
+
+  restore(data) {
+    if (data.priorities == null) {
+      throw new Error('Snapshot does not contain priorities');
+    }
+    super.restore(data);
+    data.priorities.forEach((priority, i) => this.sumTree_.set(i, priority));
+    this.maxPriority_ = data.maxPriority;
+  }
 }
@@ -15,7 +15,7 @@
  * =============================================================================
  */
 
-import {ReplayMemory} from "./replay_memory";
+import {PrioritizedReplayMemory, ReplayMemory, SumTree} from "./replay_memory";
 
 describe('ReplayMemory', () => {
   it('Not going over limit', () => {
@@ -42,3 +42,94 @@ describe('ReplayMemory', () => {
     }
   });
 });
+
+describe('SumTree', () => {
+  it('total and find', () => {
+    const tree = new SumTree(5);
+    expect(tree.total).toEqual(0);
+    tree.set(0, 1);
+    tree.set(1, 2);
+    tree.set(3, 3);
+    expect(tree.total).toEqual(6);
+    expect(tree.get(1)).toEqual(2);
+    expect(tree.find(0)).toEqual(0);
+    expect(tree.find(0.5)).toEqual(0);
+    expect(tree.find(1)).toEqual(1);
+    expect(tree.find(2.5)).toEqual(1);
+    expect(tree.find(3)).toEqual(3);
+    expect(tree.find(5.9)).toEqual(3);
+    // Leaves with zero values are never found.
+    expect(tree.find(6)).toEqual(3);
+
+    tree.set(1, 0.5);
+    expect(tree.total).toEqual(4.5);
+    expect(tree.find(1.2)).toEqual(1);
+    expect(tree.find(1.5)).toEqual(3);
+  });
+
+  it('Invalid capacity or value leads to Error', () => {
+    expect(() => new SumTree(0)).toThrowError(/capacity/);
+    expect(() => new SumTree(2.5)).toThrowError(/capacity/);
+    expect(() => new SumTree(4).set(0, -1)).toThrowError(/value/);
+  });
+});
+
+describe('PrioritizedReplayMemory', () => {
+  it('New items are sampled with equal probabilities', () => {
+    const memory = new PrioritizedReplayMemory(5, 0.6);
+    memory.append(10);
+    memory.append(20);
+    expect(memory.length).toEqual(2);
+
+    // Unfilled slots are never sampled.
+    for (let i = 0; i < 10; ++i) {
+      const {items, indices, weights} = memory.sampleWithWeights(4, 0.5);
+      expect(items.length).toEqual(4);
+      items.forEach((x, j) => {
+        expect([10, 20].indexOf(x)).toBeGreaterThanOrEqual(0);
+        expect(memory.buffer[indices[j]]).toEqual(x);
+      });
+      expect(weights).toEqual([1, 1, 1, 1]);
+    }
+  });
+
+  it('updatePriorities changes sampling probabilities', () => {
+    const memory = new PrioritizedReplayMemory(4, 1, 0);
+    memory.append(10);
+    memory.append(20);
+    memory.append(30);
+    memory.append(40);
+    memory.updatePriorities([0, 1, 2, 3], [0, 0, -3, 1]);
+
+    const counts = {10: 0, 20: 0, 30: 0, 40: 0};
+    for (let i = 0; i < 100; ++i) {
+      memory.sample(4).forEach(x => counts[x]++);
+    }
+    expect(counts[10]).toEqual(0);
+    expect(counts[20]).toEqual(0);
+    // Stratified sampling: with priorities 3:1, three of every four samples
+    // are 30.
+    expect(counts[30]).toEqual(300);
+    expect(counts[40]).toEqual(100);
+
+    // Items with lower priorities get larger importance-sampling weights.
+    const {items, weights} = memory.sampleWithWeights(4, 1);
+    items.forEach((x, j) => {
+      expect(weights[j]).toBeCloseTo(x === 30 ? 1 / 3 : 1);
+    });
+  });
+
+  it('Appended items get the maximal priority', () => {
+    const memory = new PrioritizedReplayMemory(2, 1, 0);
+    memory.append(10);
+    memory.updatePriorities([0], [4]);
+    memory.append(20);
+    expect(memory.sumTree_.get(1)).toEqual(4);
+  });
+
+  it('Mismatching indices and tdErrors lead to Error', () => {
+    const memory = new PrioritizedReplayMemory(2);
+    memory.append(10);
+    expect(() => memory.updatePriorities([0], [1, 2])).toThrowError(/length/);
+  });
+});
@@ -24,6 +24,8 @@ const DEFAULT_WIDTH = 16;
 const DEFAULT_NUM_FRUITS = 1;
 const DEFAULT_INIT_LEN = 4;
 
+// Default reward values, which can be overridden with the `rewards`
+// constructor argument of `SnakeGame`.
 // TODO(cais): Tune these parameters.
 export const NO_FRUIT_REWARD = -0.2;
 export const FRUIT_REWARD = 10;
@@ -37,6 +39,11 @@ export const ACTION_TURN_RIGHT = 2;
 export const ALL_ACTIONS = [ACTION_GO_STRAIGHT, ACTION_TURN_LEFT, ACTION_TURN_RIGHT];
 export const NUM_ACTIONS = ALL_ACTIONS.length;
 
+// Causes of the death of the snake, as reported by `SnakeGame.step()`.
+export const DEATH_CAUSE_WALL = 'wall';
+export const DEATH_CAUSE_OBSTACLE = 'obstacle';
+export const DEATH_CAUSE_SELF = 'self';
+
 /**
  * Generate a random action among all possible actions.
  *
@@ -56,6 +63,17 @@ export class SnakeGame {
    *   - numFruits {number} number of fruits present on the screen
    *     at any given step.
    *   - initLen {number} initial length of the snake.
+   *   - obstacles {Array<[number, number]>} [y, x] coordinates of static
+   *     obstacle squares (e.g., walls). The game ends when the head of the
+   *     snake hits an obstacle. Optional, defaults to no obstacles.
+   *   - wrapAround {boolean} whether the board is toroidal, i.e., the head
+   *     of the snake re-enters the board from the opposite edge instead of
+   *     going off it. Optional, defaults to `false`.
+   *   - maxSteps {number} maximum number of steps in a game, after which the
+   *     game ends without the death penalty. Optional, defaults to no limit.
+   *   - rewards {object} reward values, with the optional keys `noFruit`,
+   *     `fruit` and `death`. Missing keys default to `NO_FRUIT_REWARD`,
+   *     `FRUIT_REWARD` and `DEATH_REWARD`, respectively.
    */
   constructor(args) {
     if (args == null) {
@@ -78,11 +96,39 @@ export class SnakeGame {
     assertPositiveInteger(args.width, 'width');
     assertPositiveInteger(args.numFruits, 'numFruits');
     assertPositiveInteger(args.initLen, 'initLen');
+    if (args.maxSteps != null) {
+      assertPositiveInteger(args.maxSteps, 'maxSteps');
+    }
 
     this.height_ = args.height;
     this.width_ = args.width;
     this.numFruits_ = args.numFruits;
     this.initLen_ = args.initLen;
+    this.wrapAround_ = args.wrapAround === true;
+    this.maxSteps_ = args.maxSteps == null ? null : args.maxSteps;
+
+    const rewards = args.rewards || {};
+    this.noFruitReward_ =
+        rewards.noFruit == null ? NO_FRUIT_REWARD : rewards.noFruit;
+    this.fruitReward_ = rewards.fruit == null ? FRUIT_REWARD : rewards.fruit;
+    this.deathReward_ = rewards.death == null ? DEATH_REWARD : rewards.death;
+
+    this.obstacleSquares_ = [];
+    // Indices (y * width + x) of the obstacle squares, for fast lookup.
+    this.obstacleIndices_ = new Set();
+    (args.obstacles || []).forEach(([y, x]) => {
+      if (!(Number.isInteger(y) && y >= 0 && y < this.height_ &&
+            Number.isInteger(x) && x >= 0 && x < this.width_)) {
+        throw new Error(
+            `Obstacle [${y}, ${x}] is outside the ` +
+            `${this.height_}x${this.width_} board`);
+      }
+      const index = y * this.width_ + x;
+      if (!this.obstacleIndices_.has(index)) {
+        this.obstacleIndices_.add(index);
+        this.obstacleSquares_.push([y, x]);
+      }
+    });
 
     this.reset();
   }
@@ -94,6 +140,7 @@ export class SnakeGame {
    *   See the documentation of `getState()` for details.
    */
   reset() {
+    this.numSteps_ = 0;
     this.initializeSnake_();
     this.fruitSquares_ = null;
     this.makeFruits_();
@@ -111,13 +158,23 @@ export class SnakeGame {
    *     3 - bottom
    * @return {object} Object with the following keys:
    *   - `reward` {number} the reward value.
-   *     - 0 if no fruit is eaten in this step
-   *     - 1 if a fruit is eaten in this step
+   *     - the no-fruit reward if no fruit is eaten in this step
+   *     - the fruit reward if a fruit is eaten in this step
+   *     - the death reward if the snake dies in this step
    *   - `state` New state of the game after the step.
    *   - `fruitEaten` {boolean} Whether a fruit is easten in this step.
    *   - `done` {boolean} whether the game has ended after this step.
-   *     A game ends when the head of the snake goes off the board or goes
-   *     over its own body.
+   *     A game ends when the head of the snake goes off the board (unless
+   *     the board wraps around), hits an obstacle or goes over its own body,
+   *     or when the maximum number of steps is reached.
+   *   - `truncated` {boolean} Whether the game has ended because the maximum
+   *     number of steps is reached. Such a game is cut short rather than
+   *     over: unlike a death, the end is not a terminal state, and its value
+   *     should still be bootstrapped from the next state.
+   *   - `deathCause` {'wall' | 'obstacle' | 'self'} What the snake died of,
+   *     if it died in this step: going off the board, hitting an obstacle
+   *     or going over its own body, respectively. Absent otherwise,
+   *     including when the game ends because of the time limit.
    */
   step(action) {
     const [headY, headX] = this.snakeSquares_[0];
@@ -125,6 +182,7 @@ export class SnakeGame {
     // Calculate the coordinates of the new head and check whether it has
     // gone off the board, in which case the game will end.
     let done;
+    let deathCause;
     let newHeadY;
     let newHeadX;
 
@@ -147,29 +205,52 @@ export class SnakeGame {
       done = newHeadY >= this.height_;
     }
 
+    if (done && this.wrapAround_) {
+      // On a toroidal board, the head re-enters from the opposite edge.
+      newHeadY = (newHeadY + this.height_) % this.height_;
+      newHeadX = (newHeadX + this.width_) % this.width_;
+      done = false;
+    }
+    if (done) {
+      deathCause = DEATH_CAUSE_WALL;
+    }
+
+    // Check if the head hits an obstacle, in which case the game will end.
+    if (!done && this.obstacleIndices_.has(newHeadY * this.width_ + newHeadX)) {
+      done = true;
+      deathCause = DEATH_CAUSE_OBSTACLE;
+    }
+
     // Check if the head goes over the snake's body, in which case the
     // game will end.
     for (let i = 1; i < this.snakeSquares_.length; ++i) {
       if (this.snakeSquares_[i][0] === newHeadY &&
           this.snakeSquares_[i][1] === newHeadX) {
         done = true;
+        deathCause = DEATH_CAUSE_SELF;
       }
     }
 
     let fruitEaten = false;
     if (done) {
-      return {reward: DEATH_REWARD, done, fruitEaten};
+      return {
+        reward: this.deathReward_,
+        done,
+        truncated: false,
+        fruitEaten,
+        deathCause
+      };
     }
 
     // Update the position of the snake.
     this.snakeSquares_.unshift([newHeadY, newHeadX]);
 
     // Check if a fruit is eaten.
-    let reward = NO_FRUIT_REWARD;
+    let reward = this.noFruitReward_;
     for (let i = 0; i < this.fruitSquares_.length; ++i) {
       const fruitYX = this.fruitSquares_[i];
       if (fruitYX[0] === newHeadY && fruitYX[1] === newHeadX) {
-        reward = FRUIT_REWARD;
+        reward = this.fruitReward_;
         fruitEaten = true;
         this.fruitSquares_.splice(i, 1);
         this.makeFruits_();
@@ -182,8 +263,13 @@ export class SnakeGame {
       this.snakeSquares_.pop();
     }
 
+    // Check if the time limit is reached, in which case the game will end.
+    this.numSteps_++;
+    const truncated =
+        this.maxSteps_ != null && this.numSteps_ >= this.maxSteps_;
+
     const state = this.getState();
-    return {reward, state, done, fruitEaten};
+    return {reward, state, done: truncated, truncated, fruitEaten};
   }
 
   updateDirection_(action) {
@@ -235,9 +321,29 @@ export class SnakeGame {
     this.snakeSquares_ = [];
 
     // Currently, the snake will start from a completely-straight and
-    // horizontally-posed state.
-    const y = getRandomInteger(0, this.height_);
-    let x = getRandomInteger(this.initLen_ - 1, this.width_);
+    // horizontally-posed state, at a position free of obstacles.
+    const headPositions = [];
+    for (let y = 0; y < this.height_; ++y) {
+      for (let x = this.initLen_ - 1; x < this.width_; ++x) {
+        let free = true;
+        for (let i = 0; i < this.initLen_; ++i) {
+          if (this.obstacleIndices_.has(y * this.width_ + x - i)) {
+            free = false;
+            break;
+          }
+        }
+        if (free) {
+          headPositions.push([y, x]);
+        }
+      }
+    }
+    if (headPositions.length === 0) {
+      throw new Error(
+          `There is no room for a snake of length ${this.initLen_} ` +
+          `on the board`);
+    }
+    const [y, x] =
+        headPositions[getRandomInteger(0, headPositions.length)];
     for (let i = 0; i < this.initLen_; ++i) {
       this.snakeSquares_.push([y, x - i]);
     }
@@ -276,8 +382,9 @@ export class SnakeGame {
       }
     }
 
-    // Remove the squares occupied by the snake from the empty indices.
-    const occupiedIndices = [];
+    // Remove the squares occupied by the snake and the obstacles from the
+    // empty indices.
+    const occupiedIndices = Array.from(this.obstacleIndices_);
     this.snakeSquares_.forEach(yx => {
       occupiedIndices.push(yx[0] * this.width_ + yx[1]);
     });
@@ -297,6 +404,20 @@ export class SnakeGame {
     }
   }
 
+  /**
+   * Restore the game to a given state, e.g., from a checkpoint.
+   *
+   * @param {object} state A state object as returned by `getState()`.
+   * @param {'l' | 'u' | 'r' | 'd'} snakeDirection Direction of the snake.
+   * @param {number} numSteps Number of steps taken in the game so far.
+   */
+  restore(state, snakeDirection, numSteps = 0) {
+    this.snakeSquares_ = state.s.map(yx => yx.slice());
+    this.fruitSquares_ = state.f.map(yx => yx.slice());
+    this.snakeDirection_ = snakeDirection;
+    this.numSteps_ = numSteps;
+  }
+
   get height() {
     return this.height_;
   }
@@ -305,6 +426,44 @@ export class SnakeGame {
     return this.width_;
   }
 
+  /** [y, x] coordinates of the static obstacle squares. */
+  get obstacles() {
+    return this.obstacleSquares_;
+  }
+
+  /** Whether the board is toroidal. */
+  get wrapAround() {
+    return this.wrapAround_;
+  }
+
+  /** Number of steps taken in the ongoing game. */
+  get numSteps() {
+    return this.numSteps_;
+  }
+
+  /**
+   * Get the configuration of the game.
+   *
+   * @return {object} A configuration object that can be passed to the
+   *   constructor to create an identical game.
+   */
+  getConfig() {
+    return {
+      height: this.height_,
+      width: this.width_,
+      numFruits: this.numFruits_,
+      initLen: this.initLen_,
+      obstacles: this.obstacleSquares_.map(yx => yx.slice()),
+      wrapAround: this.wrapAround_,
+      maxSteps: this.maxSteps_,
+      rewards: {
+        noFruit: this.noFruitReward_,
+        fruit: this.fruitReward_,
+        death: this.deathReward_
+      }
+    };
+  }
+
   /**
    * Get plain JavaScript representation of the game state.
    *
@@ -332,25 +491,31 @@ export class SnakeGame {
  *   `f` for the fruit(s). Can also be an array of such state objects.
  * @param {number} h Height.
  * @param {number} w With.
- * @return {tf.Tensor} A tensor of shape [numExamples, height, width, 2] and
- *   dtype 'float32'
+ * @param {Array<[number, number]>} obstacles Obstacle squares of the game,
+ *   as returned by `SnakeGame.obstacles`. Optional.
+ * @return {tf.Tensor} A tensor of shape
+ *   [numExamples, height, width, numChannels] and dtype 'float32', where
+ *   `numChannels` is given by `getNumStateChannels(obstacles)`.
  *   - The first channel uses 0-1-2 values to mark the snake.
  *     - 0 means an empty square.
  *     - 1 means the body of the snake.
  *     - 2 means the haed of the snake.
  *   - The second channel uses 0-1 values to mark the fruits.
+ *   - If there are obstacles, the third channel uses 0-1 values to mark
+ *     them.
  *   - `numExamples` is 1 if `state` argument is a single object or an
  *     array of a single object. Otherwise, it will be equal to the length
  *     of the state-object array.
  */
 
-export function getStateTensor(state, h, w) {
+export function getStateTensor(state, h, w, obstacles) {
   if (!Array.isArray(state)) {
     state = [state];
   }
   const numExamples = state.length;
+  const numChannels = getNumStateChannels(obstacles);
   // TODO(cais): Maintain only a single buffer for efficiency.
-  const buffer = tf.buffer([numExamples, h, w, 2]);
+  const buffer = tf.buffer([numExamples, h, w, numChannels]);
 
   for (let n = 0; n < numExamples; ++n) {
     if (state[n] == null) {
@@ -365,6 +530,69 @@ export function getStateTensor(state, h, w) {
     state[n].f.forEach(yx => {
       buffer.set(1, n, yx[0], yx[1], 1);
     });
+
+    // Mark the obstacle(s).
+    if (numChannels > 2) {
+      obstacles.forEach(yx => {
+        buffer.set(1, n, yx[0], yx[1], 2);
+      });
+    }
   }
   return buffer.toTensor();
 }
+
+/**
+ * Get the number of channels of the state tensor of a game.
+ *
+ * Games without obstacles use two channels (snake and fruits), which keeps
+ * them compatible with DQNs trained before obstacles were supported. Games
+ * with obstacles use a third channel for the obstacles.
+ *
+ * @param {Array<[number, number]>} obstacles Obstacle squares of the game.
+ *   Optional.
+ * @return {2 | 3} The number of channels.
+ */
+export function getNumStateChannels(obstacles) {
+  return obstacles != null && obstacles.length > 0 ? 3 : 2;
+}
+
+/**
+ * Parse a level map into the board size and the obstacles of a game.
+ *
+ * A level map is a text with one line per row of the board, in which `#`
+ * marks an obstacle square and any other character (e.g., `.`) marks an
+ * empty square. Empty lines are ignored. For example, the following is a
+ * 5x6 board with a wall in the middle:
+ *
+ *   ......
+ *   ......
+ *   ..##..
+ *   ......
+ *   ......
+ *
+ * @param {string} text The level map.
+ * @return {object} An object with the keys `height`, `width` and `obstacles`,
+ *   which can be used as arguments to the constructor of `SnakeGame`.
+ */
+export function parseLevelMap(text) {
+  const rows = text.split('\n').map(row => row.replace(/\s+$/, ''))
+      .filter(row => row.length > 0);
+  if (rows.length === 0) {
+    throw new Error('Level map is empty');
+  }
+  const width = rows[0].length;
+  const obstacles = [];
+  rows.forEach((row, y) => {
+    if (row.length !== width) {
+      throw new Error(
+          `Row ${y} of the level map has length ${row.length}, ` +
+          `which differs from the length of the first row (${width})`);
+    }
+    for (let x = 0; x < width; ++x) {
+      if (row[x] === '#') {
+        obstacles.push([y, x]);
+      }
+    }
+  });
+  return {height: rows.length, width, obstacles};
+}
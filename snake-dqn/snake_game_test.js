@@ -19,7 +19,7 @@ import * as tf from '@tensorflow/tfjs';
 
 import {expectArraysClose} from '../test_util';
 
-import {ACTION_GO_STRAIGHT, ACTION_TURN_LEFT, ACTION_TURN_RIGHT, DEATH_REWARD, FRUIT_REWARD, getRandomAction, getStateTensor, NO_FRUIT_REWARD, SnakeGame} from './snake_game';
+import {ACTION_GO_STRAIGHT, ACTION_TURN_LEFT, ACTION_TURN_RIGHT, DEATH_CAUSE_OBSTACLE, DEATH_CAUSE_SELF, DEATH_CAUSE_WALL, DEATH_REWARD, FRUIT_REWARD, getNumStateChannels, getRandomAction, getStateTensor, NO_FRUIT_REWARD, parseLevelMap, SnakeGame} from './snake_game';
 
 describe('getRandomAction', () => {
   it('getRandomAction', () => {
@@ -192,11 +192,13 @@ describe('SnakeGame', () => {
     const game = new SnakeGame({height: 5, width: 5, initLen: 2});
     // Manually set the positions of the snake and the fruit for testing.
     game.snakeSquares_ = [[4, 0], [4, 1]];
+    game.snakeDirection_ = 'l';
     game.fruitSquares_ = [[0, 4]];
 
-    const {reward, done} = game.step(ACTION_GO_STRAIGHT);
+    const {reward, done, deathCause} = game.step(ACTION_GO_STRAIGHT);
     expect(reward).toEqual(DEATH_REWARD);
     expect(done).toEqual(true);
+    expect(deathCause).toEqual(DEATH_CAUSE_WALL);
   });
 
   it('step: goes off top edge of board', () => {
@@ -205,9 +207,10 @@ describe('SnakeGame', () => {
     game.snakeDirection_ = 'u';
     game.fruitSquares_ = [[0, 4]];
 
-    const {reward, done} = game.step(ACTION_GO_STRAIGHT);
+    const {reward, done, deathCause} = game.step(ACTION_GO_STRAIGHT);
     expect(reward).toEqual(DEATH_REWARD);
     expect(done).toEqual(true);
+    expect(deathCause).toEqual(DEATH_CAUSE_WALL);
   });
 
   it('step: goes off right edge of board', () => {
@@ -215,9 +218,10 @@ describe('SnakeGame', () => {
     game.snakeSquares_ = [[3, 4], [3, 3]];
     game.fruitSquares_ = [[0, 4]];
 
-    const {reward, done} = game.step(ACTION_GO_STRAIGHT);
+    const {reward, done, deathCause} = game.step(ACTION_GO_STRAIGHT);
     expect(reward).toEqual(DEATH_REWARD);
     expect(done).toEqual(true);
+    expect(deathCause).toEqual(DEATH_CAUSE_WALL);
   });
 
   it('step: goes off bottom edge of board', () => {
@@ -226,9 +230,10 @@ describe('SnakeGame', () => {
     game.snakeDirection_ = 'l';
     game.fruitSquares_ = [[0, 4]];
 
-    const {reward, done} = game.step(ACTION_TURN_LEFT);
+    const {reward, done, deathCause} = game.step(ACTION_TURN_LEFT);
     expect(reward).toEqual(DEATH_REWARD);
     expect(done).toEqual(true);
+    expect(deathCause).toEqual(DEATH_CAUSE_WALL);
   });
 
   it('step: bumps into own body 1', () => {
@@ -237,10 +242,11 @@ describe('SnakeGame', () => {
     game.snakeDirection_ = 'u';
     game.fruitSquares_ = [[0, 4]];
 
-    const {reward, done} = game.step(ACTION_TURN_RIGHT);
+    const {reward, done, deathCause} = game.step(ACTION_TURN_RIGHT);
     expect(game.snakeDirection).toEqual('r');
     expect(reward).toEqual(DEATH_REWARD);
     expect(done).toEqual(true);
+    expect(deathCause).toEqual(DEATH_CAUSE_SELF);
   });
 
   it('step: fruit eaten', () => {
@@ -267,6 +273,129 @@ describe('SnakeGame', () => {
     });
   });
 
+  it('step: hits an obstacle', () => {
+    const game = new SnakeGame(
+        {height: 5, width: 5, initLen: 2, obstacles: [[2, 3], [4, 4]]});
+    game.snakeSquares_ = [[2, 2], [2, 1]];
+    game.snakeDirection_ = 'r';
+    game.fruitSquares_ = [[0, 4]];
+
+    const {reward, done, deathCause} = game.step(ACTION_GO_STRAIGHT);
+    expect(reward).toEqual(DEATH_REWARD);
+    expect(done).toEqual(true);
+    expect(deathCause).toEqual(DEATH_CAUSE_OBSTACLE);
+  });
+
+  it('step: wraps around the edges of the board', () => {
+    const game = new SnakeGame(
+        {height: 5, width: 5, initLen: 2, wrapAround: true});
+    game.snakeSquares_ = [[3, 4], [3, 3]];
+    game.snakeDirection_ = 'r';
+    game.fruitSquares_ = [[0, 2]];
+
+    let out = game.step(ACTION_GO_STRAIGHT);
+    expect(out.done).toEqual(false);
+    expect(out.reward).toEqual(NO_FRUIT_REWARD);
+    expect(out.deathCause).toBeUndefined();
+    expect(game.snakeSquares_).toEqual([[3, 0], [3, 4]]);
+
+    game.snakeSquares_ = [[0, 2], [1, 2]];
+    game.snakeDirection_ = 'u';
+    game.fruitSquares_ = [[4, 2]];
+    out = game.step(ACTION_GO_STRAIGHT);
+    expect(out.done).toEqual(false);
+    expect(out.fruitEaten).toEqual(true);
+    expect(game.snakeSquares_).toEqual([[4, 2], [0, 2], [1, 2]]);
+  });
+
+  it('step: time limit', () => {
+    const game = new SnakeGame(
+        {height: 5, width: 5, initLen: 2, maxSteps: 3, wrapAround: true});
+    game.fruitSquares_ = [];
+    for (let i = 0; i < 2; ++i) {
+      const {done, truncated} = game.step(ACTION_GO_STRAIGHT);
+      expect(done).toEqual(false);
+      expect(truncated).toEqual(false);
+      expect(game.numSteps).toEqual(i + 1);
+    }
+    const {reward, state, done, truncated, deathCause} =
+        game.step(ACTION_GO_STRAIGHT);
+    // Reaching the time limit doesn't incur the death penalty.
+    expect(reward).toEqual(NO_FRUIT_REWARD);
+    expect(deathCause).toBeUndefined();
+    expect(state).toEqual(game.getState());
+    expect(done).toEqual(true);
+    expect(truncated).toEqual(true);
+
+    game.reset();
+    expect(game.numSteps).toEqual(0);
+  });
+
+  it('Custom rewards', () => {
+    const game = new SnakeGame({
+      height: 5,
+      width: 5,
+      initLen: 2,
+      rewards: {noFruit: -1, fruit: 5}
+    });
+    game.snakeSquares_ = [[2, 2], [2, 1]];
+    game.snakeDirection_ = 'r';
+    game.fruitSquares_ = [[2, 4]];
+    expect(game.step(ACTION_GO_STRAIGHT).reward).toEqual(-1);
+    expect(game.step(ACTION_GO_STRAIGHT).reward).toEqual(5);
+    // The death reward falls back to the default.
+    expect(game.step(ACTION_GO_STRAIGHT).reward).toEqual(DEATH_REWARD);
+  });
+
+  it('Snake and fruits avoid obstacles', () => {
+    // Only row 2 has room for the snake.
+    const obstacles = [];
+    for (let y = 0; y < 5; ++y) {
+      for (let x = 0; x < 5; ++x) {
+        if (y !== 2 && !(y === 4 && x === 0)) {
+          obstacles.push([y, x]);
+        }
+      }
+    }
+    for (let i = 0; i < 10; ++i) {
+      const game = new SnakeGame(
+          {height: 5, width: 5, initLen: 3, numFruits: 1, obstacles});
+      const {s, f} = game.getState();
+      s.forEach(([y]) => expect(y).toEqual(2));
+      expect(f.length).toEqual(1);
+      const isAt = yx => yx[0] === f[0][0] && yx[1] === f[0][1];
+      expect(obstacles.some(isAt)).toEqual(false);
+      expect(s.some(isAt)).toEqual(false);
+    }
+  });
+
+  it('Invalid obstacles lead to Error', () => {
+    expect(() => new SnakeGame({height: 5, width: 5, obstacles: [[5, 0]]}))
+        .toThrowError(/outside/);
+    const obstacles = [];
+    for (let y = 0; y < 5; ++y) {
+      obstacles.push([y, 2]);
+    }
+    expect(() => new SnakeGame(
+        {height: 5, width: 5, initLen: 3, obstacles})).toThrowError(/room/);
+  });
+
+  it('getConfig', () => {
+    const config = {
+      height: 5,
+      width: 6,
+      numFruits: 2,
+      initLen: 3,
+      obstacles: [[0, 0]],
+      wrapAround: true,
+      maxSteps: 100,
+      rewards: {noFruit: 0, fruit: 1, death: -1}
+    };
+    const game = new SnakeGame(Object.assign({}, config));
+    expect(game.getConfig()).toEqual(config);
+    expect(new SnakeGame(game.getConfig()).getConfig()).toEqual(config);
+  });
+
   it('reset after game over', () => {
     const game = new SnakeGame({height: 5, width: 5, initLen: 4});
     game.snakeSquares_ = [[2, 3], [3, 3], [3, 4], [2, 4]];
@@ -409,3 +538,44 @@ describe('getStateTensor', () => {
         tf.tensor2d([[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 1]]));
   });
 });
+
+describe('getStateTensor with obstacles', () => {
+  it('Obstacles are marked in a third channel', () => {
+    const h = 3;
+    const w = 3;
+    const state = {s: [[0, 0], [0, 1]], f: [[2, 2]]};
+    const obstacles = [[1, 1], [1, 2]];
+    expect(getNumStateChannels(obstacles)).toEqual(3);
+    const tensor = getStateTensor([state, null], h, w, obstacles);
+    expect(tensor.shape).toEqual([2, 3, 3, 3]);
+    const [snakeTensor, fruitTensor, obstacleTensor] =
+        tensor.gather(0).unstack(-1);
+    expectArraysClose(
+        snakeTensor, tf.tensor2d([[2, 1, 0], [0, 0, 0], [0, 0, 0]]));
+    expectArraysClose(
+        fruitTensor, tf.tensor2d([[0, 0, 0], [0, 0, 0], [0, 0, 1]]));
+    expectArraysClose(
+        obstacleTensor, tf.tensor2d([[0, 0, 0], [0, 1, 1], [0, 0, 0]]));
+    expectArraysClose(tensor.gather(1), tf.zeros([3, 3, 3]));
+  });
+
+  it('No obstacles: two channels', () => {
+    expect(getNumStateChannels(undefined)).toEqual(2);
+    expect(getNumStateChannels([])).toEqual(2);
+    const state = {s: [[0, 0], [0, 1]], f: [[2, 2]]};
+    expect(getStateTensor(state, 3, 3, []).shape).toEqual([1, 3, 3, 2]);
+  });
+});
+
+describe('parseLevelMap', () => {
+  it('parseLevelMap', () => {
+    const level = parseLevelMap('....\n.##.\n...#\n');
+    expect(level).toEqual(
+        {height: 3, width: 4, obstacles: [[1, 1], [1, 2], [2, 3]]});
+  });
+
+  it('Rows of different lengths lead to Error', () => {
+    expect(() => parseLevelMap('....\n...\n')).toThrowError(/Row 1/);
+    expect(() => parseLevelMap('\n')).toThrowError(/empty/);
+  });
+});
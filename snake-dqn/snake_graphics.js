@@ -54,6 +54,15 @@ export function renderSnakeGame(canvas, game, qValues) {
     ctx.stroke();
   }
 
+  // Draw the obstacles.
+  game.obstacles.forEach(yx => {
+    const [y, x] = yx;
+    ctx.fillStyle = '#444';
+    ctx.beginPath();
+    ctx.rect(x * gridWidth, y * gridHeight, gridWidth, gridHeight);
+    ctx.fill();
+  });
+
   // Draw the snake.
   state.s.forEach((yx, i) => {
     const [y, x] = yx;
@@ -125,16 +134,24 @@ export function renderSnakeGame(canvas, game, qValues) {
       qW = qValues[2];
     }
 
+    // On a toroidal board, the overlays of squares beyond an edge are drawn
+    // on the opposite edge.
+    const wrapX = x => game.wrapAround ? (x + gameWidth) % gameWidth : x;
+    const wrapY = y => game.wrapAround ? (y + gameHeight) % gameHeight : y;
     const {qWNormalized, qNNormalized, qENormalized, qSNormalized} =
         normalizeQValuesForDisplay(qW, qN, qE, qS);
     drawQValueOverlay(ctx, qW, qWNormalized,
-        (headX - 1) * gridWidth, headY * gridHeight, gridWidth, gridHeight);
+        wrapX(headX - 1) * gridWidth, headY * gridHeight, gridWidth,
+        gridHeight);
     drawQValueOverlay(ctx, qN, qNNormalized,
-        headX * gridWidth, (headY - 1) * gridHeight, gridWidth, gridHeight);
+        headX * gridWidth, wrapY(headY - 1) * gridHeight, gridWidth,
+        gridHeight);
     drawQValueOverlay(ctx, qE, qENormalized,
-        (headX  + 1) * gridWidth, headY * gridHeight, gridWidth, gridHeight);
+        wrapX(headX + 1) * gridWidth, headY * gridHeight, gridWidth,
+        gridHeight);
     drawQValueOverlay(ctx, qS, qSNormalized,
-        headX * gridWidth, (headY + 1) * gridHeight, gridWidth, gridHeight);
+        headX * gridWidth, wrapY(headY + 1) * gridHeight, gridWidth,
+        gridHeight);
   }
 }
 
@@ -16,6 +16,7 @@
  */
 
 import * as fs from 'fs';
+import * as path from 'path';
 
 import * as argparse from 'argparse';
 import {mkdir} from 'shelljs';
@@ -25,8 +26,9 @@ import {mkdir} from 'shelljs';
 let tf;
 
 import {SnakeGameAgent} from './agent';
+import {loadCheckpoint, saveCheckpoint} from './checkpoint';
 import {copyWeights} from './dqn';
-import {SnakeGame} from './snake_game';
+import {DEATH_REWARD, FRUIT_REWARD, NO_FRUIT_REWARD, parseLevelMap, SnakeGame} from './snake_game';
 
 class MovingAverager {
   constructor(bufferLength) {
@@ -60,43 +62,107 @@ class MovingAverager {
  * @param {number} syncEveryFrames The frequency at which the weights are copied
  *   from the online DQN of the agent to the target DQN, in number of frames.
  * @param {string} savePath Path to which the online DQN of the agent will be
- *   saved upon the completion of the training.
+ *   saved whenever the moving-averaged cumulative reward reaches a new best,
+ *   and upon the completion of the training.
  * @param {string} logDir Directory to which TensorBoard logs will be written
  *   during the training. Optional.
+ * @param {string} checkpointDir Directory to which the full state of the
+ *   training (networks, optimizer, replay memory, etc.) will be saved
+ *   periodically and upon the completion of the training. Optional.
+ * @param {number} checkpointEveryFrames The frequency at which checkpoints
+ *   are saved to `checkpointDir`, in number of frames.
+ * @param {string} resumeFrom Path to a checkpoint directory to resume the
+ *   training from. The agent must have been created with the same
+ *   configuration as the checkpointed one. Optional.
+ * @param {string} recordEpisodesDir Directory to which recorded episodes
+ *   will be written as JSON files, for viewing in the browser demo.
+ *   Optional.
+ * @param {number} recordEveryEpisodes The frequency at which episodes are
+ *   recorded, in number of episodes.
  */
 export async function train(
     agent, batchSize, gamma, learningRate, cumulativeRewardThreshold,
-    maxNumFrames, syncEveryFrames, savePath, logDir) {
+    maxNumFrames, syncEveryFrames, savePath, logDir, checkpointDir,
+    checkpointEveryFrames, resumeFrom, recordEpisodesDir,
+    recordEveryEpisodes) {
   let summaryWriter;
   if (logDir != null) {
     summaryWriter = tf.node.summaryFileWriter(logDir);
   }
 
-  for (let i = 0; i < agent.replayBufferSize; ++i) {
-    agent.playStep();
-  }
-
   // Moving averager: cumulative reward across 100 most recent 100 episodes.
   const rewardAverager100 = new MovingAverager(100);
   // Moving averager: fruits eaten across 100 most recent 100 episodes.
   const eatenAverager100 = new MovingAverager(100);
 
   const optimizer = tf.train.adam(learningRate);
+  let averageReward100Best = -Infinity;
+  if (resumeFrom != null) {
+    const trainState = await loadCheckpoint(resumeFrom, agent, optimizer);
+    rewardAverager100.buffer = trainState.rewardAverager100;
+    eatenAverager100.buffer = trainState.eatenAverager100;
+    // -Infinity is serialized as null in JSON.
+    if (trainState.averageReward100Best != null) {
+      averageReward100Best = trainState.averageReward100Best;
+    }
+    console.log(
+        `Resumed training from ${resumeFrom} at frame #${agent.frameCount}`);
+  } else {
+    for (let i = 0; i < agent.replayBufferSize; i += agent.numGames) {
+      agent.playSteps();
+    }
+  }
+
+  const writeCheckpoint = async () => {
+    await saveCheckpoint(checkpointDir, agent, optimizer, {
+      rewardAverager100: rewardAverager100.buffer,
+      eatenAverager100: eatenAverager100.buffer,
+      averageReward100Best
+    });
+    console.log(
+        `Saved checkpoint at frame #${agent.frameCount} to ${checkpointDir}`);
+  };
+
+  const saveOnlineNetwork = async () => {
+    if (!fs.existsSync(savePath)) {
+      mkdir('-p', savePath);
+    }
+    await agent.onlineNetwork.save(`file://${savePath}`);
+    console.log(`Saved DQN to ${savePath}`);
+  };
+
   let tPrev = new Date().getTime();
   let frameCountPrev = agent.frameCount;
-  let averageReward100Best = -Infinity;
+  let episodeCount = 0;
   while (true) {
     agent.trainOnReplayBatch(batchSize, gamma, optimizer);
-    const {cumulativeReward, done, fruitsEaten} = agent.playStep();
-    if (done) {
+    const frameCountBeforeStep = agent.frameCount;
+    const outputs = agent.playSteps().filter(output => output.done);
+    if (recordEpisodesDir != null) {
+      outputs.forEach(({episode}) => {
+        if (episode != null) {
+          writeEpisode(recordEpisodesDir, episode, agent.frameCount);
+        }
+        episodeCount++;
+        if (episodeCount % recordEveryEpisodes === 0) {
+          agent.recordNextEpisode(
+              0, {frameCount: agent.frameCount, epsilon: agent.epsilon});
+        }
+      });
+    }
+    if (outputs.length > 0) {
       const t = new Date().getTime();
       const framesPerSecond =
           (agent.frameCount - frameCountPrev) / (t - tPrev) * 1e3;
+      // All games are stepped together, so they run at the same speed.
+      const framesPerSecondPerGame = framesPerSecond / agent.numGames;
       tPrev = t;
       frameCountPrev = agent.frameCount;
 
-      rewardAverager100.append(cumulativeReward);
-      eatenAverager100.append(fruitsEaten);
+      outputs.forEach(({cumulativeReward, fruitsEaten}) => {
+        rewardAverager100.append(cumulativeReward);
+        eatenAverager100.append(fruitsEaten);
+      });
       const averageReward100 = rewardAverager100.average();
       const averageEaten100 = eatenAverager100.average();
 
@@ -105,7 +171,11 @@ export async function train(
           `cumulativeReward100=${averageReward100.toFixed(1)}; ` +
           `eaten100=${averageEaten100.toFixed(2)} ` +
           `(epsilon=${agent.epsilon.toFixed(3)}) ` +
-          `(${framesPerSecond.toFixed(1)} frames/s)`);
+          `(${framesPerSecond.toFixed(1)} frames/s` +
+          (agent.numGames > 1 ?
+               `; ${framesPerSecondPerGame.toFixed(1)} frames/s per game ` +
+               `x ${agent.numGames} games)` :
+               ')'));
       if (summaryWriter != null) {
         summaryWriter.scalar(
             'cumulativeReward100', averageReward100, agent.frameCount);
@@ -113,30 +183,76 @@ export async function train(
         summaryWriter.scalar('epsilon', agent.epsilon, agent.frameCount);
         summaryWriter.scalar(
             'framesPerSecond', framesPerSecond, agent.frameCount);
+        if (agent.numGames > 1) {
+          summaryWriter.scalar(
+              'framesPerSecondPerGame', framesPerSecondPerGame,
+              agent.frameCount);
+        }
+        if (agent.prioritizedReplay) {
+          summaryWriter.scalar(
+              'priorityBeta', agent.priorityBeta, agent.frameCount);
+        }
       }
       if (averageReward100 >= cumulativeRewardThreshold ||
           agent.frameCount >= maxNumFrames) {
-        // TODO(cais): Save online network.
+        if (savePath != null) {
+          await saveOnlineNetwork();
+        }
+        if (checkpointDir != null) {
+          await writeCheckpoint();
+        }
         break;
       }
       if (averageReward100 > averageReward100Best) {
         averageReward100Best = averageReward100;
         if (savePath != null) {
-          if (!fs.existsSync(savePath)) {
-            mkdir('-p', savePath);
-          }
-          await agent.onlineNetwork.save(`file://${savePath}`);
-          console.log(`Saved DQN to ${savePath}`);
+          await saveOnlineNetwork();
         }
       }
     }
-    if (agent.frameCount % syncEveryFrames === 0) {
+    if (crossesMultipleOf(
+            frameCountBeforeStep, agent.frameCount, syncEveryFrames)) {
       copyWeights(agent.targetNetwork, agent.onlineNetwork);
       console.log('Sync\'ed weights from online network to target network');
     }
+    if (checkpointDir != null &&
+        crossesMultipleOf(
+            frameCountBeforeStep, agent.frameCount, checkpointEveryFrames)) {
+      await writeCheckpoint();
+    }
   }
 }
 
+/**
+ * Write a recorded episode to a JSON file.
+ *
+ * @param {string} dirPath Directory to write the file in.
+ * @param {object} episode The recorded episode.
+ * @param {number} frameCount Current frame count of the training, used in
+ *   the file name.
+ */
+function writeEpisode(dirPath, episode, frameCount) {
+  if (!fs.existsSync(dirPath)) {
+    mkdir('-p', dirPath);
+  }
+  const filePath = path.join(dirPath, `episode-${frameCount}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(episode));
+  console.log(
+      `Recorded episode (${episode.frames.length} frames, ` +
+      `cumulativeReward=${episode.cumulativeReward.toFixed(1)}) ` +
+      `to ${filePath}`);
+}
+
+/**
+ * Determine whether a multiple of a period lies in (prev, curr].
+ *
+ * With multiple games, the frame count advances by more than one per step,
+ * so periodic events cannot be triggered by `frameCount % period === 0`.
+ */
+function crossesMultipleOf(prev, curr, period) {
+  return Math.floor(curr / period) > Math.floor(prev / period);
+}
+
 export function parseArguments() {
   const parser = new argparse.ArgumentParser({
     description: 'Training script for a DQN that plays the snake game'
@@ -166,6 +282,49 @@ export function parseArguments() {
     defaultValue: 2,
     help: 'Initial length of the snake, in number of squares.'
   });
+  parser.addArgument('--levelMap', {
+    type: 'string',
+    defaultValue: null,
+    help: 'Path to a level map file, which defines the board size and the ' +
+    'static obstacles (e.g., walls) of the game, with one line per row of ' +
+    'the board and `#` marking an obstacle square. If specified, ' +
+    'overrides --height and --width.'
+  });
+  parser.addArgument('--wrapAround', {
+    action: 'storeTrue',
+    help: 'Make the board toroidal, i.e., let the snake re-enter the board ' +
+    'from the opposite edge instead of dying when it goes off the board.'
+  });
+  parser.addArgument('--maxSteps', {
+    type: 'int',
+    defaultValue: null,
+    help: 'Maximum number of steps in a game, after which the game ends ' +
+    'without the death penalty. If not specified, games are not ' +
+    'time-limited.'
+  });
+  parser.addArgument('--noFruitReward', {
+    type: 'float',
+    defaultValue: NO_FRUIT_REWARD,
+    help: 'Reward for a step in which no fruit is eaten.'
+  });
+  parser.addArgument('--fruitReward', {
+    type: 'float',
+    defaultValue: FRUIT_REWARD,
+    help: 'Reward for eating a fruit.'
+  });
+  parser.addArgument('--deathReward', {
+    type: 'float',
+    defaultValue: DEATH_REWARD,
+    help: 'Reward for dying.'
+  });
+  parser.addArgument('--numGames', {
+    type: 'int',
+    defaultValue: 1,
+    help: 'Number of games to play together during the training. The ' +
+    'actions of all games are computed with a single batched inference ' +
+    'call of the DQN, which increases the throughput of experience ' +
+    'collection.'
+  });
   parser.addArgument('--cumulativeRewardThreshold', {
     type: 'float',
     defaultValue: 100,
@@ -200,6 +359,46 @@ export function parseArguments() {
     help: 'Number of frames of game over which the value of epsilon ' +
     'decays from epsilonInit to epsilonFinal'
   });
+  parser.addArgument('--dueling', {
+    action: 'storeTrue',
+    help: 'Use the dueling DQN architecture, which estimates the state value ' +
+    'and the action advantages in two separate streams.'
+  });
+  parser.addArgument('--doubleDQN', {
+    action: 'storeTrue',
+    help: 'Use Double DQN to compute the target Q-values, i.e., evaluate ' +
+    'the action selected by the online network with the target network.'
+  });
+  parser.addArgument('--prioritizedReplay', {
+    action: 'storeTrue',
+    help: 'Use prioritized experience replay, i.e., sample examples from ' +
+    'the replay memory in proportion to their TD errors, instead of ' +
+    'uniformly.'
+  });
+  parser.addArgument('--priorityAlpha', {
+    type: 'float',
+    defaultValue: 0.6,
+    help: 'Prioritization exponent (alpha) of prioritized replay. ' +
+    '0 corresponds to uniform sampling.'
+  });
+  parser.addArgument('--priorityBetaInit', {
+    type: 'float',
+    defaultValue: 0.4,
+    help: 'Initial value of the importance-sampling exponent (beta) of ' +
+    'prioritized replay.'
+  });
+  parser.addArgument('--priorityBetaFinal', {
+    type: 'float',
+    defaultValue: 1,
+    help: 'Final value of the importance-sampling exponent (beta) of ' +
+    'prioritized replay.'
+  });
+  parser.addArgument('--priorityBetaAnnealFrames', {
+    type: 'int',
+    defaultValue: 1e5,
+    help: 'Number of frames of game over which the value of beta ' +
+    'is annealed from priorityBetaInit to priorityBetaFinal.'
+  });
   parser.addArgument('--batchSize', {
     type: 'int',
     defaultValue: 64,
@@ -231,6 +430,38 @@ export function parseArguments() {
     defaultValue: null,
     help: 'Path to the directory for writing TensorBoard logs in.'
   });
+  parser.addArgument('--checkpointDir', {
+    type: 'string',
+    defaultValue: null,
+    help: 'Path to the directory for periodically saving the full state ' +
+    'of the training (networks, optimizer, replay memory, epsilon, frame ' +
+    'count, etc.) in. If not specified, no checkpoints are saved.'
+  });
+  parser.addArgument('--checkpointEveryFrames', {
+    type: 'int',
+    defaultValue: 5e4,
+    help: 'Frequency at which checkpoints are saved, in number of frames.'
+  });
+  parser.addArgument('--recordEpisodesDir', {
+    type: 'string',
+    defaultValue: null,
+    help: 'Path to the directory for writing recorded episodes (states, ' +
+    'actions and Q-values of every frame) in, as JSON files that can be ' +
+    'viewed in the browser demo. If not specified, no episodes are ' +
+    'recorded.'
+  });
+  parser.addArgument('--recordEveryEpisodes', {
+    type: 'int',
+    defaultValue: 500,
+    help: 'Frequency at which episodes are recorded, in number of episodes.'
+  });
+  parser.addArgument('--resumeFrom', {
+    type: 'string',
+    defaultValue: null,
+    help: 'Path to a checkpoint directory (see --checkpointDir) to resume ' +
+    'the training from. The other flags must be the same as in the ' +
+    'checkpointed run.'
+  });
   return parser.parseArgs();
 }
 
@@ -243,24 +474,48 @@ async function main() {
   }
   console.log(`args: ${JSON.stringify(args, null, 2)}`);
 
-  const game = new SnakeGame({
+  const gameConfig = {
     height: args.height,
     width: args.width,
     numFruits: args.numFruits,
-    initLen: args.initLen
-  });
-  const agent = new SnakeGameAgent(game, {
+    initLen: args.initLen,
+    wrapAround: args.wrapAround,
+    maxSteps: args.maxSteps,
+    rewards: {
+      noFruit: args.noFruitReward,
+      fruit: args.fruitReward,
+      death: args.deathReward
+    }
+  };
+  if (args.levelMap != null) {
+    Object.assign(
+        gameConfig, parseLevelMap(fs.readFileSync(args.levelMap, 'utf8')));
+  }
+  const games = [];
+  for (let i = 0; i < args.numGames; ++i) {
+    games.push(new SnakeGame(gameConfig));
+  }
+  const agent = new SnakeGameAgent(games, {
     replayBufferSize: args.replayBufferSize,
     epsilonInit: args.epsilonInit,
     epsilonFinal: args.epsilonFinal,
     epsilonDecayFrames: args.epsilonDecayFrames,
-    learningRate: args.learningRate
+    learningRate: args.learningRate,
+    dueling: args.dueling,
+    doubleDQN: args.doubleDQN,
+    prioritizedReplay: args.prioritizedReplay,
+    priorityAlpha: args.priorityAlpha,
+    priorityBetaInit: args.priorityBetaInit,
+    priorityBetaFinal: args.priorityBetaFinal,
+    priorityBetaAnnealFrames: args.priorityBetaAnnealFrames
   });
 
   await train(
       agent, args.batchSize, args.gamma, args.learningRate,
       args.cumulativeRewardThreshold, args.maxNumFrames,
-      args.syncEveryFrames, args.savePath, args.logDir);
+      args.syncEveryFrames, args.savePath, args.logDir, args.checkpointDir,
+      args.checkpointEveryFrames, args.resumeFrom, args.recordEpisodesDir,
+      args.recordEveryEpisodes);
 }
 
 if (require.main === module) {